@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+const { builtinModules } = require("module");
+
+/**
+ * Bundles the agent and the backend modules it requires into one file the
+ * home page serves (frontend/public/hwdiag-agent.cjs; .cjs because the frontend
+ * package is an ES module), so users only need Node. The frontend's dev and
+ * build scripts run this first; the output is not committed.
+ * Each module keeps its CommonJS scope; JSON files are inlined. Anything other
+ * than a relative path or a Node built-in is refused: the agent has no
+ * dependencies to install.
+ */
+
+const BACKEND_ROOT = path.join(__dirname, "..");
+const ENTRY = path.join(__dirname, "cli.js");
+const OUTPUT = path.join(BACKEND_ROOT, "..", "frontend", "public", "hwdiag-agent.cjs");
+
+const BUILTINS = new Set(builtinModules);
+
+function resolveRequest(from, request) {
+  const base = path.resolve(path.dirname(from), request);
+  const candidate = [base, `${base}.js`, `${base}.json`, path.join(base, "index.js")]
+    .find((file) => fs.existsSync(file) && fs.statSync(file).isFile());
+  if (!candidate) throw new Error(`Cannot resolve "${request}" from ${path.relative(BACKEND_ROOT, from)}`);
+  return candidate;
+}
+
+/**
+ * Every module reachable from `entry`, in the order first required:
+ * Map(file -> { id, source, requires: { request: file } })
+ */
+function collectModules(entry) {
+  const modules = new Map();
+
+  const visit = (file) => {
+    if (modules.has(file)) return;
+    const source = fs.readFileSync(file, "utf8");
+    const record = { id: modules.size, source, requires: {} };
+    modules.set(file, record);
+    if (file.endsWith(".json")) return;
+
+    for (const [, request] of source.matchAll(/require\(\s*["']([^"']+)["']\s*\)/g)) {
+      if (!request.startsWith(".")) {
+        if (!BUILTINS.has(request.replace(/^node:/, ""))) {
+          throw new Error(`${path.relative(BACKEND_ROOT, file)} requires "${request}"; the agent may only use Node built-ins`);
+        }
+        continue;
+      }
+      record.requires[request] = resolveRequest(file, request);
+      visit(record.requires[request]);
+    }
+  };
+
+  visit(entry);
+  return modules;
+}
+
+function wrapModule(file, { id, source, requires }, modules) {
+  const name = path.relative(BACKEND_ROOT, file).split(path.sep).join("/");
+  const map = Object.fromEntries(Object.entries(requires).map(([request, target]) => [request, modules.get(target).id]));
+  const body = file.endsWith(".json")
+    ? `module.exports = ${source.trim()};`
+    : source.replace(/^#!.*\n/, "").trimEnd();
+
+  return `// ${name}\n${id}: [function (module, exports, require) {\n${body}\n}, ${JSON.stringify(map)}]`;
+}
+
+/**
+ * The bundle's source text
+ */
+function buildBundle(entry = ENTRY) {
+  const modules = collectModules(entry);
+  const wrapped = [...modules.entries()].map(([file, record]) => wrapModule(file, record, modules));
+
+  return [
+    "#!/usr/bin/env node",
+    "// Hardware diagnostics agent. Generated from backend/agent by `npm run build:agent`; do not edit.",
+    "",
+    "const __modules = {",
+    wrapped.join(",\n\n"),
+    "};",
+    "",
+    "const __cache = {};",
+    "function __load(id) {",
+    "  if (__cache[id]) return __cache[id].exports;",
+    "  const [factory, requires] = __modules[id];",
+    "  const module = { exports: {} };",
+    "  __cache[id] = module;",
+    "  factory(module, module.exports, (request) => (request in requires ? __load(requires[request]) : require(request)));",
+    "  return module.exports;",
+    "}",
+    "",
+    "__load(0).main(process.argv.slice(2)).then((code) => {",
+    "  process.exitCode = code;",
+    "});",
+    ""
+  ].join("\n");
+}
+
+module.exports = {
+  buildBundle,
+  collectModules,
+  OUTPUT
+};
+
+if (require.main === module) {
+  fs.writeFileSync(OUTPUT, buildBundle(), { mode: 0o755 });
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
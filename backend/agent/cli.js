@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+const fs = require("fs/promises");
+const os = require("os");
+const { parseArgs } = require("util");
+const { createPlatform } = require("./platforms");
+const { runHardwareTests, TESTS } = require("./tests");
+const { buildPayload, FORMATS } = require("./payloads");
+const { submitPayload } = require("./submit");
+const { createSpool, flushSpool, DEFAULT_SPOOL_DIR } = require("./spool");
+const { generateKeyFile, loadKeyFile, DEFAULT_KEY_FILE } = require("./keys");
+const { signPayload } = require("../services/signing");
+
+/**
+ * Diagnostics agent: one Node CLI for Linux, macOS and Windows in place of
+ * diagnostics.sh / .ps1 / .bat. Payloads go to stdout (or --out) so the agent
+ * also works offline; `submit` sends them to a backend through the spool, so
+ * a payload the backend could not take is kept for `flush` to retry.
+ * With a signing key (`keygen`) every payload is signed when it is built.
+ */
+
+const DEFAULT_API_BASE = "https://hardware-diagnostics.vercel.app";
+
+const USAGE = `Usage: hwdiag-agent <command> [options]
+
+Commands:
+  collect   Read the hardware and print a payload (no network)
+  test      Run the hardware tests and print the standardized payload
+  submit    Collect (and optionally test), spool the payload and send everything spooled
+  flush     Send the spooled payloads again (after "still pending" from submit)
+  watch     Collect every --interval seconds and print, or --submit, each payload
+  keygen    Create the signing key payloads are signed with
+
+Options:
+  --format <name>           ${FORMATS.join(" | ")} | all (print the three models side by side)
+  --tests <list>            comma-separated: ${Object.keys(TESTS).join(",")} (test: all; submit: none)
+  --stress-seconds <n>      CPU stress test duration (default 60)
+  --benchmark-seconds <n>   duration of each benchmark workload (default 2)
+  --memory-fraction <f>     share of the free memory to test (default 0.5)
+  --skip-smart              do not run smartctl
+  --api <url>               backend URL (default $API_BASE or ${DEFAULT_API_BASE})
+  --app <url>               frontend URL for report links (default $APP_URL or the backend URL)
+  --file <path>             submit: send a payload saved by collect / test instead of collecting
+  --out <path>              write the payload to a file instead of stdout
+  --spool                   collect / test: also spool the payload for a later flush
+  --spool-dir <path>        spool directory (default $HWDIAG_SPOOL_DIR or ${DEFAULT_SPOOL_DIR})
+  --retries <n>             submit / flush: retries per payload while the backend is unreachable (default 4)
+  --key-file <path>         signing key (default $HWDIAG_SIGNING_KEY or ${DEFAULT_KEY_FILE}; payloads are signed when it exists)
+  --key-id <id>             keygen: ID the key is registered under on the backend (default the hostname)
+  --unsigned                do not sign payloads
+  --interval <seconds>      watch: time between collections (default 10)
+  --count <n>               watch: stop after n collections
+  --submit                  watch: submit every payload
+  --help                    show this help
+`;
+
+const OPTIONS = {
+  format: { type: "string" },
+  tests: { type: "string" },
+  "stress-seconds": { type: "string" },
+  "benchmark-seconds": { type: "string" },
+  "memory-fraction": { type: "string" },
+  "skip-smart": { type: "boolean", default: false },
+  api: { type: "string" },
+  app: { type: "string" },
+  file: { type: "string" },
+  out: { type: "string" },
+  spool: { type: "boolean", default: false },
+  "spool-dir": { type: "string" },
+  retries: { type: "string" },
+  "key-file": { type: "string" },
+  "key-id": { type: "string" },
+  unsigned: { type: "boolean", default: false },
+  interval: { type: "string" },
+  count: { type: "string" },
+  submit: { type: "boolean", default: false },
+  help: { type: "boolean", default: false }
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Positive (or with `zero`, non-negative) number option, or `fallback` when
+ * absent; throws on anything else
+ */
+function numberOption(values, name, fallback, { zero = false } = {}) {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (!(value > 0 || (zero && value === 0))) throw new Error(`--${name} must be a ${zero ? "non-negative" : "positive"} number, got "${values[name]}"`);
+  return value;
+}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+
+  const tests = values.tests === undefined
+    ? command === "test" ? Object.keys(TESTS) : []
+    : values.tests.split(",").map((name) => name.trim()).filter(Boolean);
+  const defaultFormat = command === "test" ? "standardized" : command === "submit" && tests.length > 0 ? "hybrid" : "legacy";
+  const format = values.format || defaultFormat;
+  if (![...FORMATS, "all"].includes(format) || (format === "all" && ["submit", "watch"].includes(command))) {
+    throw new Error(`Unknown --format "${format}" for ${command} (available: ${FORMATS.join(", ")}${["submit", "watch"].includes(command) ? "" : ", all"})`);
+  }
+  if (format === "all" && values.spool) {
+    throw new Error("--spool needs a single --format: each spooled payload becomes one report");
+  }
+
+  return {
+    command,
+    help: values.help,
+    format,
+    tests,
+    smart: !values["skip-smart"],
+    testOptions: {
+      stressMs: numberOption(values, "stress-seconds", 60) * 1000,
+      benchmarkMs: numberOption(values, "benchmark-seconds", 2) * 1000,
+      memoryFraction: numberOption(values, "memory-fraction", 0.5)
+    },
+    api: values.api,
+    app: values.app,
+    file: values.file,
+    out: values.out,
+    spool: values.spool,
+    spoolDir: values["spool-dir"],
+    retries: numberOption(values, "retries", 4, { zero: true }),
+    keyFile: values["key-file"],
+    keyId: values["key-id"],
+    unsigned: values.unsigned,
+    intervalMs: numberOption(values, "interval", 10) * 1000,
+    count: numberOption(values, "count", Infinity),
+    submit: values.submit
+  };
+}
+
+/**
+ * Run the agent with `argv` (without node and the script path). Every
+ * side effect goes through `deps` so tests can drive it. Resolves to the exit
+ * code: 0 on success, 1 when collection or submission failed, 2 on usage errors.
+ */
+async function main(argv, deps = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env,
+    platform = createPlatform(),
+    runTests = runHardwareTests,
+    submit = submitPayload,
+    wait = delay,
+    now = () => new Date()
+  } = deps;
+  const log = (message) => stderr.write(`${message}\n`);
+
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (error) {
+    log(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help || !options.command) {
+    (options.help ? stdout : stderr).write(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!["collect", "test", "submit", "flush", "watch", "keygen"].includes(options.command)) {
+    log(`Unknown command: ${options.command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const apiBase = (options.api || env.API_BASE || DEFAULT_API_BASE).replace(/\/+$/, "");
+  const appUrl = (options.app || env.APP_URL || apiBase).replace(/\/+$/, "");
+  const spool = createSpool({ dir: options.spoolDir || env.HWDIAG_SPOOL_DIR || DEFAULT_SPOOL_DIR, now });
+  const keyFile = options.keyFile || env.HWDIAG_SIGNING_KEY || DEFAULT_KEY_FILE;
+
+  const output = async (value, { pretty = true } = {}) => {
+    const text = `${pretty ? JSON.stringify(value, null, 2) : JSON.stringify(value)}\n`;
+    if (options.out) await fs.writeFile(options.out, text);
+    else stdout.write(text);
+  };
+
+  const measure = async () => {
+    const snapshot = await platform.collect({ smart: options.smart });
+    const results = options.tests.length > 0
+      ? await runTests({ only: options.tests, cpuModel: snapshot.cpu?.model, onProgress: log, ...options.testOptions })
+      : {};
+    Object.entries(results)
+      .filter(([, result]) => result.error)
+      .forEach(([name, result]) => log(`${TESTS[name].label} failed: ${result.error}`));
+    if (results.benchmark && !results.benchmark.error && results.benchmark.performance_percentage === null) {
+      log(`No benchmark reference for "${snapshot.cpu?.model}"; performance_percentage is not sent`);
+    }
+    return { snapshot, results };
+  };
+
+  // Without a key payloads go out unsigned (the backend marks them
+  // unverified), unless --key-file named one
+  let signingKey;
+  const loadSigningKey = async () => {
+    if (signingKey !== undefined) return signingKey;
+    signingKey = options.unsigned ? null : await loadKeyFile(keyFile);
+    if (signingKey === null && options.keyFile && !options.unsigned) {
+      throw new Error(`No signing key at ${keyFile}; create it with "hwdiag-agent keygen" or pass --unsigned`);
+    }
+    return signingKey;
+  };
+  const sign = async (payload) => {
+    const key = await loadSigningKey();
+    return key ? signPayload(payload, key) : payload;
+  };
+
+  const payloadFor = async (format, { snapshot, results }) => {
+    if (format !== "all") return sign(buildPayload(format, snapshot, results, { now: now() }));
+    const payloads = {};
+    for (const name of ["legacy", "standardized", "omls"]) {
+      payloads[name] = await sign(buildPayload(name, snapshot, results, { now: now() }));
+    }
+    return payloads;
+  };
+
+  // Everything spooled goes out, oldest first; prints where each report is
+  const flush = async () => {
+    log(`Sending diagnostics to ${apiBase} ...`);
+    const summary = await flushSpool(spool, {
+      submit: (payload, { idempotencyKey }) => submit(payload, { apiBase, idempotencyKey, wait }),
+      retries: options.retries,
+      wait,
+      now,
+      onProgress: log
+    });
+
+    summary.delivered.forEach((result) => {
+      if (result.verification?.verified) log(`Signature verified: signed by ${result.verification.signer.name}`);
+      else if (result.verification?.reason && result.verification.reason !== "unsigned") {
+        log(`Signature NOT verified (${result.verification.reason}); the report is marked unverified`);
+      }
+      if (result.reportId) {
+        log(`Evaluation complete. Report ID: ${result.reportId}`);
+        log(`View the results at: ${appUrl}/results?reportId=${result.reportId}`);
+      } else if (result.jobId) {
+        log(`Evaluation is still ${result.state}; check ${appUrl}/analysis?job=${result.jobId}`);
+      }
+    });
+    summary.rejected.forEach((entry) => {
+      log(`REJECTED ${entry.id}: ${entry.error}`);
+      entry.details.forEach((detail) => log(`  ${detail.field}: ${detail.message}`));
+    });
+    const total = summary.delivered.length + summary.pending.length + summary.rejected.length;
+    log(total === 0 ? `Nothing to send: ${spool.dir} is empty` : [
+      `Delivered ${summary.delivered.length} of ${total}`,
+      summary.pending.length > 0 && `${summary.pending.length} still pending in ${spool.dir} (run "hwdiag-agent flush" to retry): ${summary.pending[0].error}`,
+      summary.rejected.length > 0 && `${summary.rejected.length} rejected, kept in ${spool.rejectedDir}`
+    ].filter(Boolean).join("; "));
+    return summary;
+  };
+  const flushed = (summary) => summary.pending.length === 0 && summary.rejected.length === 0;
+
+  try {
+    if (options.command === "keygen") {
+      const key = await generateKeyFile(keyFile, { keyId: options.keyId || os.hostname(), now });
+      log(`Created signing key ${key.keyId} (${key.fingerprint}) in ${key.keyFile}`);
+      log(`Register it on the backend: npm run signers -- add ${key.keyId} --public-key ${key.publicKeyFile}`);
+      await output(key);
+      return 0;
+    }
+
+    if (options.command === "collect" || options.command === "test") {
+      const payload = await payloadFor(options.format, await measure());
+      if (options.spool) log(`Spooled ${(await spool.add(payload)).id} in ${spool.dir}`);
+      await output(payload);
+      return 0;
+    }
+
+    if (options.command === "submit" || options.command === "flush") {
+      if (options.command === "submit") {
+        const saved = options.file && JSON.parse(await fs.readFile(options.file, "utf8"));
+        // A saved payload keeps its signature; editing it after signing makes it invalid
+        await spool.add(saved ? (saved.signature ? saved : await sign(saved)) : await payloadFor(options.format, await measure()));
+      }
+      const summary = await flush();
+      await output(summary);
+      return flushed(summary) ? 0 : 1;
+    }
+
+    // watch: one compact JSON line per collection
+    for (let collected = 0; collected < options.count; collected += 1) {
+      if (collected > 0) await wait(options.intervalMs);
+      const payload = await payloadFor(options.format, await measure());
+      if (options.submit) await spool.add(payload);
+      await output(options.submit ? await flush() : payload, { pretty: false });
+    }
+    return 0;
+  } catch (error) {
+    log(`ERROR: ${error.message}`);
+    (error.details || []).forEach((detail) => log(`  ${detail.field}: ${detail.message}`));
+    return 1;
+  }
+}
+
+module.exports = {
+  main,
+  parseCommandLine,
+  USAGE
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
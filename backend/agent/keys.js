@@ -0,0 +1,61 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { generateSigningKey, keyFingerprint, SIGNATURE_ALGORITHM } = require("../services/signing");
+
+/**
+ * The agent's signing key: one JSON file readable only by its owner,
+ *   { keyId, algorithm, publicKey, privateKey, createdAt }
+ * next to the public key as PEM (<name>.pub.pem), the file a backend operator
+ * registers with `npm run signers -- add <keyId> --public-key <file>`.
+ */
+
+const DEFAULT_KEY_FILE = path.join(os.homedir(), ".hwdiag-agent", "signing-key.json");
+
+const publicKeyFileFor = (keyFile) => `${keyFile.replace(/\.json$/, "")}.pub.pem`;
+
+/**
+ * Create a key pair for `keyId` in `file`; an existing key is never replaced,
+ * since reports already signed with it would lose their signer
+ */
+async function generateKeyFile(file, { keyId, now = () => new Date() }) {
+  const { publicKey, privateKey } = generateSigningKey();
+  const key = { keyId, algorithm: SIGNATURE_ALGORITHM, publicKey, privateKey, createdAt: now().toISOString() };
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  try {
+    await fs.writeFile(file, `${JSON.stringify(key, null, 2)}\n`, { mode: 0o600, flag: "wx" });
+  } catch (error) {
+    if (error.code === "EEXIST") throw new Error(`${file} already exists; remove it first to replace the key`);
+    throw error;
+  }
+  const publicKeyFile = publicKeyFileFor(file);
+  await fs.writeFile(publicKeyFile, publicKey);
+
+  return { keyId, fingerprint: keyFingerprint(publicKey), keyFile: file, publicKeyFile };
+}
+
+/**
+ * { keyId, privateKey } from `file`, or null when there is no such file
+ */
+async function loadKeyFile(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  const key = JSON.parse(text);
+  if (typeof key.keyId !== "string" || !key.keyId || typeof key.privateKey !== "string") {
+    throw new Error(`${file} is not a signing key (expected keyId and privateKey)`);
+  }
+  return { keyId: key.keyId, privateKey: key.privateKey };
+}
+
+module.exports = {
+  generateKeyFile,
+  loadKeyFile,
+  DEFAULT_KEY_FILE
+};
@@ -0,0 +1,157 @@
+const { normalizeCpuModel } = require("../services/collectors/benchmark");
+const { memoryTestFields } = require("../services/collectors/memoryTest");
+const { stressFields } = require("../services/collectors/stress");
+const { summarizeSmart, storageHealthFromSmart } = require("../services/smartData");
+
+/**
+ * Submission payloads built from one platform snapshot and the hardware test
+ * results: the legacy component fields, the standardized test fields, OMLS
+ * components, or all three merged into a hybrid payload.
+ */
+
+const FORMATS = ["legacy", "standardized", "omls", "hybrid"];
+
+// Fields the collectors could not read are left out instead of sent as null
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+
+// Test results that ran to completion
+const completed = (result) => (result && !result.error ? result : null);
+
+function metadata(snapshot, now) {
+  return {
+    hostname: snapshot.hostname,
+    timestamp: now.toISOString(),
+    hardware_ids: snapshot.hardware_ids
+  };
+}
+
+function batteryFields(snapshot) {
+  return compact({
+    battery_wear_percent: snapshot.battery?.wear_percent,
+    battery_cycle_count: snapshot.battery?.cycle_count
+  });
+}
+
+function legacyPayload(snapshot) {
+  return compact({
+    cpu_usage: snapshot.cpu?.usage_percent,
+    ram_gb: snapshot.memory?.total_gb,
+    // Free space says nothing about the drive's health
+    storage_health: snapshot.smart ? storageHealthFromSmart(summarizeSmart(snapshot.smart)) : undefined,
+    ...batteryFields(snapshot),
+    temperature_celsius: snapshot.temperatures?.cpu,
+    motherboard: true
+  });
+}
+
+function standardizedPayload(snapshot, results = {}) {
+  const cpu = completed(results.cpu);
+  const memory = completed(results.memory);
+  const benchmark = completed(results.benchmark);
+
+  return compact({
+    ...(cpu && stressFields(cpu)),
+    ...(memory && memoryTestFields(memory)),
+    performance_percentage: benchmark?.performance_percentage,
+    ...batteryFields(snapshot),
+    smart: snapshot.smart
+  });
+}
+
+const CPU_VENDORS = [["Intel", /intel/i], ["AMD", /\bamd\b/i], ["Apple", /apple/i], ["Qualcomm", /qualcomm|snapdragon/i]];
+
+/**
+ * OMLS components for the parts the agent can measure. Form factor,
+ * connector and power metadata are not discoverable from software, so rule G2
+ * reports them as missing.
+ */
+function omlsPayload(snapshot, results = {}) {
+  const cpu = completed(results.cpu);
+  const memory = completed(results.memory);
+  const benchmark = completed(results.benchmark);
+  const model = snapshot.cpu?.model ?? "";
+  const firmwareInterface = snapshot.platform === "darwin" ? undefined : "ACPI";
+
+  const drives = snapshot.smart ? summarizeSmart(snapshot.smart)?.drives || [] : [];
+  const storage = drives.length > 0
+    ? drives.map((drive, index) => ({
+        component_id: `storage:${drive.serial || drive.device || index}`,
+        component_type: "STORAGE",
+        identification_interface: drive.protocol === "NVMe" ? "NVMe" : "SATA",
+        health_status: compact({
+          smart_status: drive.status,
+          percentage_used: drive.percentageUsed,
+          power_on_hours: drive.powerOnHours,
+          reallocated_sectors: drive.reallocatedSectors,
+          media_errors: drive.mediaErrors
+        })
+      }))
+    : [{ component_id: "storage:system", component_type: "STORAGE", health_status: compact({ free_percent: snapshot.storage?.free_percent }) }];
+
+  const components = [
+    {
+      component_id: `cpu:${normalizeCpuModel(model) || "unknown"}`,
+      component_type: "CPU",
+      manufacturer_id: CPU_VENDORS.find(([, pattern]) => pattern.test(model))?.[0],
+      health_status: compact({
+        usage_percent: snapshot.cpu?.usage_percent,
+        stress_stable: cpu?.stable,
+        throttling: cpu?.throttling,
+        load_temperature_celsius: cpu?.peakTemperature,
+        performance_percentage: benchmark?.performance_percentage
+      })
+    },
+    {
+      component_id: "ram:system",
+      component_type: "RAM",
+      health_status: compact({
+        total_gb: snapshot.memory?.total_gb,
+        test_errors: memory?.errors,
+        tested_bytes: memory?.testedBytes
+      })
+    },
+    ...storage,
+    ...(snapshot.battery
+      ? [{
+          component_id: "battery:system",
+          component_type: "BATTERY",
+          identification_interface: firmwareInterface,
+          health_status: compact({
+            wear_percent: snapshot.battery.wear_percent,
+            cycle_count: snapshot.battery.cycle_count,
+            charge_percent: snapshot.battery.charge_percent
+          })
+        }]
+      : [])
+  ];
+
+  return {
+    omls: true,
+    components: components.map(compact).filter((component) => Object.keys(component.health_status).length > 0),
+    system: {}
+  };
+}
+
+/**
+ * The `format` payload (see FORMATS) with hostname, timestamp and hardware IDs
+ */
+function buildPayload(format, snapshot, results = {}, { now = new Date() } = {}) {
+  const builders = {
+    legacy: () => legacyPayload(snapshot),
+    standardized: () => standardizedPayload(snapshot, results),
+    omls: () => omlsPayload(snapshot, results),
+    hybrid: () => ({ ...legacyPayload(snapshot), ...standardizedPayload(snapshot, results), ...omlsPayload(snapshot, results) })
+  };
+  if (!builders[format]) {
+    throw new Error(`Unknown payload format: ${format} (available: ${FORMATS.join(", ")})`);
+  }
+  return { ...builders[format](), ...metadata(snapshot, now) };
+}
+
+module.exports = {
+  buildPayload,
+  legacyPayload,
+  standardizedPayload,
+  omlsPayload,
+  FORMATS
+};
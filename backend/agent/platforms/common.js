@@ -0,0 +1,101 @@
+const { execFile } = require("child_process");
+const fs = require("fs/promises");
+const os = require("os");
+const { isSmartDocument } = require("../../services/smartData");
+
+/**
+ * Helpers every platform collector shares: running the OS tools, CPU
+ * utilisation from os.cpus() tick counters, MAC addresses and smartctl.
+ */
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * stdout of `command args`, or null when the tool is missing, times out or
+ * prints nothing. A non-zero exit still returns its output: smartctl encodes
+ * drive health in its exit status.
+ */
+function runCommand(command, args = [], { timeoutMs = 15000 } = {}) {
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: timeoutMs, windowsHide: true, maxBuffer: 16 * 1024 * 1024 }, (error, stdout) => {
+      const output = String(error ? error.stdout || "" : stdout);
+      resolve(output.trim() ? output : null);
+    });
+  });
+}
+
+async function readText(file) {
+  try {
+    return (await fs.readFile(file, "utf8")).trim();
+  } catch {
+    return null;
+  }
+}
+
+const parseJson = (text) => {
+  try {
+    return text === null ? null : JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Busy share of every core between two os.cpus() samples `sampleMs` apart,
+ * for platforms without /proc/stat
+ */
+async function sampleCpuUsage({ cpus = os.cpus, sampleMs = 250, wait = delay } = {}) {
+  const ticks = () => cpus().map(({ times }) => ({ idle: times.idle, total: Object.values(times).reduce((sum, value) => sum + value, 0) }));
+  const before = ticks();
+  await wait(sampleMs);
+  const after = ticks();
+
+  const busy = (previous, current) => {
+    const total = current.total - previous.total;
+    return total > 0 ? Math.round((1 - (current.idle - previous.idle) / total) * 10000) / 100 : null;
+  };
+  const sum = (samples) => samples.reduce((acc, core) => ({ idle: acc.idle + core.idle, total: acc.total + core.total }), { idle: 0, total: 0 });
+
+  return {
+    usage_percent: busy(sum(before), sum(after)),
+    per_core: after.map((core, index) => (before[index] ? busy(before[index], core) : null))
+  };
+}
+
+/**
+ * MAC addresses of the external interfaces os.networkInterfaces() reports
+ */
+function macAddresses(interfaces = os.networkInterfaces()) {
+  const macs = Object.values(interfaces)
+    .flat()
+    .filter((address) => address && !address.internal && address.mac && address.mac !== "00:00:00:00:00:00")
+    .map((address) => address.mac.toLowerCase());
+  return [...new Set(macs)].sort();
+}
+
+/**
+ * `smartctl --json -a` output of every drive `smartctl --scan` finds, or null
+ * when smartctl is not installed or cannot read any drive
+ */
+async function collectSmart(run = runCommand) {
+  const scan = parseJson(await run("smartctl", ["--scan", "--json"]));
+  const devices = scan?.devices || [];
+
+  const documents = [];
+  for (const device of devices) {
+    const args = ["--json", "-a", ...(device.type ? ["-d", device.type] : []), device.name];
+    const document = parseJson(await run("smartctl", args));
+    if (isSmartDocument(document)) documents.push(document);
+  }
+  return documents.length > 0 ? documents : null;
+}
+
+module.exports = {
+  runCommand,
+  readText,
+  parseJson,
+  sampleCpuUsage,
+  macAddresses,
+  collectSmart,
+  delay
+};
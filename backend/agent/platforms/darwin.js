@@ -0,0 +1,91 @@
+const fs = require("fs/promises");
+const os = require("os");
+const { storageFromStatfs } = require("../../services/collectors/linux");
+const { wearPercent } = require("../../services/collectors/powerSupply");
+const { runCommand, sampleCpuUsage, macAddresses, collectSmart } = require("./common");
+
+/**
+ * macOS: battery capacities from `ioreg -rn AppleSmartBattery`, the charge
+ * level from `pmset -g batt`, platform UUID and serial from
+ * IOPlatformExpertDevice. There is no unprivileged temperature interface, so
+ * temperatures are null.
+ */
+
+const GB = 1024 ** 3;
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Top-level `"Key" = value` properties of ioreg's text output (nested
+ * dictionaries such as BatteryData are skipped); numbers and quoted strings
+ */
+function parseIoreg(text) {
+  const properties = {};
+  (text || "").split("\n").forEach((line) => {
+    const match = line.match(/^\s*\|?\s*"(\w+)" = (-?\d+|"[^"]*"|Yes|No)\s*$/);
+    if (!match) return;
+    const [, key, raw] = match;
+    properties[key] = raw.startsWith('"') ? raw.slice(1, -1) : raw === "Yes" ? true : raw === "No" ? false : Number(raw);
+  });
+  return properties;
+}
+
+/**
+ * Wear and cycle count from AppleSmartBattery. Apple silicon reports
+ * MaxCapacity as a percentage and the mAh value as AppleRawMaxCapacity.
+ */
+function batteryFromIoreg(properties, pmsetText) {
+  if (!("DesignCapacity" in properties)) return null;
+  const full = properties.AppleRawMaxCapacity ?? properties.MaxCapacity;
+  const charge = (pmsetText || "").match(/(\d+)%/);
+  return {
+    charge_percent: charge ? Number(charge[1]) : null,
+    wear_percent: wearPercent(full, properties.DesignCapacity),
+    cycle_count: Number.isFinite(properties.CycleCount) ? properties.CycleCount : null
+  };
+}
+
+function createDarwinPlatform({ run = runCommand, statfs = fs.statfs, sampleCpu = sampleCpuUsage } = {}) {
+  return {
+    name: "darwin",
+
+    async collect({ smart = true } = {}) {
+      const [cpu, stats, batteryText, pmsetText, platformText] = await Promise.all([
+        sampleCpu(),
+        statfs("/").catch(() => null),
+        run("ioreg", ["-rn", "AppleSmartBattery"]),
+        run("pmset", ["-g", "batt"]),
+        run("ioreg", ["-rd1", "-c", "IOPlatformExpertDevice"])
+      ]);
+      const platform = parseIoreg(platformText);
+
+      return {
+        platform: "darwin",
+        hostname: os.hostname(),
+        cpu: { model: os.cpus()[0]?.model ?? null, cores: os.cpus().length, ...cpu },
+        // os.freemem() counts free pages only; cached files make it look lower than it is
+        memory: {
+          total_gb: round(os.totalmem() / GB),
+          available_gb: round(os.freemem() / GB),
+          used_percent: round((1 - os.freemem() / os.totalmem()) * 100)
+        },
+        storage: storageFromStatfs(stats),
+        battery: batteryFromIoreg(parseIoreg(batteryText), pmsetText),
+        temperatures: null,
+        hardware_ids: {
+          machine_id: null,
+          product_uuid: platform.IOPlatformUUID ?? null,
+          serial_number: platform.IOPlatformSerialNumber ?? null,
+          board_serial: null,
+          mac_addresses: macAddresses()
+        },
+        smart: smart ? await collectSmart(run) : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createDarwinPlatform,
+  parseIoreg,
+  batteryFromIoreg
+};
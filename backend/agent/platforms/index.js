@@ -0,0 +1,28 @@
+const { createLinuxPlatform } = require("./linux");
+const { createDarwinPlatform } = require("./darwin");
+const { createWin32Platform } = require("./win32");
+
+/**
+ * Platform collectors keyed by process.platform. Each factory returns
+ * { name, collect({ smart }) } resolving to the same snapshot shape:
+ * { platform, hostname, cpu, memory, storage, battery, temperatures,
+ *   hardware_ids, smart }, with null for anything the host cannot report.
+ */
+const PLATFORMS = {
+  linux: createLinuxPlatform,
+  darwin: createDarwinPlatform,
+  win32: createWin32Platform
+};
+
+function createPlatform(name = process.platform, options) {
+  const factory = PLATFORMS[name];
+  if (!factory) {
+    throw new Error(`Unsupported platform: ${name} (supported: ${Object.keys(PLATFORMS).join(", ")})`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createPlatform,
+  PLATFORMS
+};
@@ -0,0 +1,73 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createLinuxCollector } = require("../../services/collectors/linux");
+const { runCommand, readText, collectSmart } = require("./common");
+
+/**
+ * Linux: /proc and /sys through the backend's collector, DMI and
+ * /etc/machine-id for the hardware identifiers, smartctl for the drives.
+ */
+
+/**
+ * Identifiers the old diagnostics.sh sent, so devices keep their registry
+ * entry. DMI serials are often root-only and come back null.
+ */
+async function readHardwareIds({ sysRoot, etcRoot }) {
+  const dmi = (name) => readText(path.join(sysRoot, "class", "dmi", "id", name));
+  const netRoot = path.join(sysRoot, "class", "net");
+
+  // Physical interfaces only: virtual ones (bridges, veth, VPNs) come and go
+  let interfaces = [];
+  try {
+    interfaces = (await fs.readdir(netRoot)).sort();
+  } catch {
+    interfaces = [];
+  }
+  const macs = [];
+  for (const name of interfaces) {
+    const physical = await fs.stat(path.join(netRoot, name, "device")).then(() => true, () => false);
+    const mac = physical ? await readText(path.join(netRoot, name, "address")) : null;
+    if (mac) macs.push(mac.toLowerCase());
+  }
+
+  return {
+    machine_id: await readText(path.join(etcRoot, "machine-id")),
+    product_uuid: await dmi("product_uuid"),
+    serial_number: await dmi("product_serial"),
+    board_serial: await dmi("board_serial"),
+    mac_addresses: macs
+  };
+}
+
+function createLinuxPlatform({
+  procRoot = "/proc",
+  sysRoot = "/sys",
+  etcRoot = "/etc",
+  run = runCommand,
+  collector = createLinuxCollector({ procRoot, sysRoot })
+} = {}) {
+  return {
+    name: "linux",
+
+    async collect({ smart = true } = {}) {
+      const { cpu, memory, storage, battery, temperatures } = await collector.collect();
+      return {
+        platform: "linux",
+        hostname: os.hostname(),
+        cpu: { model: os.cpus()[0]?.model ?? null, cores: os.cpus().length, ...cpu },
+        memory,
+        storage,
+        battery,
+        temperatures,
+        hardware_ids: await readHardwareIds({ sysRoot, etcRoot }),
+        smart: smart ? await collectSmart(run) : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createLinuxPlatform,
+  readHardwareIds
+};
@@ -0,0 +1,109 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { storageFromStatfs } = require("../../services/collectors/linux");
+const { wearPercent } = require("../../services/collectors/powerSupply");
+const { runCommand, parseJson, sampleCpuUsage, collectSmart } = require("./common");
+
+/**
+ * Windows: one PowerShell call reads the CIM classes diagnostics.ps1 used
+ * (Win32_Battery, Win32_ComputerSystemProduct, ...) plus the root\wmi battery
+ * capacities and ACPI thermal zones, and prints them as JSON.
+ */
+
+const GB = 1024 ** 3;
+const round = (value) => Math.round(value * 100) / 100;
+
+const INVENTORY_SCRIPT = [
+  "$ErrorActionPreference = 'SilentlyContinue'",
+  "$battery = Get-CimInstance Win32_Battery | Select-Object -First 1",
+  "$full = Get-CimInstance -Namespace root\\wmi -ClassName BatteryFullChargedCapacity | Select-Object -First 1",
+  "$static = Get-CimInstance -Namespace root\\wmi -ClassName BatteryStaticData | Select-Object -First 1",
+  "$cycles = Get-CimInstance -Namespace root\\wmi -ClassName BatteryCycleCount | Select-Object -First 1",
+  "$zones = @(Get-CimInstance -Namespace root\\wmi -ClassName MSAcpi_ThermalZoneTemperature | ForEach-Object { $_.CurrentTemperature })",
+  "$product = Get-CimInstance Win32_ComputerSystemProduct",
+  "$macs = @(Get-CimInstance Win32_NetworkAdapter -Filter 'PhysicalAdapter = True' | Where-Object { $_.MACAddress } | ForEach-Object { $_.MACAddress })",
+  "@{",
+  "  charge_percent = $battery.EstimatedChargeRemaining",
+  "  full_capacity = $full.FullChargedCapacity",
+  "  design_capacity = $static.DesignedCapacity",
+  "  cycle_count = $cycles.CycleCount",
+  "  thermal_zones = $zones",
+  "  product_uuid = $product.UUID",
+  "  serial_number = $product.IdentifyingNumber",
+  "  board_serial = (Get-CimInstance Win32_BaseBoard).SerialNumber",
+  "  machine_id = (Get-ItemProperty -Path 'HKLM:\\SOFTWARE\\Microsoft\\Cryptography' -Name MachineGuid).MachineGuid",
+  "  mac_addresses = $macs",
+  "} | ConvertTo-Json -Compress"
+].join("\n");
+
+const numberOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+/**
+ * Snapshot fields from the inventory JSON. Thermal zones report tenths of a
+ * kelvin; the hottest zone stands in for the CPU temperature.
+ */
+function parseInventory(inventory) {
+  const data = inventory || {};
+  const zones = [].concat(data.thermal_zones ?? [])
+    .map((tenths) => Math.round((tenths / 10 - 273.15) * 10) / 10)
+    .filter((celsius) => celsius > -40 && celsius < 150);
+  const hasBattery = data.charge_percent != null || data.design_capacity != null;
+
+  return {
+    battery: hasBattery
+      ? {
+          charge_percent: numberOrNull(data.charge_percent),
+          wear_percent: wearPercent(data.full_capacity, data.design_capacity),
+          cycle_count: numberOrNull(data.cycle_count)
+        }
+      : null,
+    temperatures: zones.length > 0 ? { cpu: Math.max(...zones) } : null,
+    hardware_ids: {
+      machine_id: data.machine_id ?? null,
+      product_uuid: data.product_uuid ?? null,
+      serial_number: data.serial_number ?? null,
+      board_serial: data.board_serial ?? null,
+      mac_addresses: [].concat(data.mac_addresses ?? []).map((mac) => mac.toLowerCase().replace(/-/g, ":"))
+    }
+  };
+}
+
+function createWin32Platform({
+  run = runCommand,
+  statfs = fs.statfs,
+  sampleCpu = sampleCpuUsage,
+  systemDrive = process.env.SystemDrive || "C:"
+} = {}) {
+  return {
+    name: "win32",
+
+    async collect({ smart = true } = {}) {
+      const [cpu, stats, inventoryText] = await Promise.all([
+        sampleCpu(),
+        statfs(`${systemDrive}${path.win32.sep}`).catch(() => null),
+        run("powershell.exe", ["-NoProfile", "-NonInteractive", "-Command", INVENTORY_SCRIPT], { timeoutMs: 30000 })
+      ]);
+
+      return {
+        platform: "win32",
+        hostname: os.hostname(),
+        cpu: { model: os.cpus()[0]?.model?.trim() ?? null, cores: os.cpus().length, ...cpu },
+        memory: {
+          total_gb: round(os.totalmem() / GB),
+          available_gb: round(os.freemem() / GB),
+          used_percent: round((1 - os.freemem() / os.totalmem()) * 100)
+        },
+        storage: storageFromStatfs(stats),
+        ...parseInventory(parseJson(inventoryText)),
+        smart: smart ? await collectSmart(run) : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createWin32Platform,
+  parseInventory,
+  INVENTORY_SCRIPT
+};
@@ -0,0 +1,139 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { randomUUID } = require("crypto");
+
+/**
+ * Local spool of payloads waiting to be submitted, one JSON file per payload:
+ *   { id, createdAt, attempts, lastAttemptAt, lastError, payload }
+ * The id is sent as the Idempotency-Key, so a payload that reached the
+ * backend before the connection dropped is not evaluated twice when it is
+ * retried. Payloads the backend rejected move to rejected/: kept, not retried.
+ */
+
+const DEFAULT_SPOOL_DIR = path.join(os.homedir(), ".hwdiag-agent", "spool");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createSpool({ dir = DEFAULT_SPOOL_DIR, now = () => new Date() } = {}) {
+  const rejectedDir = path.join(dir, "rejected");
+  const file = (id, folder = dir) => path.join(folder, `${id}.json`);
+
+  // Write then rename, so an interrupted run never leaves half a payload
+  const write = async (target, entry) => {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(`${target}.tmp`, `${JSON.stringify(entry, null, 2)}\n`);
+    await fs.rename(`${target}.tmp`, target);
+  };
+
+  return {
+    dir,
+    rejectedDir,
+
+    async add(payload) {
+      const entry = { id: randomUUID(), createdAt: now().toISOString(), attempts: 0, lastAttemptAt: null, lastError: null, payload };
+      await write(file(entry.id), entry);
+      return entry;
+    },
+
+    /**
+     * Spooled entries, oldest first
+     */
+    async list() {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      const entries = [];
+      for (const name of names.filter((entry) => entry.endsWith(".json"))) {
+        try {
+          entries.push(JSON.parse(await fs.readFile(path.join(dir, name), "utf8")));
+        } catch {
+          // Not a spool entry (edited by hand?); leave it for the user
+        }
+      }
+      return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    update(entry) {
+      return write(file(entry.id), entry);
+    },
+
+    remove(id) {
+      return fs.rm(file(id), { force: true });
+    },
+
+    async reject(entry) {
+      await write(file(entry.id, rejectedDir), entry);
+      await fs.rm(file(entry.id), { force: true });
+    }
+  };
+}
+
+/**
+ * Submit every spooled payload, oldest first, with `submit(payload,
+ * { idempotencyKey })`. A rejected payload (error.rejected) moves to
+ * rejected/; any other failure is retried `retries` times with exponential
+ * backoff from `baseDelayMs`, capped at `maxDelayMs`. Once a payload runs out
+ * of retries the rest stay spooled untried: the backend is down for them too.
+ * Resolves to { delivered: [{ id, ...submit result }],
+ * pending: [{ id, createdAt, attempts, error }], rejected: [{ id, error, details }] }.
+ */
+async function flushSpool(spool, {
+  submit,
+  retries = 4,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  wait = delay,
+  now = () => new Date(),
+  onProgress = () => {}
+}) {
+  const summary = { delivered: [], pending: [], rejected: [] };
+  let unavailable = false;
+
+  for (const entry of await spool.list()) {
+    if (unavailable) {
+      summary.pending.push({ id: entry.id, createdAt: entry.createdAt, attempts: entry.attempts, error: entry.lastError });
+      continue;
+    }
+
+    for (let attempt = 0; ; attempt += 1) {
+      entry.attempts += 1;
+      entry.lastAttemptAt = now().toISOString();
+      try {
+        const result = await submit(entry.payload, { idempotencyKey: entry.id });
+        await spool.remove(entry.id);
+        summary.delivered.push({ id: entry.id, ...result });
+        break;
+      } catch (error) {
+        entry.lastError = error.message;
+        if (error.rejected) {
+          await spool.reject({ ...entry, details: error.details || [] });
+          summary.rejected.push({ id: entry.id, error: error.message, details: error.details || [] });
+          break;
+        }
+        if (attempt >= retries) {
+          await spool.update(entry);
+          summary.pending.push({ id: entry.id, createdAt: entry.createdAt, attempts: entry.attempts, error: error.message });
+          unavailable = true;
+          break;
+        }
+        const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+        onProgress(`${error.message}; retrying in ${delayMs / 1000} s`);
+        await wait(delayMs);
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  createSpool,
+  flushSpool,
+  DEFAULT_SPOOL_DIR
+};
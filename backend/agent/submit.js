@@ -0,0 +1,88 @@
+/**
+ * Submission to a diagnostics backend: POST /api/submit-diagnostics, then poll
+ * GET /api/jobs/:id until the evaluation job is done, as the shell scripts did.
+ * Errors the payload itself caused carry `rejected: true`; resending it will
+ * not help. Anything else (network, 5xx, 429) is worth retrying.
+ */
+
+// Client errors that are about the backend's state, not the payload
+const RETRYABLE_STATUSES = [408, 429];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Submit `payload` to `apiBase` and wait up to `attempts` × `pollMs` for its
+ * evaluation. Resolves to { jobId, state, reportId, deviceId, warnings,
+ * verification, duplicate }; state is "queued" / "running" when the job outlasts the wait,
+ * and duplicate is true when the backend had already accepted
+ * `idempotencyKey`.
+ */
+async function submitPayload(payload, {
+  apiBase,
+  idempotencyKey,
+  fetch = globalThis.fetch,
+  wait = delay,
+  pollMs = 1000,
+  attempts = 30
+} = {}) {
+  if (!apiBase) throw new Error("No backend URL: pass --api or set API_BASE");
+  const base = apiBase.replace(/\/+$/, "");
+
+  let response;
+  try {
+    response = await fetch(`${base}/api/submit-diagnostics`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }) },
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    throw new Error(`Backend is not reachable at ${base}: ${error.cause?.message || error.message}`);
+  }
+
+  const body = await readJson(response);
+  if (!response.ok) {
+    // The field errors of a 422 travel with the error for the CLI to print
+    const rejected = response.status < 500 && !RETRYABLE_STATUSES.includes(response.status);
+    throw Object.assign(new Error(`Backend ${rejected ? "rejected" : "could not accept"} the diagnostics (HTTP ${response.status}): ${body.error || response.statusText}`), {
+      status: response.status,
+      rejected,
+      details: body.details || []
+    });
+  }
+
+  let job = { state: body.status, result: body.reportId ? body : null };
+  for (let attempt = 0; attempt < attempts && !["done", "failed"].includes(job.state) && body.jobId; attempt += 1) {
+    await wait(pollMs);
+    try {
+      const poll = await fetch(`${base}/api/jobs/${body.jobId}`);
+      if (poll.ok) job = await readJson(poll);
+    } catch {
+      // Backend busy or restarting; keep polling
+    }
+  }
+
+  if (job.state === "failed") {
+    throw Object.assign(new Error(`Evaluation failed: ${job.error || "unknown error"}`), { rejected: true });
+  }
+  return {
+    jobId: body.jobId ?? null,
+    state: job.state ?? "queued",
+    reportId: job.result?.reportId ?? null,
+    deviceId: job.result?.deviceId ?? null,
+    warnings: body.warnings || [],
+    verification: body.verification ?? null,
+    duplicate: body.duplicate === true
+  };
+}
+
+module.exports = {
+  submitPayload
+};
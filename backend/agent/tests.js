@@ -0,0 +1,51 @@
+const { runBenchmarks } = require("../services/collectors/benchmark");
+const { runMemoryTest } = require("../services/collectors/memoryTest");
+const { runStressTest } = require("../services/collectors/stress");
+const { cpus: references } = require("../benchmarks/references.json");
+
+/**
+ * Hardware tests the agent can run before submitting, in the order they run:
+ * the benchmark first on an idle machine, the CPU stress test last since it
+ * heats the machine up.
+ */
+const TESTS = {
+  benchmark: {
+    label: "Benchmark",
+    run: ({ benchmarkMs, cpuModel }) => runBenchmarks({ references, cpuModel, durationMs: benchmarkMs })
+  },
+  memory: {
+    label: "Memory test",
+    run: ({ memoryFraction }) => runMemoryTest({ fraction: memoryFraction })
+  },
+  cpu: {
+    label: "CPU stress test",
+    run: ({ stressMs, sysRoot }) => runStressTest({ durationMs: stressMs, sysRoot })
+  }
+};
+
+/**
+ * Run the `only` tests (all by default) one after another. A test that throws
+ * is recorded as { error } so the others still run.
+ */
+async function runHardwareTests({ only = Object.keys(TESTS), onProgress = () => {}, ...options } = {}) {
+  const unknown = only.filter((name) => !TESTS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown test: ${unknown.join(", ")} (available: ${Object.keys(TESTS).join(", ")})`);
+  }
+
+  const results = {};
+  for (const name of Object.keys(TESTS).filter((test) => only.includes(test))) {
+    onProgress(`${TESTS[name].label}...`);
+    try {
+      results[name] = await TESTS[name].run(options);
+    } catch (error) {
+      results[name] = { error: error.message };
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  runHardwareTests,
+  TESTS
+};
@@ -0,0 +1,122 @@
+const express = require("express");
+const { renderCertificateHtml, renderCertificatePdf } = require("../services/certificateDocument");
+const { authenticateIssuer } = require("../services/certificates");
+
+/**
+ * Reusability certificates for resale. Issuing needs an issuer token (see
+ * parseIssuerTokens) and a stored report with a standardized evaluation, and
+ * answers 503 with `unavailable` (see issuingUnavailableReason) when set;
+ * reading and verifying are public, so a buyer can check a certificate by its
+ * ID, printed hash or JSON copy.
+ * The verify link printed on certificates starts with `publicUrl`. Only with
+ * `requestOrigin` (local development) does it fall back to the origin the
+ * request names, since Host and X-Forwarded-Proto are client-controlled;
+ * otherwise it is printed as a path.
+ */
+function createCertificatesRouter({ certificateStore, reportStore, deviceRegistry, issuers = {}, unavailable = null, publicUrl, requestOrigin = false }) {
+  const router = express.Router();
+
+  const verifyUrl = (req, certificate) => {
+    const origin = publicUrl
+      ? publicUrl.replace(/\/+$/, "")
+      : requestOrigin ? `${req.get("x-forwarded-proto") || req.protocol}://${req.get("host")}` : "";
+    return `${origin}/api/certificates/${certificate.id}/verify`;
+  };
+
+  const findCertificate = (req, res) => {
+    const certificate = certificateStore.get(req.params.id);
+    if (!certificate) {
+      res.status(404).json({ error: `Certificate not found: ${req.params.id}` });
+      return null;
+    }
+    return certificate;
+  };
+
+  router.post("/", (req, res) => {
+    if (unavailable) {
+      return res.status(503).json({ error: `Certificate issuing is disabled: ${unavailable}` });
+    }
+    const issuedBy = authenticateIssuer(req.get("authorization"), issuers);
+    if (!issuedBy) {
+      const error = Object.keys(issuers).length
+        ? "Issuing certificates needs a valid issuer token (Authorization: Bearer <token>)"
+        : "Certificate issuing is disabled; set CERTIFICATE_ISSUER_TOKENS on the backend";
+      return res.status(401).set("WWW-Authenticate", 'Bearer realm="certificates"').json({ error });
+    }
+
+    const reportId = req.body?.reportId;
+    if (typeof reportId !== "string" || !reportId) {
+      return res.status(400).json({ error: "reportId is required" });
+    }
+    const record = reportStore.get(reportId);
+    if (!record) {
+      return res.status(404).json({ error: `Report not found: ${reportId}` });
+    }
+    if (!record.report?.standardized) {
+      return res.status(422).json({ error: "Certificates need a standardized evaluation; submit the test results (benchmark, memory and stress tests)" });
+    }
+
+    const device = record.deviceId ? deviceRegistry.get(record.deviceId) : null;
+    res.status(201).json(certificateStore.issue(record, { device, issuedBy }));
+  });
+
+  router.get("/", (req, res) => {
+    const reportId = typeof req.query.reportId === "string" ? req.query.reportId : undefined;
+    res.json(certificateStore.list({ reportId }));
+  });
+
+  // Public key for checking certificates offline
+  router.get("/issuer", (req, res) => {
+    try {
+      const { keyId, publicKey } = certificateStore.issuerKey();
+      res.json({ keyId, algorithm: "ed25519", publicKey });
+    } catch (error) {
+      if (error.code !== "NO_ISSUER_KEY") throw error;
+      res.status(503).json({ error: error.message });
+    }
+  });
+
+  router.get("/:id", (req, res) => {
+    const certificate = findCertificate(req, res);
+    if (!certificate) return;
+    res.json(certificate);
+  });
+
+  router.get("/:id/html", (req, res) => {
+    const certificate = findCertificate(req, res);
+    if (!certificate) return;
+    res.type("html").send(renderCertificateHtml(certificate, { verifyUrl: verifyUrl(req, certificate) }));
+  });
+
+  router.get("/:id/pdf", (req, res) => {
+    const certificate = findCertificate(req, res);
+    if (!certificate) return;
+    res
+      .type("pdf")
+      .set("Content-Disposition", `inline; filename="certificate-${certificate.id}.pdf"`)
+      .send(renderCertificatePdf(certificate, { verifyUrl: verifyUrl(req, certificate) }));
+  });
+
+  // The issued certificate, optionally against the hash printed on a copy
+  router.get("/:id/verify", (req, res) => {
+    const certificate = findCertificate(req, res);
+    if (!certificate) return;
+    const expectedHash = typeof req.query.hash === "string" ? req.query.hash : undefined;
+    res.json({ certificateId: certificate.id, ...certificateStore.verify(certificate, { expectedHash }), certificate });
+  });
+
+  // A buyer's JSON copy: valid only when it is exactly what was issued
+  router.post("/:id/verify", (req, res) => {
+    const issued = findCertificate(req, res);
+    if (!issued) return;
+    const copy = req.body || {};
+    const verification = copy.id === issued.id
+      ? certificateStore.verify(copy)
+      : { valid: false, reason: "not_issued", message: `The certificate ID is ${copy.id ?? "missing"}, not ${issued.id}`, checks: { integrity: false, signature: false, issued: false } };
+    res.json({ certificateId: issued.id, ...verification, certificate: issued });
+  });
+
+  return router;
+}
+
+module.exports = createCertificatesRouter;
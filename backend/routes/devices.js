@@ -0,0 +1,137 @@
+const express = require("express");
+const {
+  parseDateBound,
+  getDeviceRecords,
+  buildHistory,
+  buildTrend
+} = require("../services/evaluationHistory");
+
+/**
+ * Fleet inventory API: devices grouped by hardware fingerprint.
+ */
+function createDevicesRouter({ deviceRegistry, reportStore }) {
+  const router = express.Router();
+
+  const withLatest = (device) => {
+    const latest = device.latestReportId ? reportStore.get(device.latestReportId) : null;
+    return {
+      ...device,
+      latest: latest
+        ? {
+            reportId: latest.id,
+            submittedAt: latest.submittedAt,
+            evaluationModel: latest.report?.evaluationModel,
+            overall: latest.report?.overall
+          }
+        : null
+    };
+  };
+
+  const findDevice = (req, res) => {
+    const device = deviceRegistry.get(req.params.id);
+    if (!device) {
+      res.status(404).json({ error: `Device not found: ${req.params.id}` });
+      return null;
+    }
+    return device;
+  };
+
+  router.get("/", (req, res) => {
+    const includeRetired = req.query.includeRetired === "true";
+    const tag = typeof req.query.tag === "string" ? req.query.tag : undefined;
+    res.json(deviceRegistry.list({ includeRetired, tag }).map(withLatest));
+  });
+
+  router.get("/:id", (req, res) => {
+    const device = findDevice(req, res);
+    if (!device) return;
+    res.json(withLatest(device));
+  });
+
+  // Latest evaluateDevice result for the device
+  router.get("/:id/latest", (req, res) => {
+    const device = findDevice(req, res);
+    if (!device) return;
+
+    const record = reportStore.latest({ deviceId: device.id });
+    if (!record) {
+      return res.status(404).json({ error: `No reports for device: ${device.id}` });
+    }
+
+    res.json({
+      deviceId: device.id,
+      reportId: record.id,
+      submittedAt: record.submittedAt,
+      report: record.report
+    });
+  });
+
+  const parseRange = (req, res) => {
+    const from = parseDateBound(req.query.from);
+    const to = parseDateBound(req.query.to);
+    if (from === undefined || to === undefined) {
+      res.status(400).json({ error: "from and to must be ISO 8601 dates" });
+      return null;
+    }
+    return { from, to };
+  };
+
+  // Time-ordered evaluation summaries (?from=&to=)
+  router.get("/:id/history", (req, res) => {
+    const device = findDevice(req, res);
+    if (!device) return;
+    const range = parseRange(req, res);
+    if (!range) return;
+
+    res.json({
+      deviceId: device.id,
+      entries: buildHistory(getDeviceRecords(reportStore, device.id, range))
+    });
+  });
+
+  // Time series for one metric (?metric=standardized.remainingLife&from=&to=)
+  router.get("/:id/trend", (req, res) => {
+    const metric = typeof req.query.metric === "string" ? req.query.metric.trim() : "";
+    if (!metric) {
+      return res.status(400).json({ error: "metric is required (e.g. standardized.total_score, legacy.battery, input.battery_health_percent)" });
+    }
+
+    const device = findDevice(req, res);
+    if (!device) return;
+    const range = parseRange(req, res);
+    if (!range) return;
+
+    res.json({
+      deviceId: device.id,
+      ...buildTrend(getDeviceRecords(reportStore, device.id, range), metric)
+    });
+  });
+
+  // Rename / tag
+  router.patch("/:id", (req, res) => {
+    const { name, tags } = req.body || {};
+
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+      return res.status(400).json({ error: "name must be a non-empty string" });
+    }
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string"))) {
+      return res.status(400).json({ error: "tags must be an array of strings" });
+    }
+
+    const device = findDevice(req, res);
+    if (!device) return;
+
+    res.json(withLatest(deviceRegistry.update(device.id, { name, tags })));
+  });
+
+  router.post("/:id/retire", (req, res) => {
+    const device = findDevice(req, res);
+    if (!device) return;
+
+    res.json(withLatest(deviceRegistry.retire(device.id)));
+  });
+
+  return router;
+}
+
+module.exports = createDevicesRouter;
@@ -0,0 +1,47 @@
+const express = require("express");
+const swaggerUiDist = require("swagger-ui-dist");
+
+const EXPLORER_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Hardware Diagnostics API</title>
+  <link rel="stylesheet" href="docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="docs/swagger-ui-bundle.js"></script>
+  <script src="docs/swagger-ui-standalone-preset.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: "openapi.json",
+      dom_id: "#swagger-ui",
+      presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+      layout: "StandaloneLayout"
+    });
+  </script>
+</body>
+</html>`;
+
+/**
+ * OpenAPI document and a self-hosted Swagger UI explorer (no CDN).
+ * Asset URLs are relative so the explorer works behind any path prefix.
+ */
+function createDocsRouter({ spec }) {
+  const router = express.Router();
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(spec);
+  });
+
+  router.get("/docs", (req, res) => {
+    res.type("html").send(EXPLORER_HTML);
+  });
+
+  router.use("/docs", express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+  return router;
+}
+
+module.exports = createDocsRouter;
@@ -0,0 +1,151 @@
+const express = require("express");
+const {
+  parseLabelTarget,
+  labelUrl,
+  resolveLabelBase,
+  renderQrPng,
+  renderLabelSvg,
+  renderLabelSheet,
+  LABEL_LAYOUTS,
+  DEFAULT_LAYOUT
+} = require("../services/labels");
+
+/**
+ * QR asset labels. `:id` is a device ID, a report ID or a label code; labels
+ * encode <base>/l/<code>, a frontend page. The base is ?baseUrl=, else
+ * LABEL_BASE_URL, else the frontend the request came from; see
+ * resolveLabelBase for the origins allowed.
+ */
+function createLabelsRouter({ deviceRegistry, reportStore, baseUrl, frontendOrigins = [], allowLoopback = false }) {
+  const router = express.Router();
+
+  const resolveBaseUrl = (req, res) => {
+    try {
+      return resolveLabelBase({
+        requested: typeof req.query.baseUrl === "string" ? req.query.baseUrl : undefined,
+        configured: baseUrl,
+        origin: req.get("origin") || req.get("referer"),
+        allowedOrigins: frontendOrigins,
+        allowLoopback
+      });
+    } catch (error) {
+      if (error.code !== "INVALID_BASE_URL") throw error;
+      res.status(400).json({ error: error.message });
+      return null;
+    }
+  };
+
+  const resolveLayout = (req, res) => {
+    const layout = req.query.layout ?? DEFAULT_LAYOUT;
+    if (!LABEL_LAYOUTS[layout]) {
+      res.status(400).json({ error: `layout must be one of: ${Object.keys(LABEL_LAYOUTS).join(", ")}` });
+      return null;
+    }
+    return layout;
+  };
+
+  // What a label points at, with the report it opens (a device's latest)
+  const describe = (target) => {
+    if (target.type === "device") {
+      const device = deviceRegistry.get(target.id);
+      if (!device) return null;
+      const latest = reportStore.latest({ deviceId: device.id });
+      return {
+        ...target,
+        deviceId: device.id,
+        reportId: latest?.id ?? null,
+        hostname: device.hostname,
+        name: device.name,
+        title: device.name || device.hostname,
+        subtitle: device.name && device.name !== device.hostname ? `Device - ${device.hostname}` : "Device"
+      };
+    }
+
+    const record = reportStore.get(target.id);
+    if (!record) return null;
+    const device = record.deviceId ? deviceRegistry.get(record.deviceId) : null;
+    return {
+      ...target,
+      deviceId: record.deviceId ?? null,
+      reportId: record.id,
+      hostname: record.hostname,
+      name: device?.name ?? null,
+      title: device?.name || record.hostname,
+      subtitle: `Report - ${record.submittedAt.slice(0, 10)}`
+    };
+  };
+
+  const findTarget = (value, res) => {
+    const target = parseLabelTarget(value);
+    const described = target && describe(target);
+    if (!described) {
+      res.status(404).json({ error: `Label target not found: ${value}` });
+      return null;
+    }
+    return described;
+  };
+
+  // Printable sheet of labels (?ids=a,b,c; default: every active device)
+  router.get("/sheet", (req, res) => {
+    const layout = resolveLayout(req, res);
+    if (!layout) return;
+    const base = resolveBaseUrl(req, res);
+    if (!base) return;
+    const skip = req.query.skip === undefined ? 0 : Number(req.query.skip);
+    const perPage = LABEL_LAYOUTS[layout].columns * LABEL_LAYOUTS[layout].rows;
+    if (!Number.isInteger(skip) || skip < 0 || skip >= perPage) {
+      return res.status(400).json({ error: `skip must be an integer from 0 to ${perPage - 1}` });
+    }
+
+    const ids = typeof req.query.ids === "string"
+      ? req.query.ids.split(",").map((id) => id.trim()).filter(Boolean)
+      : deviceRegistry.list().map((device) => device.id);
+    if (ids.length === 0) {
+      return res.status(404).json({ error: "No devices to label" });
+    }
+
+    const labels = [];
+    for (const id of ids) {
+      const target = findTarget(id, res);
+      if (!target) return;
+      labels.push({ ...target, url: labelUrl(base, target.code) });
+    }
+    res.type("html").send(renderLabelSheet(labels, { layout, skip }));
+  });
+
+  router.get("/:id", (req, res) => {
+    const target = findTarget(req.params.id, res);
+    if (!target) return;
+    const base = resolveBaseUrl(req, res);
+    if (!base) return;
+    const { title: _title, subtitle: _subtitle, ...resolved } = target;
+    res.json({ ...resolved, url: labelUrl(base, target.code) });
+  });
+
+  router.get("/:id/svg", (req, res) => {
+    const target = findTarget(req.params.id, res);
+    if (!target) return;
+    const layout = resolveLayout(req, res);
+    if (!layout) return;
+    const base = resolveBaseUrl(req, res);
+    if (!base) return;
+    res.type("image/svg+xml").send(renderLabelSvg({ ...target, url: labelUrl(base, target.code) }, { layout }));
+  });
+
+  // The QR code alone (?scale= pixels per module)
+  router.get("/:id/png", (req, res) => {
+    const target = findTarget(req.params.id, res);
+    if (!target) return;
+    const base = resolveBaseUrl(req, res);
+    if (!base) return;
+    const scale = req.query.scale === undefined ? 8 : Number(req.query.scale);
+    if (!Number.isInteger(scale) || scale < 1 || scale > 40) {
+      return res.status(400).json({ error: "scale must be an integer from 1 to 40" });
+    }
+    res.type("png").send(renderQrPng(labelUrl(base, target.code), { scale }));
+  });
+
+  return router;
+}
+
+module.exports = createLabelsRouter;
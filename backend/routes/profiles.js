@@ -0,0 +1,33 @@
+const express = require("express");
+
+/**
+ * Scoring profiles available to the standardized model (`scoring_profile` on a submission).
+ */
+function createProfilesRouter({ scoringProfiles }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json(
+      scoringProfiles.list().map((profile) => ({
+        name: profile.name,
+        version: profile.version,
+        description: profile.description || "",
+        default: profile.name === scoringProfiles.defaultName,
+        categories: profile.categories,
+        classification: profile.classification
+      }))
+    );
+  });
+
+  router.get("/:name", (req, res) => {
+    const profile = scoringProfiles.get(req.params.name);
+    if (!profile) {
+      return res.status(404).json({ error: `Scoring profile not found: ${req.params.name}` });
+    }
+    res.json(profile);
+  });
+
+  return router;
+}
+
+module.exports = createProfilesRouter;
@@ -0,0 +1,25 @@
+const express = require("express");
+
+/**
+ * Trusted submission signers (public keys only). Signers are managed with
+ * `npm run signers`, not over the API.
+ */
+function createSignersRouter({ signerRegistry }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.json(signerRegistry.list());
+  });
+
+  router.get("/:id", (req, res) => {
+    const signer = signerRegistry.list().find((entry) => entry.id === req.params.id);
+    if (!signer) {
+      return res.status(404).json({ error: `Signer not found: ${req.params.id}` });
+    }
+    res.json(signer);
+  });
+
+  return router;
+}
+
+module.exports = createSignersRouter;
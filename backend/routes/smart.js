@@ -0,0 +1,23 @@
+const express = require("express");
+const { summarizeSmart, smartFields } = require("../services/smartData");
+
+/**
+ * SMART file upload: parse `smartctl --json -a` output or an NVMe health log
+ * and return the drives plus the standardized fields they map to, ready to be
+ * sent with a submission (or send the documents themselves as `smart`).
+ */
+function createSmartRouter() {
+  const router = express.Router();
+
+  router.post("/", (req, res) => {
+    const summary = summarizeSmart(req.body ?? []);
+    if (!summary) {
+      return res.status(422).json({ error: "Expected smartctl --json output or an NVMe health log (nvme smart-log -o json)" });
+    }
+    res.json({ ...summary, fields: smartFields(summary) });
+  });
+
+  return router;
+}
+
+module.exports = createSmartRouter;
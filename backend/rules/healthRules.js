@@ -31,16 +31,50 @@ const REUSABILITY_CLASSIFICATION = {
   NOT_RECOMMENDED: { min: 0, label: "Not recommended", description: "Significant issues present, reuse not advised" }
 };
 
-// Legacy scoring weights and thresholds
-const WEIGHTS = { cpu: 0.30, ram: 0.25, storage: 0.25, battery: 0.20 };
-const MAX_SCORES = { cpu: 30, ram: 25, storage: 25, battery: 20 };
+// Legacy scoring weights (points out of 100) and thresholds.
+// Only measured components are scored; their weights are renormalized to 100,
+// so a payload with just the four core components keeps the 30/25/25/20 split.
+const WEIGHTS = { cpu: 24, ram: 20, storage: 20, battery: 16, gpu: 6, display: 6, motherboard: 4, thermal: 4 };
 const COMPONENT_THRESHOLDS = { good: 0.8, fair: 0.5 };
 const OVERALL_THRESHOLDS = { good: 80, fair: 55 };
 const REUSABILITY = {
   cpu: { reusableMin: 40, idealMin: 70 },
   ram: { reusableMin: 4, idealMin: 8 },
   storage: { reusableMin: 40, idealMin: 70 },
-  battery: { reusableMin: 50, idealMin: 75 }
+  battery: { reusableMin: 50, idealMin: 75 },
+  gpu: { reusableMin: 50, idealMin: 75 },
+  display: { reusableMin: 50, idealMin: 80 },
+  motherboard: { reusableMin: 60, idealMin: 85 },
+  // Temperatures: lower is better
+  thermal: { reusableMax: 90, idealMax: 75 }
+};
+
+/**
+ * Legacy components: the payload field (and aliases) each one reads and how a
+ * reading maps to a 0-1 score ratio. Optional components are only scored when
+ * the payload measures them.
+ */
+const LEGACY_COMPONENTS = {
+  cpu: { label: "CPU", icon: "🔧", field: "cpu_usage", aliases: ["cpu"], unit: "%", formula: "cpu_usage / 100", ratio: (value) => value / 100 },
+  ram: { label: "RAM", icon: "💾", field: "ram_gb", aliases: ["ram"], unit: "GB", formula: "min(ram_gb, 32) / 32", ratio: (value) => Math.min(value, 32) / 32 },
+  storage: {
+    label: "Storage", icon: "💿", field: "storage_health", aliases: ["storage"], unit: "%", optional: true,
+    formula: "storage_health / 100", ratio: (value) => value / 100
+  },
+  battery: {
+    label: "Battery", icon: "🔋", field: "battery_health", aliases: ["battery"], unit: "%", optional: true,
+    formula: "(battery_health / 100)^1.8", ratio: (value) => Math.pow(clamp(value / 100, 0, 1), 1.8)
+  },
+  gpu: { label: "GPU", icon: "🎮", field: "gpu_health", aliases: ["gpu"], unit: "%", optional: true, formula: "gpu_health / 100", ratio: (value) => value / 100 },
+  display: { label: "Display", icon: "🖥️", field: "display_health", aliases: ["display"], unit: "%", optional: true, formula: "display_health / 100", ratio: (value) => value / 100 },
+  motherboard: {
+    label: "Motherboard / I/O", icon: "🔌", field: "motherboard_health", aliases: [], unit: "%", optional: true,
+    formula: "motherboard_health / 100", ratio: (value) => value / 100
+  },
+  thermal: {
+    label: "Thermal", icon: "🌡️", field: "temperature_celsius", aliases: [], unit: "°C", optional: true,
+    formula: "(100 - temperature_celsius) / 40", ratio: (value) => (100 - value) / 40
+  }
 };
 
 // Lookup tables for scoring rules (more efficient than if-else chains)
@@ -66,12 +100,44 @@ const BATTERY_HEALTH_SCORING = [
   { threshold: 0, score: 0 }
 ];
 
+// Charge cycles most laptop batteries are rated for
+const BATTERY_RATED_CYCLES = 1000;
+
 // Thermal thresholds
 const THERMAL_LIMITS = {
   normal: { idle: 50, load: 85 },
   critical: { idle: 60, load: 95 }
 };
 
+// Physical & thermal deductions from the category maximum
+const PHYSICAL_DEDUCTIONS = {
+  physical_damage: 4,
+  port_integrity: 2,
+  thermal_critical: 4,
+  thermal_concerning: 2
+};
+
+/**
+ * Built-in scoring profile for the standardized model.
+ * Named profiles (backend/profiles/*.json|yaml) override parts of it.
+ */
+const DEFAULT_SCORING_PROFILE = {
+  name: "default",
+  version: "1.0.0",
+  description: "Standard 40/30/20/10 hardware reusability weighting",
+  categories: SCORING_CATEGORIES,
+  performanceScoring: PERFORMANCE_SCORING,
+  ssdWearScoring: SSD_WEAR_SCORING,
+  batteryHealthScoring: BATTERY_HEALTH_SCORING,
+  thermalLimits: THERMAL_LIMITS,
+  physicalDeductions: PHYSICAL_DEDUCTIONS,
+  classification: {
+    HIGH_GRADE: REUSABILITY_CLASSIFICATION.HIGH_GRADE.min,
+    REUSABLE: REUSABILITY_CLASSIFICATION.REUSABLE.min,
+    LIMITED: REUSABILITY_CLASSIFICATION.LIMITED.min
+  }
+};
+
 const {
   validateComponent,
   validateOMLSPayload,
@@ -86,13 +152,21 @@ const pct = (value, max) => Math.round((value / max) * 100);
 const isValidNumber = (value) => typeof value === 'number' && isFinite(value);
 
 /**
- * Score value using lookup table (more efficient than if-else chains)
+ * Find the lookup-table band a value falls in (more efficient than if-else chains).
+ * Returns the first rule whose threshold the value reaches, or null.
  */
-function scoreLookup(value, rules) {
-  for (const rule of rules) {
-    if (value >= rule.threshold) return rule.score;
-  }
-  return 0;
+function findLookupRule(value, rules) {
+  return rules.find((rule) => value >= rule.threshold) || null;
+}
+
+const tableMax = (rules) => Math.max(...rules.map((rule) => rule.score));
+
+/**
+ * Battery health from measured wear (capacity lost against the design
+ * capacity), or null when the wear was not measured
+ */
+function batteryHealthFromWear(wearPercent) {
+  return isValidNumber(wearPercent) ? clamp(100 - wearPercent, 0, 100) : null;
 }
 
 /**
@@ -102,13 +176,18 @@ function normalizeInput(input = {}) {
   return {
     storage_smart_status: input.storage_smart_status || "UNKNOWN",
     ram_test_errors: Math.max(0, input.ram_test_errors ?? 0),
+    ram_tested_bytes: isValidNumber(input.ram_tested_bytes) ? input.ram_tested_bytes : null,
+    ram_test_duration_ms: isValidNumber(input.ram_test_duration_ms) ? input.ram_test_duration_ms : null,
     cpu_stress_stable: input.cpu_stress_stable ?? false,
     cpu_throttling: input.cpu_throttling ?? false,
     gpu_stress_stable: input.gpu_stress_stable ?? false,
     gpu_artifacts: input.gpu_artifacts ?? false,
     performance_percentage: clamp(input.performance_percentage ?? 0, 0, 100),
     ssd_wear_percentage: clamp(input.ssd_wear_percentage ?? 0, 0, 100),
-    battery_health_percent: clamp(input.battery_health_percent ?? 0, 0, 100),
+    // Measured wear wins over a reported health percentage
+    battery_health_percent: clamp(batteryHealthFromWear(input.battery_wear_percent) ?? input.battery_health_percent ?? 0, 0, 100),
+    battery_wear_percent: isValidNumber(input.battery_wear_percent) ? input.battery_wear_percent : null,
+    battery_cycle_count: isValidNumber(input.battery_cycle_count) ? input.battery_cycle_count : null,
     physical_damage: input.physical_damage === true,
     port_integrity: input.port_integrity !== false,
     idle_temperature_celsius: Math.max(0, input.idle_temperature_celsius ?? 0),
@@ -120,31 +199,67 @@ function normalizeInput(input = {}) {
 
 /**
  * Category 1: Functional Integrity (40 points)
- * Optimized with early returns and minimal object creation
+ * Four equal checks; points scale with the profile's category maximum
  */
-function scoreFunctionalIntegrity(diag) {
+function scoreFunctionalIntegrity(diag, profile = DEFAULT_SCORING_PROFILE) {
+  const max = profile.categories.FUNCTIONAL_INTEGRITY;
+  const checkMax = max / 4;
+  const points = (base) => Math.round(base * (checkMax / 10) * 100) / 100;
+
   // Smart status scoring
-  const storageScore = diag.storage_smart_status === "GOOD" ? 10 : diag.storage_smart_status === "WARNING" ? 6 : 0;
+  const storage = diag.storage_smart_status === "GOOD"
+    ? { base: 10, matched: "SMART status GOOD" }
+    : diag.storage_smart_status === "WARNING"
+    ? { base: 6, matched: "SMART status WARNING (6/10)" }
+    : { base: 0, matched: `SMART status ${diag.storage_smart_status}` };
   
   // RAM error scoring
-  const ramScore = diag.ram_test_errors === 0 ? 10 : diag.ram_test_errors === 1 ? 5 : 0;
+  const ram = diag.ram_test_errors === 0
+    ? { base: 10, matched: "no memory errors" }
+    : diag.ram_test_errors === 1
+    ? { base: 5, matched: "1 memory error (5/10)" }
+    : { base: 0, matched: "2 or more memory errors" };
   
   // CPU stability: if stable get 10, if throttling get 6, else 0
-  const cpuScore = diag.cpu_stress_stable === true ? 10 : diag.cpu_stress_stable === false && diag.cpu_throttling ? 6 : 0;
+  const cpu = diag.cpu_stress_stable === true
+    ? { base: 10, matched: "stress test stable" }
+    : diag.cpu_stress_stable === false && diag.cpu_throttling
+    ? { base: 6, matched: "stress test unstable but throttling (6/10)" }
+    : { base: 0, matched: "stress test unstable without throttling" };
   
   // GPU stability
-  const gpuScore = diag.gpu_stress_stable === true ? 10 : diag.gpu_stress_stable === false && diag.gpu_artifacts ? 5 : 0;
-  
+  const gpu = diag.gpu_stress_stable === true
+    ? { base: 10, matched: "stress test stable" }
+    : diag.gpu_stress_stable === false && diag.gpu_artifacts
+    ? { base: 5, matched: "stress test unstable with artifacts (5/10)" }
+    : { base: 0, matched: "stress test unstable without artifacts" };
+
+  const storageScore = points(storage.base);
+  const ramScore = points(ram.base);
+  const cpuScore = points(cpu.base);
+  const gpuScore = points(gpu.base);
   const score = storageScore + ramScore + cpuScore + gpuScore;
   
   return {
-    score: clamp(score, 0, SCORING_CATEGORIES.FUNCTIONAL_INTEGRITY),
+    score: clamp(score, 0, max),
     details: {
-      storage: { score: storageScore, max: 10, status: diag.storage_smart_status },
-      ram: { score: ramScore, max: 10, errors: diag.ram_test_errors },
-      cpu: { score: cpuScore, max: 10, stable: diag.cpu_stress_stable, throttling: diag.cpu_throttling },
-      gpu: { score: gpuScore, max: 10, stable: diag.gpu_stress_stable, artifacts: diag.gpu_artifacts }
-    }
+      storage: { score: storageScore, max: checkMax, status: diag.storage_smart_status },
+      ram: {
+        score: ramScore,
+        max: checkMax,
+        errors: diag.ram_test_errors,
+        ...(isValidNumber(diag.ram_tested_bytes) && { testedBytes: diag.ram_tested_bytes }),
+        ...(isValidNumber(diag.ram_test_duration_ms) && { durationMs: diag.ram_test_duration_ms })
+      },
+      cpu: { score: cpuScore, max: checkMax, stable: diag.cpu_stress_stable, throttling: diag.cpu_throttling },
+      gpu: { score: gpuScore, max: checkMax, stable: diag.gpu_stress_stable, artifacts: diag.gpu_artifacts }
+    },
+    steps: [
+      { id: "storage", label: "Storage SMART status", rule: "storage_smart_status", input: { storage_smart_status: diag.storage_smart_status }, matched: storage.matched, points: storageScore, max: checkMax },
+      { id: "ram", label: "RAM test", rule: "ram_test_errors", input: { ram_test_errors: diag.ram_test_errors }, matched: ram.matched, points: ramScore, max: checkMax },
+      { id: "cpu", label: "CPU stability", rule: "cpu_stress_stable", input: { cpu_stress_stable: diag.cpu_stress_stable, cpu_throttling: diag.cpu_throttling }, matched: cpu.matched, points: cpuScore, max: checkMax },
+      { id: "gpu", label: "GPU stability", rule: "gpu_stress_stable", input: { gpu_stress_stable: diag.gpu_stress_stable, gpu_artifacts: diag.gpu_artifacts }, matched: gpu.matched, points: gpuScore, max: checkMax }
+    ]
   };
 }
 
@@ -152,13 +267,24 @@ function scoreFunctionalIntegrity(diag) {
  * Category 2: Performance Retention (30 points)
  * Uses lookup table for scoring rules
  */
-function scorePerformanceRetention(diag) {
+function scorePerformanceRetention(diag, profile = DEFAULT_SCORING_PROFILE) {
   const perfPercent = diag.performance_percentage ?? 0;
-  const score = perfPercent > 0 ? scoreLookup(perfPercent, PERFORMANCE_SCORING) : 0;
+  const band = perfPercent > 0 ? findLookupRule(perfPercent, profile.performanceScoring) : null;
+  const score = band ? band.score : 0;
   
   return {
-    score: clamp(score, 0, SCORING_CATEGORIES.PERFORMANCE_RETENTION),
-    details: { performancePercent: perfPercent, benchmarkStatus: perfPercent > 0 ? "EVALUATED" : "NO_DATA" }
+    score: clamp(score, 0, profile.categories.PERFORMANCE_RETENTION),
+    details: { performancePercent: perfPercent, benchmarkStatus: perfPercent > 0 ? "EVALUATED" : "NO_DATA" },
+    steps: [{
+      id: "performance",
+      label: "Benchmark performance",
+      rule: "performanceScoring",
+      input: { performance_percentage: perfPercent },
+      threshold: band ? band.threshold : null,
+      matched: perfPercent <= 0 ? "no benchmark data" : band ? `>= ${band.threshold}% band` : "below every band",
+      points: score,
+      max: tableMax(profile.performanceScoring)
+    }]
   };
 }
 
@@ -166,17 +292,51 @@ function scorePerformanceRetention(diag) {
  * Category 3: Remaining Life / Wear Level (20 points)
  * Optimized with lookup tables
  */
-function scoreRemainingLife(diag) {
-  const ssdScore = scoreLookup(100 - (diag.ssd_wear_percentage ?? 0), SSD_WEAR_SCORING);
-  const batteryScore = scoreLookup(diag.battery_health_percent ?? 0, BATTERY_HEALTH_SCORING);
+function scoreRemainingLife(diag, profile = DEFAULT_SCORING_PROFILE) {
+  const remainingSsdLife = 100 - (diag.ssd_wear_percentage ?? 0);
+  const ssdBand = findLookupRule(remainingSsdLife, profile.ssdWearScoring);
+  const batteryBand = findLookupRule(diag.battery_health_percent ?? 0, profile.batteryHealthScoring);
+  const ssdScore = ssdBand ? ssdBand.score : 0;
+  const batteryScore = batteryBand ? batteryBand.score : 0;
   const score = ssdScore + batteryScore;
   
   return {
-    score: clamp(score, 0, SCORING_CATEGORIES.REMAINING_LIFE),
+    score: clamp(score, 0, profile.categories.REMAINING_LIFE),
     details: {
-      ssd: { score: ssdScore, max: 10, wearPercent: diag.ssd_wear_percentage ?? 0 },
-      battery: { score: batteryScore, max: 10, healthPercent: diag.battery_health_percent ?? 0 }
-    }
+      ssd: { score: ssdScore, max: tableMax(profile.ssdWearScoring), wearPercent: diag.ssd_wear_percentage ?? 0 },
+      battery: {
+        score: batteryScore,
+        max: tableMax(profile.batteryHealthScoring),
+        healthPercent: diag.battery_health_percent ?? 0,
+        ...(isValidNumber(diag.battery_wear_percent) && { wearPercent: diag.battery_wear_percent }),
+        ...(isValidNumber(diag.battery_cycle_count) && { cycleCount: diag.battery_cycle_count })
+      }
+    },
+    steps: [
+      {
+        id: "ssd",
+        label: "SSD wear",
+        rule: "ssdWearScoring",
+        input: { ssd_wear_percentage: diag.ssd_wear_percentage ?? 0 },
+        threshold: ssdBand ? ssdBand.threshold : null,
+        matched: ssdBand ? `${remainingSsdLife}% life left, >= ${ssdBand.threshold}% band` : `${remainingSsdLife}% life left, below every band`,
+        points: ssdScore,
+        max: tableMax(profile.ssdWearScoring)
+      },
+      {
+        id: "battery",
+        label: "Battery health",
+        rule: "batteryHealthScoring",
+        input: {
+          battery_health_percent: diag.battery_health_percent ?? 0,
+          ...(isValidNumber(diag.battery_wear_percent) && { battery_wear_percent: diag.battery_wear_percent })
+        },
+        threshold: batteryBand ? batteryBand.threshold : null,
+        matched: batteryBand ? `>= ${batteryBand.threshold}% band` : "below every band",
+        points: batteryScore,
+        max: tableMax(profile.batteryHealthScoring)
+      }
+    ]
   };
 }
 
@@ -184,61 +344,97 @@ function scoreRemainingLife(diag) {
  * Category 4: Physical & Thermal Condition (10 points)
  * Optimized with early exit penalties
  */
-function scorePhysicalThermal(diag) {
-  let score = 10;
+function scorePhysicalThermal(diag, profile = DEFAULT_SCORING_PROFILE) {
+  const deductions = profile.physicalDeductions;
+  let score = profile.categories.PHYSICAL_THERMAL;
   let thermalStatus = "NORMAL";
   
   // Apply deductions
-  if (diag.physical_damage === true) score -= 4;
-  if (diag.port_integrity === false) score -= 2;
+  if (diag.physical_damage === true) score -= deductions.physical_damage;
+  if (diag.port_integrity === false) score -= deductions.port_integrity;
   
   // Thermal assessment
-  const { idle: idleLimit, load: loadLimit } = THERMAL_LIMITS.normal;
-  const { idle: criticalIdle, load: criticalLoad } = THERMAL_LIMITS.critical;
+  const { idle: idleLimit, load: loadLimit } = profile.thermalLimits.normal;
+  const { idle: criticalIdle, load: criticalLoad } = profile.thermalLimits.critical;
   const idleTemp = diag.idle_temperature_celsius ?? 0;
   const loadTemp = diag.load_temperature_celsius ?? 0;
+  let thermal = { points: 0, matched: `within ${idleLimit}°C idle / ${loadLimit}°C load` };
   
   if (idleTemp > criticalIdle || loadTemp > criticalLoad) {
-    score -= 4;
+    score -= deductions.thermal_critical;
     thermalStatus = "CRITICAL";
+    thermal = { points: -deductions.thermal_critical, matched: `above critical ${criticalIdle}°C idle / ${criticalLoad}°C load` };
   } else if (idleTemp > idleLimit || loadTemp > loadLimit) {
-    score -= 2;
+    score -= deductions.thermal_concerning;
     thermalStatus = "CONCERNING";
+    thermal = { points: -deductions.thermal_concerning, matched: `above normal ${idleLimit}°C idle / ${loadLimit}°C load` };
   }
   
   return {
-    score: clamp(score, 0, SCORING_CATEGORIES.PHYSICAL_THERMAL),
+    score: clamp(score, 0, profile.categories.PHYSICAL_THERMAL),
     details: {
       physicalDamage: diag.physical_damage || false,
       portIntegrity: diag.port_integrity !== false,
       thermalStatus,
       idleTemp,
       loadTemp
-    }
+    },
+    steps: [
+      { id: "start", label: "Category maximum", rule: "categories.PHYSICAL_THERMAL", matched: "deductions apply from the maximum", points: profile.categories.PHYSICAL_THERMAL },
+      {
+        id: "physical_damage",
+        label: "Physical damage",
+        rule: "physicalDeductions.physical_damage",
+        input: { physical_damage: diag.physical_damage },
+        matched: diag.physical_damage ? "damage reported" : "no damage reported",
+        points: diag.physical_damage ? -deductions.physical_damage : 0
+      },
+      {
+        id: "port_integrity",
+        label: "Port integrity",
+        rule: "physicalDeductions.port_integrity",
+        input: { port_integrity: diag.port_integrity },
+        matched: diag.port_integrity === false ? "ports faulty" : "ports intact",
+        points: diag.port_integrity === false ? -deductions.port_integrity : 0
+      },
+      {
+        id: "thermal",
+        label: "Temperatures",
+        rule: thermalStatus === "CRITICAL" ? "physicalDeductions.thermal_critical" : thermalStatus === "CONCERNING" ? "physicalDeductions.thermal_concerning" : "thermalLimits",
+        input: { idle_temperature_celsius: idleTemp, load_temperature_celsius: loadTemp },
+        matched: thermal.matched,
+        points: thermal.points
+      }
+    ]
   };
 }
 
 /**
- * Classify reusability based on total score
- * Uses binary search-like logic instead of multiple if-else
+ * Classify reusability based on total score and the profile's cut-offs.
+ * Returns the classification entry plus its tier key.
  */
-function classifyReusability(totalScore) {
-  const classifications = Object.values(REUSABILITY_CLASSIFICATION).sort((a, b) => b.min - a.min);
+function classifyReusability(totalScore, profile = DEFAULT_SCORING_PROFILE) {
+  const classifications = Object.entries(REUSABILITY_CLASSIFICATION)
+    .map(([tier, classification]) => ({ ...classification, tier, min: profile.classification[tier] ?? classification.min }))
+    .sort((a, b) => b.min - a.min);
   for (const classification of classifications) {
     if (totalScore >= classification.min) return classification;
   }
-  return REUSABILITY_CLASSIFICATION.NOT_RECOMMENDED;
+  return { ...REUSABILITY_CLASSIFICATION.NOT_RECOMMENDED, tier: "NOT_RECOMMENDED" };
 }
 
 // ========== LEGACY SCORING FUNCTIONS (Backward Compatible) ==========
 
-const scoreCPU = (percent) => clamp((percent / 100) * MAX_SCORES.cpu, 0, MAX_SCORES.cpu);
-const scoreRAM = (ramGB) => clamp((Math.min(ramGB, 32) / 32) * MAX_SCORES.ram, 0, MAX_SCORES.ram);
-const scoreStorage = (percent) => clamp((percent / 100) * MAX_SCORES.storage, 0, MAX_SCORES.storage);
-const scoreBattery = (percent) => {
-  const normalized = clamp(percent / 100, 0, 1);
-  return Math.pow(normalized, 1.8) * MAX_SCORES.battery;
-};
+/**
+ * Maximum points per measured component: the weights of the components
+ * present, renormalized to add up to 100
+ */
+function legacyMaxScores(components) {
+  const totalWeight = components.reduce((sum, component) => sum + WEIGHTS[component], 0);
+  return Object.fromEntries(components.map((component) => [component, (WEIGHTS[component] * 100) / totalWeight]));
+}
+
+const scoreComponent = (component, value, max) => clamp(LEGACY_COMPONENTS[component].ratio(value) * max, 0, max);
 
 // ========== HEALTH DERIVATION ==========
 
@@ -253,23 +449,19 @@ const getOverallHealth = (totalScore) => {
   return totalScore >= OVERALL_THRESHOLDS.fair ? "FAIR" : "POOR";
 };
 
-// Penalty multipliers for longevity calculation
+// Penalty multipliers for longevity calculation (GOOD components carry none)
 const LONGEVITY_PENALTIES = {
-  GOOD: 1,
-  FAIR: { battery: 0.85, cpu: 0.85, storage: 0.8, ram: 0.85 },
-  POOR: { battery: 0.6, cpu: 0.7, storage: 0.8, ram: 0.85 }
+  FAIR: { battery: 0.85, cpu: 0.85, storage: 0.8, ram: 0.85, gpu: 0.9, display: 0.95, motherboard: 0.85, thermal: 0.9 },
+  POOR: { battery: 0.6, cpu: 0.7, storage: 0.8, ram: 0.85, gpu: 0.8, display: 0.85, motherboard: 0.6, thermal: 0.75 }
 };
 
 function estimateLongevityYears(totalScore, components) {
   const baseYears = (clamp(totalScore, 0, 100) / 100) * 6;
-  const penalties = {
-    battery: LONGEVITY_PENALTIES[components?.battery?.health] || LONGEVITY_PENALTIES.POOR.battery,
-    cpu: LONGEVITY_PENALTIES[components?.cpu?.health] || LONGEVITY_PENALTIES.POOR.cpu,
-    storage: LONGEVITY_PENALTIES[components?.storage?.health] || LONGEVITY_PENALTIES.POOR.storage,
-    ram: LONGEVITY_PENALTIES[components?.ram?.health] || LONGEVITY_PENALTIES.POOR.ram
-  };
-  
-  const adjusted = Math.max(0, baseYears * Object.values(penalties).reduce((a, b) => a * b, 1));
+  const penalties = Object.entries(components).map(([component, { health }]) =>
+    health === "GOOD" ? 1 : (LONGEVITY_PENALTIES[health] || LONGEVITY_PENALTIES.POOR)[component]
+  );
+
+  const adjusted = Math.max(0, baseYears * penalties.reduce((a, b) => a * b, 1));
   return Math.round(adjusted * 10) / 10;
 }
 
@@ -285,55 +477,121 @@ function isComponentReusable(component, rawValue) {
   const thresholds = REUSABILITY[component];
   if (!thresholds) return { reusable: false, confidence: 0, verdict: "UNKNOWN" };
 
-  if (rawValue >= thresholds.idealMin) return { reusable: true, confidence: 95, verdict: "FULLY REUSABLE" };
-  if (rawValue >= thresholds.reusableMin) return { reusable: true, confidence: 65, verdict: "CONDITIONALLY REUSABLE" };
+  const meets = (min, max) => (max !== undefined ? rawValue <= max : rawValue >= min);
+  if (meets(thresholds.idealMin, thresholds.idealMax)) return { reusable: true, confidence: 95, verdict: "FULLY REUSABLE" };
+  if (meets(thresholds.reusableMin, thresholds.reusableMax)) return { reusable: true, confidence: 65, verdict: "CONDITIONALLY REUSABLE" };
   return { reusable: false, confidence: 90, verdict: "NOT REUSABLE" };
 }
 
 // ========== MAIN API ==========
 
+// ========== EXPLANATION TRACE ==========
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
 /**
- * Legacy evaluation function - maintains backward compatibility
+ * Which health band (GOOD / FAIR / POOR) a value landed in, as a trace step
  */
-function evaluateDevice({ cpu, ram, storage, battery }) {
-  // Score components
-  const rawScores = {
-    cpu: scoreCPU(cpu),
-    ram: scoreRAM(ram),
-    storage: scoreStorage(storage),
-    battery: scoreBattery(battery)
+function explainHealthBand(id, label, rule, input, value, thresholds) {
+  const band = value >= thresholds.good ? "GOOD" : value >= thresholds.fair ? "FAIR" : "POOR";
+  const threshold = band === "GOOD" ? thresholds.good : band === "FAIR" ? thresholds.fair : null;
+  return {
+    id,
+    label,
+    rule,
+    input,
+    threshold,
+    matched: threshold === null ? `${band} (below ${thresholds.fair})` : `${band} (>= ${threshold})`
   };
+}
 
-  // Derive health status
-  const healths = {
-    cpu: getComponentHealth(rawScores.cpu, MAX_SCORES.cpu),
-    ram: getComponentHealth(rawScores.ram, MAX_SCORES.ram),
-    storage: getComponentHealth(rawScores.storage, MAX_SCORES.storage),
-    battery: getComponentHealth(rawScores.battery, MAX_SCORES.battery)
+/**
+ * Category node whose children are the scoring steps. Notes when the
+ * category clamp changed the sum of its steps.
+ */
+function explainCategory(id, label, result, max) {
+  const stepTotal = round2(result.steps.reduce((sum, step) => sum + step.points, 0));
+  return {
+    id,
+    label,
+    points: result.score,
+    max,
+    ...(stepTotal !== result.score && { matched: `steps add up to ${stepTotal}, clamped to 0-${max}` }),
+    children: result.steps
   };
+}
 
-  // Create component summary
-  const components = {
-    cpu: { score: Number(rawScores.cpu.toFixed(2)), health: healths.cpu },
-    ram: { score: Number(rawScores.ram.toFixed(2)), health: healths.ram },
-    storage: { score: Number(rawScores.storage.toFixed(2)), health: healths.storage },
-    battery: { score: Number(rawScores.battery.toFixed(2)), health: healths.battery }
+function explainLegacy(values, rawScores, maxScores, totalScore) {
+  const children = Object.entries(maxScores).map(([component, max]) => ({
+    id: component,
+    label: LEGACY_COMPONENTS[component].label,
+    rule: `${LEGACY_COMPONENTS[component].formula} × ${round2(max)}`,
+    input: {
+      [LEGACY_COMPONENTS[component].field]: values[component],
+      ...(component === "battery" && isValidNumber(values.batteryWearPercent) && { battery_wear_percent: values.batteryWearPercent })
+    },
+    points: round2(rawScores[component]),
+    max: round2(max),
+    children: [
+      explainHealthBand(
+        "health",
+        "Component health",
+        "COMPONENT_THRESHOLDS",
+        { scoreRatio: round2(rawScores[component] / max) },
+        rawScores[component] / max,
+        COMPONENT_THRESHOLDS
+      )
+    ]
+  }));
+
+  return {
+    model: "LEGACY_COMPONENT_HEALTH",
+    label: "Total score",
+    points: Math.round(totalScore),
+    max: 100,
+    children: [
+      ...children,
+      explainHealthBand("overallHealth", "Overall health", "OVERALL_THRESHOLDS", { totalScore: round2(totalScore) }, totalScore, OVERALL_THRESHOLDS)
+    ]
   };
+}
 
-  // Calculate weighted total score
-  const totalScore =
-    (rawScores.cpu / MAX_SCORES.cpu) * WEIGHTS.cpu * 100 +
-    (rawScores.ram / MAX_SCORES.ram) * WEIGHTS.ram * 100 +
-    (rawScores.storage / MAX_SCORES.storage) * WEIGHTS.storage * 100 +
-    (rawScores.battery / MAX_SCORES.battery) * WEIGHTS.battery * 100;
+/**
+ * Legacy evaluation function - maintains backward compatibility.
+ * Takes one reading per component (see LEGACY_COMPONENTS), plus the measured
+ * batteryWearPercent / batteryCycleCount when known; optional components left
+ * undefined are not scored. `explain: true` adds an `explanation` trace
+ * of every formula and band used.
+ */
+function evaluateDevice(values, { explain = false } = {}) {
+  const measured = Object.keys(LEGACY_COMPONENTS).filter(
+    (component) => !LEGACY_COMPONENTS[component].optional || isValidNumber(values[component])
+  );
+  const maxScores = legacyMaxScores(measured);
+
+  // Score components and derive their health
+  const rawScores = Object.fromEntries(
+    measured.map((component) => [component, scoreComponent(component, values[component], maxScores[component])])
+  );
+  const healths = Object.fromEntries(
+    measured.map((component) => [component, getComponentHealth(rawScores[component], maxScores[component])])
+  );
+
+  // Create component summary
+  const components = Object.fromEntries(
+    measured.map((component) => [component, { score: Number(rawScores[component].toFixed(2)), health: healths[component] }])
+  );
+
+  // Component scores are already weighted: their maxima add up to 100
+  const totalScore = measured.reduce((sum, component) => sum + rawScores[component], 0);
 
   // Build component breakdowns
-  const componentBreakdowns = {
-    cpu: buildLegacyComponentBreakdown("cpu", "🔧", cpu, rawScores.cpu, healths.cpu),
-    ram: buildLegacyComponentBreakdown("ram", "💾", ram, rawScores.ram, healths.ram),
-    storage: buildLegacyComponentBreakdown("storage", "💿", storage, rawScores.storage, healths.storage),
-    battery: buildLegacyComponentBreakdown("battery", "🔋", battery, rawScores.battery, healths.battery)
-  };
+  const componentBreakdowns = Object.fromEntries(
+    measured.map((component) => [
+      component,
+      buildLegacyComponentBreakdown(component, values[component], rawScores[component], maxScores[component], healths[component], values)
+    ])
+  );
 
   const reusableCount = Object.values(componentBreakdowns).filter(c => c.reusability.reusable).length;
 
@@ -343,9 +601,9 @@ function evaluateDevice({ cpu, ram, storage, battery }) {
     components,
     componentBreakdowns,
     reusabilitySummary: {
-      totalComponents: 4,
+      totalComponents: measured.length,
       reusableCount,
-      nonReusableCount: 4 - reusableCount,
+      nonReusableCount: measured.length - reusableCount,
       overallReusable: isReusable(components, totalScore),
       breakdown: Object.entries(componentBreakdowns).map(([key, val]) => ({
         component: key,
@@ -358,42 +616,37 @@ function evaluateDevice({ cpu, ram, storage, battery }) {
       yearsRemaining: estimateLongevityYears(totalScore, components),
       sustainability: estimateSustainability(totalScore),
       reusable: isReusable(components, totalScore)
-    }
+    },
+    ...(explain && { explanation: explainLegacy(values, rawScores, maxScores, totalScore) })
   };
 }
 
 /**
  * Optimized generic breakdown builder for legacy components
  */
-function buildLegacyComponentBreakdown(componentName, icon, rawValue, score, health) {
-  const config = {
-    cpu: { max: MAX_SCORES.cpu, weight: WEIGHTS.cpu, unit: "%", suggestions: buildCpuSuggestions },
-    ram: { max: MAX_SCORES.ram, weight: WEIGHTS.ram, unit: "GB", suggestions: buildRamSuggestions },
-    storage: { max: MAX_SCORES.storage, weight: WEIGHTS.storage, unit: "%", suggestions: buildStorageSuggestions },
-    battery: { max: MAX_SCORES.battery, weight: WEIGHTS.battery, unit: "%", suggestions: buildBatterySuggestions }
-  };
-
-  const { max, weight, suggestions } = config[componentName];
+function buildLegacyComponentBreakdown(componentName, rawValue, score, max, health, values = {}) {
+  const { icon, unit } = LEGACY_COMPONENTS[componentName];
+  const weight = round2(max) / 100;
   const reusability = isComponentReusable(componentName, rawValue);
-  const { subMetrics, coreChecks, recommendations, longevity } = suggestions(rawValue, health);
+  const { subMetrics, coreChecks, recommendations, longevity } = SUGGESTION_BUILDERS[componentName](rawValue, health, values);
 
   return {
     name: componentName.toUpperCase(),
     icon,
     rawValue,
-    unit: config[componentName].unit,
+    unit,
     score,
-    maxScore: max,
+    maxScore: round2(max),
     scorePercent: pct(score, max),
     health,
     weight,
-    weightPercent: weight * 100,
+    weightPercent: round2(max),
     reusability,
     subMetrics,
     coreChecks: coreChecks || [],
     recommendations,
     longevity,
-    summary: `${componentName} scoring ${score}/${max}. ${reusability.verdict}.`
+    summary: `${componentName} scoring ${score}/${round2(max)}. ${reusability.verdict}.`
   };
 }
 
@@ -454,103 +707,217 @@ const SUGGESTION_BUILDERS = {
       degradationRate: health === "GOOD" ? "Minimal" : health === "FAIR" ? "Moderate" : "Heavy"
     }
   }),
-  battery: (val, health) => ({
+  battery: (val, health, { batteryCycleCount: cycles } = {}) => ({
     subMetrics: [
       { label: "Health", value: `${val}%`, status: health },
-      { label: "Cycle Est.", value: val >= 80 ? "<300" : val >= 60 ? "300-600" : ">600", status: val >= 60 ? "GOOD" : "FAIR" },
+      isValidNumber(cycles)
+        ? { label: "Cycle Count", value: `${cycles}`, status: cycles < 500 ? "GOOD" : cycles <= BATTERY_RATED_CYCLES ? "FAIR" : "POOR" }
+        : { label: "Cycle Est.", value: val >= 80 ? "<300" : val >= 60 ? "300-600" : ">600", status: val >= 60 ? "GOOD" : "FAIR" },
       { label: "Runtime", value: val >= 80 ? "4-6h" : val >= 60 ? "2-4h" : val >= 40 ? "1-2h" : "<1h", status: val >= 60 ? "GOOD" : "FAIR" }
     ],
     coreChecks: [
       { label: "Charge Retention", value: val >= 80 ? "Strong" : val >= 60 ? "Fair" : "Weak", status: val >= 60 ? "GOOD" : val >= 40 ? "FAIR" : "POOR" },
       { label: "Safety", value: val >= 50 ? "Safe" : "High Risk", status: val >= 50 ? "GOOD" : "POOR" }
     ],
-    recommendations: health === "POOR"
-      ? [{ priority: "HIGH", text: "Battery near end of life. Replace immediately.", type: "UPGRADE" }]
-      : health === "FAIR"
-      ? [{ priority: "MEDIUM", text: "Battery aging. Calibrate monthly.", type: "MAINTENANCE" }]
-      : [{ priority: "LOW", text: "Battery healthy.", type: "INFO" }],
+    recommendations: [
+      ...(health === "POOR"
+        ? [{ priority: "HIGH", text: "Battery near end of life. Replace immediately.", type: "UPGRADE" }]
+        : health === "FAIR"
+        ? [{ priority: "MEDIUM", text: "Battery aging. Calibrate monthly.", type: "MAINTENANCE" }]
+        : [{ priority: "LOW", text: "Battery healthy.", type: "INFO" }]),
+      ...(cycles > BATTERY_RATED_CYCLES
+        ? [{ priority: "MEDIUM", text: `${cycles} charge cycles, past the rated ${BATTERY_RATED_CYCLES}. Expect faster wear.`, type: "MONITOR" }]
+        : [])
+    ],
     longevity: {
       estimatedYears: health === "GOOD" ? 3 : health === "FAIR" ? 1.5 : 0.5,
       riskLevel: health === "POOR" ? "HIGH" : health === "FAIR" ? "MEDIUM" : "LOW",
       degradationRate: health === "GOOD" ? "Normal" : health === "FAIR" ? "Accelerated" : "End of life"
     }
+  }),
+  gpu: (val, health) => ({
+    subMetrics: [
+      { label: "Health", value: `${val}%`, status: health },
+      { label: "Graphics Load", value: val >= 75 ? "Gaming/3D" : val >= 50 ? "Video/Desktop" : "Basic display", status: val >= 50 ? "GOOD" : "FAIR" },
+      { label: "Render Stability", value: val >= 60 ? "Stable" : val >= 40 ? "Occasional faults" : "Unstable", status: val >= 60 ? "GOOD" : val >= 40 ? "FAIR" : "POOR" }
+    ],
+    coreChecks: [
+      { label: "Artifacts", value: val >= 60 ? "None" : "Likely", status: val >= 60 ? "GOOD" : "POOR" },
+      { label: "VRAM Integrity", value: val >= 50 ? "OK" : "Suspect", status: val >= 50 ? "GOOD" : "POOR" }
+    ],
+    recommendations: health === "POOR"
+      ? [{ priority: "HIGH", text: "GPU failing. Replace the card or use integrated graphics only.", type: "UPGRADE" }]
+      : health === "FAIR"
+      ? [{ priority: "MEDIUM", text: "GPU degraded. Update drivers and check cooling.", type: "MAINTENANCE" }]
+      : [{ priority: "LOW", text: "GPU healthy.", type: "INFO" }],
+    longevity: {
+      estimatedYears: health === "GOOD" ? 4 : health === "FAIR" ? 2 : 0.5,
+      riskLevel: health === "POOR" ? "HIGH" : health === "FAIR" ? "MEDIUM" : "LOW",
+      degradationRate: health === "GOOD" ? "Slow" : health === "FAIR" ? "Moderate" : "Rapid"
+    }
+  }),
+  display: (val, health) => ({
+    subMetrics: [
+      { label: "Health", value: `${val}%`, status: health },
+      { label: "Panel Condition", value: val >= 80 ? "Like new" : val >= 60 ? "Minor wear" : val >= 40 ? "Visible defects" : "Damaged", status: health },
+      { label: "Suitable For", value: val >= 80 ? "Resale" : val >= 50 ? "Refurbished use" : "External monitor only", status: val >= 50 ? "GOOD" : "POOR" }
+    ],
+    coreChecks: [
+      { label: "Dead Pixels", value: val >= 80 ? "None" : val >= 50 ? "Few" : "Many", status: val >= 80 ? "GOOD" : val >= 50 ? "FAIR" : "POOR" },
+      { label: "Backlight", value: val >= 60 ? "Even" : "Dim/Uneven", status: val >= 60 ? "GOOD" : "FAIR" }
+    ],
+    recommendations: health === "POOR"
+      ? [{ priority: "HIGH", text: "Display damaged. Replace the panel before reuse.", type: "UPGRADE" }]
+      : health === "FAIR"
+      ? [{ priority: "MEDIUM", text: "Display shows wear. Grade the device accordingly.", type: "MONITOR" }]
+      : [{ priority: "LOW", text: "Display in good condition.", type: "INFO" }],
+    longevity: {
+      estimatedYears: health === "GOOD" ? 5 : health === "FAIR" ? 3 : 1,
+      riskLevel: health === "POOR" ? "HIGH" : health === "FAIR" ? "MEDIUM" : "LOW",
+      degradationRate: health === "GOOD" ? "Minimal" : health === "FAIR" ? "Moderate" : "Heavy"
+    }
+  }),
+  motherboard: (val, health) => ({
+    subMetrics: [
+      { label: "Health", value: `${val}%`, status: health },
+      { label: "I/O Ports", value: val >= 85 ? "All working" : val >= 60 ? "Some faulty" : "Mostly faulty", status: val >= 85 ? "GOOD" : val >= 60 ? "FAIR" : "POOR" },
+      { label: "Board Stability", value: val >= 60 ? "Stable" : "Unreliable", status: val >= 60 ? "GOOD" : "POOR" }
+    ],
+    coreChecks: [
+      { label: "Buses & Controllers", value: val >= 70 ? "Responding" : val >= 40 ? "Intermittent" : "Failing", status: val >= 70 ? "GOOD" : val >= 40 ? "FAIR" : "POOR" },
+      { label: "Power Delivery", value: val >= 50 ? "Stable" : "At Risk", status: val >= 50 ? "GOOD" : "POOR" }
+    ],
+    recommendations: health === "POOR"
+      ? [{ priority: "HIGH", text: "Motherboard faults detected. Harvest working components instead of reusing the device.", type: "ACTION" }]
+      : health === "FAIR"
+      ? [{ priority: "MEDIUM", text: "Some ports or controllers failing. Repair or document before reuse.", type: "ACTION" }]
+      : [{ priority: "LOW", text: "Motherboard and I/O healthy.", type: "INFO" }],
+    longevity: {
+      estimatedYears: health === "GOOD" ? 6 : health === "FAIR" ? 3 : 1,
+      riskLevel: health === "POOR" ? "HIGH" : health === "FAIR" ? "MEDIUM" : "LOW",
+      degradationRate: health === "GOOD" ? "Stable" : health === "FAIR" ? "Moderate" : "Rapid"
+    }
+  }),
+  thermal: (val, health) => ({
+    subMetrics: [
+      { label: "Temperature", value: `${val} °C`, status: health },
+      { label: "Thermal State", value: val <= 60 ? "Cool" : val <= 75 ? "Warm" : val <= 90 ? "Hot" : "Critical", status: health },
+      { label: "Headroom", value: `${Math.max(0, 100 - val)} °C`, status: val <= 75 ? "GOOD" : "FAIR" }
+    ],
+    coreChecks: [
+      { label: "Throttling Risk", value: val <= 75 ? "Low" : val <= 90 ? "Moderate" : "High", status: val <= 75 ? "GOOD" : val <= 90 ? "FAIR" : "POOR" },
+      { label: "Cooling", value: val <= 70 ? "Effective" : "Needs service", status: val <= 70 ? "GOOD" : "FAIR" }
+    ],
+    recommendations: health === "POOR"
+      ? [{ priority: "HIGH", text: "Running hot. Clean fans and replace thermal paste.", type: "MAINTENANCE" }]
+      : health === "FAIR"
+      ? [{ priority: "MEDIUM", text: "Temperatures elevated. Check airflow and fan speed.", type: "MONITOR" }]
+      : [{ priority: "LOW", text: "Thermals normal.", type: "INFO" }],
+    longevity: {
+      estimatedYears: health === "GOOD" ? 5 : health === "FAIR" ? 3 : 1.5,
+      riskLevel: health === "POOR" ? "HIGH" : health === "FAIR" ? "MEDIUM" : "LOW",
+      degradationRate: health === "GOOD" ? "Normal" : health === "FAIR" ? "Accelerated" : "Rapid"
+    }
   })
 };
 
-// Lookup builder functions
-const buildCpuSuggestions = (val, h) => SUGGESTION_BUILDERS.cpu(val, h);
-const buildRamSuggestions = (val, h) => SUGGESTION_BUILDERS.ram(val, h);
-const buildStorageSuggestions = (val, h) => SUGGESTION_BUILDERS.storage(val, h);
-const buildBatterySuggestions = (val, h) => SUGGESTION_BUILDERS.battery(val, h);
-
 /**
- * Standardized evaluation function - professional hardware reusability scoring
+ * Standardized evaluation function - professional hardware reusability scoring.
+ * `explain: true` adds an `explanation` tree: category -> rule / lookup band
+ * consulted, the input value, the threshold matched and the points awarded.
  */
-function evaluateDeviceStandardized(diagnostics) {
+function evaluateDeviceStandardized(diagnostics, profile = DEFAULT_SCORING_PROFILE, { explain = false } = {}) {
   const diag = normalizeInput(diagnostics);
+  const max = profile.categories;
 
   // Calculate category scores
-  const functional = scoreFunctionalIntegrity(diag);
-  const performance = scorePerformanceRetention(diag);
-  const remaining = scoreRemainingLife(diag);
-  const physical = scorePhysicalThermal(diag);
+  const functional = scoreFunctionalIntegrity(diag, profile);
+  const performance = scorePerformanceRetention(diag, profile);
+  const remaining = scoreRemainingLife(diag, profile);
+  const physical = scorePhysicalThermal(diag, profile);
 
-  const totalScore = functional.score + performance.score + remaining.score + physical.score;
-  const classification = classifyReusability(totalScore);
+  const totalScore = Math.round((functional.score + performance.score + remaining.score + physical.score) * 100) / 100;
+  const classification = classifyReusability(totalScore, profile);
 
   return {
     model: "STANDARDIZED_REUSABILITY_EVALUATION",
+    profile: { name: profile.name, version: profile.version },
     totalScore,
     classification: {
       level: classification.label,
       description: classification.description,
       minScore: classification.min,
-      tier: totalScore >= 85 ? "HIGH_GRADE" : totalScore >= 70 ? "REUSABLE" : totalScore >= 50 ? "LIMITED" : "NOT_RECOMMENDED"
+      tier: classification.tier
     },
     categories: {
-      functionalIntegrity: { label: "Functional Integrity", score: functional.score, maxScore: SCORING_CATEGORIES.FUNCTIONAL_INTEGRITY, percentage: pct(functional.score, SCORING_CATEGORIES.FUNCTIONAL_INTEGRITY), details: functional.details },
-      performanceRetention: { label: "Performance Retention", score: performance.score, maxScore: SCORING_CATEGORIES.PERFORMANCE_RETENTION, percentage: performance.details.performancePercent || 0, details: performance.details },
-      remainingLife: { label: "Remaining Life / Wear Level", score: remaining.score, maxScore: SCORING_CATEGORIES.REMAINING_LIFE, percentage: pct(remaining.score, SCORING_CATEGORIES.REMAINING_LIFE), details: remaining.details },
-      physicalThermal: { label: "Physical & Thermal Condition", score: physical.score, maxScore: SCORING_CATEGORIES.PHYSICAL_THERMAL, percentage: pct(physical.score, SCORING_CATEGORIES.PHYSICAL_THERMAL), details: physical.details }
+      functionalIntegrity: { label: "Functional Integrity", score: functional.score, maxScore: max.FUNCTIONAL_INTEGRITY, percentage: pct(functional.score, max.FUNCTIONAL_INTEGRITY), details: functional.details },
+      performanceRetention: { label: "Performance Retention", score: performance.score, maxScore: max.PERFORMANCE_RETENTION, percentage: performance.details.performancePercent || 0, details: performance.details },
+      remainingLife: { label: "Remaining Life / Wear Level", score: remaining.score, maxScore: max.REMAINING_LIFE, percentage: pct(remaining.score, max.REMAINING_LIFE), details: remaining.details },
+      physicalThermal: { label: "Physical & Thermal Condition", score: physical.score, maxScore: max.PHYSICAL_THERMAL, percentage: pct(physical.score, max.PHYSICAL_THERMAL), details: physical.details }
     },
     summary: `Score: ${totalScore}/100 | ${classification.label} | ${classification.description}`,
     calculations: {
-      functionalIntegrity: `${functional.score}/${SCORING_CATEGORIES.FUNCTIONAL_INTEGRITY}`,
-      performanceRetention: `${performance.score}/${SCORING_CATEGORIES.PERFORMANCE_RETENTION}`,
-      remainingLife: `${remaining.score}/${SCORING_CATEGORIES.REMAINING_LIFE}`,
-      physicalThermal: `${physical.score}/${SCORING_CATEGORIES.PHYSICAL_THERMAL}`,
+      functionalIntegrity: `${functional.score}/${max.FUNCTIONAL_INTEGRITY}`,
+      performanceRetention: `${performance.score}/${max.PERFORMANCE_RETENTION}`,
+      remainingLife: `${remaining.score}/${max.REMAINING_LIFE}`,
+      physicalThermal: `${physical.score}/${max.PHYSICAL_THERMAL}`,
       total: `${totalScore}/100`
     },
-    recommendedActions: generateRecommendations(totalScore, classification, functional, remaining, physical)
+    recommendedActions: generateRecommendations(totalScore, classification, functional, remaining, physical, profile),
+    ...(explain && {
+      explanation: {
+        model: "STANDARDIZED_REUSABILITY_EVALUATION",
+        profile: { name: profile.name, version: profile.version },
+        label: "Total score",
+        points: totalScore,
+        max: 100,
+        children: [
+          explainCategory("functionalIntegrity", "Functional Integrity", functional, max.FUNCTIONAL_INTEGRITY),
+          explainCategory("performanceRetention", "Performance Retention", performance, max.PERFORMANCE_RETENTION),
+          explainCategory("remainingLife", "Remaining Life / Wear Level", remaining, max.REMAINING_LIFE),
+          explainCategory("physicalThermal", "Physical & Thermal Condition", physical, max.PHYSICAL_THERMAL),
+          {
+            id: "classification",
+            label: "Classification",
+            rule: `classification.${classification.tier}`,
+            input: { totalScore },
+            threshold: classification.min,
+            matched: `${classification.label} (>= ${classification.min})`
+          }
+        ]
+      }
+    })
   };
 }
 
 /**
  * Generate recommendations efficiently using early exit pattern
  */
-function generateRecommendations(score, classification, functional, remaining, physical) {
+function generateRecommendations(score, classification, functional, remaining, physical, profile = DEFAULT_SCORING_PROFILE) {
   const recs = [];
+  const cutoffs = profile.classification;
 
   // Critical level
-  if (score < 50) recs.push({ priority: "CRITICAL", action: "DO NOT REUSE", description: "Significant issues prevent safe reuse." });
+  if (score < cutoffs.LIMITED) recs.push({ priority: "CRITICAL", action: "DO NOT REUSE", description: "Significant issues prevent safe reuse." });
 
   // Hardware failures
-  if (functional.details.storage?.score < 5) recs.push({ priority: "HIGH", action: "REPLACE STORAGE", description: "Critical SMART failures detected." });
+  if (functional.details.storage?.score < functional.details.storage?.max / 2) recs.push({ priority: "HIGH", action: "REPLACE STORAGE", description: "Critical SMART failures detected." });
   if (functional.details.ram?.errors > 0) recs.push({ priority: "HIGH", action: "REPLACE RAM", description: `${functional.details.ram.errors} memory errors found.` });
   if (!functional.details.cpu?.stable) recs.push({ priority: "HIGH", action: "CPU FAILED", description: "CPU stability test failed." });
 
   // Wear issues
   if (remaining.details.ssd?.wearPercent > 80) recs.push({ priority: "HIGH", action: "SSD END OF LIFE", description: `SSD wear at ${remaining.details.ssd.wearPercent}%.` });
   if (remaining.details.battery?.healthPercent < 60) recs.push({ priority: "HIGH", action: "REPLACE BATTERY", description: "Battery critically low." });
+  if (remaining.details.battery?.cycleCount > BATTERY_RATED_CYCLES) recs.push({ priority: "MEDIUM", action: "BATTERY CYCLE LIFE", description: `${remaining.details.battery.cycleCount} charge cycles, past the ${BATTERY_RATED_CYCLES} most batteries are rated for.` });
 
   // Thermal/physical
   if (physical.details.thermalStatus === "CRITICAL") recs.push({ priority: "HIGH", action: "THERMAL ISSUE", description: `Temps critical: ${physical.details.idleTemp}°C idle, ${physical.details.loadTemp}°C load.` });
   if (physical.details.physicalDamage) recs.push({ priority: "MEDIUM", action: "INSPECT DAMAGE", description: "Physical damage detected." });
 
   // Positive recommendations
-  if (score >= 85) recs.push({ priority: "LOW", action: "READY FOR REUSE", description: "Excellent condition." });
-  else if (score >= 70) recs.push({ priority: "LOW", action: "MINOR UPGRADES", description: "Consider component upgrades." });
-  else if (score >= 50) recs.push({ priority: "MEDIUM", action: "LIMITED USE", description: "Non-critical applications only." });
+  if (score >= cutoffs.HIGH_GRADE) recs.push({ priority: "LOW", action: "READY FOR REUSE", description: "Excellent condition." });
+  else if (score >= cutoffs.REUSABLE) recs.push({ priority: "LOW", action: "MINOR UPGRADES", description: "Consider component upgrades." });
+  else if (score >= cutoffs.LIMITED) recs.push({ priority: "MEDIUM", action: "LIMITED USE", description: "Non-critical applications only." });
 
   return recs;
 }
@@ -568,14 +935,16 @@ module.exports = {
   scoreRemainingLife,
   scorePhysicalThermal,
   classifyReusability,
-  scoreCPU,
-  scoreRAM,
-  scoreStorage,
-  scoreBattery,
+  scoreComponent,
+  legacyMaxScores,
   isComponentReusable,
   SCORING_CATEGORIES,
   REUSABILITY_CLASSIFICATION,
+  DEFAULT_SCORING_PROFILE,
+  batteryHealthFromWear,
+  LEGACY_COMPONENTS,
   WEIGHTS,
-  MAX_SCORES
+  BATTERY_RATED_CYCLES,
+  OVERALL_THRESHOLDS
 };
 
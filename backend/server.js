@@ -2,6 +2,7 @@ require("dotenv").config();
 
 const path = require("path");
 const os = require("os");
+const { createHash } = require("crypto");
 const { writeFile, unlink } = require("fs/promises");
 const express = require("express");
 const cors = require("cors");
@@ -10,6 +11,25 @@ const WebSocket = require("ws");
 const evaluateDevice = require("./services/evaluateDevice");
 const SystemMonitor = require("./services/systemMonitor");
 const { runRoboflowOcr } = require("./services/roboflowOcr");
+const { createReportStore } = require("./services/reportStore");
+const { createDeviceRegistry } = require("./services/deviceRegistry");
+const createDevicesRouter = require("./routes/devices");
+const createDocsRouter = require("./routes/docs");
+const createProfilesRouter = require("./routes/profiles");
+const createSmartRouter = require("./routes/smart");
+const createSignersRouter = require("./routes/signers");
+const createCertificatesRouter = require("./routes/certificates");
+const createLabelsRouter = require("./routes/labels");
+const { loadScoringProfiles } = require("./services/scoringProfiles");
+const { buildOpenApiSpec } = require("./services/openApiSpec");
+const { diffReports } = require("./services/reportDiff");
+const { simulateRepairs, simulatedModels, checkOverrides } = require("./services/repairSimulation");
+const { createJobQueue } = require("./services/jobQueue");
+const { validateInput, validateOverrides } = require("./services/inputValidator");
+const { createSignerRegistry, parseTrustedSigners, UNVERIFIED_REASONS } = require("./services/signerRegistry");
+const { createCertificateStore, parseIssuerTokens, issuingUnavailableReason } = require("./services/certificates");
+const { canonicalJson, signatureKey } = require("./services/signing");
+const { scanBarcodesInWorker } = require("./services/barcodeScanner");
 
 const app = express();
 const IS_SERVERLESS =
@@ -19,13 +39,52 @@ const IS_SERVERLESS =
 const server = IS_SERVERLESS ? null : http.createServer(app);
 const wss = IS_SERVERLESS ? null : new WebSocket.Server({ server });
 const PORT = 3000;
+const DATA_DIR =
+  process.env.REPORT_STORE_DIR ||
+  (IS_SERVERLESS ? path.join(os.tmpdir(), "hardware-diagnostics") : path.join(__dirname, "data"));
+// Serverless instances only have their own temp directory, which is lost when
+// the instance is recycled and is not shared with other instances
+if (IS_SERVERLESS && !process.env.REPORT_STORE_DIR) {
+  console.error(
+    `REPORT_STORE_DIR is not set: reports, devices, signers and Idempotency-Keys are kept in ${DATA_DIR}, ` +
+    "which is per instance and temporary. Point REPORT_STORE_DIR at storage every instance shares to keep them."
+  );
+}
 
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
 
-// ---- In-memory state (for now) ----
-let processing = false;
-let lastReport = null;
+// ---- Scoring profiles for the standardized model ----
+const scoringProfiles = loadScoringProfiles({
+  dir: process.env.SCORING_PROFILES_DIR || path.join(__dirname, "profiles")
+});
+
+// ---- Persistent report store (one record per submission) + device registry ----
+const reportStore = createReportStore({ dir: DATA_DIR });
+const deviceRegistry = createDeviceRegistry({ dir: DATA_DIR });
+
+// ---- Trusted signers (technician and device keys) for signed submissions ----
+const signerRegistry = createSignerRegistry({
+  file: process.env.SIGNERS_FILE || path.join(DATA_DIR, "signers.json"),
+  trusted: parseTrustedSigners(process.env.TRUSTED_SIGNERS)
+});
+
+// ---- Reusability certificates, signed with this backend's issuer key ----
+const certificateStore = createCertificateStore({
+  dir: DATA_DIR,
+  issuerName: process.env.CERTIFICATE_ISSUER || undefined,
+  privateKey: process.env.CERTIFICATE_SIGNING_KEY,
+  generateKey: !IS_SERVERLESS
+});
+const certificateIssuingUnavailable = issuingUnavailableReason({
+  serverless: IS_SERVERLESS,
+  privateKey: process.env.CERTIFICATE_SIGNING_KEY,
+  storeDir: process.env.REPORT_STORE_DIR
+});
+if (certificateIssuingUnavailable) console.error(`Certificate issuing is disabled: ${certificateIssuingUnavailable}`);
+
+// ---- In-memory state (live monitor) ----
+let lastReport = null; // latest live-monitor evaluation, not persisted
 let lastMetrics = null;
 let activityLog = []; // Store activity events for live graph
 let monitoringInterval = null;
@@ -100,13 +159,15 @@ if (wss) {
     connectedClients.add(ws);
     console.log("Client connected. Total clients:", connectedClients.size);
 
-  // Send current data immediately
-  if (lastReport) {
+  // Send current data immediately (latest submission wins over live data)
+  const latestRecord = reportStore.latest();
+  if (latestRecord || lastReport) {
     ws.send(
       JSON.stringify({
         type: "evaluation",
-        data: lastReport,
-        metrics: lastMetrics
+        data: latestRecord ? latestRecord.report : lastReport,
+        metrics: latestRecord ? latestRecord.input : lastMetrics,
+        reportId: latestRecord?.id
       })
     );
   }
@@ -132,17 +193,145 @@ if (wss) {
   });
 }
 
-// ---- Submit diagnostics (from script) ----
-app.post("/api/submit-diagnostics", (req, res) => {
-  processing = true;
+// ---- Evaluation jobs (one per submission) ----
+const evaluationQueue = createJobQueue({
+  worker: ({ input, warnings, verification, profile, idempotencyKey, payloadHash }, job) => {
+    // Use real device evaluation with health rules
+    const report = { ...evaluateDevice(input, { profile, explain: input.explain === true }), warnings, verification };
+    const deviceId = deviceRegistry.resolveId(input);
+    const record = reportStore.save({ hostname: input.hostname, deviceId, jobId: job.id, idempotencyKey, payloadHash, input, report });
+    deviceRegistry.recordSubmission(input, { reportId: record.id, submittedAt: record.submittedAt });
+
+    return { reportId: record.id, deviceId: record.deviceId, hostname: record.hostname };
+  }
+});
+
+// ---- Idempotent resubmission (the agent retries spooled payloads) ----
+// Printable ASCII without spaces; the agent sends a UUID per payload
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,200}$/;
+const MAX_IDEMPOTENCY_KEYS = 1000;
+const idempotentSubmissions = new Map();
+
+// A key is bound to the payload it was first sent with
+const payloadHashOf = (input) => `sha256:${createHash("sha256").update(canonicalJson(input)).digest("hex")}`;
+
+/**
+ * The accepted response of an earlier submission with the same key: from the
+ * job while it is in memory, else from its stored report (after a restart or
+ * on another serverless instance), plus the hash of that submission's payload
+ * (undefined for reports stored before hashes were kept). Null when the key
+ * is new or its job failed and is gone, so the payload is evaluated again.
+ */
+async function previousSubmission(idempotencyKey) {
+  const accepted = idempotentSubmissions.get(idempotencyKey);
+  let job = accepted && evaluationQueue.get(accepted.jobId);
+  if (job) {
+    if (IS_SERVERLESS) job = await evaluationQueue.waitFor(job.id);
+    return {
+      payloadHash: accepted.payloadHash,
+      response: {
+        status: job.state,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        warnings: accepted.warnings,
+        verification: accepted.verification,
+        duplicate: true,
+        ...(job.result || {})
+      }
+    };
+  }
+
+  const record = reportStore.latest({ idempotencyKey });
+  if (!record) return null;
+  return {
+    payloadHash: record.payloadHash,
+    response: {
+      status: "done",
+      jobId: record.jobId,
+      statusUrl: `/api/jobs/${record.jobId}`,
+      warnings: record.report?.warnings || [],
+      verification: record.report?.verification,
+      duplicate: true,
+      reportId: record.id,
+      deviceId: record.deviceId,
+      hostname: record.hostname
+    }
+  };
+}
+
+// ---- Replayed signatures ----
+// Signatures of recent submissions, including jobs not stored yet, as
+// signatureKey() so a re-encoded value is still recognized; older ones are
+// found in the report store
+const acceptedSignatures = new Set();
+
+const signatureSeen = (signature) =>
+  typeof signature === "string" && (acceptedSignatures.has(signatureKey(signature)) || Boolean(reportStore.latest({ signature })));
+
+// ---- Submit diagnostics (from the agent) ----
+app.post("/api/submit-diagnostics", async (req, res) => {
+  const input = req.body || {};
+
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({ error: "Idempotency-Key must be 1-200 printable ASCII characters without spaces" });
+  }
+
+  // Reject malformed payloads instead of scoring coerced values
+  const validation = validateInput(input);
+  if (!validation.valid) {
+    return res.status(422).json({
+      error: `Invalid ${validation.format} diagnostics payload`,
+      format: validation.format,
+      details: validation.errors
+    });
+  }
+
+  const profileName = input.scoring_profile ?? scoringProfiles.defaultName;
+  const profile = scoringProfiles.get(profileName);
+  if (validation.models.includes("standardized") && !profile) {
+    return res.status(422).json({
+      error: `Invalid ${validation.format} diagnostics payload`,
+      format: validation.format,
+      details: [{
+        field: "scoring_profile",
+        message: `unknown profile; available: ${scoringProfiles.list().map((entry) => entry.name).join(", ")}`,
+        value: profileName
+      }]
+    });
+  }
+
+  // A retried submission gets the original job instead of a second report;
+  // reusing its key for a different payload is an error
+  const payloadHash = idempotencyKey ? payloadHashOf(input) : undefined;
+  const previous = idempotencyKey ? await previousSubmission(idempotencyKey) : null;
+  if (previous && previous.payloadHash !== undefined && previous.payloadHash !== payloadHash) {
+    return res.status(422).json({
+      error: "Idempotency-Key was already used for a different payload",
+      format: validation.format,
+      details: [{ field: "Idempotency-Key", message: "already used for a different payload; send a new key", value: idempotencyKey }]
+    });
+  }
 
-  const input = req.body;
-  lastMetrics = input;
+  // Record who signed the payload; unsigned payloads are still evaluated
+  // unless the deployment requires signatures. A signature is accepted once,
+  // apart from retries of the same submission.
+  const deviceId = deviceRegistry.resolveId(input);
+  const verification = signerRegistry.verify(input, { deviceId, replayed: !previous && signatureSeen(input.signature?.value) });
+  if (process.env.REQUIRE_SIGNED_SUBMISSIONS === "true" && !verification.verified) {
+    return res.status(422).json({
+      error: "Unverified diagnostics payload",
+      format: validation.format,
+      details: [{ field: "signature", message: UNVERIFIED_REASONS[verification.reason], value: verification.keyId }]
+    });
+  }
+  if (previous) return res.status(200).json(previous.response);
 
   // Log activity
   const activity = {
     timestamp: new Date().toISOString(),
     type: "submission",
+    deviceId,
     cpu_usage: input.cpu_usage,
     ram_gb: input.ram_gb,
     storage_health: input.storage_health,
@@ -155,16 +344,59 @@ app.post("/api/submit-diagnostics", (req, res) => {
     activityLog.shift();
   }
 
-  // Use real device evaluation with health rules
-  const report = evaluateDevice(input);
+  let job = evaluationQueue.enqueue(
+    { input, warnings: validation.warnings, verification, profile: profile || undefined, idempotencyKey, payloadHash },
+    { hostname: input.hostname || "unknown", deviceId }
+  );
+  if (idempotencyKey) {
+    idempotentSubmissions.set(idempotencyKey, { jobId: job.id, payloadHash, warnings: validation.warnings, verification });
+    if (idempotentSubmissions.size > MAX_IDEMPOTENCY_KEYS) {
+      idempotentSubmissions.delete(idempotentSubmissions.keys().next().value);
+    }
+  }
+  if (typeof input.signature?.value === "string") {
+    acceptedSignatures.add(signatureKey(input.signature.value));
+    if (acceptedSignatures.size > MAX_IDEMPOTENCY_KEYS) {
+      acceptedSignatures.delete(acceptedSignatures.values().next().value);
+    }
+  }
 
-  // simulate processing delay
-  setTimeout(() => {
-    lastReport = report;
-    processing = false;
-  }, 3000);
+  // Serverless instances may freeze once the response is sent, so finish the job first
+  if (IS_SERVERLESS) {
+    job = await evaluationQueue.waitFor(job.id);
+  }
 
-  res.json({ status: "received" });
+  res.status(202).json({
+    status: job.state,
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}`,
+    warnings: validation.warnings,
+    verification,
+    ...(job.result || {})
+  });
+});
+
+// ---- Evaluation job status (the agent and the Analysis page poll this) ----
+app.get("/api/jobs/:id", (req, res) => {
+  const job = evaluationQueue.get(req.params.id);
+  if (job) return res.json(job);
+
+  // Job no longer in memory (restart / another serverless instance): use the stored report
+  const record = reportStore.latest({ jobId: req.params.id });
+  if (!record) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+
+  res.json({
+    id: req.params.id,
+    state: "done",
+    createdAt: record.submittedAt,
+    startedAt: record.submittedAt,
+    finishedAt: record.submittedAt,
+    meta: { hostname: record.hostname, deviceId: record.deviceId },
+    result: { reportId: record.id, deviceId: record.deviceId, hostname: record.hostname },
+    error: null
+  });
 });
 
 // ---- Activity graph data ----
@@ -432,46 +664,206 @@ app.get("/graph", (req, res) => {
 // ---- Processing status (frontend checks this) ----
 app.get("/api/status", (req, res) => {
   res.json({
-    processing,
-    hasResult: !!lastReport
+    processing: evaluationQueue.hasPending(),
+    hasResult: !!lastReport || reportStore.count() > 0
   });
 });
 
+/**
+ * Resolve the evaluation a request refers to, with the input it was made from.
+ * `?reportId=` selects a stored submission; without it the most recent
+ * submission is used, falling back to the live-monitor evaluation.
+ */
+function resolveRecord(req, res) {
+  const reportId = typeof req.query.reportId === "string" ? req.query.reportId.trim() : "";
+
+  if (reportId) {
+    const record = reportStore.get(reportId);
+    if (!record) {
+      res.status(404).json({ error: `Report not found: ${reportId}` });
+      return null;
+    }
+    return record;
+  }
+
+  const latest = reportStore.latest();
+  if (latest) return latest;
+  if (lastReport) return { report: lastReport, input: lastMetrics };
+
+  res.status(404).json({ error: "No report yet" });
+  return null;
+}
+
+function resolveReport(req, res) {
+  return resolveRecord(req, res)?.report || null;
+}
+
+/**
+ * The loaded scoring profile a stored evaluation was made with, or null when
+ * that profile version is no longer loaded (re-scoring would not match).
+ */
+function profileForReport(report) {
+  const recorded = report.scoringProfile;
+  const profile = scoringProfiles.get(recorded?.name ?? scoringProfiles.defaultName);
+  if (recorded && profile?.version !== recorded.version) return null;
+  return profile;
+}
+
+const describeMissingProfile = (report) =>
+  `Scoring profile ${report.scoringProfile.name}@${report.scoringProfile.version} is no longer available`;
+
+// ---- Stored reports ----
+app.get("/api/reports", (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  const hostname = typeof req.query.hostname === "string" ? req.query.hostname : undefined;
+  const deviceId = typeof req.query.deviceId === "string" ? req.query.deviceId : undefined;
+
+  res.json(
+    reportStore.list({ hostname, deviceId, limit }).map((record) => ({
+      id: record.id,
+      deviceId: record.deviceId,
+      hostname: record.hostname,
+      submittedAt: record.submittedAt,
+      evaluationModel: record.report?.evaluationModel,
+      overall: record.report?.overall,
+      verified: record.report?.verification?.verified === true
+    }))
+  );
+});
+
+app.get("/api/reports/:id", (req, res) => {
+  const record = reportStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: `Report not found: ${req.params.id}` });
+  }
+  res.json(record);
+});
+
+// ---- Diff two stored evaluations (e.g. before/after a RAM or battery swap) ----
+app.get("/api/reports/:fromId/diff/:toId", (req, res) => {
+  const fromRecord = reportStore.get(req.params.fromId);
+  if (!fromRecord) {
+    return res.status(404).json({ error: `Report not found: ${req.params.fromId}` });
+  }
+  const toRecord = reportStore.get(req.params.toId);
+  if (!toRecord) {
+    return res.status(404).json({ error: `Report not found: ${req.params.toId}` });
+  }
+  res.json(diffReports(fromRecord, toRecord));
+});
+
+// ---- What-if repair planning on a stored evaluation ----
+app.post("/api/reports/:id/simulate", (req, res) => {
+  const record = reportStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: `Report not found: ${req.params.id}` });
+  }
+
+  const overrides = req.body?.overrides ?? {};
+  const models = simulatedModels(record.input);
+  if (!models.standardized && !models.legacy) {
+    return res.status(422).json({ error: "Only standardized and legacy evaluations can be simulated" });
+  }
+
+  const validation = validateOverrides(overrides);
+  const details = validation.valid ? checkOverrides(record.input, overrides) : validation.errors;
+  if (details.length > 0) {
+    return res.status(422).json({ error: "Invalid overrides", details });
+  }
+
+  const profile = profileForReport(record.report);
+  if (!profile) {
+    return res.status(409).json({ error: `${describeMissingProfile(record.report)}; the evaluation cannot be re-scored` });
+  }
+
+  res.json({ reportId: record.id, ...simulateRepairs({ input: record.input, overrides, profile }) });
+});
+
+// ---- Device registry / fleet inventory ----
+app.use("/api/devices", createDevicesRouter({ deviceRegistry, reportStore }));
+
+// ---- Scoring profiles ----
+app.use("/api/profiles", createProfilesRouter({ scoringProfiles }));
+
+// ---- SMART file upload ----
+app.use("/api/smart", createSmartRouter());
+
+// ---- Trusted signers ----
+app.use("/api/signers", createSignersRouter({ signerRegistry }));
+
+// ---- Reusability certificates ----
+app.use("/api/certificates", createCertificatesRouter({
+  certificateStore,
+  reportStore,
+  deviceRegistry,
+  issuers: parseIssuerTokens(process.env.CERTIFICATE_ISSUER_TOKENS),
+  unavailable: certificateIssuingUnavailable,
+  publicUrl: process.env.PUBLIC_API_URL ||
+    (process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : undefined),
+  requestOrigin: !IS_SERVERLESS && process.env.NODE_ENV !== "production"
+}));
+
+// ---- QR asset labels ----
+app.use("/api/labels", createLabelsRouter({
+  deviceRegistry,
+  reportStore,
+  baseUrl: process.env.LABEL_BASE_URL,
+  frontendOrigins: [
+    ...(process.env.FRONTEND_ORIGINS || "").split(",").map((origin) => origin.trim()).filter(Boolean),
+    // Vercel serves the frontend from the API's own deployment URLs
+    ...[process.env.VERCEL_PROJECT_PRODUCTION_URL, process.env.VERCEL_URL].filter(Boolean).map((host) => `https://${host}`)
+  ],
+  allowLoopback: !IS_SERVERLESS && process.env.NODE_ENV !== "production"
+}));
+
+// ---- OpenAPI document + API explorer ----
+app.use("/api", createDocsRouter({ spec: buildOpenApiSpec() }));
+
 // ---- Results (frontend reads this) ----
 app.get("/api/diagnostics", (req, res) => {
-  if (!lastReport) {
-    return res.status(404).json({ error: "No report yet" });
+  const record = resolveRecord(req, res);
+  if (!record) return;
+
+  const { report, input } = record;
+  if (req.query.explain !== "true" || report.explanation) {
+    return res.json(report);
+  }
+
+  // Re-run the evaluation in trace mode; only valid with the same profile version
+  const profile = profileForReport(report);
+  if (!profile) {
+    return res.status(409).json({ error: `${describeMissingProfile(report)}; the evaluation cannot be explained` });
   }
-  res.json(lastReport);
+
+  res.json({ ...report, explanation: evaluateDevice(input, { profile, explain: true }).explanation });
 });
 
 // ---- Individual component health detail ----
 app.get("/api/component/:name", (req, res) => {
-  if (!lastReport) {
-    return res.status(404).json({ error: "No report yet" });
-  }
   const name = req.params.name.toLowerCase();
-  const validComponents = ["cpu", "ram", "storage", "battery"];
+  const validComponents = evaluateDevice.LEGACY_COMPONENT_NAMES;
   if (!validComponents.includes(name)) {
     return res.status(400).json({ error: `Invalid component: ${name}. Valid: ${validComponents.join(", ")}` });
   }
-  const breakdown = lastReport.componentBreakdowns?.[name];
+  const report = resolveReport(req, res);
+  if (!report) return;
+  const breakdown = report.componentBreakdowns?.[name];
   if (!breakdown) {
     return res.status(404).json({ error: `No breakdown data for ${name}` });
   }
   res.json({
     component: breakdown,
-    overallHealth: lastReport.overall?.health,
-    overallScore: lastReport.overall?.total_score
+    components: Object.keys(report.componentBreakdowns),
+    overallHealth: report.overall?.health,
+    overallScore: report.overall?.total_score
   });
 });
 
 // ---- Reusability summary ----
 app.get("/api/reusability", (req, res) => {
-  if (!lastReport) {
-    return res.status(404).json({ error: "No report yet" });
-  }
-  res.json(lastReport.reusabilitySummary || { error: "No reusability data" });
+  const report = resolveReport(req, res);
+  if (!report) return;
+  res.json(report.reusabilitySummary || { error: "No reusability data" });
 });
 
 function stripDataUrlPrefix(imageBase64 = "") {
@@ -545,7 +937,7 @@ async function runGoogleVisionOcr({ imageBase64, imageUrl, apiKey }) {
 
   const requestImage = imageUrl
     ? { source: { imageUri: imageUrl } }
-    : { content: extractRawBase64(imageBase64) };
+    : { content: stripDataUrlPrefix(imageBase64) };
 
   const response = await fetch(
     `https://vision.googleapis.com/v1/images:annotate?key=${encodeURIComponent(apiKey)}`,
@@ -599,8 +991,35 @@ app.post("/api/ocr", async (req, res) => {
         ? "google-vision"
         : normalizedProvider;
 
-    if (!["auto", "google-vision", "roboflow"].includes(selectedProvider)) {
-      return res.status(400).json({ error: "provider must be one of: auto, google-vision, roboflow" });
+    if (!["auto", "local", "google-vision", "roboflow"].includes(selectedProvider)) {
+      return res.status(400).json({ error: "provider must be one of: auto, local, google-vision, roboflow" });
+    }
+
+    // Stickers that carry a QR code or barcode decode on this server, on a
+    // worker thread, and the image only goes to a remote provider when
+    // nothing decodes. imageUrl is handed to the providers as-is; this
+    // server never fetches it.
+    if (imageBase64) {
+      let barcodes = [];
+      try {
+        barcodes = await scanBarcodesInWorker(Buffer.from(stripDataUrlPrefix(imageBase64), "base64"));
+      } catch (error) {
+        if (selectedProvider === "local") {
+          if (["UNSUPPORTED_IMAGE", "SCAN_TIMEOUT"].includes(error.code)) return res.status(422).json({ error: error.message });
+          throw error;
+        }
+        if (error.code !== "UNSUPPORTED_IMAGE") console.error("Local barcode scan error:", error.message);
+      }
+
+      if (barcodes.length || selectedProvider === "local") {
+        return res.json({
+          text: barcodes.map(({ value }) => value).join("\n"),
+          provider: "local",
+          barcodes
+        });
+      }
+    } else if (selectedProvider === "local") {
+      return res.status(400).json({ error: "provider local requires imageBase64" });
     }
 
     const googleVisionApiKey = getApiKey(req, "GOOGLE_VISION_API_KEY", "x-google-vision-api-key");
@@ -626,7 +1045,8 @@ app.post("/api/ocr", async (req, res) => {
       return res.json({
         text,
         provider: "google-vision",
-        prediction: payload
+        prediction: payload,
+        barcodes: []
       });
     }
 
@@ -649,7 +1069,8 @@ app.post("/api/ocr", async (req, res) => {
     return res.json({
       text,
       provider: "roboflow",
-      prediction
+      prediction,
+      barcodes: []
     });
   } catch (error) {
     console.error("OCR error:", error.message);
@@ -0,0 +1,440 @@
+/**
+ * Local barcode scanning for label photos, run by /api/ocr before any
+ * remote OCR provider: a QR code or barcode on a sticker decodes on the
+ * server, and the image never leaves it. Images are read with pngjs and
+ * jpeg-js and the symbols decoded with ZXing (@zxing/library); this module
+ * finds every symbol in a photo and where it is.
+ */
+
+const zlib = require("zlib");
+const { Worker } = require("worker_threads");
+const { PNG } = require("pngjs");
+const jpeg = require("jpeg-js");
+const {
+  BarcodeFormat,
+  BinaryBitmap,
+  DataMatrixReader,
+  DecodeHintType,
+  Exception: ZXingException,
+  HybridBinarizer,
+  MultiFormatOneDReader,
+  PerspectiveTransform,
+  QRCodeDecoderErrorCorrectionLevel,
+  QRCodeReader,
+  QRCodeVersion,
+  RGBLuminanceSource,
+  ResultMetadataType
+} = require("@zxing/library");
+
+// Larger photos are scaled down to this size for scanning, which keeps
+// phone-camera images fast without losing label-sized symbols
+const MAX_SCAN_DIMENSION = 2048;
+
+// Largest image decoded, in pixels (a 48 MP phone photo is about 8000 x 6000).
+// The size in the header is checked before any pixel memory is allocated.
+const MAX_IMAGE_PIXELS = 50000000;
+
+// Decoder working memory allowed for a JPEG, beyond its pixels
+const MAX_JPEG_MEMORY_MB = 512;
+
+// A scan on a worker thread is stopped after this long
+const SCAN_TIMEOUT_MS = 15000;
+
+// Worker threads scanning at once; further scans wait for one to finish
+const MAX_SCAN_WORKERS = 2;
+
+// Symbols of one kind read from a single photo, at most
+const MAX_SYMBOLS = 8;
+
+// Rows apart that 1D scan lines are taken, as a share of the image height
+const SCAN_LINE_SPACING = 1 / 60;
+
+const SYMBOLOGIES = ["qr_code", "data_matrix", "code_128", "code_39", "ean_13", "ean_8", "upc_a"];
+
+const LINEAR_SYMBOLOGIES = {
+  [BarcodeFormat.CODE_128]: "code_128",
+  [BarcodeFormat.CODE_39]: "code_39",
+  [BarcodeFormat.EAN_13]: "ean_13",
+  [BarcodeFormat.EAN_8]: "ean_8",
+  [BarcodeFormat.UPC_A]: "upc_a"
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const unsupported = (message) => Object.assign(new Error(message), { code: "UNSUPPORTED_IMAGE" });
+
+// Samples per pixel of each PNG colour type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// ---- Images ----
+
+function checkPixelBudget(width, height) {
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw unsupported(`The image is ${width} x ${height} pixels; at most ${MAX_IMAGE_PIXELS / 1e6} megapixels can be scanned`);
+  }
+}
+
+/**
+ * RGBA pixels of a PNG. The size in its header (IHDR, always the first chunk)
+ * is checked first. pngjs caps the inflated data of plain images at the
+ * image size but not of interlaced ones, so those are test-inflated with
+ * that cap before pngjs reads them.
+ */
+function readPng(buffer) {
+  if (buffer.length < 33 || buffer.toString("latin1", 12, 16) !== "IHDR") throw new Error("missing IHDR header");
+  const [width, height] = [buffer.readUInt32BE(16), buffer.readUInt32BE(20)];
+  const [bitDepth, colorType, interlace] = [buffer[24], buffer[25], buffer[28]];
+  checkPixelBudget(width, height);
+
+  if (interlace) {
+    const compressed = [];
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString("latin1", offset + 4, offset + 8);
+      if (type === "IEND") break;
+      if (type === "IDAT") compressed.push(buffer.subarray(offset + 8, offset + 8 + length));
+      offset += length + 12;
+    }
+    // Every pixel once over the seven passes, plus a filter byte and a part-filled byte per pass row
+    const bitsPerPixel = (PNG_CHANNELS[colorType] || 4) * bitDepth;
+    const maxOutputLength = Math.ceil((width * height * bitsPerPixel) / 8) + 4 * height + 16;
+    try {
+      zlib.inflateSync(Buffer.concat(compressed), { maxOutputLength });
+    } catch (error) {
+      if (error.code === "ERR_BUFFER_TOO_LARGE") throw unsupported(`The PNG image data inflates past the ${width} x ${height} pixels in its header`);
+      throw error;
+    }
+  }
+  return PNG.sync.read(buffer);
+}
+
+// Luminance of RGBA pixels composited on white
+function greyscale({ width, height, data }) {
+  const luminance = new Uint8ClampedArray(width * height);
+  for (let index = 0; index < luminance.length; index += 1) {
+    const [r, g, b, alpha] = data.subarray(index * 4, index * 4 + 4);
+    const grey = (r * 77 + g * 150 + b * 29) >> 8;
+    luminance[index] = Math.round((grey * alpha + 255 * (255 - alpha)) / 255);
+  }
+  return { width, height, data: luminance };
+}
+
+/**
+ * Greyscale image { width, height, data } of a PNG or JPEG buffer; other
+ * formats, files that do not decode and images over MAX_IMAGE_PIXELS throw
+ * UNSUPPORTED_IMAGE
+ */
+function decodeImage(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    try {
+      return greyscale(readPng(buffer));
+    } catch (error) {
+      if (error.code === "UNSUPPORTED_IMAGE") throw error;
+      throw unsupported(`The PNG image could not be read: ${error.message}`);
+    }
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    try {
+      // jpeg-js checks the frame size against maxResolutionInMP before it allocates
+      return greyscale(jpeg.decode(buffer, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: MAX_IMAGE_PIXELS / 1e6,
+        maxMemoryUsageInMB: MAX_JPEG_MEMORY_MB
+      }));
+    } catch (error) {
+      throw unsupported(`The JPEG image could not be read: ${error.message}`);
+    }
+  }
+  throw unsupported("Only PNG and JPEG images can be scanned locally");
+}
+
+// Box-filter downscale by a whole factor
+function downscale({ width, height, data }, factor) {
+  const scaledWidth = Math.floor(width / factor);
+  const scaledHeight = Math.floor(height / factor);
+  const scaled = new Uint8ClampedArray(scaledWidth * scaledHeight);
+  const area = factor * factor;
+  for (let y = 0; y < scaledHeight; y += 1) {
+    for (let x = 0; x < scaledWidth; x += 1) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy += 1) {
+        const row = (y * factor + dy) * width + x * factor;
+        for (let dx = 0; dx < factor; dx += 1) sum += data[row + dx];
+      }
+      scaled[y * scaledWidth + x] = Math.round(sum / area);
+    }
+  }
+  return { width: scaledWidth, height: scaledHeight, data: scaled };
+}
+
+// The image turned a quarter clockwise; (x, y) in it is (y, height - 1 - x) in the original
+function rotate({ width, height, data }) {
+  const rotated = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) rotated[x * height + (height - 1 - y)] = data[y * width + x];
+  }
+  return { width: height, height: width, data: rotated };
+}
+
+// `window` (default: all) of a greyscale image, binarized for ZXing
+const bitmapOf = ({ width, height, data }, window = { left: 0, top: 0, width, height }) =>
+  new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(data, window.width, window.height, width, height, window.left, window.top)));
+
+// ZXing signals "nothing here" and "unreadable" with exceptions
+function attempt(decode) {
+  try {
+    return decode();
+  } catch (error) {
+    if (error instanceof ZXingException) return null;
+    throw error;
+  }
+}
+
+// Paint a polygon's bounding box, grown by `margin` pixels, white
+function erase(image, points, margin) {
+  const xs = points.map(({ x }) => x);
+  const ys = points.map(({ y }) => y);
+  const [left, right] = [Math.max(0, Math.floor(Math.min(...xs) - margin)), Math.min(image.width, Math.ceil(Math.max(...xs) + margin))];
+  const [top, bottom] = [Math.max(0, Math.floor(Math.min(...ys) - margin)), Math.min(image.height, Math.ceil(Math.max(...ys) + margin))];
+  for (let y = top; y < bottom; y += 1) image.data.fill(255, y * image.width + left, y * image.width + right);
+}
+
+const point = (resultPoint) => ({ x: resultPoint.getX(), y: resultPoint.getY() });
+
+// ---- 2D symbols ----
+
+/**
+ * Corners of a QR code from its finder (and alignment) pattern centres. The
+ * version follows from the number of data codewords at the decoded error
+ * correction level.
+ */
+function qrCorners(result) {
+  const [bottomLeft, topLeft, topRight, alignment] = result.getResultPoints().map(point);
+  // Where the bottom-right finder would be, for version 1 codes without an alignment pattern
+  const opposite = { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y };
+  const level = QRCodeDecoderErrorCorrectionLevel.fromString(result.getResultMetadata().get(ResultMetadataType.ERROR_CORRECTION_LEVEL));
+  const version = Array.from({ length: 40 }, (_, index) => QRCodeVersion.getVersionForNumber(index + 1)).find(
+    (candidate) => candidate.getTotalCodewords() - candidate.getECBlocksForLevel(level).getTotalECCodewords() === result.getRawBytes().length
+  );
+  if (!version) return [topLeft, topRight, opposite, bottomLeft];
+
+  const dimension = version.getDimensionForVersion();
+  const far = dimension - 3.5;
+  const [corner, cornerAt] = alignment ? [alignment, dimension - 6.5] : [opposite, far];
+  const transform = PerspectiveTransform.quadrilateralToQuadrilateral(
+    3.5, 3.5, far, 3.5, cornerAt, cornerAt, 3.5, far,
+    topLeft.x, topLeft.y, topRight.x, topRight.y, corner.x, corner.y, bottomLeft.x, bottomLeft.y
+  );
+  const corners = [0, 0, dimension, 0, dimension, dimension, 0, dimension];
+  transform.transformPoints(corners);
+  return [0, 2, 4, 6].map((index) => ({ x: corners[index], y: corners[index + 1] }));
+}
+
+// The whole image, then half-size windows over a 3 x 3 grid
+function searchWindows({ width, height }) {
+  const [windowWidth, windowHeight] = [Math.floor(width / 2), Math.floor(height / 2)];
+  const windows = [{ left: 0, top: 0, width, height }];
+  [0, 0.25, 0.5].forEach((top) => [0, 0.25, 0.5].forEach((left) => {
+    windows.push({ left: Math.floor(width * left), top: Math.floor(height * top), width: windowWidth, height: windowHeight });
+  }));
+  return windows;
+}
+
+/**
+ * Every symbol `reader` finds: after each one is read it is painted over and
+ * the image searched again. With `windowed`, each search also looks at parts
+ * of the image, for detectors that work outward from the centre.
+ */
+function decode2d(image, reader, cornersOf, { windowed = false } = {}) {
+  const work = { ...image, data: Uint8ClampedArray.from(image.data) };
+  const hints = new Map([[DecodeHintType.TRY_HARDER, true]]);
+  const windows = windowed ? searchWindows(image) : [{ left: 0, top: 0, width: image.width, height: image.height }];
+  const found = [];
+  for (let round = 0; round < MAX_SYMBOLS; round += 1) {
+    let cornerPoints = null;
+    for (const window of windows) {
+      const result = attempt(() => reader.decode(bitmapOf(work, window), hints));
+      if (!result) continue;
+      cornerPoints = cornersOf(result).map(({ x, y }) => ({ x: x + window.left, y: y + window.top }));
+      found.push({ value: result.getText(), cornerPoints });
+      break;
+    }
+    if (!cornerPoints) break;
+    // With a margin for the quiet zone
+    const diagonal = Math.max(...cornerPoints.map((a) => Math.max(...cornerPoints.map((b) => Math.hypot(a.x - b.x, a.y - b.y)))));
+    erase(work, cornerPoints, diagonal * 0.1);
+  }
+  return found;
+}
+
+// ---- 1D barcodes ----
+
+/**
+ * Outermost dark pixel of the bars around `x`, going in `direction` (+1 or
+ * -1) until a light gap of `quiet` pixels. ZXing places 1D result points on
+ * the middle of the start and stop patterns, not on the symbol's edges.
+ */
+function barEdge(row, x, direction, quiet) {
+  let edge = Math.round(x);
+  for (let position = edge, gap = 0; position >= 0 && position < row.getSize() && gap < quiet; position += direction) {
+    if (row.get(position)) {
+      edge = position;
+      gap = 0;
+    } else gap += 1;
+  }
+  return edge;
+}
+
+/**
+ * 1D barcodes read along horizontal scan lines of `image`. Each one is
+ * reported once with the crossings of the first and last scan lines that
+ * read it: [first start, first end, last end, last start].
+ */
+function decodeLinear(image) {
+  const reader = new MultiFormatOneDReader(new Map([[DecodeHintType.TRY_HARDER, true]]));
+  const bitmap = bitmapOf(image);
+  const step = Math.max(1, Math.round(image.height * SCAN_LINE_SPACING));
+  const byValue = new Map();
+  for (let y = Math.floor(step / 2); y < image.height; y += step) {
+    const row = attempt(() => bitmap.getBlackRow(y, null));
+    if (!row) continue;
+    let result = attempt(() => reader.decodeRow(y, row, new Map()));
+    let xs = result?.getResultPoints().map((resultPoint) => resultPoint.getX());
+    if (!result) {
+      // Upside down: read the row backwards
+      const reversed = row.clone();
+      reversed.reverse();
+      result = attempt(() => reader.decodeRow(y, reversed, new Map()));
+      xs = result?.getResultPoints().map((resultPoint) => image.width - 1 - resultPoint.getX());
+    }
+    const symbology = result && LINEAR_SYMBOLOGIES[result.getBarcodeFormat()];
+    if (!symbology) continue;
+
+    const [start, end] = [Math.min(...xs), Math.max(...xs)];
+    const quiet = Math.max(3, Math.round((end - start) * 0.05));
+    const key = `${symbology}\n${result.getText()}`;
+    const entry = byValue.get(key) || { symbology, value: result.getText(), lines: [] };
+    entry.lines.push([{ x: barEdge(row, start, -1, quiet), y }, { x: barEdge(row, end, 1, quiet), y }]);
+    byValue.set(key, entry);
+  }
+  return [...byValue.values()].map(({ symbology, value, lines }) => {
+    const [first, last] = [lines[0], lines[lines.length - 1]];
+    return { symbology, value, cornerPoints: [first[0], first[1], last[1], last[0]] };
+  });
+}
+
+// ---- Scanning ----
+
+function boundingBox(points) {
+  const xs = points.map(({ x }) => x);
+  const ys = points.map(({ y }) => y);
+  return {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+/**
+ * Every QR code, Data Matrix and 1D barcode in an image buffer:
+ * [{ symbology, value, boundingBox, cornerPoints }] in image pixels,
+ * corner points clockwise from the symbol's top-left. The same value read
+ * twice in one symbology is reported once.
+ */
+function scanBarcodes(buffer) {
+  const image = decodeImage(buffer);
+  const factor = Math.max(1, Math.ceil(Math.max(image.width, image.height) / MAX_SCAN_DIMENSION));
+  const scanned = factor > 1 ? downscale(image, factor) : image;
+
+  // Barcodes on their side are read from the image turned a quarter
+  const turned = rotate(scanned);
+  const upright = ({ x, y }) => ({ x: y, y: scanned.height - 1 - x });
+  const found = [
+    ...decode2d(scanned, new QRCodeReader(), qrCorners).map((result) => ({ ...result, symbology: "qr_code" })),
+    ...decode2d(scanned, new DataMatrixReader(), (result) => result.getResultPoints().map(point), { windowed: true }).map((result) => ({ ...result, symbology: "data_matrix" })),
+    ...decodeLinear(scanned),
+    ...decodeLinear(turned).map((result) => ({ ...result, cornerPoints: result.cornerPoints.map(upright) }))
+  ];
+
+  const seen = new Set();
+  const results = [];
+  for (const { symbology, value, cornerPoints } of found) {
+    const key = `${symbology}\n${value}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const points = cornerPoints.map(({ x, y }) => ({
+      x: Math.min(Math.max(Math.round(x * factor), 0), image.width),
+      y: Math.min(Math.max(Math.round(y * factor), 0), image.height)
+    }));
+    results.push({ symbology, value, boundingBox: boundingBox(points), cornerPoints: points });
+  }
+  return results;
+}
+
+// Runs scanBarcodes on the image in workerData and posts back its results or error
+const WORKER_SOURCE = `
+  const { parentPort, workerData } = require("worker_threads");
+  const { scanBarcodes } = require(workerData.modulePath);
+  try {
+    parentPort.postMessage({ results: scanBarcodes(Buffer.from(workerData.image)) });
+  } catch (error) {
+    parentPort.postMessage({ error: { message: error.message, code: error.code } });
+  }
+`;
+
+let runningWorkers = 0;
+const waitingScans = [];
+
+function runScanWorker(image, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_SOURCE, { eval: true, workerData: { modulePath: __filename, image } });
+    let outcome = null;
+    const timer = setTimeout(() => {
+      outcome = { error: { message: `The image was not scanned within ${timeoutMs / 1000} s`, code: "SCAN_TIMEOUT" } };
+      worker.terminate();
+    }, timeoutMs);
+    worker.once("message", (message) => {
+      outcome = outcome || message;
+    });
+    worker.once("error", (error) => {
+      outcome = outcome || { error: { message: error.message } };
+    });
+    worker.once("exit", () => {
+      clearTimeout(timer);
+      if (outcome?.results) return resolve(outcome.results);
+      const { message = "The barcode scanner exited without a result", code } = outcome?.error || {};
+      reject(Object.assign(new Error(message), code ? { code } : {}));
+    });
+  });
+}
+
+/**
+ * scanBarcodes on a worker thread, so a large photo does not block the
+ * event loop. At most MAX_SCAN_WORKERS scans run at once; a scan that takes
+ * longer than `timeoutMs` is stopped and rejects with SCAN_TIMEOUT. The
+ * scanner's own errors keep their code (UNSUPPORTED_IMAGE).
+ */
+async function scanBarcodesInWorker(buffer, { timeoutMs = SCAN_TIMEOUT_MS } = {}) {
+  if (runningWorkers >= MAX_SCAN_WORKERS) await new Promise((resolve) => waitingScans.push(resolve));
+  else runningWorkers += 1;
+  try {
+    return await runScanWorker(buffer, timeoutMs);
+  } finally {
+    // Hand the slot straight to the next scan, if one is waiting
+    const next = waitingScans.shift();
+    if (next) next();
+    else runningWorkers -= 1;
+  }
+}
+
+module.exports = {
+  scanBarcodes,
+  scanBarcodesInWorker,
+  decodeImage,
+  SYMBOLOGIES,
+  MAX_SCAN_DIMENSION,
+  MAX_IMAGE_PIXELS,
+  SCAN_TIMEOUT_MS
+};
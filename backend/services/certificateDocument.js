@@ -0,0 +1,201 @@
+const { createPdfPage } = require("./pdfDocument");
+
+/**
+ * Printable renderings of a reusability certificate (see certificates.js):
+ * a standalone HTML page, which also embeds the signed certificate JSON, and
+ * a one-page PDF. Both print the verification hash and the URL a buyer opens
+ * to check the certificate.
+ */
+
+const TIER_COLORS = {
+  HIGH_GRADE: "#047857",
+  REUSABLE: "#15803D",
+  LIMITED: "#B45309",
+  NOT_RECOMMENDED: "#B91C1C"
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// Shown on certificates whose report was not signed by a registered key
+const UNVERIFIED_NOTICE = "UNVERIFIED SUBMISSION: the test results were not signed by a registered technician or device key, so this backend cannot vouch for them.";
+
+const formatDate = (iso) => new Date(iso).toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC");
+
+// Label / value rows shared by both renderings
+function describe(certificate) {
+  const { device, report, result, submission, issuer } = certificate;
+  return {
+    device: [
+      ["Device", device.name || device.hostname],
+      ["Hostname", device.hostname],
+      ["Serial number", device.serialNumber || "not reported"],
+      ["Product UUID", device.productUuid || "not reported"],
+      ["Device ID", device.deviceId || "not registered"]
+    ],
+    evaluation: [
+      ["Tested", formatDate(report.testedAt)],
+      ["Report ID", report.id],
+      ["Scoring profile", result.scoringProfile ? `${result.scoringProfile.name} ${result.scoringProfile.version}` : "default"],
+      ["Submission", submission.verified ? `signed by ${submission.signer}` : "UNVERIFIED (not signed by a registered key)"]
+    ],
+    issue: [
+      ["Certificate ID", certificate.id],
+      ["Issued", `${formatDate(certificate.issuedAt)} by ${issuer.name}`],
+      ["Requested by", certificate.issuedBy || "not recorded"],
+      ["Issuer key", issuer.keyId]
+    ]
+  };
+}
+
+function renderCertificateHtml(certificate, { verifyUrl }) {
+  const { result } = certificate;
+  const rows = describe(certificate);
+  const color = TIER_COLORS[result.tier] || "#374151";
+  const table = (entries) =>
+    entries.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join("\n          ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Reusability certificate ${escapeHtml(certificate.id)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; max-width: 760px; margin: 32px auto; padding: 0 24px; }
+    h1 { font-size: 26px; margin: 0; }
+    h2 { font-size: 14px; text-transform: uppercase; letter-spacing: 0.08em; color: #6B7280; margin: 28px 0 8px; }
+    .verdict { display: flex; align-items: baseline; gap: 24px; margin: 24px 0; padding: 20px 24px; border: 2px solid ${color}; border-radius: 12px; }
+    .score { font-size: 48px; font-weight: 700; color: ${color}; }
+    .tier { font-size: 22px; font-weight: 700; color: ${color}; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E5E7EB; }
+    th { width: 34%; color: #4B5563; font-weight: 600; }
+    .bar { height: 8px; background: #E5E7EB; border-radius: 4px; }
+    .bar span { display: block; height: 8px; background: ${color}; border-radius: 4px; }
+    code { font-size: 12px; word-break: break-all; }
+    .unverified { margin: 0 0 24px; padding: 12px 16px; border: 2px solid #B91C1C; border-radius: 8px; background: #FEF2F2; color: #B91C1C; font-weight: 700; }
+    .actions { margin-top: 24px; }
+    @media print { .actions { display: none; } body { margin: 0 auto; } }
+  </style>
+</head>
+<body>
+  <p style="margin:0;color:#6B7280;font-size:13px;letter-spacing:0.08em">HARDWARE REUSABILITY CERTIFICATE</p>
+  <h1>${escapeHtml(certificate.device.name || certificate.device.hostname)}</h1>
+
+  <div class="verdict">
+    <div class="score">${escapeHtml(result.totalScore)}<span style="font-size:20px">/${escapeHtml(result.maxScore)}</span></div>
+    <div>
+      <div class="tier">${escapeHtml(result.classification)}</div>
+      <div>${escapeHtml(result.description)}</div>
+    </div>
+  </div>
+${certificate.submission.verified ? "" : `
+  <div class="unverified">${escapeHtml(UNVERIFIED_NOTICE)}</div>
+`}
+  <h2>Category breakdown</h2>
+  <table>
+    ${result.categories.map((category) => `<tr>
+      <th>${escapeHtml(category.label)}</th>
+      <td style="width:18%">${escapeHtml(category.score)} / ${escapeHtml(category.maxScore)}</td>
+      <td><div class="bar"><span style="width:${Math.max(0, Math.min(100, Number(category.percentage) || 0))}%"></span></div></td>
+    </tr>`).join("\n    ")}
+  </table>
+
+  <h2>Device</h2>
+  <table>
+          ${table(rows.device)}
+  </table>
+
+  <h2>Evaluation</h2>
+  <table>
+          ${table(rows.evaluation)}
+  </table>
+
+  <h2>Verification</h2>
+  <table>
+          ${table(rows.issue)}
+          <tr><th>Verification hash</th><td><code>${escapeHtml(certificate.hash)}</code></td></tr>
+          <tr><th>Verify at</th><td><a href="${escapeHtml(`${verifyUrl}?hash=${encodeURIComponent(certificate.hash)}`)}">${escapeHtml(verifyUrl)}</a></td></tr>
+  </table>
+
+  <div class="actions"><button onclick="window.print()">Print / save as PDF</button></div>
+  <script type="application/json" id="certificate">${JSON.stringify(certificate).replace(/</g, "\\u003c")}</script>
+</body>
+</html>
+`;
+}
+
+function renderCertificatePdf(certificate, { verifyUrl }) {
+  const { result } = certificate;
+  const rows = describe(certificate);
+  const color = TIER_COLORS[result.tier] || "#374151";
+  const page = createPdfPage();
+  const left = 56;
+  const right = page.width - 56;
+  let top = 70;
+
+  const heading = (text) => {
+    top += 30;
+    page.text(left, top, text.toUpperCase(), { size: 9, font: "bold", color: "#6B7280" });
+    top += 8;
+    page.line(left, top, right, top);
+  };
+  const rowsOf = (entries) => entries.forEach(([label, value]) => {
+    top += 17;
+    page.text(left, top, label, { size: 10, font: "bold", color: "#4B5563" });
+    page.text(left + 140, top, value, { size: 10 });
+  });
+
+  page.text(left, top, "HARDWARE REUSABILITY CERTIFICATE", { size: 10, font: "bold", color: "#6B7280" });
+  top += 28;
+  page.text(left, top, certificate.device.name || certificate.device.hostname, { size: 22, font: "bold" });
+
+  top += 22;
+  page.rect(left, top, right - left, 70, { fill: "#F3F4F6" });
+  page.rect(left, top, 6, 70, { fill: color });
+  page.text(left + 24, top + 48, `${result.totalScore}/${result.maxScore}`, { size: 32, font: "bold", color });
+  page.text(left + 160, top + 32, result.classification, { size: 18, font: "bold", color });
+  page.text(left + 160, top + 52, result.description, { size: 10 });
+  top += 70;
+
+  if (!certificate.submission.verified) {
+    top += 12;
+    page.rect(left, top, right - left, 34, { fill: "#B91C1C" });
+    page.text(left + 12, top + 14, "UNVERIFIED SUBMISSION", { size: 11, font: "bold", color: "#FFFFFF" });
+    page.text(left + 12, top + 27, "Not signed by a registered technician or device key; this backend cannot vouch for the results.", { size: 8, color: "#FFFFFF" });
+    top += 34;
+  }
+
+  heading("Category breakdown");
+  result.categories.forEach((category) => {
+    top += 18;
+    page.text(left, top, category.label, { size: 10, font: "bold", color: "#4B5563" });
+    page.text(left + 200, top, `${category.score} / ${category.maxScore}`, { size: 10 });
+    const width = right - (left + 270);
+    page.rect(left + 270, top - 7, width, 7, { fill: "#E5E7EB" });
+    page.rect(left + 270, top - 7, width * Math.max(0, Math.min(100, Number(category.percentage) || 0)) / 100, 7, { fill: color });
+  });
+
+  heading("Device");
+  rowsOf(rows.device);
+  heading("Evaluation");
+  rowsOf(rows.evaluation);
+  heading("Verification");
+  rowsOf(rows.issue);
+  // Courier at 8 pt fits 71 characters in the value column (a whole hash); URLs wrap
+  [["Verification hash", certificate.hash], ["Verify at", verifyUrl]].forEach(([label, value]) => {
+    top += 17;
+    page.text(left, top, label, { size: 10, font: "bold", color: "#4B5563" });
+    value.match(/.{1,71}/g).forEach((line, index) => {
+      if (index > 0) top += 11;
+      page.text(left + 140, top, line, { size: 8, font: "mono" });
+    });
+  });
+
+  return page.toBuffer({ title: `Reusability certificate ${certificate.id}` });
+}
+
+module.exports = {
+  renderCertificateHtml,
+  renderCertificatePdf
+};
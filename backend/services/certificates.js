@@ -0,0 +1,257 @@
+const fs = require("fs");
+const path = require("path");
+const { createHash, createPrivateKey, createPublicKey, randomUUID, timingSafeEqual } = require("crypto");
+const JsonlLog = require("./jsonlLog");
+const { canonicalJson, signPayload, verifyPayload, generateSigningKey, keyFingerprint, SIGNATURE_ALGORITHM } = require("./signing");
+const { extractHardwareIds } = require("./deviceRegistry");
+
+/**
+ * Reusability certificates for resale: the standardized result of one stored
+ * report, hashed and signed by this backend's issuer key so a buyer can check
+ * it was not altered. Issued certificates are kept in certificates.jsonl:
+ *   { id, version, issuedAt, issuer, issuedBy, report, device, result,
+ *     submission, hash: "sha256:<hex>", signature }
+ * `issuedBy` is the authenticated issuer (see CERTIFICATE_ISSUER_TOKENS) who
+ * asked for it.
+ * The hash covers everything but `hash` and `signature`; the signature covers
+ * everything but itself (see signing.js).
+ */
+
+const CERTIFICATE_VERSION = 1;
+
+// Why a certificate does not verify, first failing check wins
+const INVALID_REASONS = {
+  altered: "the certificate content does not match its verification hash",
+  invalid_signature: "the certificate is not signed by this issuer",
+  not_issued: "no certificate with this ID and hash was issued",
+  hash_mismatch: "the verification hash does not match the issued certificate"
+};
+
+/**
+ * "sha256:<hex>" of the canonical certificate without hash and signature
+ */
+function certificateHash(certificate) {
+  const { hash: _hash, signature: _signature, ...content } = certificate;
+  return `sha256:${createHash("sha256").update(canonicalJson(content)).digest("hex")}`;
+}
+
+/**
+ * The issuer key: a PEM private key (CERTIFICATE_SIGNING_KEY), else the key in
+ * `file`, created on first use unless `generate` is false (NO_ISSUER_KEY then).
+ * Its fingerprint is the key ID.
+ */
+function loadIssuerKey({ privateKey, file, generate = true }) {
+  if (!privateKey) {
+    try {
+      privateKey = fs.readFileSync(file, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (!generate) {
+        throw Object.assign(new Error("No certificate issuer key; set CERTIFICATE_SIGNING_KEY on the backend"), { code: "NO_ISSUER_KEY" });
+      }
+      privateKey = generateSigningKey().privateKey;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      try {
+        fs.writeFileSync(file, privateKey, { mode: 0o600, flag: "wx" });
+      } catch (writeError) {
+        // Another instance created it first; use theirs
+        if (writeError.code !== "EEXIST") throw writeError;
+        privateKey = fs.readFileSync(file, "utf8");
+      }
+    }
+  }
+
+  const publicKey = createPublicKey(createPrivateKey(privateKey)).export({ type: "spki", format: "pem" });
+  const fingerprint = keyFingerprint(publicKey);
+  return { keyId: fingerprint, privateKey, publicKey, fingerprint };
+}
+
+/**
+ * Certificate content for a stored report with a standardized section;
+ * `device` is its device registry entry, if any
+ */
+function buildCertificate(record, { device, issuedBy, issuer, issuerName, now }) {
+  const { standardized, scoringProfile } = record.report;
+  // As reported (the registry lower-cases them), to match the sticker
+  const hardwareIds = extractHardwareIds(record.input);
+  const reported = (field) => (hardwareIds[field] ? String(record.input.hardware_ids[field]).trim() : null);
+  const testedAt = Number.isNaN(Date.parse(record.input?.timestamp)) ? record.submittedAt : new Date(record.input.timestamp).toISOString();
+  const verification = record.report.verification;
+
+  return {
+    id: randomUUID(),
+    version: CERTIFICATE_VERSION,
+    issuedAt: now().toISOString(),
+    issuer: { name: issuerName, keyId: issuer.keyId, algorithm: SIGNATURE_ALGORITHM },
+    issuedBy: issuedBy ?? null,
+    report: { id: record.id, submittedAt: record.submittedAt, testedAt },
+    device: {
+      deviceId: record.deviceId ?? null,
+      name: device?.name ?? null,
+      hostname: record.hostname,
+      serialNumber: reported("serial_number"),
+      productUuid: reported("product_uuid")
+    },
+    result: {
+      totalScore: standardized.totalScore,
+      maxScore: 100,
+      tier: standardized.classification.tier,
+      classification: standardized.classification.level,
+      description: standardized.classification.description,
+      scoringProfile: scoringProfile ?? standardized.profile ?? null,
+      categories: Object.entries(standardized.categories).map(([key, category]) => ({
+        key,
+        label: category.label,
+        score: category.score,
+        maxScore: category.maxScore,
+        percentage: category.percentage
+      }))
+    },
+    submission: {
+      verified: verification?.verified === true,
+      signer: verification?.verified ? verification.signer.name : null
+    }
+  };
+}
+
+function createCertificateStore({
+  dir,
+  issuerName = "Hardware Diagnostics",
+  privateKey,
+  keyFile = path.join(dir, "certificate-key.pem"),
+  generateKey = true,
+  now = () => new Date()
+}) {
+  const log = new JsonlLog(path.join(dir, "certificates.jsonl"));
+  const byId = new Map();
+  let indexed = 0;
+  let issuer = null;
+
+  const sync = () => {
+    const entries = log.all();
+    for (; indexed < entries.length; indexed += 1) {
+      const certificate = entries[indexed];
+      if (certificate?.id) byId.set(certificate.id, certificate);
+    }
+    return entries;
+  };
+
+  // Loaded on first use so a backend that never issues certificates needs no key
+  const issuerKey = () => issuer || (issuer = loadIssuerKey({ privateKey, file: keyFile, generate: generateKey }));
+
+  return {
+    issuerKey,
+
+    /**
+     * Issue a certificate for `record`, which must have a standardized section
+     */
+    issue(record, { device, issuedBy } = {}) {
+      const key = issuerKey();
+      const content = buildCertificate(record, { device, issuedBy, issuer: key, issuerName, now });
+      const certificate = signPayload({ ...content, hash: certificateHash(content) }, key);
+      log.append(certificate);
+      sync();
+      return certificate;
+    },
+
+    get(id) {
+      sync();
+      return byId.get(id) || null;
+    },
+
+    list({ reportId, limit = 50 } = {}) {
+      return sync()
+        .filter((certificate) => !reportId || certificate.report.id === reportId)
+        .slice(-limit)
+        .reverse();
+    },
+
+    /**
+     * Check a certificate (a buyer's copy or the stored one): its content
+     * matches its hash, the hash is signed by this issuer and it was issued
+     * here with that hash. `expectedHash` is the hash printed on a paper copy.
+     * Returns { valid, reason, message, checks: { integrity, signature,
+     * issued } } (+ printedHash with `expectedHash`).
+     */
+    verify(certificate, { expectedHash } = {}) {
+      const key = issuerKey();
+      const issued = typeof certificate?.id === "string" ? this.get(certificate.id) : null;
+      const checks = {
+        integrity: typeof certificate?.hash === "string" && certificateHash(certificate) === certificate.hash,
+        signature: certificate?.signature?.keyId === key.keyId && verifyPayload(certificate, key.publicKey),
+        issued: Boolean(issued) && issued.hash === certificate.hash && issued.signature?.value === certificate.signature?.value
+      };
+      if (expectedHash !== undefined) checks.printedHash = expectedHash === certificate?.hash;
+
+      const reason = !checks.integrity ? "altered"
+        : !checks.signature ? "invalid_signature"
+          : !checks.issued ? "not_issued"
+            : checks.printedHash === false ? "hash_mismatch"
+              : null;
+      return {
+        valid: reason === null,
+        reason,
+        message: reason ? INVALID_REASONS[reason] : "The certificate is authentic and unaltered",
+        checks
+      };
+    }
+  };
+}
+
+/**
+ * Why this deployment cannot issue verifiable certificates, else null.
+ * Serverless instances each have their own temporary directory, so a key
+ * generated there, or a certificate log kept there, is not shared: a
+ * certificate issued by one instance would not verify on another.
+ */
+function issuingUnavailableReason({ serverless, privateKey, storeDir }) {
+  if (!serverless) return null;
+  if (!privateKey) return "serverless deployments need CERTIFICATE_SIGNING_KEY, so every instance signs with the same key";
+  if (!storeDir) return "serverless deployments need REPORT_STORE_DIR on persistent storage shared by every instance";
+  return null;
+}
+
+/**
+ * Who may issue certificates, from the CERTIFICATE_ISSUER_TOKENS environment
+ * variable: a JSON object of issuer name to bearer token. A malformed value is
+ * logged and ignored, which leaves issuing disabled.
+ */
+function parseIssuerTokens(value) {
+  if (!value) return {};
+  try {
+    const issuers = JSON.parse(value);
+    if (!issuers || typeof issuers !== "object" || Array.isArray(issuers)) {
+      throw new Error("expected a JSON object of issuer name to token");
+    }
+    const invalid = Object.keys(issuers).filter((name) => typeof issuers[name] !== "string" || !issuers[name]);
+    if (invalid.length) throw new Error(`no token for ${invalid.join(", ")}`);
+    return issuers;
+  } catch (error) {
+    console.error(`Ignoring CERTIFICATE_ISSUER_TOKENS: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Name of the issuer whose token an `Authorization: Bearer <token>` header
+ * carries, else null. Tokens are compared as digests, in constant time.
+ */
+function authenticateIssuer(authorization, issuers) {
+  const token = /^Bearer\s+(\S+)\s*$/i.exec(authorization || "")?.[1];
+  if (!token) return null;
+  const digest = (value) => createHash("sha256").update(value).digest();
+  const presented = digest(token);
+  const match = Object.entries(issuers).find(([, expected]) => timingSafeEqual(digest(expected), presented));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  createCertificateStore,
+  certificateHash,
+  parseIssuerTokens,
+  authenticateIssuer,
+  issuingUnavailableReason,
+  loadIssuerKey,
+  CERTIFICATE_VERSION,
+  INVALID_REASONS
+};
@@ -0,0 +1,261 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Built-in benchmarks for the standardized `performance_percentage`: CPU
+ * integer and floating-point loops, memory copy bandwidth, and sequential /
+ * random writes to a temp file. Each result is compared with what the same
+ * benchmark measures on a known-good unit of the CPU model
+ * (benchmarks/references.json); the weighted share retained is the device's
+ * performance retention.
+ */
+
+const REFERENCES_FILE = path.join(__dirname, "..", "..", "benchmarks", "references.json");
+const MB = 1024 * 1024;
+
+// Weights add up to 100; workloads without a reference value are left out and the rest renormalized
+const WORKLOADS = {
+  cpuInteger: { label: "CPU integer", unit: "Mops/s", weight: 30 },
+  cpuFloat: { label: "CPU floating point", unit: "Mops/s", weight: 30 },
+  memoryBandwidth: { label: "Memory copy bandwidth", unit: "MB/s", weight: 20 },
+  diskSequential: { label: "Sequential write", unit: "MB/s", weight: 10 },
+  diskRandom: { label: "Random 4 KiB synced writes", unit: "IOPS", weight: 10 }
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Results are folded into a sink so the loops cannot be optimised away
+let sink = 0;
+
+/**
+ * Run `step` (which returns the amount of work done) until `durationMs` has
+ * passed; returns work per second
+ */
+function rate(durationMs, step) {
+  const start = process.hrtime.bigint();
+  let work = 0;
+  let elapsedMs = 0;
+  do {
+    work += step();
+    elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  } while (elapsedMs < durationMs);
+  return work / (elapsedMs / 1000);
+}
+
+const CHUNK = 1e6;
+
+function integerStep() {
+  let x = 0x9e3779b9 | 0;
+  for (let i = 0; i < CHUNK; i += 1) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    x = (Math.imul(x, 0x27d4eb2d) + i) | 0;
+  }
+  sink ^= x;
+  return CHUNK;
+}
+
+function floatStep() {
+  let x = 1.5;
+  for (let i = 1; i <= CHUNK; i += 1) {
+    x = x * 0.999999 + Math.sqrt(i) / i;
+  }
+  sink += x;
+  return CHUNK;
+}
+
+function benchmarkCpuInteger(durationMs) {
+  return rate(durationMs, integerStep) / 1e6;
+}
+
+function benchmarkCpuFloat(durationMs) {
+  return rate(durationMs, floatStep) / 1e6;
+}
+
+/**
+ * Bytes copied per second between two buffers larger than the CPU caches
+ */
+function benchmarkMemory(durationMs, bufferMb = 32) {
+  const source = Buffer.alloc(bufferMb * MB, 0xa5);
+  const target = Buffer.alloc(bufferMb * MB);
+  return rate(durationMs, () => source.copy(target)) / MB;
+}
+
+/**
+ * Sequential write throughput (1 MiB blocks, then fsync) and random 4 KiB
+ * writes, each followed by fdatasync, on a temp file in `dir`. Reads are not
+ * measured: they would mostly come from the page cache.
+ */
+async function benchmarkDisk(durationMs, { dir = os.tmpdir(), fileMb = 64 } = {}) {
+  const file = path.join(dir, `benchmark-${process.pid}-${crypto.randomBytes(4).toString("hex")}.tmp`);
+  const handle = await fs.open(file, "w+");
+  try {
+    const block = crypto.randomBytes(MB);
+    let start = process.hrtime.bigint();
+    for (let offset = 0; offset < fileMb; offset += 1) {
+      await handle.write(block, 0, MB, offset * MB);
+    }
+    await handle.sync();
+    const sequentialSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    const page = crypto.randomBytes(4096);
+    const pages = (fileMb * MB) / 4096;
+    let writes = 0;
+    let elapsedMs = 0;
+    start = process.hrtime.bigint();
+    do {
+      await handle.write(page, 0, page.length, Math.floor(Math.random() * pages) * 4096);
+      await handle.datasync();
+      writes += 1;
+      elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    } while (elapsedMs < durationMs);
+
+    return { diskSequential: fileMb / sequentialSeconds, diskRandom: writes / (elapsedMs / 1000) };
+  } finally {
+    await handle.close();
+    await fs.rm(file, { force: true });
+  }
+}
+
+/**
+ * Reference table key for a CPU model string: "Intel(R) Core(TM) i5-8250U CPU
+ * @ 1.60GHz", "11th Gen Intel(R) Core(TM) i5-1135G7 @ 2.40GHz" and "AMD
+ * Ryzen 7 5800X 8-Core Processor" become "intel core i5-8250u",
+ * "intel core i5-1135g7" and "amd ryzen 7 5800x"
+ */
+function normalizeCpuModel(model) {
+  return String(model || "")
+    .toLowerCase()
+    .replace(/\((r|tm)\)/g, "")
+    .replace(/^\d+th gen /, "")
+    .replace(/@.*$/, "")
+    .replace(/with radeon.*$/, "")
+    .replace(/\b\d+-core\b/g, "")
+    .replace(/\b(cpu|processor)\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+async function loadReferences(file = REFERENCES_FILE) {
+  return JSON.parse(await fs.readFile(file, "utf8")).cpus;
+}
+
+/**
+ * Per-workload share of the reference (capped at 100 %) and the weighted
+ * performance retention, or null without a reference for the CPU model
+ */
+function retainedPerformance(measured, reference) {
+  const results = Object.fromEntries(
+    Object.entries(WORKLOADS)
+      .filter(([workload]) => Number.isFinite(measured[workload]))
+      .map(([workload, { unit }]) => {
+        const expected = reference?.[workload];
+        const value = round(measured[workload]);
+        return [workload, {
+          value,
+          unit,
+          reference: expected ?? null,
+          retainedPercent: expected > 0 ? round(Math.min(100, (measured[workload] / expected) * 100)) : null
+        }];
+      })
+  );
+
+  const scored = Object.entries(results).filter(([, result]) => result.retainedPercent !== null);
+  const totalWeight = scored.reduce((sum, [workload]) => sum + WORKLOADS[workload].weight, 0);
+  const percentage = totalWeight > 0
+    ? round(scored.reduce((sum, [workload, result]) => sum + result.retainedPercent * WORKLOADS[workload].weight, 0) / totalWeight)
+    : null;
+
+  return { results, performance_percentage: percentage };
+}
+
+/**
+ * Run every workload (`durationMs` each) and score it against the reference
+ * row for `cpuModel`. `disk` takes { dir, fileMb } for the temp file; `skip`
+ * leaves out workload groups ("cpu", "memory", "disk"), e.g. ["disk"] on
+ * read-only media.
+ */
+async function runBenchmarks({
+  cpuModel = os.cpus()[0]?.model,
+  references,
+  durationMs = 2000,
+  memoryMb = 32,
+  disk = {},
+  skip = []
+} = {}) {
+  const table = references || (await loadReferences());
+  const key = normalizeCpuModel(cpuModel);
+  const reference = table[key] || null;
+
+  const measured = {};
+  if (!skip.includes("cpu")) {
+    measured.cpuInteger = benchmarkCpuInteger(durationMs);
+    measured.cpuFloat = benchmarkCpuFloat(durationMs);
+  }
+  if (!skip.includes("memory")) measured.memoryBandwidth = benchmarkMemory(durationMs, memoryMb);
+  if (!skip.includes("disk")) Object.assign(measured, await benchmarkDisk(durationMs, disk));
+
+  return {
+    cpuModel: cpuModel || null,
+    referenceModel: reference ? key : null,
+    ...retainedPerformance(measured, reference)
+  };
+}
+
+/**
+ * Store a run's measured values as the reference row for its CPU model
+ */
+async function recordReference(run, file = REFERENCES_FILE) {
+  const document = JSON.parse(await fs.readFile(file, "utf8"));
+  const key = normalizeCpuModel(run.cpuModel);
+  if (!key) throw new Error("Cannot record a reference without a CPU model");
+
+  document.cpus[key] = {
+    ...Object.fromEntries(Object.entries(run.results).map(([workload, result]) => [workload, result.value])),
+    recorded: new Date().toISOString().slice(0, 10)
+  };
+  await fs.writeFile(file, `${JSON.stringify(document, null, 2)}\n`);
+  return key;
+}
+
+/**
+ * Submission field for the standardized model, or null when the CPU model
+ * has no reference row
+ */
+async function collectPerformance(options) {
+  const { performance_percentage: percentage } = await runBenchmarks(options);
+  return percentage === null ? null : { performance_percentage: percentage };
+}
+
+module.exports = {
+  runBenchmarks,
+  collectPerformance,
+  retainedPerformance,
+  normalizeCpuModel,
+  loadReferences,
+  recordReference,
+  benchmarkCpuInteger,
+  benchmarkCpuFloat,
+  benchmarkMemory,
+  benchmarkDisk,
+  WORKLOADS,
+  REFERENCES_FILE
+};
+
+if (require.main === module) {
+  (async () => {
+    const record = process.argv.includes("--record");
+
+    try {
+      const run = await runBenchmarks();
+      console.log(JSON.stringify(run, null, 2));
+      if (record) console.log(`Recorded reference for "${await recordReference(run)}"`);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,164 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { readBatteries } = require("./powerSupply");
+const { readThermalSensors, summarizeTemperatures } = require("./thermal");
+
+/**
+ * Dependency-free Linux metrics collector: parses /proc and /sys directly
+ * instead of shelling out to top / free / df / upower. Values are fractional,
+ * and a sensor that cannot be read is reported as null rather than guessed.
+ */
+
+const GB = 1024 ** 3;
+const round = (value) => Math.round(value * 100) / 100;
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tick counters of the aggregate `cpu` line and each `cpuN` line of /proc/stat,
+ * as { idle, total }. Guest time is already part of user time, so only the
+ * first eight columns (user ... steal) are summed; iowait counts as idle.
+ */
+function parseProcStat(text) {
+  const counters = {};
+  text.split("\n").forEach((line) => {
+    const [label, ...columns] = line.trim().split(/\s+/);
+    if (!/^cpu\d*$/.test(label)) return;
+    const ticks = columns.slice(0, 8).map(Number).map((value) => (Number.isFinite(value) ? value : 0));
+    counters[label] = { idle: ticks[3] + (ticks[4] || 0), total: ticks.reduce((sum, value) => sum + value, 0) };
+  });
+
+  if (!counters.cpu) return null;
+  const cores = Object.keys(counters)
+    .filter((label) => label !== "cpu")
+    .sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)))
+    .map((label) => counters[label]);
+  return { total: counters.cpu, cores };
+}
+
+// Busy share of the ticks elapsed between two samples, or null when none elapsed
+function busyPercent(previous, current) {
+  const elapsed = current.total - previous.total;
+  if (!(elapsed > 0)) return null;
+  return round(((elapsed - (current.idle - previous.idle)) / elapsed) * 100);
+}
+
+/**
+ * CPU utilisation between two /proc/stat samples: overall and per core
+ */
+function cpuUtilisation(previous, current) {
+  if (!previous || !current) return { usage_percent: null, per_core: [] };
+  return {
+    usage_percent: busyPercent(previous.total, current.total),
+    per_core: current.cores.map((core, index) => (previous.cores[index] ? busyPercent(previous.cores[index], core) : null))
+  };
+}
+
+/**
+ * Installed and available memory from /proc/meminfo (kB values)
+ */
+function parseMeminfo(text) {
+  const kilobytes = {};
+  text.split("\n").forEach((line) => {
+    const match = line.match(/^(\w+):\s+(\d+)/);
+    if (match) kilobytes[match[1]] = Number(match[2]);
+  });
+
+  if (!kilobytes.MemTotal) return null;
+  // Kernels before 3.14 have no MemAvailable
+  const available = kilobytes.MemAvailable ?? (kilobytes.MemFree ?? 0) + (kilobytes.Buffers ?? 0) + (kilobytes.Cached ?? 0);
+  return {
+    total_gb: round((kilobytes.MemTotal * 1024) / GB),
+    available_gb: round((available * 1024) / GB),
+    used_percent: round((1 - available / kilobytes.MemTotal) * 100)
+  };
+}
+
+/**
+ * Capacity and free space from fs.statfs(), with the free share computed the
+ * way df does: blocks reserved for root count as neither used nor free
+ */
+function storageFromStatfs(stats) {
+  if (!stats || !(stats.blocks > 0) || !(stats.bsize > 0)) return null;
+  const used = stats.blocks - stats.bfree;
+  return {
+    total_gb: round((stats.blocks * stats.bsize) / GB),
+    free_gb: round((stats.bavail * stats.bsize) / GB),
+    free_percent: round((stats.bavail / (used + stats.bavail)) * 100)
+  };
+}
+
+/**
+ * Collector bound to a /proc and /sys tree (the real ones by default, or a
+ * recorded fixture). CPU utilisation is the delta against the previous
+ * collect() call; the first call takes two samples `sampleMs` apart.
+ */
+function createLinuxCollector({
+  procRoot = "/proc",
+  sysRoot = "/sys",
+  mountPoint = "/",
+  statfs = fs.statfs,
+  sampleMs = 250,
+  wait = delay
+} = {}) {
+  let previousStat = null;
+
+  const readStat = async () => {
+    const text = await readText(path.join(procRoot, "stat"));
+    return text === null ? null : parseProcStat(text);
+  };
+
+  const readStorage = async () => {
+    try {
+      return storageFromStatfs(await statfs(mountPoint));
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    async collect() {
+      let currentStat = await readStat();
+      if (!previousStat && currentStat) {
+        previousStat = currentStat;
+        await wait(sampleMs);
+        currentStat = await readStat();
+      }
+      const cpu = cpuUtilisation(previousStat, currentStat);
+      previousStat = currentStat;
+
+      const [meminfo, storage, batteries, sensors] = await Promise.all([
+        readText(path.join(procRoot, "meminfo")),
+        readStorage(),
+        readBatteries({ root: path.join(sysRoot, "class", "power_supply") }),
+        readThermalSensors({ sysRoot })
+      ]);
+      const [battery] = batteries;
+
+      return {
+        cpu,
+        memory: meminfo === null ? null : parseMeminfo(meminfo),
+        storage,
+        battery: battery
+          ? { charge_percent: battery.charge_percent, wear_percent: battery.wear_percent, cycle_count: battery.cycle_count }
+          : null,
+        temperatures: summarizeTemperatures(sensors)
+      };
+    }
+  };
+}
+
+module.exports = {
+  createLinuxCollector,
+  parseProcStat,
+  cpuUtilisation,
+  parseMeminfo,
+  storageFromStatfs
+};
@@ -0,0 +1,169 @@
+const os = require("os");
+
+/**
+ * Userspace memory test for the standardized `ram_test_errors`. A share of
+ * the free RAM is allocated in chunks and every 32-bit word is written with a
+ * pattern derived from its index (its "address" within the tested region),
+ * then read back once the whole region is written. It cannot reach memory the
+ * kernel or other processes hold, so it complements rather than replaces a
+ * boot-time memtest.
+ */
+
+const MB = 1024 * 1024;
+
+// Reported mismatches beyond this count are only counted
+const MAX_REPORTED_ERRORS = 20;
+
+// murmur3 finalizer: a well-mixed 32-bit value for every index and seed
+function mix32(value) {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Each pattern is a list of phases; a phase gives the value of word `index`.
+ * The whole region is written and then verified once per phase.
+ */
+const PATTERNS = {
+  // A single set bit moving through each group of 32 words, then a single clear bit
+  walkingOnes: [(index) => (1 << (index & 31)) >>> 0, (index) => ~(1 << (index & 31)) >>> 0],
+  // Alternating bits that also alternate between neighbouring words, then inverted
+  checkerboard: [(index) => (index & 1 ? 0x55555555 : 0xaaaaaaaa), (index) => (index & 1 ? 0xaaaaaaaa : 0x55555555)],
+  // Every word holds its own index, then its complement: catches aliased addresses
+  addressInAddress: [(index) => index >>> 0, (index) => ~index >>> 0],
+  random: [(index, seed) => mix32(index ^ seed)]
+};
+
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Allocate up to `bytes` in `chunkBytes` pieces; stops early when an
+ * allocation fails
+ */
+function allocateRegion(bytes, chunkBytes, allocate) {
+  const chunks = [];
+  let remaining = Math.floor(bytes / 4) * 4;
+  while (remaining > 0) {
+    const size = Math.min(chunkBytes, remaining);
+    try {
+      chunks.push(allocate(size));
+    } catch {
+      break;
+    }
+    remaining -= size;
+  }
+  return chunks;
+}
+
+/**
+ * Run the pattern tests over `fraction` of the free memory (or exactly
+ * `bytes`). Returns { testedBytes, durationMs, errors, patterns: { name:
+ * { errors, durationMs } }, mismatches: [{ pattern, offset, expected, actual }] }
+ * with byte offsets into the tested region and the first MAX_REPORTED_ERRORS
+ * mismatches.
+ */
+async function runMemoryTest({
+  fraction = 0.5,
+  bytes,
+  freeBytes = os.freemem(),
+  chunkBytes = 64 * MB,
+  patterns = Object.keys(PATTERNS),
+  seed = (Math.random() * 0x100000000) >>> 0,
+  allocate = (size) => new Uint32Array(size / 4)
+} = {}) {
+  const unknown = patterns.filter((name) => !PATTERNS[name]);
+  if (unknown.length > 0) throw new Error(`Unknown memory test pattern: ${unknown.join(", ")}`);
+
+  const started = Date.now();
+  const chunks = allocateRegion(bytes ?? freeBytes * fraction, chunkBytes, allocate);
+  const mismatches = [];
+  const results = {};
+
+  for (const name of patterns) {
+    const patternStarted = Date.now();
+    let errors = 0;
+
+    for (const phase of PATTERNS[name]) {
+      let base = 0;
+      for (const words of chunks) {
+        for (let i = 0; i < words.length; i += 1) words[i] = phase(base + i, seed);
+        base += words.length;
+        await yieldToEventLoop();
+      }
+
+      base = 0;
+      for (const words of chunks) {
+        for (let i = 0; i < words.length; i += 1) {
+          const expected = phase(base + i, seed);
+          const actual = words[i];
+          if (actual === expected) continue;
+          errors += 1;
+          if (mismatches.length < MAX_REPORTED_ERRORS) {
+            mismatches.push({
+              pattern: name,
+              offset: (base + i) * 4,
+              expected: `0x${expected.toString(16).padStart(8, "0")}`,
+              actual: `0x${(actual >>> 0).toString(16).padStart(8, "0")}`
+            });
+          }
+        }
+        base += words.length;
+        await yieldToEventLoop();
+      }
+    }
+
+    results[name] = { errors, durationMs: Date.now() - patternStarted };
+  }
+
+  const errors = Object.values(results).reduce((sum, result) => sum + result.errors, 0);
+  return {
+    testedBytes: chunks.reduce((sum, words) => sum + words.length * 4, 0),
+    durationMs: Date.now() - started,
+    errors,
+    patterns: results,
+    mismatches
+  };
+}
+
+/**
+ * Standardized submission fields of a memory test result, or null when no
+ * memory could be allocated
+ */
+function memoryTestFields(result) {
+  if (result.testedBytes === 0) return null;
+  return {
+    ram_test_errors: result.errors,
+    ram_tested_bytes: result.testedBytes,
+    ram_test_duration_ms: result.durationMs
+  };
+}
+
+async function collectMemoryTest(options) {
+  return memoryTestFields(await runMemoryTest(options));
+}
+
+module.exports = {
+  runMemoryTest,
+  collectMemoryTest,
+  memoryTestFields,
+  PATTERNS
+};
+
+if (require.main === module) {
+  (async () => {
+    const fraction = Number(process.argv[2] || 0.5);
+
+    try {
+      const result = await runMemoryTest({ fraction });
+      console.log(JSON.stringify({ ...result, testedMb: Math.round(result.testedBytes / MB) }, null, 2));
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,87 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Battery wear from /sys/class/power_supply.
+ * `capacity` is the current charge level, not battery health: wear is how far
+ * a full charge (energy_full / charge_full) has fallen below the design
+ * capacity (energy_full_design / charge_full_design).
+ */
+
+const POWER_SUPPLY_ROOT = "/sys/class/power_supply";
+
+async function readValue(dir, name) {
+  try {
+    return (await fs.readFile(path.join(dir, name), "utf8")).trim();
+  } catch {
+    return null;
+  }
+}
+
+async function readNumber(dir, name) {
+  const raw = await readValue(dir, name);
+  const value = raw === null || raw === "" ? NaN : Number(raw);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Percentage of the design capacity lost, to one decimal (0 for batteries
+ * that still exceed their design capacity), or null without both readings
+ */
+function wearPercent(full, design) {
+  if (!(full > 0) || !(design > 0)) return null;
+  return Math.round(Math.min(100, Math.max(0, (1 - full / design) * 100)) * 10) / 10;
+}
+
+async function readBattery(dir) {
+  // energy_* (µWh) on most laptops, charge_* (µAh) on the rest
+  const [energyFull, energyDesign, chargeFull, chargeDesign] = await Promise.all(
+    ["energy_full", "energy_full_design", "charge_full", "charge_full_design"].map((name) => readNumber(dir, name))
+  );
+  const energyWear = wearPercent(energyFull, energyDesign);
+
+  return {
+    name: path.basename(dir),
+    wear_percent: energyWear ?? wearPercent(chargeFull, chargeDesign),
+    cycle_count: await readNumber(dir, "cycle_count"),
+    charge_percent: await readNumber(dir, "capacity"),
+    status: await readValue(dir, "status")
+  };
+}
+
+/**
+ * Every system battery under `root`, sorted by name. Mains adapters and
+ * device batteries (wireless mice, keyboards) are skipped.
+ */
+async function readBatteries({ root = POWER_SUPPLY_ROOT } = {}) {
+  let entries;
+  try {
+    entries = await fs.readdir(root);
+  } catch {
+    return [];
+  }
+
+  const batteries = [];
+  for (const entry of entries.sort()) {
+    const dir = path.join(root, entry);
+    if ((await readValue(dir, "type")) !== "Battery" || (await readValue(dir, "scope")) === "Device") continue;
+    batteries.push(await readBattery(dir));
+  }
+  return batteries;
+}
+
+/**
+ * Submission fields for the first system battery, or null when there is none
+ */
+async function collectBatteryWear(options) {
+  const [battery] = await readBatteries(options);
+  if (!battery) return null;
+  return { battery_wear_percent: battery.wear_percent, battery_cycle_count: battery.cycle_count };
+}
+
+module.exports = {
+  readBatteries,
+  collectBatteryWear,
+  wearPercent,
+  POWER_SUPPLY_ROOT
+};
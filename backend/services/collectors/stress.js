@@ -0,0 +1,269 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { readThermalSensors, summarizeTemperatures, SYS_ROOT } = require("./thermal");
+
+/**
+ * CPU stress test for the standardized `cpu_stress_stable` and
+ * `cpu_throttling` inputs. One worker thread per core repeats a fixed integer
+ * and floating-point computation and checks every result against the answer
+ * computed before the load; meanwhile the main thread samples each core's
+ * /sys/devices/system/cpu/cpuN/cpufreq/scaling_cur_freq and the CPU
+ * temperature.
+ */
+
+// A core whose average frequency over the second half of the run is this far
+// below its rated frequency dropped
+const THROTTLE_DROP_PERCENT = 15;
+
+// A frequency drop only counts as throttling with thermal evidence: the
+// throttle counters rose or the CPU reached this temperature. Turbo boost
+// falling back once the short-term power limit (PL2) expires is normal.
+const THROTTLE_TEMPERATURE_CELSIUS = 90;
+
+// Inputs of the verification kernel; each worker cycles through them
+const SEEDS = 64;
+
+/**
+ * Deterministic integer and floating-point work. Runs inside the workers from
+ * its source text, so it must not reference anything outside itself.
+ */
+function stressKernel(seed) {
+  let x = Math.imul(seed + 1, 0x9e3779b9) | 0;
+  let y = seed + 0.5;
+  for (let i = 0; i < 200000; i += 1) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    y = Math.sqrt(y * 1.000001 + (x & 0xffff));
+  }
+  return `${x}:${y}`;
+}
+
+const workerSource = (kernel) => `
+  const { parentPort, workerData } = require("worker_threads");
+  const kernel = (${kernel.toString()});
+  const end = Date.now() + workerData.durationMs;
+  let iterations = 0;
+  let errors = 0;
+  do {
+    const seed = iterations % workerData.expected.length;
+    if (kernel(seed) !== workerData.expected[seed]) errors += 1;
+    iterations += 1;
+  } while (Date.now() < end);
+  parentPort.postMessage({ iterations, errors });
+`;
+
+async function readValue(file) {
+  try {
+    return (await fs.readFile(file, "utf8")).trim();
+  } catch {
+    return null;
+  }
+}
+
+async function listCpus(sysRoot) {
+  try {
+    return (await fs.readdir(path.join(sysRoot, "devices", "system", "cpu")))
+      .filter((entry) => /^cpu\d+$/.test(entry))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Current frequency of every core in MHz ({ cpu0: 3400, ... }), or null when
+ * the kernel exposes no cpufreq (most VMs and containers)
+ */
+async function readFrequencies({ sysRoot = SYS_ROOT } = {}) {
+  const frequencies = {};
+  for (const cpu of await listCpus(sysRoot)) {
+    const khz = Number(await readValue(path.join(sysRoot, "devices", "system", "cpu", cpu, "cpufreq", "scaling_cur_freq")));
+    if (khz > 0) frequencies[cpu] = Math.round(khz / 1000);
+  }
+  return Object.keys(frequencies).length > 0 ? frequencies : null;
+}
+
+/**
+ * Rated frequency of every core in MHz ({ cpu0: 2600, ... }): the base
+ * frequency (intel_pstate's base_frequency), else cpuinfo_max_freq. Null
+ * without cpufreq.
+ */
+async function readRatedFrequencies({ sysRoot = SYS_ROOT } = {}) {
+  const rated = {};
+  for (const cpu of await listCpus(sysRoot)) {
+    const dir = path.join(sysRoot, "devices", "system", "cpu", cpu, "cpufreq");
+    const khz = Number(await readValue(path.join(dir, "base_frequency"))) || Number(await readValue(path.join(dir, "cpuinfo_max_freq")));
+    if (khz > 0) rated[cpu] = Math.round(khz / 1000);
+  }
+  return Object.keys(rated).length > 0 ? rated : null;
+}
+
+/**
+ * Sum of the Intel thermal_throttle core and package event counters, or null
+ * when the driver does not provide them
+ */
+async function readThrottleEvents({ sysRoot = SYS_ROOT } = {}) {
+  let total = null;
+  for (const cpu of await listCpus(sysRoot)) {
+    for (const counter of ["core_throttle_count", "package_throttle_count"]) {
+      const count = Number(await readValue(path.join(sysRoot, "devices", "system", "cpu", cpu, "thermal_throttle", counter)) ?? NaN);
+      if (Number.isFinite(count)) total = (total ?? 0) + count;
+    }
+  }
+  return total;
+}
+
+/**
+ * Per-core peak and sustained (second-half average) frequency of the samples
+ * taken under load, and whether any core's sustained frequency fell
+ * THROTTLE_DROP_PERCENT or more below its rated frequency (`rated`, from
+ * readRatedFrequencies; the peak when unknown). Null with fewer than two
+ * samples.
+ */
+function detectFrequencyDrop(samples, rated = null) {
+  const readings = samples.filter(Boolean);
+  if (readings.length < 2) return null;
+
+  const secondHalf = readings.slice(Math.floor(readings.length / 2));
+  const cores = Object.fromEntries(
+    Object.keys(readings[0]).map((cpu) => {
+      const peakMhz = Math.max(...readings.map((sample) => sample[cpu] ?? 0));
+      const values = secondHalf.map((sample) => sample[cpu]).filter(Number.isFinite);
+      const sustainedMhz = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+      const ratedMhz = rated?.[cpu] ?? peakMhz;
+      const dropPercent = Math.max(0, Math.round((1 - sustainedMhz / ratedMhz) * 1000) / 10);
+      return [cpu, { peakMhz, sustainedMhz, ratedMhz, dropPercent }];
+    })
+  );
+
+  const worst = Math.max(...Object.values(cores).map((core) => core.dropPercent));
+  return { cores, dropPercent: worst, dropped: worst >= THROTTLE_DROP_PERCENT };
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run `kernel` on `threads` workers for `durationMs`. A worker that crashes
+ * or exits without reporting counts as a failure rather than aborting the test.
+ */
+function runWorkers({ kernel, expected, durationMs, threads }) {
+  return Promise.all(
+    Array.from({ length: threads }, () => new Promise((resolve) => {
+      const worker = new Worker(workerSource(kernel), { eval: true, workerData: { durationMs, expected } });
+      let report = null;
+      worker.once("message", (message) => {
+        report = message;
+      });
+      worker.once("error", (error) => resolve({ failed: true, error: error.message }));
+      worker.once("exit", () => resolve(report ? { failed: false, ...report } : { failed: true, error: "exited without a result" }));
+    }))
+  );
+}
+
+/**
+ * Stress every core for `durationMs`, sampling frequency, throttle counters
+ * and CPU temperature every `sampleMs`. The run is stable when every worker
+ * finished and no computation disagreed with the reference answers; it was
+ * throttled when the throttle counters rose, or a core's frequency dropped
+ * below its rated frequency while the CPU reached THROTTLE_TEMPERATURE_CELSIUS.
+ */
+async function runStressTest({
+  sysRoot = SYS_ROOT,
+  durationMs = 60000,
+  sampleMs = 1000,
+  threads = typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length,
+  kernel = stressKernel,
+  wait = delay
+} = {}) {
+  const cpuTemperature = async () => summarizeTemperatures(await readThermalSensors({ sysRoot }))?.cpu ?? null;
+  const expected = Array.from({ length: SEEDS }, (_, seed) => stressKernel(seed));
+
+  const idleTemperature = await cpuTemperature();
+  const eventsBefore = await readThrottleEvents({ sysRoot });
+  const rated = await readRatedFrequencies({ sysRoot });
+
+  let loading = true;
+  const finished = runWorkers({ kernel, expected, durationMs, threads }).finally(() => {
+    loading = false;
+  });
+
+  const frequencySamples = [];
+  let peakTemperature = idleTemperature;
+  do {
+    await wait(sampleMs);
+    if (!loading) break;
+    frequencySamples.push(await readFrequencies({ sysRoot }));
+    const reading = await cpuTemperature();
+    if (reading !== null) peakTemperature = Math.max(peakTemperature ?? reading, reading);
+  } while (loading);
+  const workers = await finished;
+
+  const eventsAfter = await readThrottleEvents({ sysRoot });
+  const throttleEvents = eventsBefore !== null && eventsAfter !== null ? eventsAfter - eventsBefore : null;
+  const frequency = detectFrequencyDrop(frequencySamples, rated);
+  const hot = peakTemperature !== null && peakTemperature >= THROTTLE_TEMPERATURE_CELSIUS;
+  const iterations = workers.reduce((sum, worker) => sum + (worker.iterations || 0), 0);
+  const errors = workers.reduce((sum, worker) => sum + (worker.errors || 0), 0);
+  const failures = workers.filter((worker) => worker.failed).map((worker) => worker.error);
+
+  return {
+    durationMs,
+    threads,
+    iterations,
+    errors,
+    failures,
+    frequency,
+    throttleEvents,
+    idleTemperature,
+    peakTemperature,
+    stable: errors === 0 && failures.length === 0 && iterations > 0,
+    // Unknown without cpufreq samples or throttle counters
+    throttling: frequency === null && throttleEvents === null ? null : throttleEvents > 0 || Boolean(frequency?.dropped && hot)
+  };
+}
+
+/**
+ * Standardized submission fields of a stress test result; throttling and the
+ * temperatures are left out when the host cannot report them
+ */
+function stressFields(result) {
+  return {
+    cpu_stress_stable: result.stable,
+    ...(result.throttling !== null && { cpu_throttling: result.throttling }),
+    ...(result.idleTemperature !== null && { idle_temperature_celsius: result.idleTemperature }),
+    ...(result.peakTemperature !== null && { load_temperature_celsius: result.peakTemperature })
+  };
+}
+
+async function collectCpuStress(options) {
+  return stressFields(await runStressTest(options));
+}
+
+module.exports = {
+  runStressTest,
+  collectCpuStress,
+  stressFields,
+  readFrequencies,
+  readRatedFrequencies,
+  readThrottleEvents,
+  detectFrequencyDrop,
+  stressKernel,
+  THROTTLE_DROP_PERCENT,
+  THROTTLE_TEMPERATURE_CELSIUS
+};
+
+if (require.main === module) {
+  (async () => {
+    const seconds = Number(process.argv[2] || 60);
+
+    try {
+      console.log(JSON.stringify(await runStressTest({ durationMs: seconds * 1000 }), null, 2));
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,187 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+/**
+ * Temperatures from /sys/class/thermal/thermal_zoneN/temp and
+ * /sys/class/hwmon/hwmonN/tempN_input (millidegrees Celsius). Each sensor is
+ * classified as package, core, nvme, battery or other; the CPU temperature is
+ * the hottest package sensor, or the hottest core when no package sensor exists.
+ */
+
+const SYS_ROOT = "/sys";
+
+// Readings outside this range are disabled or broken sensors (-273.2 °C, 0xffff)
+const MIN_CELSIUS = -40;
+const MAX_CELSIUS = 150;
+
+/**
+ * Sensor kinds, first match wins. `chip` is the hwmon name or thermal zone
+ * type; `label` is the hwmon temp*_label, when the driver provides one.
+ */
+const SENSOR_KINDS = [
+  ["nvme", (chip) => /nvme/.test(chip)],
+  ["battery", (chip, label) => /^bat\d*$|battery/.test(chip) || /battery/.test(label)],
+  // Intel coretemp: "Package id 0" (older kernels: "Physical id 0") and "Core N"
+  ["core", (chip, label) => chip === "coretemp" && /^core\b/.test(label)],
+  ["package", (chip) => chip === "coretemp"],
+  // AMD k10temp / zenpower: Tctl / Tdie for the package, TccdN per core complex
+  ["core", (chip, label) => /^(k10temp|zenpower)$/.test(chip) && /^tccd/.test(label)],
+  ["package", (chip) => /^(k10temp|zenpower)$/.test(chip)],
+  ["core", (chip) => /^cpu\d+[-_]thermal$/.test(chip)],
+  ["package", (chip) => /^(x86_pkg_temp|tcpu|cpu[-_]thermal|soc[-_]thermal)$/.test(chip)]
+];
+
+function classifySensor(chip, label) {
+  const normalizedChip = String(chip || "").trim().toLowerCase();
+  const normalizedLabel = String(label || "").trim().toLowerCase();
+  const match = SENSOR_KINDS.find(([, test]) => test(normalizedChip, normalizedLabel));
+  return match ? match[0] : "other";
+}
+
+async function readValue(file) {
+  try {
+    return (await fs.readFile(file, "utf8")).trim();
+  } catch {
+    return null;
+  }
+}
+
+async function readCelsius(file) {
+  const raw = await readValue(file);
+  const celsius = raw === null || raw === "" ? NaN : Number(raw) / 1000;
+  return Number.isFinite(celsius) && celsius > MIN_CELSIUS && celsius < MAX_CELSIUS ? Math.round(celsius * 10) / 10 : null;
+}
+
+async function listDir(dir) {
+  try {
+    return (await fs.readdir(dir)).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  } catch {
+    return [];
+  }
+}
+
+async function readThermalZones(root) {
+  const sensors = [];
+  for (const zone of (await listDir(root)).filter((entry) => entry.startsWith("thermal_zone"))) {
+    const chip = await readValue(path.join(root, zone, "type"));
+    const celsius = await readCelsius(path.join(root, zone, "temp"));
+    if (celsius === null) continue;
+    sensors.push({ source: zone, chip, label: null, kind: classifySensor(chip), celsius });
+  }
+  return sensors;
+}
+
+async function readHwmon(root) {
+  const sensors = [];
+  for (const entry of await listDir(root)) {
+    // Kernels before 3.15 keep the attributes under hwmonN/device
+    let dir = path.join(root, entry);
+    let chip = await readValue(path.join(dir, "name"));
+    if (chip === null) {
+      dir = path.join(dir, "device");
+      chip = await readValue(path.join(dir, "name"));
+    }
+
+    for (const input of (await listDir(dir)).filter((file) => /^temp\d+_input$/.test(file))) {
+      const celsius = await readCelsius(path.join(dir, input));
+      if (celsius === null) continue;
+      const label = await readValue(path.join(dir, input.replace("_input", "_label")));
+      sensors.push({ source: `${entry}/${input.replace("_input", "")}`, chip, label, kind: classifySensor(chip, label), celsius });
+    }
+  }
+  return sensors;
+}
+
+/**
+ * Every readable temperature sensor under `sysRoot`, thermal zones first.
+ * Zones without a reading (disabled, or EIO/ENODATA) are skipped.
+ */
+async function readThermalSensors({ sysRoot = SYS_ROOT } = {}) {
+  const [zones, hwmon] = await Promise.all([
+    readThermalZones(path.join(sysRoot, "class", "thermal")),
+    readHwmon(path.join(sysRoot, "class", "hwmon"))
+  ]);
+  return [...zones, ...hwmon];
+}
+
+/**
+ * Hottest reading per sensor kind plus the CPU temperature, or null without
+ * any sensor. The same die often shows up both as a thermal zone and as a
+ * hwmon input, so readings are combined by maximum rather than averaged.
+ */
+function summarizeTemperatures(sensors) {
+  if (!sensors || sensors.length === 0) return null;
+  const hottest = (kind) => {
+    const readings = sensors.filter((sensor) => sensor.kind === kind).map((sensor) => sensor.celsius);
+    return readings.length > 0 ? Math.max(...readings) : null;
+  };
+
+  const summary = {
+    package: hottest("package"),
+    core: hottest("core"),
+    nvme: hottest("nvme"),
+    battery: hottest("battery")
+  };
+  return { cpu: summary.package ?? summary.core, ...summary };
+}
+
+/**
+ * Keep every core busy for `durationMs` with worker threads
+ */
+function loadAllCores(durationMs) {
+  const cores = typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+  const source = `const end = Date.now() + ${Number(durationMs)}; let x = 0; while (Date.now() < end) x = Math.sqrt(x + Math.random());`;
+  return Promise.all(
+    Array.from({ length: cores }, () => new Promise((resolve, reject) => {
+      const worker = new Worker(source, { eval: true });
+      worker.once("error", reject);
+      worker.once("exit", resolve);
+    }))
+  );
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Idle and under-load CPU temperatures: one reading before the load, then the
+ * peak of the readings taken every `sampleMs` while `load(loadMs)` runs.
+ * Returns the standardized submission fields, or null without a CPU sensor.
+ */
+async function collectThermalProfile({
+  sysRoot = SYS_ROOT,
+  load = loadAllCores,
+  loadMs = 10000,
+  sampleMs = 1000,
+  wait = delay
+} = {}) {
+  const cpuTemperature = async () => summarizeTemperatures(await readThermalSensors({ sysRoot }))?.cpu ?? null;
+
+  const idle = await cpuTemperature();
+  if (idle === null) return null;
+
+  let loading = true;
+  const finished = load(loadMs).finally(() => {
+    loading = false;
+  });
+
+  let peak = idle;
+  do {
+    await wait(sampleMs);
+    const reading = await cpuTemperature();
+    if (reading !== null) peak = Math.max(peak, reading);
+  } while (loading);
+  await finished;
+
+  return { idle_temperature_celsius: idle, load_temperature_celsius: peak };
+}
+
+module.exports = {
+  readThermalSensors,
+  summarizeTemperatures,
+  classifySensor,
+  collectThermalProfile,
+  loadAllCores,
+  SYS_ROOT
+};
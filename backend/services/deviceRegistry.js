@@ -0,0 +1,199 @@
+const path = require("path");
+const { createHash } = require("crypto");
+const JsonlLog = require("./jsonlLog");
+
+// Hardware identifiers the diagnostics scripts can collect (input.hardware_ids)
+const HARDWARE_ID_FIELDS = ["machine_id", "product_uuid", "serial_number", "board_serial", "mac_addresses"];
+
+// Identifiers that name the machine, strongest first. DMI values outlive OS
+// reinstalls but need root to read; machine_id is readable by any user.
+// Hostnames are renamed and MACs come and go with USB adapters and docks,
+// so neither identifies a device that has any of these.
+const STABLE_ID_FIELDS = ["product_uuid", "serial_number", "board_serial", "machine_id"];
+
+// Values firmware vendors leave in DMI tables that identify nothing
+const PLACEHOLDER_IDS = new Set([
+  "",
+  "none",
+  "null",
+  "unknown",
+  "default string",
+  "to be filled by o.e.m.",
+  "system serial number",
+  "not specified",
+  "0",
+  "00000000-0000-0000-0000-000000000000",
+  "ffffffff-ffff-ffff-ffff-ffffffffffff",
+  "03000200-0400-0500-0006-000700080009",
+  "00:00:00:00:00:00"
+]);
+
+const normalizeId = (value) => {
+  if (value == null) return null;
+  const normalized = String(value).trim().toLowerCase();
+  return PLACEHOLDER_IDS.has(normalized) ? null : normalized;
+};
+
+const normalizeHostname = (hostname) =>
+  typeof hostname === "string" && hostname.trim() ? hostname.trim() : "unknown";
+
+/**
+ * Extract the usable hardware identifiers from a submission payload.
+ * MAC addresses are sorted so interface enumeration order does not matter.
+ */
+function extractHardwareIds(input = {}) {
+  const raw = input.hardware_ids && typeof input.hardware_ids === "object" ? input.hardware_ids : {};
+  const ids = {};
+
+  for (const field of HARDWARE_ID_FIELDS) {
+    if (field === "mac_addresses") {
+      const macs = (Array.isArray(raw.mac_addresses) ? raw.mac_addresses : [raw.mac_addresses])
+        .map(normalizeId)
+        .filter(Boolean);
+      if (macs.length > 0) ids.mac_addresses = [...new Set(macs)].sort();
+      continue;
+    }
+
+    const value = normalizeId(raw[field]);
+    if (value) ids[field] = value;
+  }
+
+  return ids;
+}
+
+/**
+ * Device fingerprint: the strongest stable identifier present, else the
+ * hostname for machines that report none.
+ */
+function computeDeviceFingerprint(input = {}) {
+  const ids = extractHardwareIds(input);
+  const field = STABLE_ID_FIELDS.find((name) => ids[name]);
+  const part = field ? `${field}=${ids[field]}` : `hostname=${normalizeHostname(input.hostname).toLowerCase()}`;
+  return createHash("sha256").update(part).digest("hex");
+}
+
+/**
+ * ID a submission's device gets when the registry has not seen it before.
+ * Use the registry's resolveId() to find a device already on record.
+ */
+const getDeviceId = (input = {}) => `dev_${computeDeviceFingerprint(input).slice(0, 16)}`;
+
+const normalizeTags = (tags) =>
+  [...new Set((Array.isArray(tags) ? tags : [])
+    .filter((tag) => typeof tag === "string" && tag.trim())
+    .map((tag) => tag.trim()))];
+
+/**
+ * Device registry backed by an append-only JSON Lines file.
+ * Each line is a full device snapshot; the last snapshot for an ID wins.
+ */
+function createDeviceRegistry({ dir }) {
+  const log = new JsonlLog(path.join(dir, "devices.jsonl"));
+  const byId = new Map();
+  let indexed = 0;
+
+  const sync = () => {
+    const entries = log.all();
+    for (; indexed < entries.length; indexed += 1) {
+      const device = entries[indexed];
+      if (device?.id) byId.set(device.id, device);
+    }
+    return byId;
+  };
+
+  /**
+   * The device on record sharing the strongest stable identifier with `ids`.
+   * A device whose stronger identifier differs is another machine (a cloned
+   * OS image shares machine_id), so it never matches.
+   */
+  const findByHardwareIds = (ids) => {
+    const devices = [...sync().values()];
+    for (const field of STABLE_ID_FIELDS) {
+      if (!ids[field]) continue;
+      const match = devices.find((device) =>
+        device.hardwareIds?.[field] === ids[field] &&
+        STABLE_ID_FIELDS.every((other) => !ids[other] || !device.hardwareIds[other] || device.hardwareIds[other] === ids[other])
+      );
+      if (match) return match;
+    }
+    return null;
+  };
+
+  const write = (device) => {
+    log.append(device);
+    sync();
+    return device;
+  };
+
+  const resolveId = (input = {}) => findByHardwareIds(extractHardwareIds(input))?.id || getDeviceId(input);
+
+  return {
+    /**
+     * Registry ID of the device that produced a submission: a device on
+     * record with any of its identifiers, else a new ID
+     */
+    resolveId,
+
+    /**
+     * Register a submission, creating the device on first sight.
+     * Returns the updated device snapshot.
+     */
+    recordSubmission(input = {}, { reportId, submittedAt = new Date().toISOString() } = {}) {
+      const id = resolveId(input);
+      const existing = sync().get(id);
+      const hostname = normalizeHostname(input.hostname);
+
+      return write({
+        id,
+        fingerprint: existing?.fingerprint || computeDeviceFingerprint(input),
+        hostname,
+        name: existing?.name || hostname,
+        tags: existing?.tags || [],
+        hardwareIds: { ...existing?.hardwareIds, ...extractHardwareIds(input) },
+        firstSeen: existing?.firstSeen || submittedAt,
+        lastSeen: submittedAt,
+        submissionCount: (existing?.submissionCount || 0) + 1,
+        latestReportId: reportId || existing?.latestReportId || null,
+        retired: existing?.retired || false,
+        retiredAt: existing?.retiredAt || null
+      });
+    },
+
+    get(id) {
+      return sync().get(id) || null;
+    },
+
+    list({ includeRetired = false, tag } = {}) {
+      return [...sync().values()]
+        .filter((device) => includeRetired || !device.retired)
+        .filter((device) => !tag || device.tags.includes(tag))
+        .sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+    },
+
+    update(id, { name, tags } = {}) {
+      const existing = sync().get(id);
+      if (!existing) return null;
+
+      return write({
+        ...existing,
+        name: typeof name === "string" && name.trim() ? name.trim() : existing.name,
+        tags: tags === undefined ? existing.tags : normalizeTags(tags)
+      });
+    },
+
+    retire(id) {
+      const existing = sync().get(id);
+      if (!existing) return null;
+      if (existing.retired) return existing;
+
+      return write({ ...existing, retired: true, retiredAt: new Date().toISOString() });
+    }
+  };
+}
+
+module.exports = {
+  createDeviceRegistry,
+  computeDeviceFingerprint,
+  extractHardwareIds,
+  getDeviceId
+};
@@ -2,8 +2,12 @@ const {
   evaluateDevice: scoreDevice,
   evaluateDeviceStandardized,
   validateOMLSPayload,
-  isOMLSPayload
+  isOMLSPayload,
+  DEFAULT_SCORING_PROFILE,
+  LEGACY_COMPONENTS,
+  batteryHealthFromWear
 } = require("../rules/healthRules");
+const { withSmartData } = require("./smartData");
 
 /**
  * Detect input format efficiently with early exit
@@ -12,57 +16,138 @@ function isStandardizedInput(input) {
   const standardizedKeys = [
     'storage_smart_status', 'ram_test_errors', 'cpu_stress_stable',
     'gpu_stress_stable', 'performance_percentage', 'ssd_wear_percentage',
-    'battery_health_percent', 'physical_damage', 'idle_temperature_celsius'
+    'battery_health_percent', 'physical_damage', 'idle_temperature_celsius',
+    'smart'
   ];
   return standardizedKeys.some(key => input.hasOwnProperty(key));
 }
 
+const LEGACY_KEYS = Object.values(LEGACY_COMPONENTS).flatMap(({ field, aliases }) => [field, ...aliases]);
+
 /**
- * Main evaluation dispatcher - auto-selects model based on input type
+ * Every model a payload carries data for, in precedence order
+ * ("standardized", "legacy", "omls"). Legacy is the fallback for
+ * payloads no model recognises.
  */
-module.exports = function evaluateDevice(input = {}) {
-  try {
-    // OMLS rule-engine validation flow
-    if (isOMLSPayload(input)) {
-      const omls = validateOMLSPayload(input);
-
-      return {
-        evaluationModel: "OPEN_MODULAR_LAPTOP_STANDARD",
-        omls,
-        overall: {
-          health: omls.overallPass ? "GOOD" : "POOR",
-          total_score: omls.complianceScore,
-          reusable: omls.overallPass,
-          classification: omls.overallPass ? "OMLS_COMPLIANT" : "OMLS_NON_COMPLIANT"
-        }
-      };
-    }
+function applicableModels(input = {}) {
+  const models = [];
+  if (isStandardizedInput(input)) models.push("standardized");
+  if (LEGACY_KEYS.some((key) => input[key] !== undefined)) models.push("legacy");
+  if (isOMLSPayload(input)) models.push("omls");
+  return models.length > 0 ? models : ["legacy"];
+}
 
-    // Detect input format and evaluate accordingly
-    if (isStandardizedInput(input)) {
-      const result = evaluateDeviceStandardized(input);
-      return {
-        evaluationModel: "STANDARDIZED_HARDWARE_REUSABILITY",
-        standardized: result,
-        overall: {
-          health: result.totalScore >= 80 ? "GOOD" : result.totalScore >= 55 ? "FAIR" : "POOR",
-          total_score: result.totalScore,
-          reusable: result.totalScore >= 50,
-          classification: result.classification.level
-        }
-      };
-    }
+/**
+ * Which payload format an input is: "omls", "standardized", "legacy", or
+ * "hybrid" when it carries data for more than one model
+ */
+function detectInputFormat(input = {}) {
+  const models = applicableModels(input);
+  return models.length > 1 ? "hybrid" : models[0];
+}
+
+/**
+ * Legacy component metrics, accepting the short aliases (cpu, ram, ...).
+ * Core components default to 0; unmeasured optional ones stay undefined.
+ * Measured battery wear replaces battery_health, which the scripts used to
+ * fill with the current charge level.
+ */
+function toLegacyMetrics(input = {}) {
+  const metrics = Object.fromEntries(
+    Object.entries(LEGACY_COMPONENTS).map(([component, { field, aliases, optional }]) => {
+      const value = [field, ...aliases].map((key) => input[key]).find((reading) => reading !== undefined && reading !== null);
+      return [component, value === undefined ? (optional ? undefined : 0) : Number(value)];
+    })
+  );
+
+  const batteryHealth = batteryHealthFromWear(input.battery_wear_percent);
+  if (batteryHealth !== null) {
+    metrics.battery = batteryHealth;
+    metrics.batteryWearPercent = input.battery_wear_percent;
+  }
+  if (Number.isFinite(input.battery_cycle_count)) metrics.batteryCycleCount = input.battery_cycle_count;
+  return metrics;
+}
 
-    // Legacy model for simple metrics
-    const report = scoreDevice({
-      cpu: Number(input.cpu_usage ?? input.cpu ?? 0),
-      ram: Number(input.ram_gb ?? input.ram ?? 0),
-      storage: Number(input.storage_health ?? input.storage ?? 0),
-      battery: Number(input.battery_health ?? input.battery ?? 0)
-    });
+/**
+ * OMLS explanation: compliance score per component from its rule outcomes
+ */
+function explainOMLS(omls) {
+  const components = omls.result ? [omls.result] : omls.results;
+
+  return {
+    model: "OPEN_MODULAR_LAPTOP_STANDARD",
+    label: "Compliance score",
+    points: omls.complianceScore,
+    max: 100,
+    ...(components.length > 1 && { matched: "average of component compliance scores" }),
+    children: components.map((component) => ({
+      id: component.component_id,
+      label: `${component.component_type} ${component.component_id}`,
+      matched: `${component.totals.passed} of ${component.totals.evaluated} rules passed (${component.verdict})`,
+      points: component.complianceScore,
+      max: 100,
+      children: component.ruleResults.map((rule) => ({
+        id: rule.ruleId,
+        label: rule.message,
+        rule: rule.ruleId,
+        matched: rule.status
+      }))
+    }))
+  };
+}
+
+// ========== SINGLE-MODEL EVALUATIONS ==========
+
+const MODEL_NAMES = {
+  standardized: "STANDARDIZED_HARDWARE_REUSABILITY",
+  legacy: "LEGACY_COMPONENT_HEALTH",
+  omls: "OPEN_MODULAR_LAPTOP_STANDARD"
+};
+
+const MODEL_EVALUATORS = {
+  // OMLS rule-engine validation flow
+  omls(input, { explain }) {
+    const omls = validateOMLSPayload(input);
 
     return {
-      evaluationModel: "LEGACY_COMPONENT_HEALTH",
+      evaluationModel: MODEL_NAMES.omls,
+      omls,
+      overall: {
+        health: omls.overallPass ? "GOOD" : "POOR",
+        total_score: omls.complianceScore,
+        reusable: omls.overallPass,
+        classification: omls.overallPass ? "OMLS_COMPLIANT" : "OMLS_NON_COMPLIANT"
+      },
+      ...(explain && { explanation: explainOMLS(omls) })
+    };
+  },
+
+  // SMART documents fill in the storage fields; the parsed drives are kept as `smart`
+  standardized(input, { profile, explain }) {
+    const { input: measured, smart } = withSmartData(input);
+    const { explanation, ...result } = evaluateDeviceStandardized(measured, profile, { explain });
+    return {
+      evaluationModel: MODEL_NAMES.standardized,
+      scoringProfile: result.profile,
+      standardized: result,
+      ...(smart && { smart }),
+      overall: {
+        health: result.totalScore >= 80 ? "GOOD" : result.totalScore >= 55 ? "FAIR" : "POOR",
+        total_score: result.totalScore,
+        reusable: result.totalScore >= profile.classification.LIMITED,
+        classification: result.classification.level
+      },
+      ...(explanation && { explanation })
+    };
+  },
+
+  // Legacy model for simple metrics
+  legacy(input, { explain }) {
+    const report = scoreDevice(toLegacyMetrics(input), { explain });
+
+    return {
+      evaluationModel: MODEL_NAMES.legacy,
       components: report.components,
       componentBreakdowns: report.componentBreakdowns,
       reusabilitySummary: report.reusabilitySummary,
@@ -72,8 +157,94 @@ module.exports = function evaluateDevice(input = {}) {
         longevity_years: report.longevity?.yearsRemaining ?? 0,
         sustainability: report.longevity?.sustainability ?? "UNKNOWN",
         reusable: report.longevity?.reusable ?? false
-      }
+      },
+      ...(report.explanation && { explanation: report.explanation })
     };
+  }
+};
+
+/**
+ * One model's overall verdict in a report: its modelVerdicts entry in a
+ * HYBRID report, else the report's own overall when that model produced it.
+ * A HYBRID overall belongs to whichever model drives the verdict, so it is
+ * not any single model's score.
+ */
+function modelVerdict(report = {}, model) {
+  if (report.modelVerdicts) return report.modelVerdicts[model] || null;
+  return report.evaluationModel === MODEL_NAMES[model] ? report.overall || null : null;
+}
+
+// ========== HYBRID EVALUATION ==========
+
+const HEALTH_RANK = { POOR: 0, FAIR: 1, GOOD: 2 };
+
+/**
+ * Reconcile per-model verdicts into one overall verdict. The device is only
+ * reusable when every model agrees; the first model (in precedence order)
+ * that says it is not reusable drives the verdict, otherwise the most
+ * detailed model does.
+ */
+function reconcileOverall(results) {
+  const models = Object.keys(results);
+  const veto = models.find((model) => !results[model].overall.reusable);
+  const drivenBy = veto || models[0];
+  const driver = results[drivenBy].overall;
+  const health = models
+    .map((model) => results[model].overall.health)
+    .reduce((worst, current) => (HEALTH_RANK[current] < HEALTH_RANK[worst] ? current : worst));
+
+  return {
+    ...driver,
+    health,
+    reusable: !veto,
+    drivenBy: MODEL_NAMES[drivenBy],
+    reason: veto
+      ? `${MODEL_NAMES[veto]} rates the device not reusable (${driver.classification || driver.health}), which overrides the other models`
+      : `All models rate the device reusable; ${MODEL_NAMES[drivenBy]} is the most detailed applicable model`
+  };
+}
+
+function evaluateHybrid(input, models, options) {
+  const results = Object.fromEntries(models.map((model) => [model, MODEL_EVALUATORS[model](input, options)]));
+  const overall = reconcileOverall(results);
+  const sections = models.reduce((merged, model) => {
+    const { evaluationModel, overall: _overall, explanation, ...section } = results[model];
+    return { ...merged, ...section };
+  }, {});
+
+  return {
+    evaluationModel: "HYBRID",
+    models: models.map((model) => MODEL_NAMES[model]),
+    ...sections,
+    overall,
+    modelVerdicts: Object.fromEntries(models.map((model) => [model, { evaluationModel: MODEL_NAMES[model], ...results[model].overall }])),
+    ...(options.explain && {
+      explanation: {
+        model: "HYBRID",
+        label: "Reconciled verdict",
+        points: overall.total_score,
+        max: 100,
+        matched: overall.reason,
+        children: models.map((model) => ({ id: model, ...results[model].explanation }))
+      }
+    })
+  };
+}
+
+/**
+ * Main evaluation dispatcher - runs every model the payload has data for.
+ * A single applicable model returns that model's report; several are merged
+ * into one HYBRID report with a reconciled overall verdict.
+ * `profile` is the scoring profile for the standardized model; `explain`
+ * adds an `explanation` trace of how the score was reached.
+ */
+module.exports = function evaluateDevice(input = {}, { profile = DEFAULT_SCORING_PROFILE, explain = false } = {}) {
+  try {
+    const models = applicableModels(input);
+    if (models.length === 1) {
+      return MODEL_EVALUATORS[models[0]](input, { profile, explain });
+    }
+    return evaluateHybrid(input, models, { profile, explain });
   } catch (error) {
     console.error("Evaluation error:", error.message);
     return {
@@ -83,3 +254,10 @@ module.exports = function evaluateDevice(input = {}) {
     };
   }
 };
+
+module.exports.detectInputFormat = detectInputFormat;
+module.exports.applicableModels = applicableModels;
+module.exports.toLegacyMetrics = toLegacyMetrics;
+module.exports.modelVerdict = modelVerdict;
+module.exports.MODEL_NAMES = MODEL_NAMES;
+module.exports.LEGACY_COMPONENT_NAMES = Object.keys(LEGACY_COMPONENTS);
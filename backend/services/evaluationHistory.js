@@ -0,0 +1,143 @@
+/**
+ * Per-device evaluation history and metric time series.
+ * History is derived from the report store, so every stored submission is a
+ * data point; nothing is sampled or capped like the live activity log.
+ */
+
+const { modelVerdict } = require("./evaluateDevice");
+
+const toNumberOrNull = (value) => (typeof value === "number" && Number.isFinite(value) ? value : null);
+
+/**
+ * Reduce an evaluateDevice result to the numbers worth tracking over time.
+ * Sections are detected by presence, not by evaluationModel.
+ */
+function summarizeEvaluation(report = {}) {
+  const summary = {
+    evaluationModel: report.evaluationModel || "UNKNOWN",
+    totalScore: toNumberOrNull(report.overall?.total_score),
+    health: report.overall?.health || null
+  };
+
+  if (report.standardized) {
+    summary.standardized = {
+      totalScore: toNumberOrNull(report.standardized.totalScore),
+      tier: report.standardized.classification?.tier || null,
+      categories: Object.fromEntries(
+        Object.entries(report.standardized.categories || {}).map(([key, category]) => [key, toNumberOrNull(category.score)])
+      )
+    };
+  }
+
+  // On HYBRID reports the overall score may be another model's
+  if (report.components) {
+    summary.legacy = {
+      totalScore: toNumberOrNull(modelVerdict(report, "legacy")?.total_score),
+      components: Object.fromEntries(
+        Object.entries(report.components).map(([key, component]) => [key, toNumberOrNull(component.score)])
+      )
+    };
+  }
+
+  if (report.omls) {
+    summary.omls = {
+      complianceScore: toNumberOrNull(report.omls.complianceScore),
+      overallPass: Boolean(report.omls.overallPass)
+    };
+  }
+
+  return summary;
+}
+
+/**
+ * Metric paths accepted by the trend endpoint:
+ *   total_score
+ *   standardized.total_score | standardized.<category>
+ *   legacy.total_score       | legacy.<component>
+ *   omls.compliance_score
+ *   input.<numeric payload field>   e.g. input.battery_health_percent
+ */
+function extractMetric(record, metric) {
+  const [section, key] = String(metric).split(".", 2);
+  const summary = summarizeEvaluation(record.report);
+
+  switch (section) {
+    case "total_score":
+      return key ? null : summary.totalScore;
+    case "standardized":
+      if (!summary.standardized || !key) return null;
+      return key === "total_score" ? summary.standardized.totalScore : toNumberOrNull(summary.standardized.categories[key]);
+    case "legacy":
+      if (!summary.legacy || !key) return null;
+      return key === "total_score" ? summary.legacy.totalScore : toNumberOrNull(summary.legacy.components[key]);
+    case "omls":
+      return key === "compliance_score" ? summary.omls?.complianceScore ?? null : null;
+    case "input": {
+      if (!key) return null;
+      const value = record.input?.[key];
+      return typeof value === "boolean" ? Number(value) : toNumberOrNull(typeof value === "string" ? Number(value) : value);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an ISO date / timestamp query value. Returns null when absent,
+ * undefined when present but invalid.
+ */
+function parseDateBound(value) {
+  if (value == null || value === "") return null;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : undefined;
+}
+
+/**
+ * Time-ordered (oldest first) records for a device within [from, to].
+ */
+function getDeviceRecords(reportStore, deviceId, { from = null, to = null } = {}) {
+  return reportStore
+    .list({ deviceId, limit: Number.MAX_SAFE_INTEGER })
+    .filter((record) => {
+      const time = Date.parse(record.submittedAt);
+      return (from == null || time >= from) && (to == null || time <= to);
+    })
+    .reverse();
+}
+
+function buildHistory(records) {
+  return records.map((record) => ({
+    reportId: record.id,
+    submittedAt: record.submittedAt,
+    ...summarizeEvaluation(record.report)
+  }));
+}
+
+function buildTrend(records, metric) {
+  const points = records
+    .map((record) => ({ t: record.submittedAt, value: extractMetric(record, metric), reportId: record.id }))
+    .filter((point) => point.value != null);
+
+  const values = points.map((point) => point.value);
+  const stats = points.length > 0
+    ? {
+        count: points.length,
+        first: values[0],
+        last: values[values.length - 1],
+        min: Math.min(...values),
+        max: Math.max(...values),
+        delta: Math.round((values[values.length - 1] - values[0]) * 100) / 100
+      }
+    : { count: 0, first: null, last: null, min: null, max: null, delta: null };
+
+  return { metric, points, stats };
+}
+
+module.exports = {
+  summarizeEvaluation,
+  extractMetric,
+  parseDateBound,
+  getDeviceRecords,
+  buildHistory,
+  buildTrend
+};
@@ -0,0 +1,190 @@
+const Ajv = require("ajv");
+const { detectInputFormat, applicableModels } = require("./evaluateDevice");
+
+/**
+ * JSON Schema validation for the three submission formats
+ * (schemas/legacy, schemas/standardized, schemas/omls).
+ */
+
+const ajv = new Ajv({ allErrors: true, verbose: true });
+ajv.addSchema(require("../schemas/common.schema.json"));
+
+const SCHEMAS = {
+  legacy: require("../schemas/legacy.schema.json"),
+  standardized: require("../schemas/standardized.schema.json"),
+  omls: require("../schemas/omls.schema.json")
+};
+
+const validators = Object.fromEntries(
+  Object.entries(SCHEMAS).map(([format, schema]) => [format, ajv.compile(schema)])
+);
+
+// Fields the evaluator reads in place of a missing documented field: the
+// legacy short names, measured battery wear and SMART data
+const SUBSTITUTES = {
+  cpu_usage: ["cpu"],
+  ram_gb: ["ram"],
+  storage_health: ["storage"],
+  battery_health: ["battery", "battery_wear_percent"],
+  battery_health_percent: ["battery_wear_percent"],
+  storage_smart_status: ["smart"],
+  ssd_wear_percentage: ["smart"]
+};
+
+// Measured fields a what-if simulation may override: every scored field of the
+// legacy and standardized schemas (no aliases, metadata, scoring options, raw
+// SMART documents or memory test coverage)
+const OVERRIDE_FIELDS = [
+  "cpu_usage", "ram_gb", "storage_health", "battery_health",
+  "gpu_health", "display_health", "motherboard_health", "temperature_celsius",
+  ...Object.keys(SCHEMAS.standardized.properties).filter((field) => !SCHEMAS.standardized.properties[field].$ref && !["scoring_profile", "smart", "ram_tested_bytes", "ram_test_duration_ms"].includes(field))
+];
+
+const OVERRIDES_SCHEMA = {
+  type: "object",
+  description: "Hypothetical values for measured fields, applied on top of the stored input",
+  additionalProperties: false,
+  properties: Object.fromEntries(
+    OVERRIDE_FIELDS.map((field) => {
+      const { default: _default, ...definition } = SCHEMAS.legacy.properties[field] || SCHEMAS.standardized.properties[field];
+      return [field, definition];
+    })
+  )
+};
+
+const validateOverridesSchema = ajv.compile(OVERRIDES_SCHEMA);
+
+const describeType = (value) => (value === null ? "null" : Array.isArray(value) ? "array" : typeof value);
+
+/**
+ * Turn an Ajv error into { field, message, value } using dotted field paths.
+ */
+function toFieldError(error, input) {
+  const segments = error.instancePath.split("/").slice(1);
+  let value = input;
+  segments.forEach((segment) => {
+    value = value?.[segment];
+  });
+
+  if (error.keyword === "required") {
+    return {
+      field: [...segments, error.params.missingProperty].join("."),
+      message: "is required"
+    };
+  }
+
+  const field = segments.join(".") || "(root)";
+  if (error.keyword === "type") {
+    return { field, message: `${error.message}, got ${describeType(value)}`, value };
+  }
+  if (error.keyword === "oneOf") {
+    const types = error.parentSchema.oneOf.map((branch) => branch.type);
+    return { field, message: `must be ${types.join(" or ")}, got ${describeType(value)}`, value };
+  }
+  if (error.keyword === "enum") {
+    return { field, message: `must be one of ${error.params.allowedValues.join(", ")}`, value };
+  }
+  return { field, message: error.message, value };
+}
+
+/**
+ * A failed oneOf reports every branch. Keep errors inside the value (e.g. a
+ * non-numeric power_input.min) and otherwise a single "must be X or Y" error.
+ */
+function pruneOneOfErrors(errors) {
+  const oneOfPaths = new Set(errors.filter((error) => error.keyword === "oneOf").map((error) => error.instancePath));
+  const inBranch = (error) => error.schemaPath.includes("/oneOf/");
+  const hasNested = (path) =>
+    errors.some((error) => inBranch(error) && error.instancePath.startsWith(`${path}/`));
+
+  return errors.filter((error) => {
+    if (error.keyword === "oneOf") return !hasNested(error.instancePath);
+    return !inBranch(error) || !oneOfPaths.has(error.instancePath);
+  });
+}
+
+/**
+ * Fields the evaluator will fill in with a default, and fields it ignores.
+ * A hybrid payload is checked against each of its models' schemas.
+ */
+function collectWarnings(formats, input) {
+  const warnings = [];
+
+  formats.forEach((format) => {
+    Object.entries(SCHEMAS[format].properties).forEach(([field, definition]) => {
+      if (!("default" in definition) || input[field] !== undefined) return;
+      if ((SUBSTITUTES[field] || []).some((substitute) => input[substitute] !== undefined)) return;
+      warnings.push({ field, message: `missing; defaulted to ${JSON.stringify(definition.default)}` });
+    });
+  });
+
+  Object.keys(input)
+    .filter((field) => !formats.some((format) => field in SCHEMAS[format].properties))
+    .forEach((field) => {
+      warnings.push({ field, message: `not part of the ${formats.join(" / ")} schema; ignored` });
+    });
+
+  return warnings;
+}
+
+/**
+ * Validate a submission against the schema for its detected format
+ * ("hybrid" payloads against every applicable model's schema).
+ * Returns { format, models, valid, errors: [{ field, message, value }], warnings: [{ field, message }] }.
+ */
+function validateInput(input) {
+  const isObject = input !== null && typeof input === "object" && !Array.isArray(input);
+  const format = isObject ? detectInputFormat(input) : "legacy";
+  const formats = isObject ? applicableModels(input) : ["legacy"];
+
+  // Shared fields (hostname, hardware_ids, ...) fail in every schema; report them once
+  const errors = [];
+  const seen = new Set();
+  formats.forEach((model) => {
+    const validate = validators[model];
+    if (validate(input)) return;
+    pruneOneOfErrors(validate.errors)
+      .map((error) => toFieldError(error, input))
+      .forEach((error) => {
+        const key = `${error.field}: ${error.message}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        errors.push(error);
+      });
+  });
+
+  if (errors.length === 0) {
+    return { format, models: formats, valid: true, errors: [], warnings: collectWarnings(formats, input) };
+  }
+
+  return { format, models: formats, valid: false, errors, warnings: [] };
+}
+
+/**
+ * Validate what-if overrides. Errors name the field as "overrides.<field>".
+ */
+function validateOverrides(overrides) {
+  if (validateOverridesSchema(overrides)) return { valid: true, errors: [] };
+
+  return {
+    valid: false,
+    errors: validateOverridesSchema.errors.map((error) => {
+      if (error.keyword === "additionalProperties") {
+        return {
+          field: `overrides.${error.params.additionalProperty}`,
+          message: "is not a measured field that can be overridden",
+          value: overrides[error.params.additionalProperty]
+        };
+      }
+      const fieldError = toFieldError(error, overrides);
+      return { ...fieldError, field: fieldError.field === "(root)" ? "overrides" : `overrides.${fieldError.field}` };
+    })
+  };
+}
+
+module.exports = {
+  validateInput,
+  validateOverrides,
+  OVERRIDES_SCHEMA,
+  SCHEMAS
+};
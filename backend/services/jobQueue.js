@@ -0,0 +1,110 @@
+const { randomUUID } = require("crypto");
+
+const JOB_STATES = ["queued", "running", "done", "failed"];
+
+/**
+ * In-process evaluation job queue.
+ * Jobs run one at a time in submission order; each job moves through
+ * queued -> running -> done | failed. Finished jobs are kept (up to
+ * `maxFinishedJobs`) so clients can poll their status.
+ */
+function createJobQueue({ worker, maxFinishedJobs = 500 }) {
+  const jobs = new Map();
+  const pending = [];
+  const waiters = new Map();
+  let running = false;
+
+  const publicView = (job) => ({
+    id: job.id,
+    state: job.state,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    meta: job.meta,
+    result: job.result,
+    error: job.error
+  });
+
+  const prune = () => {
+    const finished = [...jobs.values()].filter((job) => job.state === "done" || job.state === "failed");
+    for (const job of finished.slice(0, Math.max(0, finished.length - maxFinishedJobs))) {
+      jobs.delete(job.id);
+    }
+  };
+
+  const settle = (job) => {
+    (waiters.get(job.id) || []).forEach((resolve) => resolve(publicView(job)));
+    waiters.delete(job.id);
+  };
+
+  async function drain() {
+    if (running) return;
+    running = true;
+
+    while (pending.length > 0) {
+      const job = pending.shift();
+      job.state = "running";
+      job.startedAt = new Date().toISOString();
+
+      try {
+        job.result = await worker(job.payload, job);
+        job.state = "done";
+      } catch (error) {
+        job.error = error.message || "Job failed";
+        job.state = "failed";
+        console.error(`Job ${job.id} failed:`, job.error);
+      }
+
+      job.finishedAt = new Date().toISOString();
+      job.payload = undefined;
+      settle(job);
+    }
+
+    running = false;
+    prune();
+  }
+
+  return {
+    enqueue(payload, meta = {}) {
+      const job = {
+        id: randomUUID(),
+        state: "queued",
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        meta,
+        payload,
+        result: null,
+        error: null
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      setImmediate(drain);
+      return publicView(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? publicView(job) : null;
+    },
+
+    /**
+     * Resolve once the job is done or failed.
+     */
+    waitFor(id) {
+      const job = jobs.get(id);
+      if (!job) return Promise.resolve(null);
+      if (job.state === "done" || job.state === "failed") return Promise.resolve(publicView(job));
+
+      return new Promise((resolve) => {
+        waiters.set(id, [...(waiters.get(id) || []), resolve]);
+      });
+    },
+
+    hasPending() {
+      return running || pending.length > 0;
+    }
+  };
+}
+
+module.exports = { createJobQueue, JOB_STATES };
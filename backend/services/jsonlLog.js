@@ -0,0 +1,75 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Append-only JSON Lines log.
+ * Every entry is written as a single line and never rewritten, so concurrent
+ * writers (e.g. several serverless invocations sharing a volume) only ever add
+ * data. Reads tail the file from the last known offset, which also picks up
+ * entries appended by other processes.
+ */
+class JsonlLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  refresh() {
+    let size;
+    try {
+      size = fs.statSync(this.filePath).size;
+    } catch (error) {
+      if (error.code === "ENOENT") return this.entries;
+      throw error;
+    }
+
+    // File was truncated or replaced: start over
+    if (size < this.offset) {
+      this.offset = 0;
+      this.entries = [];
+    }
+
+    if (size === this.offset) return this.entries;
+
+    const length = size - this.offset;
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.filePath, "r");
+    try {
+      fs.readSync(fd, buffer, 0, length, this.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Only consume complete lines; a partially written line is picked up next time
+    const lastNewline = buffer.lastIndexOf(0x0a);
+    if (lastNewline === -1) return this.entries;
+
+    const chunk = buffer.subarray(0, lastNewline).toString("utf8");
+    this.offset += lastNewline + 1;
+
+    for (const line of chunk.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (error) {
+        console.error(`Skipping corrupt line in ${path.basename(this.filePath)}:`, error.message);
+      }
+    }
+
+    return this.entries;
+  }
+
+  append(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    this.refresh();
+    return entry;
+  }
+
+  all() {
+    return this.refresh();
+  }
+}
+
+module.exports = JsonlLog;
@@ -0,0 +1,285 @@
+const QRCode = require("qrcode");
+const { PNG } = require("pngjs");
+
+/**
+ * Printable asset labels linking a physical device to its reports. Each
+ * label carries a QR code of a short URL, <base>/l/<code>, where the code is
+ * "d" + the device ID's 16 hex digits or "r" + the report UUID's 32 hex
+ * digits. The frontend's /l/:code route (and the Scan page) resolves it
+ * through GET /api/labels/:code to the device's latest report.
+ *
+ * Sizes are in millimetres.
+ */
+
+const DEVICE_ID_PATTERN = /^dev_([0-9a-f]{16})$/;
+const REPORT_ID_PATTERN = /^([0-9a-f]{8})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{12})$/i;
+const CODE_PATTERN = /^(?:d([0-9a-f]{16})|r([0-9a-f]{32}))$/i;
+
+// Label sheets; pitch is the distance between the top-left corners of neighbours
+const LABEL_LAYOUTS = {
+  "avery-l7160": {
+    name: "Avery L7160 / J8160 (A4, 3 x 7, 63.5 x 38.1 mm)",
+    page: { size: "A4", width: 210, height: 297 },
+    label: { width: 63.5, height: 38.1 },
+    columns: 3,
+    rows: 7,
+    margin: { top: 15.15, left: 7.2 },
+    pitch: { x: 66, y: 38.1 }
+  },
+  "avery-5160": {
+    name: "Avery 5160 (US Letter, 3 x 10, 2.625 x 1 in)",
+    page: { size: "letter", width: 215.9, height: 279.4 },
+    label: { width: 66.675, height: 25.4 },
+    columns: 3,
+    rows: 10,
+    margin: { top: 12.7, left: 4.7625 },
+    pitch: { x: 69.85, y: 25.4 }
+  }
+};
+const DEFAULT_LAYOUT = "avery-l7160";
+
+const escapeXml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+const mm = (value) => Number(value.toFixed(3));
+
+/**
+ * { type: "device" | "report", id, code } for a device ID, report ID or label
+ * code; null for anything else
+ */
+function parseLabelTarget(value) {
+  const text = String(value ?? "").trim();
+  const device = text.match(DEVICE_ID_PATTERN);
+  if (device) return { type: "device", id: text, code: `d${device[1]}` };
+  const report = text.match(REPORT_ID_PATTERN);
+  if (report) return { type: "report", id: text.toLowerCase(), code: `r${report.slice(1).join("").toLowerCase()}` };
+
+  const code = text.match(CODE_PATTERN);
+  if (!code) return null;
+  if (code[1]) return { type: "device", id: `dev_${code[1].toLowerCase()}`, code: text.toLowerCase() };
+  const hex = code[2].toLowerCase();
+  return {
+    type: "report",
+    id: [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join("-"),
+    code: text.toLowerCase()
+  };
+}
+
+/**
+ * The short URL a label encodes
+ */
+const labelUrl = (baseUrl, code) => `${baseUrl.replace(/\/+$/, "")}/l/${code}`;
+
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// `value` as an http(s) base URL without a trailing slash, else null
+function normalizeBaseUrl(value) {
+  try {
+    const url = new URL(value);
+    if (!["http:", "https:"].includes(url.protocol) || url.search || url.hash) return null;
+    return `${url.origin}${url.pathname.replace(/\/+$/, "")}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The base URL labels point at, which is where the frontend serves /l/<code>:
+ * `requested` (?baseUrl=), else `configured` (LABEL_BASE_URL), else the
+ * origin the request came from (Origin or Referer), else the first allowed
+ * origin. Only the origins of `configured` and `allowedOrigins` are allowed,
+ * plus localhost with `allowLoopback`, so labels cannot be made to point at
+ * any other host. Throws INVALID_BASE_URL.
+ */
+function resolveLabelBase({ requested, configured, origin, allowedOrigins = [], allowLoopback = false }) {
+  const allowed = [configured, ...allowedOrigins].map(normalizeBaseUrl).filter(Boolean).map((base) => new URL(base).origin);
+  const isAllowed = (base) => {
+    const url = new URL(base);
+    return allowed.includes(url.origin) || (allowLoopback && LOOPBACK_HOSTS.includes(url.hostname));
+  };
+  const invalid = (message) => Object.assign(new Error(message), { code: "INVALID_BASE_URL" });
+
+  if (requested !== undefined) {
+    const base = normalizeBaseUrl(requested);
+    if (!base) throw invalid("baseUrl must be an http(s) URL without query or fragment");
+    if (!isAllowed(base)) throw invalid(`baseUrl must be on an allowed frontend origin (LABEL_BASE_URL or FRONTEND_ORIGINS), not ${new URL(base).origin}`);
+    return base;
+  }
+  if (normalizeBaseUrl(configured)) return normalizeBaseUrl(configured);
+  const from = URL.canParse(origin) ? normalizeBaseUrl(new URL(origin).origin) : null;
+  if (from && isAllowed(from)) return from;
+  if (allowed.length) return allowed[0];
+  throw invalid("No frontend URL for labels; pass ?baseUrl= or set LABEL_BASE_URL on the backend");
+}
+
+// ---- QR symbol ----
+
+/**
+ * QR code of `text` at error correction level M: { version, size,
+ * modules[y][x] } with true for dark
+ */
+function encodeQr(text) {
+  const { version, modules } = QRCode.create(String(text), { errorCorrectionLevel: "M" });
+  const rows = Array.from({ length: modules.size }, (_, y) =>
+    Array.from({ length: modules.size }, (_, x) => modules.get(y, x) === 1)
+  );
+  return { version, size: modules.size, modules: rows };
+}
+
+// One SVG path of unit squares, offset by the quiet zone
+function qrPath(qr, quietZone) {
+  const parts = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) parts.push(`M${x + quietZone} ${y + quietZone}h1v1h-1z`);
+    });
+  });
+  return parts.join("");
+}
+
+/**
+ * The QR symbol alone as a PNG, `scale` pixels per module
+ */
+function renderQrPng(text, { scale = 8, quietZone = 4 } = {}) {
+  const qr = encodeQr(text);
+  const size = (qr.size + quietZone * 2) * scale;
+  const data = Buffer.alloc(size * size);
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const column = Math.floor(x / scale) - quietZone;
+      const row = Math.floor(y / scale) - quietZone;
+      data[y * size + x] = qr.modules[row]?.[column] ? 0 : 255;
+    }
+  }
+  return PNG.sync.write({ width: size, height: size, data }, { colorType: 0, inputColorType: 0, inputHasAlpha: false });
+}
+
+// ---- Labels ----
+
+// Fixed-pitch text: Courier glyphs are 0.6 em wide
+const monoChars = (width, size) => Math.max(1, Math.floor(width / (size * 0.6)));
+// Rough Helvetica bold average width, enough to keep titles inside the label
+const sansChars = (width, size) => Math.max(1, Math.floor(width / (size * 0.62)));
+
+const truncate = (value, length) => (value.length > length ? `${value.slice(0, length - 1)}…` : value);
+
+/**
+ * SVG elements of one label of `width` x `height` with its top-left corner at
+ * the origin. `label` is { url, title, subtitle, id }.
+ */
+function labelContent(label, { width, height }) {
+  const pad = Math.min(2.5, height * 0.08);
+  const qrSide = Math.min(height - pad * 2, width * 0.45);
+  const qr = encodeQr(label.url);
+  const quietZone = 2;
+  const moduleSize = qrSide / (qr.size + quietZone * 2);
+
+  const left = pad + qrSide + pad * 0.6;
+  const textWidth = width - left - pad;
+  const bottom = height - pad;
+  const elements = [
+    `<rect width="${mm(width)}" height="${mm(height)}" fill="#fff"/>`,
+    `<path transform="translate(${mm(pad)} ${mm((height - qrSide) / 2)}) scale(${mm(moduleSize)})" d="${qrPath(qr, quietZone)}" fill="#000"/>`
+  ];
+
+  let top = pad;
+  const line = (text, { size, weight = "normal", family = "Helvetica, Arial, sans-serif", color = "#000" }) => {
+    if (top + size > bottom) return false;
+    top += size;
+    elements.push(
+      `<text x="${mm(left)}" y="${mm(top)}" font-family="${family}" font-size="${mm(size)}" font-weight="${weight}" fill="${color}">${escapeXml(text)}</text>`
+    );
+    top += size * 0.35;
+    return true;
+  };
+  const wrapped = (text, size) => {
+    const perLine = monoChars(textWidth, size);
+    const lines = text.match(new RegExp(`.{1,${perLine}}`, "g")) || [];
+    // Lines that fit; the last shown ends with an ellipsis when text is cut
+    const room = Math.max(0, Math.floor((bottom - top + size * 0.35) / (size * 1.35)));
+    if (lines.length > room && room > 0) lines.splice(room - 1, lines.length, `${lines[room - 1].slice(0, -1)}…`);
+    lines.forEach((value) => line(value, { size, family: "Courier, monospace" }));
+  };
+
+  const titleSize = height * 0.085;
+  const smallSize = height * 0.06;
+  const monoSize = height * 0.055;
+  line(truncate(label.title, sansChars(textWidth, titleSize)), { size: titleSize, weight: "bold" });
+  line(truncate(label.subtitle, sansChars(textWidth, smallSize)), { size: smallSize, color: "#444" });
+  top += smallSize * 0.4;
+  wrapped(label.id, monoSize);
+  wrapped(label.url.replace(/^https?:\/\//, ""), monoSize);
+
+  return elements.join("");
+}
+
+/**
+ * One label as a standalone SVG document (default: the layout's label size)
+ */
+function renderLabelSvg(label, { layout = DEFAULT_LAYOUT } = {}) {
+  const { width, height } = LABEL_LAYOUTS[layout].label;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">` +
+    `<title>${escapeXml(`${label.title} - ${label.id}`)}</title>${labelContent(label, { width, height })}</svg>\n`;
+}
+
+/**
+ * Printable HTML of label sheets: one SVG page per sheet, labels filled row by
+ * row, starting after `skip` positions already used on the first sheet
+ */
+function renderLabelSheet(labels, { layout = DEFAULT_LAYOUT, skip = 0 } = {}) {
+  const sheet = LABEL_LAYOUTS[layout];
+  const perPage = sheet.columns * sheet.rows;
+  const positions = labels.map((label, index) => ({ label, slot: index + skip }));
+  const pages = [];
+  positions.forEach(({ label, slot }) => {
+    const page = Math.floor(slot / perPage);
+    const cell = slot % perPage;
+    const x = sheet.margin.left + (cell % sheet.columns) * sheet.pitch.x;
+    const y = sheet.margin.top + Math.floor(cell / sheet.columns) * sheet.pitch.y;
+    (pages[page] ||= []).push(`<g transform="translate(${mm(x)} ${mm(y)})">${labelContent(label, sheet.label)}</g>`);
+  });
+
+  const { width, height, size } = sheet.page;
+  const svgPages = pages
+    .filter(Boolean)
+    .map((groups) => `<svg class="sheet" xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">${groups.join("")}</svg>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Asset labels (${escapeXml(sheet.name)})</title>
+  <style>
+    @page { size: ${size}; margin: 0; }
+    body { margin: 0; background: #E5E7EB; font-family: Helvetica, Arial, sans-serif; }
+    .sheet { display: block; margin: 16px auto; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); }
+    .actions { text-align: center; padding: 16px; }
+    @media print {
+      body { background: none; }
+      .actions { display: none; }
+      .sheet { margin: 0; box-shadow: none; page-break-after: always; }
+    }
+  </style>
+</head>
+<body>
+  <div class="actions">
+    ${labels.length} label${labels.length === 1 ? "" : "s"} on ${sheet.name}. Print at 100% scale (no "fit to page").
+    <button onclick="window.print()">Print</button>
+  </div>
+  ${svgPages.join("\n  ")}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  parseLabelTarget,
+  labelUrl,
+  resolveLabelBase,
+  encodeQr,
+  renderQrPng,
+  renderLabelSvg,
+  renderLabelSheet,
+  LABEL_LAYOUTS,
+  DEFAULT_LAYOUT
+};
@@ -0,0 +1,1441 @@
+const { SCHEMAS, OVERRIDES_SCHEMA } = require("./inputValidator");
+const { JOB_STATES } = require("./jobQueue");
+const { LEGACY_COMPONENT_NAMES } = require("./evaluateDevice");
+const { UNVERIFIED_REASONS, SIGNER_TYPES } = require("./signerRegistry");
+const { INVALID_REASONS } = require("./certificates");
+const { LABEL_LAYOUTS, DEFAULT_LAYOUT } = require("./labels");
+const { SYMBOLOGIES } = require("./barcodeScanner");
+const pkg = require("../package.json");
+
+/**
+ * OpenAPI 3.1 contract for the backend.
+ * Request bodies reuse the submission JSON Schemas (schemas/*.schema.json);
+ * testOpenApi.js checks the paths against the registered Express routes and
+ * validates live responses against the response schemas below.
+ */
+
+const INPUT_SCHEMA_NAMES = {
+  legacy: "LegacyPayload",
+  standardized: "StandardizedPayload",
+  omls: "OmlsPayload"
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, "null"] });
+
+/**
+ * Re-home a standalone JSON Schema under components.schemas.<name>:
+ * drop $id / $schema and rewrite file-relative and local $refs.
+ */
+function embedSchema(schema, name) {
+  if (Array.isArray(schema)) return schema.map((item) => embedSchema(item, name));
+  if (!schema || typeof schema !== "object") return schema;
+
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => key !== "$id" && key !== "$schema")
+      .map(([key, value]) => {
+        if (key !== "$ref") return [key, embedSchema(value, name)];
+        if (value.startsWith("common.schema.json#/")) {
+          return [key, value.replace("common.schema.json#/", "#/components/schemas/SubmissionMetadata/")];
+        }
+        return [key, value.replace(/^#\//, `#/components/schemas/${name}/`)];
+      })
+  );
+}
+
+const json = (schema, description = "OK") => ({
+  description,
+  content: { "application/json": { schema } }
+});
+
+const error = (description) => json(ref("Error"), description);
+
+const reportIdParam = {
+  name: "reportId",
+  in: "query",
+  required: false,
+  description: "Stored report to read; defaults to the most recent submission",
+  schema: { type: "string" }
+};
+
+const pathParam = (name, description) => ({
+  name,
+  in: "path",
+  required: true,
+  description,
+  schema: { type: "string" }
+});
+
+const rangeParams = [
+  { name: "from", in: "query", required: false, description: "ISO 8601 lower bound (inclusive)", schema: { type: "string" } },
+  { name: "to", in: "query", required: false, description: "ISO 8601 upper bound (inclusive)", schema: { type: "string" } }
+];
+
+const labelIdParam = pathParam("id", "Device ID, report ID or label code");
+const layoutParam = {
+  name: "layout",
+  in: "query",
+  required: false,
+  description: "Label sheet layout; single labels use its label size",
+  schema: { type: "string", enum: Object.keys(LABEL_LAYOUTS), default: DEFAULT_LAYOUT }
+};
+const baseUrlParam = {
+  name: "baseUrl",
+  in: "query",
+  required: false,
+  description: "Frontend URL for the short URL, on the origin of LABEL_BASE_URL, FRONTEND_ORIGINS or (in development) localhost; defaults to LABEL_BASE_URL, else the requesting frontend (Origin or Referer), else the first of FRONTEND_ORIGINS. 400 when none applies",
+  schema: { type: "string" }
+};
+
+const keyHeader = (name, purpose) => ({
+  name,
+  in: "header",
+  required: false,
+  description: `${purpose} key; overrides the server environment variable`,
+  schema: { type: "string" }
+});
+
+const responseSchemas = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: { error: { type: "string" } }
+  },
+  FieldIssue: {
+    type: "object",
+    required: ["field", "message"],
+    properties: {
+      field: { type: "string", description: "Dotted path of the offending field" },
+      message: { type: "string" },
+      value: { description: "The rejected value" }
+    }
+  },
+  ValidationError: {
+    type: "object",
+    additionalProperties: false,
+    required: ["error", "format", "details"],
+    properties: {
+      error: { type: "string" },
+      format: { type: "string", enum: [...Object.keys(INPUT_SCHEMA_NAMES), "hybrid"] },
+      details: { type: "array", items: ref("FieldIssue") }
+    }
+  },
+  Overall: {
+    type: "object",
+    required: ["health", "total_score", "reusable"],
+    properties: {
+      health: { type: "string" },
+      total_score: { type: "number" },
+      reusable: { type: "boolean" },
+      classification: { type: "string" },
+      longevity_years: nullable("number"),
+      sustainability: { type: "string" },
+      drivenBy: { type: "string", description: "HYBRID reports: the model whose verdict decided the overall result" },
+      reason: { type: "string", description: "HYBRID reports: why that model drove the verdict" }
+    }
+  },
+  ExplanationNode: {
+    type: "object",
+    description: "One line of a score explanation: a category, rule or lookup band and what it contributed",
+    required: ["label"],
+    properties: {
+      id: { type: "string" },
+      label: { type: "string" },
+      rule: { type: "string", description: "Rule, formula or profile lookup table consulted" },
+      input: { type: "object", description: "Input values the rule read" },
+      threshold: nullable("number"),
+      matched: { type: "string", description: "Which branch or band matched" },
+      points: { type: "number", description: "Points awarded (negative for deductions)" },
+      max: { type: "number" },
+      children: { type: "array", items: ref("ExplanationNode") }
+    }
+  },
+  Explanation: {
+    type: "object",
+    required: ["model", "label", "points", "max", "children"],
+    properties: {
+      model: { type: "string" },
+      profile: {
+        type: "object",
+        required: ["name", "version"],
+        properties: { name: { type: "string" }, version: { type: "string" } }
+      },
+      label: { type: "string" },
+      points: { type: "number" },
+      max: { type: "number" },
+      matched: { type: "string" },
+      children: { type: "array", items: ref("ExplanationNode") }
+    }
+  },
+  Report: {
+    type: "object",
+    description: "evaluateDevice result; sections depend on the evaluation model (a HYBRID report has the sections of every model it ran)",
+    required: ["evaluationModel", "overall"],
+    properties: {
+      evaluationModel: {
+        type: "string",
+        enum: ["LEGACY_COMPONENT_HEALTH", "STANDARDIZED_HARDWARE_REUSABILITY", "OPEN_MODULAR_LAPTOP_STANDARD", "HYBRID", "ERROR"]
+      },
+      overall: ref("Overall"),
+      models: { type: "array", items: { type: "string" }, description: "HYBRID reports: models that ran, in precedence order" },
+      modelVerdicts: {
+        type: "object",
+        description: "HYBRID reports: each model's own overall verdict",
+        additionalProperties: {
+          allOf: [ref("Overall"), { type: "object", required: ["evaluationModel"], properties: { evaluationModel: { type: "string" } } }]
+        }
+      },
+      scoringProfile: {
+        type: "object",
+        description: "Scoring profile used by the standardized model",
+        required: ["name", "version"],
+        properties: { name: { type: "string" }, version: { type: "string" } }
+      },
+      standardized: { type: "object" },
+      smart: ref("SmartSummary"),
+      components: { type: "object", additionalProperties: { type: "object" } },
+      componentBreakdowns: { type: "object", additionalProperties: { type: "object" } },
+      reusabilitySummary: { type: "object" },
+      omls: { type: "object" },
+      warnings: { type: "array", items: ref("FieldIssue") },
+      verification: ref("Verification"),
+      explanation: ref("Explanation"),
+      error: { type: "string" }
+    }
+  },
+  Verification: {
+    type: "object",
+    additionalProperties: false,
+    description: "Whether the submission was signed by a registered signer",
+    required: ["verified", "reason", "keyId", "signer", "fingerprint", "verifiedAt"],
+    properties: {
+      verified: { type: "boolean" },
+      reason: {
+        type: ["string", "null"],
+        enum: [...Object.keys(UNVERIFIED_REASONS), null],
+        description: "Why the submission is unverified; null when verified"
+      },
+      keyId: nullable("string"),
+      signer: {
+        oneOf: [
+          {
+            type: "object",
+            additionalProperties: false,
+            required: ["id", "name", "type"],
+            properties: { id: { type: "string" }, name: { type: "string" }, type: { type: "string", enum: SIGNER_TYPES } }
+          },
+          { type: "null" }
+        ]
+      },
+      fingerprint: nullable("string"),
+      verifiedAt: { type: "string" }
+    }
+  },
+  StoredReport: {
+    type: "object",
+    additionalProperties: false,
+    required: ["id", "jobId", "deviceId", "hostname", "submittedAt", "input", "report"],
+    properties: {
+      id: { type: "string" },
+      jobId: nullable("string"),
+      deviceId: nullable("string"),
+      hostname: { type: "string" },
+      submittedAt: { type: "string" },
+      input: { type: "object" },
+      report: ref("Report")
+    }
+  },
+  ReportSummary: {
+    type: "object",
+    additionalProperties: false,
+    required: ["id", "deviceId", "hostname", "submittedAt", "evaluationModel", "overall"],
+    properties: {
+      id: { type: "string" },
+      deviceId: nullable("string"),
+      hostname: { type: "string" },
+      submittedAt: { type: "string" },
+      evaluationModel: { type: "string" },
+      overall: ref("Overall"),
+      verified: { type: "boolean", description: "Signed by a registered signer" }
+    }
+  },
+  JobResult: {
+    type: "object",
+    additionalProperties: false,
+    required: ["reportId", "deviceId", "hostname"],
+    properties: {
+      reportId: { type: "string" },
+      deviceId: nullable("string"),
+      hostname: { type: "string" }
+    }
+  },
+  Job: {
+    type: "object",
+    additionalProperties: false,
+    required: ["id", "state", "createdAt", "startedAt", "finishedAt", "meta", "result", "error"],
+    properties: {
+      id: { type: "string" },
+      state: { type: "string", enum: JOB_STATES },
+      createdAt: { type: "string" },
+      startedAt: nullable("string"),
+      finishedAt: nullable("string"),
+      meta: {
+        type: "object",
+        properties: {
+          hostname: { type: "string" },
+          deviceId: nullable("string")
+        }
+      },
+      result: { oneOf: [ref("JobResult"), { type: "null" }] },
+      error: nullable("string")
+    }
+  },
+  SubmitAccepted: {
+    type: "object",
+    additionalProperties: false,
+    required: ["status", "jobId", "statusUrl", "warnings"],
+    properties: {
+      status: { type: "string", enum: JOB_STATES },
+      jobId: { type: "string" },
+      statusUrl: { type: "string" },
+      warnings: { type: "array", items: ref("FieldIssue") },
+      reportId: { type: "string", description: "Present when the job already finished (serverless deployments)" },
+      deviceId: nullable("string"),
+      hostname: { type: "string" },
+      verification: ref("Verification"),
+      duplicate: { type: "boolean", description: "The Idempotency-Key was already used; this is the earlier submission's job" }
+    }
+  },
+  Status: {
+    type: "object",
+    additionalProperties: false,
+    required: ["processing", "hasResult"],
+    properties: {
+      processing: { type: "boolean", description: "An evaluation job is queued or running" },
+      hasResult: { type: "boolean" }
+    }
+  },
+  ActivityEvent: {
+    type: "object",
+    required: ["timestamp", "type"],
+    properties: {
+      timestamp: { type: "string" },
+      type: { type: "string", enum: ["monitoring", "submission"] },
+      deviceId: { type: "string" },
+      cpu_usage: nullable("number"),
+      ram_gb: nullable("number"),
+      storage_health: nullable("number"),
+      battery_health: nullable("number")
+    }
+  },
+  ComponentDetail: {
+    type: "object",
+    additionalProperties: false,
+    required: ["component"],
+    properties: {
+      component: { type: "object" },
+      components: { type: "array", items: { type: "string" }, description: "Components the report has breakdowns for" },
+      overallHealth: { type: "string" },
+      overallScore: { type: "number" }
+    }
+  },
+  LatestSummary: {
+    type: "object",
+    additionalProperties: false,
+    required: ["reportId", "submittedAt", "overall"],
+    properties: {
+      reportId: { type: "string" },
+      submittedAt: { type: "string" },
+      evaluationModel: { type: "string" },
+      overall: ref("Overall")
+    }
+  },
+  Device: {
+    type: "object",
+    additionalProperties: false,
+    required: ["id", "fingerprint", "hostname", "name", "tags", "hardwareIds", "firstSeen", "lastSeen", "submissionCount", "latestReportId", "retired", "retiredAt", "latest"],
+    properties: {
+      id: { type: "string" },
+      fingerprint: { type: "string" },
+      hostname: { type: "string" },
+      name: { type: "string" },
+      tags: { type: "array", items: { type: "string" } },
+      hardwareIds: { type: "object" },
+      firstSeen: { type: "string" },
+      lastSeen: { type: "string" },
+      submissionCount: { type: "integer" },
+      latestReportId: nullable("string"),
+      retired: { type: "boolean" },
+      retiredAt: nullable("string"),
+      latest: { oneOf: [ref("LatestSummary"), { type: "null" }] }
+    }
+  },
+  DeviceLatestReport: {
+    type: "object",
+    additionalProperties: false,
+    required: ["deviceId", "reportId", "submittedAt", "report"],
+    properties: {
+      deviceId: { type: "string" },
+      reportId: { type: "string" },
+      submittedAt: { type: "string" },
+      report: ref("Report")
+    }
+  },
+  HistoryEntry: {
+    type: "object",
+    required: ["reportId", "submittedAt", "evaluationModel", "totalScore", "health"],
+    properties: {
+      reportId: { type: "string" },
+      submittedAt: { type: "string" },
+      evaluationModel: { type: "string" },
+      totalScore: nullable("number"),
+      health: nullable("string"),
+      standardized: { type: "object" },
+      legacy: { type: "object" },
+      omls: { type: "object" }
+    }
+  },
+  DeviceHistory: {
+    type: "object",
+    additionalProperties: false,
+    required: ["deviceId", "entries"],
+    properties: {
+      deviceId: { type: "string" },
+      entries: { type: "array", items: ref("HistoryEntry") }
+    }
+  },
+  DeviceTrend: {
+    type: "object",
+    additionalProperties: false,
+    required: ["deviceId", "metric", "points", "stats"],
+    properties: {
+      deviceId: { type: "string" },
+      metric: { type: "string" },
+      points: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["t", "value", "reportId"],
+          properties: {
+            t: { type: "string" },
+            value: { type: "number" },
+            reportId: { type: "string" }
+          }
+        }
+      },
+      stats: {
+        type: "object",
+        required: ["count", "first", "last", "min", "max", "delta"],
+        properties: {
+          count: { type: "integer" },
+          first: nullable("number"),
+          last: nullable("number"),
+          min: nullable("number"),
+          max: nullable("number"),
+          delta: nullable("number")
+        }
+      }
+    }
+  },
+  ReportDiff: {
+    type: "object",
+    additionalProperties: false,
+    required: ["from", "to", "sameDevice", "totalScore", "classification", "categories", "components", "omlsRuleChanges", "summary"],
+    properties: {
+      from: { type: "object", required: ["reportId", "submittedAt"] },
+      to: { type: "object", required: ["reportId", "submittedAt"] },
+      sameDevice: { type: "boolean" },
+      totalScore: {
+        type: "object",
+        required: ["from", "to", "delta", "model"],
+        properties: {
+          from: nullable("number"),
+          to: nullable("number"),
+          delta: nullable("number"),
+          model: { ...nullable("string"), description: "Model whose scores are compared; null when the reports share none" }
+        }
+      },
+      classification: { type: "object", required: ["from", "to", "changed", "tier"] },
+      categories: { type: "array", items: { type: "object", required: ["category", "from", "to", "delta", "changed"] } },
+      components: { type: "array", items: { type: "object", required: ["component", "fromHealth", "toHealth", "transition", "direction", "changed"] } },
+      omlsRuleChanges: { type: "array", items: { type: "object", required: ["componentId", "ruleId", "from", "to"] } },
+      summary: {
+        type: "object",
+        required: ["changedCategories", "componentTransitions"],
+        properties: {
+          changedCategories: { type: "array", items: { type: "string" } },
+          componentTransitions: { type: "array", items: { type: "string" } }
+        }
+      }
+    }
+  },
+  SimulatedScore: {
+    type: "object",
+    required: ["totalScore", "tier"],
+    properties: {
+      totalScore: { type: "number" },
+      tier: { type: "string", description: "Standardized classification tier, or legacy overall health" },
+      classification: { type: "string" },
+      reusable: { type: "boolean" },
+      categories: { type: "object", additionalProperties: { type: "number" } },
+      components: { type: "object", additionalProperties: { type: "number" } }
+    }
+  },
+  ModelSimulation: {
+    type: "object",
+    additionalProperties: false,
+    required: ["original", "simulated", "scoreDelta", "tierChange", "nextTier"],
+    properties: {
+      original: ref("SimulatedScore"),
+      simulated: ref("SimulatedScore"),
+      scoreDelta: { type: "number" },
+      tierChange: {
+        type: "object",
+        required: ["from", "to", "changed", "direction"],
+        properties: {
+          from: { type: "string" },
+          to: { type: "string" },
+          changed: { type: "boolean" },
+          direction: { type: "string", enum: ["UP", "DOWN", "UNCHANGED"] }
+        }
+      },
+      nextTier: {
+        description: "Fewest repairs that reach the next tier above the simulated one; null at the top tier",
+        oneOf: [
+          { type: "null" },
+          {
+            type: "object",
+            required: ["tier", "minScore", "reachable", "repairs", "resultingScore", "resultingTier"],
+            properties: {
+              tier: { type: "string" },
+              minScore: { type: "number" },
+              reachable: { type: "boolean" },
+              repairs: {
+                type: "array",
+                items: {
+                  type: "object",
+                  required: ["id", "label", "changes"],
+                  properties: {
+                    id: { type: "string" },
+                    label: { type: "string" },
+                    changes: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        required: ["field", "from", "to"],
+                        properties: { field: { type: "string" }, from: {}, to: {} }
+                      }
+                    }
+                  }
+                }
+              },
+              resultingScore: nullable("number"),
+              resultingTier: nullable("string")
+            }
+          }
+        ]
+      }
+    }
+  },
+  Simulation: {
+    type: "object",
+    additionalProperties: false,
+    required: ["reportId", "overrides", "scoringProfile", "standardized", "legacy"],
+    properties: {
+      reportId: { type: "string" },
+      overrides: { type: "object" },
+      scoringProfile: {
+        oneOf: [
+          { type: "null" },
+          { type: "object", required: ["name", "version"], properties: { name: { type: "string" }, version: { type: "string" } } }
+        ]
+      },
+      standardized: { oneOf: [{ type: "null" }, ref("ModelSimulation")] },
+      legacy: { oneOf: [{ type: "null" }, ref("ModelSimulation")] }
+    }
+  },
+  InvalidOverrides: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      details: { type: "array", items: ref("FieldIssue") }
+    }
+  },
+  Signer: {
+    type: "object",
+    additionalProperties: false,
+    required: ["id", "name", "type", "deviceId", "fingerprint", "addedAt", "revokedAt"],
+    properties: {
+      id: { type: "string", description: "Key ID submissions are signed under" },
+      name: { type: "string" },
+      type: { type: "string", enum: SIGNER_TYPES, description: "A device key only verifies submissions from deviceId" },
+      deviceId: nullable("string"),
+      fingerprint: { type: "string", description: "SHA-256 of the public key" },
+      addedAt: nullable("string"),
+      revokedAt: nullable("string")
+    }
+  },
+  Certificate: {
+    type: "object",
+    additionalProperties: false,
+    description: "Signed reusability certificate; `hash` covers every field but hash and signature, `signature` every field but itself",
+    required: ["id", "version", "issuedAt", "issuer", "report", "device", "result", "submission", "hash", "signature"],
+    properties: {
+      id: { type: "string" },
+      version: { type: "integer" },
+      issuedAt: { type: "string" },
+      issuer: {
+        type: "object",
+        required: ["name", "keyId", "algorithm"],
+        properties: { name: { type: "string" }, keyId: { type: "string" }, algorithm: { type: "string" } }
+      },
+      issuedBy: { ...nullable("string"), description: "Authenticated issuer who requested the certificate; absent on certificates issued before issuer tokens" },
+      report: {
+        type: "object",
+        required: ["id", "submittedAt", "testedAt"],
+        properties: { id: { type: "string" }, submittedAt: { type: "string" }, testedAt: { type: "string" } }
+      },
+      device: {
+        type: "object",
+        required: ["deviceId", "name", "hostname", "serialNumber", "productUuid"],
+        properties: {
+          deviceId: nullable("string"),
+          name: nullable("string"),
+          hostname: { type: "string" },
+          serialNumber: nullable("string"),
+          productUuid: nullable("string")
+        }
+      },
+      result: {
+        type: "object",
+        required: ["totalScore", "maxScore", "tier", "classification", "description", "categories"],
+        properties: {
+          totalScore: { type: "number" },
+          maxScore: { type: "number" },
+          tier: { type: "string" },
+          classification: { type: "string" },
+          description: { type: "string" },
+          scoringProfile: { oneOf: [{ type: "object", properties: { name: { type: "string" }, version: { type: "string" } } }, { type: "null" }] },
+          categories: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["key", "label", "score", "maxScore", "percentage"],
+              properties: {
+                key: { type: "string" },
+                label: { type: "string" },
+                score: { type: "number" },
+                maxScore: { type: "number" },
+                percentage: { type: "number" }
+              }
+            }
+          }
+        }
+      },
+      submission: {
+        type: "object",
+        required: ["verified", "signer"],
+        properties: { verified: { type: "boolean" }, signer: nullable("string") }
+      },
+      hash: { type: "string", pattern: "^sha256:[0-9a-f]{64}$" },
+      signature: { $ref: "#/components/schemas/SubmissionMetadata/definitions/signature" }
+    }
+  },
+  CertificateVerification: {
+    type: "object",
+    additionalProperties: false,
+    required: ["certificateId", "valid", "reason", "message", "checks", "certificate"],
+    properties: {
+      certificateId: { type: "string" },
+      valid: { type: "boolean" },
+      reason: { type: ["string", "null"], enum: [...Object.keys(INVALID_REASONS), null] },
+      message: { type: "string" },
+      checks: {
+        type: "object",
+        additionalProperties: false,
+        required: ["integrity", "signature", "issued"],
+        properties: {
+          integrity: { type: "boolean", description: "The content matches its hash" },
+          signature: { type: "boolean", description: "Signed by this issuer" },
+          issued: { type: "boolean", description: "Identical to the certificate this backend issued" },
+          printedHash: { type: "boolean", description: "The `hash` query matches (GET only)" }
+        }
+      },
+      certificate: ref("Certificate")
+    }
+  },
+  LabelTarget: {
+    type: "object",
+    additionalProperties: false,
+    required: ["type", "id", "code", "deviceId", "reportId", "hostname", "name", "url"],
+    properties: {
+      type: { type: "string", enum: ["device", "report"] },
+      id: { type: "string", description: "Device ID or report ID" },
+      code: { type: "string", pattern: "^(d[0-9a-f]{16}|r[0-9a-f]{32})$", description: "Label code in the short URL" },
+      deviceId: nullable("string"),
+      reportId: { ...nullable("string"), description: "The report the label opens: the device's latest, null before its first report" },
+      hostname: { type: "string" },
+      name: nullable("string"),
+      url: { type: "string", description: "Short URL encoded in the QR code" }
+    }
+  },
+  ScoringProfileSummary: {
+    type: "object",
+    additionalProperties: false,
+    required: ["name", "version", "description", "default", "categories", "classification"],
+    properties: {
+      name: { type: "string" },
+      version: { type: "string" },
+      description: { type: "string" },
+      default: { type: "boolean" },
+      categories: { type: "object", additionalProperties: { type: "number" } },
+      classification: { type: "object", additionalProperties: { type: "number" } }
+    }
+  },
+  ScoringProfile: {
+    type: "object",
+    description: "Fully resolved profile (file overrides merged over the default)",
+    required: ["name", "version", "categories", "performanceScoring", "ssdWearScoring", "batteryHealthScoring", "thermalLimits", "physicalDeductions", "classification"],
+    properties: {
+      name: { type: "string" },
+      version: { type: "string" },
+      description: { type: "string" },
+      categories: { type: "object", additionalProperties: { type: "number" } },
+      performanceScoring: { type: "array", items: { type: "object", required: ["threshold", "score"] } },
+      ssdWearScoring: { type: "array", items: { type: "object", required: ["threshold", "score"] } },
+      batteryHealthScoring: { type: "array", items: { type: "object", required: ["threshold", "score"] } },
+      thermalLimits: { type: "object", required: ["normal", "critical"] },
+      physicalDeductions: { type: "object", additionalProperties: { type: "number" } },
+      classification: { type: "object", additionalProperties: { type: "number" } }
+    }
+  },
+  SmartDrive: {
+    type: "object",
+    additionalProperties: false,
+    required: ["device", "model", "serial", "protocol", "solidState", "status", "percentageUsed", "reallocatedSectors", "pendingSectors", "mediaErrors", "powerOnHours", "findings", "attributes"],
+    properties: {
+      device: nullable("string"),
+      model: nullable("string"),
+      serial: nullable("string"),
+      protocol: nullable("string"),
+      solidState: nullable("boolean"),
+      status: { type: "string", enum: ["GOOD", "WARNING", "FAILED", "UNKNOWN"] },
+      percentageUsed: { ...nullable("number"), description: "Rated endurance used, in percent (may exceed 100)" },
+      reallocatedSectors: nullable("number"),
+      pendingSectors: nullable("number"),
+      mediaErrors: nullable("number"),
+      powerOnHours: nullable("number"),
+      findings: { type: "array", items: { type: "string" } },
+      attributes: { type: ["object", "array", "null"], description: "Raw ATA attribute table or NVMe health log" }
+    }
+  },
+  SmartSummary: {
+    type: "object",
+    required: ["status", "ssdWearPercent", "drives"],
+    properties: {
+      status: { type: "string", enum: ["GOOD", "WARNING", "FAILED", "UNKNOWN"], description: "Worst drive status" },
+      ssdWearPercent: { ...nullable("number"), description: "Highest SSD endurance used, capped at 100" },
+      drives: { type: "array", items: ref("SmartDrive") }
+    }
+  },
+  SmartUpload: {
+    allOf: [
+      ref("SmartSummary"),
+      {
+        type: "object",
+        required: ["fields"],
+        properties: {
+          fields: {
+            type: "object",
+            description: "Standardized inputs measured by the SMART data",
+            properties: {
+              storage_smart_status: { type: "string" },
+              ssd_wear_percentage: { type: "number" }
+            }
+          }
+        }
+      }
+    ]
+  },
+  Barcode: {
+    type: "object",
+    additionalProperties: false,
+    required: ["symbology", "value", "boundingBox", "cornerPoints"],
+    properties: {
+      symbology: { type: "string", enum: SYMBOLOGIES },
+      value: { type: "string" },
+      boundingBox: {
+        type: "object",
+        additionalProperties: false,
+        required: ["x", "y", "width", "height"],
+        properties: {
+          x: { type: "integer" },
+          y: { type: "integer" },
+          width: { type: "integer" },
+          height: { type: "integer" }
+        }
+      },
+      cornerPoints: {
+        type: "array",
+        description: "Symbol corners in image pixels, clockwise from its top-left",
+        minItems: 4,
+        maxItems: 4,
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["x", "y"],
+          properties: { x: { type: "integer" }, y: { type: "integer" } }
+        }
+      }
+    }
+  },
+  OcrResult: {
+    type: "object",
+    additionalProperties: false,
+    required: ["text", "provider", "barcodes"],
+    properties: {
+      text: { type: "string", description: "Label text, or the decoded barcode values one per line" },
+      provider: { type: "string", enum: ["local", "google-vision", "roboflow"] },
+      barcodes: { type: "array", description: "Barcodes decoded on the server; empty for remote results", items: ref("Barcode") },
+      prediction: { type: "object", description: "Raw provider response (remote providers only)" }
+    }
+  },
+  FixSuggestions: {
+    type: "object",
+    additionalProperties: false,
+    required: ["suggestions"],
+    properties: { suggestions: { type: "string" } }
+  },
+  AiReportSummary: {
+    type: "object",
+    additionalProperties: false,
+    required: ["summary", "nextSteps", "recommendation"],
+    properties: {
+      summary: { type: "string" },
+      nextSteps: { type: "array", items: { type: "string" } },
+      recommendation: { type: "string" }
+    }
+  },
+  AiChatAnswer: {
+    type: "object",
+    additionalProperties: false,
+    required: ["answer"],
+    properties: { answer: { type: "string" } }
+  }
+};
+
+const paths = {
+  "/": {
+    get: {
+      tags: ["Meta"],
+      summary: "Health check",
+      responses: { 200: { description: "Backend is running", content: { "text/html": { schema: { type: "string" } } } } }
+    }
+  },
+  "/graph": {
+    get: {
+      tags: ["Meta"],
+      summary: "Live activity graph page",
+      responses: { 200: { description: "HTML page polling /api/activity", content: { "text/html": { schema: { type: "string" } } } } }
+    }
+  },
+  "/api/openapi.json": {
+    get: {
+      tags: ["Meta"],
+      summary: "This OpenAPI document",
+      responses: { 200: json({ type: "object" }) }
+    }
+  },
+  "/api/docs": {
+    get: {
+      tags: ["Meta"],
+      summary: "API explorer (Swagger UI)",
+      responses: { 200: { description: "HTML page", content: { "text/html": { schema: { type: "string" } } } } }
+    }
+  },
+  "/api/submit-diagnostics": {
+    post: {
+      tags: ["Submissions"],
+      summary: "Submit diagnostics for evaluation",
+      description: "Validates the payload against the schema for its format (OMLS, standardized or legacy) and queues an evaluation job.",
+      parameters: [
+        {
+          name: "Idempotency-Key",
+          in: "header",
+          required: false,
+          description: "Unique ID of the payload. Resending the same payload with it returns the first submission's job and report instead of evaluating the payload again; sending a different payload with it is rejected with 422. The payload is validated (and its signature checked) before the key is looked up.",
+          schema: { type: "string", pattern: "^[\\x21-\\x7e]{1,200}$" }
+        }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              description: "A payload with data for several models is evaluated by each of them (HYBRID report)",
+              anyOf: Object.values(INPUT_SCHEMA_NAMES).map(ref)
+            }
+          }
+        }
+      },
+      responses: {
+        200: json(ref("SubmitAccepted"), "Idempotency-Key already used: the earlier submission's job"),
+        202: json(ref("SubmitAccepted"), "Evaluation job queued"),
+        400: error("Malformed Idempotency-Key"),
+        422: json(ref("ValidationError"), "Payload failed schema validation, is not signed by a registered signer while REQUIRE_SIGNED_SUBMISSIONS is set, or reuses an Idempotency-Key sent with a different payload")
+      }
+    }
+  },
+  "/api/jobs/{id}": {
+    get: {
+      tags: ["Submissions"],
+      summary: "Evaluation job status",
+      parameters: [pathParam("id", "Job ID returned by submit-diagnostics")],
+      responses: { 200: json(ref("Job")), 404: error("Unknown job") }
+    }
+  },
+  "/api/status": {
+    get: {
+      tags: ["Submissions"],
+      summary: "Global processing status",
+      responses: { 200: json(ref("Status")) }
+    }
+  },
+  "/api/activity": {
+    get: {
+      tags: ["Live"],
+      summary: "Recent monitoring and submission events (last 100)",
+      responses: { 200: json({ type: "array", items: ref("ActivityEvent") }) }
+    }
+  },
+  "/api/diagnostics": {
+    get: {
+      tags: ["Reports"],
+      summary: "Evaluation result",
+      parameters: [
+        reportIdParam,
+        {
+          name: "explain",
+          in: "query",
+          required: false,
+          description: "`true` adds the explanation trace, re-running the evaluation when the report was stored without one",
+          schema: { type: "string", enum: ["true", "false"] }
+        }
+      ],
+      responses: {
+        200: json(ref("Report")),
+        404: error("No report yet / unknown reportId"),
+        409: error("The report's scoring profile version is no longer loaded, so it cannot be explained")
+      }
+    }
+  },
+  "/api/component/{name}": {
+    get: {
+      tags: ["Reports"],
+      summary: "Legacy component health breakdown",
+      parameters: [pathParam("name", `Component name (${LEGACY_COMPONENT_NAMES.join(", ")})`), reportIdParam],
+      responses: {
+        200: json(ref("ComponentDetail")),
+        400: error("Invalid component name"),
+        404: error("No report or no breakdown for the component")
+      }
+    }
+  },
+  "/api/reusability": {
+    get: {
+      tags: ["Reports"],
+      summary: "Legacy reusability summary",
+      parameters: [reportIdParam],
+      responses: { 200: json({ type: "object" }), 404: error("No report yet / unknown reportId") }
+    }
+  },
+  "/api/reports": {
+    get: {
+      tags: ["Reports"],
+      summary: "Recent stored reports, newest first",
+      parameters: [
+        { name: "limit", in: "query", required: false, schema: { type: "integer", minimum: 1, maximum: 500, default: 50 } },
+        { name: "hostname", in: "query", required: false, schema: { type: "string" } },
+        { name: "deviceId", in: "query", required: false, schema: { type: "string" } }
+      ],
+      responses: { 200: json({ type: "array", items: ref("ReportSummary") }) }
+    }
+  },
+  "/api/reports/{id}": {
+    get: {
+      tags: ["Reports"],
+      summary: "Full stored report (input payload + evaluation)",
+      parameters: [pathParam("id", "Report ID")],
+      responses: { 200: json(ref("StoredReport")), 404: error("Unknown report") }
+    }
+  },
+  "/api/reports/{fromId}/diff/{toId}": {
+    get: {
+      tags: ["Reports"],
+      summary: "Compare two stored evaluations",
+      parameters: [pathParam("fromId", "Earlier report ID"), pathParam("toId", "Later report ID")],
+      responses: { 200: json(ref("ReportDiff")), 404: error("Unknown report") }
+    }
+  },
+  "/api/reports/{id}/simulate": {
+    post: {
+      tags: ["Reports"],
+      summary: "What-if re-scoring with hypothetical measurements",
+      description: "Re-scores the stored input with `overrides` applied, side by side with the original, for the standardized and legacy models the report has measurements for, and lists the fewest repairs that reach the next tier.",
+      parameters: [pathParam("id", "Report ID")],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: { type: "object", additionalProperties: false, properties: { overrides: OVERRIDES_SCHEMA } }
+          }
+        }
+      },
+      responses: {
+        200: json(ref("Simulation")),
+        404: error("Unknown report"),
+        409: error("The report's scoring profile version is no longer loaded"),
+        422: json(ref("InvalidOverrides"), "Invalid overrides, or a report that is neither standardized nor legacy")
+      }
+    }
+  },
+  "/api/devices": {
+    get: {
+      tags: ["Devices"],
+      summary: "Fleet inventory",
+      parameters: [
+        { name: "includeRetired", in: "query", required: false, schema: { type: "string", enum: ["true", "false"] } },
+        { name: "tag", in: "query", required: false, schema: { type: "string" } }
+      ],
+      responses: { 200: json({ type: "array", items: ref("Device") }) }
+    }
+  },
+  "/api/devices/{id}": {
+    get: {
+      tags: ["Devices"],
+      summary: "One device",
+      parameters: [pathParam("id", "Device ID")],
+      responses: { 200: json(ref("Device")), 404: error("Unknown device") }
+    },
+    patch: {
+      tags: ["Devices"],
+      summary: "Rename / tag a device",
+      parameters: [pathParam("id", "Device ID")],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                name: { type: "string", minLength: 1 },
+                tags: { type: "array", items: { type: "string" } }
+              }
+            }
+          }
+        }
+      },
+      responses: { 200: json(ref("Device")), 400: error("Invalid name or tags"), 404: error("Unknown device") }
+    }
+  },
+  "/api/devices/{id}/latest": {
+    get: {
+      tags: ["Devices"],
+      summary: "Latest evaluation for the device",
+      parameters: [pathParam("id", "Device ID")],
+      responses: { 200: json(ref("DeviceLatestReport")), 404: error("Unknown device or no reports") }
+    }
+  },
+  "/api/devices/{id}/history": {
+    get: {
+      tags: ["Devices"],
+      summary: "Time-ordered evaluation summaries",
+      parameters: [pathParam("id", "Device ID"), ...rangeParams],
+      responses: { 200: json(ref("DeviceHistory")), 400: error("Invalid date range"), 404: error("Unknown device") }
+    }
+  },
+  "/api/devices/{id}/trend": {
+    get: {
+      tags: ["Devices"],
+      summary: "Time series for one metric",
+      parameters: [
+        pathParam("id", "Device ID"),
+        {
+          name: "metric",
+          in: "query",
+          required: true,
+          description: "e.g. standardized.total_score, standardized.remainingLife, legacy.battery, omls.compliance_score, input.battery_health_percent",
+          schema: { type: "string" }
+        },
+        ...rangeParams
+      ],
+      responses: { 200: json(ref("DeviceTrend")), 400: error("Missing metric or invalid date range"), 404: error("Unknown device") }
+    }
+  },
+  "/api/devices/{id}/retire": {
+    post: {
+      tags: ["Devices"],
+      summary: "Retire a device",
+      parameters: [pathParam("id", "Device ID")],
+      responses: { 200: json(ref("Device")), 404: error("Unknown device") }
+    }
+  },
+  "/api/profiles": {
+    get: {
+      tags: ["Scoring"],
+      summary: "Scoring profiles for the standardized model",
+      responses: { 200: json({ type: "array", items: ref("ScoringProfileSummary") }) }
+    }
+  },
+  "/api/profiles/{name}": {
+    get: {
+      tags: ["Scoring"],
+      summary: "One resolved scoring profile",
+      parameters: [pathParam("name", "Profile name")],
+      responses: { 200: json(ref("ScoringProfile")), 404: error("Unknown profile") }
+    }
+  },
+  "/api/signers": {
+    get: {
+      tags: ["Submissions"],
+      summary: "Registered submission signers",
+      responses: { 200: json({ type: "array", items: ref("Signer") }) }
+    }
+  },
+  "/api/signers/{id}": {
+    get: {
+      tags: ["Submissions"],
+      summary: "One registered signer",
+      parameters: [pathParam("id", "Signer key ID")],
+      responses: { 200: json(ref("Signer")), 404: error("Unknown signer") }
+    }
+  },
+  "/api/certificates": {
+    get: {
+      tags: ["Certificates"],
+      summary: "Issued certificates, newest first",
+      parameters: [{ name: "reportId", in: "query", required: false, schema: { type: "string" } }],
+      responses: { 200: json({ type: "array", items: ref("Certificate") }) }
+    },
+    post: {
+      tags: ["Certificates"],
+      summary: "Issue a reusability certificate for a stored report",
+      description: "Needs an issuer token from CERTIFICATE_ISSUER_TOKENS as `Authorization: Bearer <token>`; the issuer's name is recorded in the certificate. Reports whose submission was not signed by a registered key are certified but marked UNVERIFIED.",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: { type: "object", required: ["reportId"], properties: { reportId: { type: "string" } } }
+          }
+        }
+      },
+      responses: {
+        201: json(ref("Certificate"), "Certificate issued"),
+        400: error("Missing reportId"),
+        401: error("Missing or unknown issuer token, or issuing is not configured"),
+        404: error("Unknown report"),
+        422: error("The report has no standardized evaluation"),
+        503: error("Serverless deployment without CERTIFICATE_SIGNING_KEY or a persistent REPORT_STORE_DIR")
+      }
+    }
+  },
+  "/api/certificates/issuer": {
+    get: {
+      tags: ["Certificates"],
+      summary: "Public key certificates are signed with",
+      responses: {
+        200: json({
+          type: "object",
+          additionalProperties: false,
+          required: ["keyId", "algorithm", "publicKey"],
+          properties: { keyId: { type: "string" }, algorithm: { type: "string" }, publicKey: { type: "string", description: "SPKI PEM" } }
+        }),
+        503: error("Serverless deployment without CERTIFICATE_SIGNING_KEY")
+      }
+    }
+  },
+  "/api/certificates/{id}": {
+    get: {
+      tags: ["Certificates"],
+      summary: "Signed certificate JSON",
+      parameters: [pathParam("id", "Certificate ID")],
+      responses: { 200: json(ref("Certificate")), 404: error("Unknown certificate") }
+    }
+  },
+  "/api/certificates/{id}/html": {
+    get: {
+      tags: ["Certificates"],
+      summary: "Printable certificate",
+      parameters: [pathParam("id", "Certificate ID")],
+      responses: {
+        200: { description: "HTML page embedding the certificate JSON", content: { "text/html": { schema: { type: "string" } } } },
+        404: error("Unknown certificate")
+      }
+    }
+  },
+  "/api/certificates/{id}/pdf": {
+    get: {
+      tags: ["Certificates"],
+      summary: "Certificate as a one-page PDF",
+      parameters: [pathParam("id", "Certificate ID")],
+      responses: {
+        200: { description: "PDF document", content: { "application/pdf": { schema: { type: "string", format: "binary" } } } },
+        404: error("Unknown certificate")
+      }
+    }
+  },
+  "/api/certificates/{id}/verify": {
+    get: {
+      tags: ["Certificates"],
+      summary: "Verify an issued certificate",
+      description: "Public. Checks the stored certificate, and with `hash` the verification hash printed on a copy.",
+      parameters: [
+        pathParam("id", "Certificate ID"),
+        { name: "hash", in: "query", required: false, schema: { type: "string" } }
+      ],
+      responses: { 200: json(ref("CertificateVerification")), 404: error("Unknown certificate") }
+    },
+    post: {
+      tags: ["Certificates"],
+      summary: "Verify a copy of a certificate",
+      description: "Public. The body is the certificate JSON as the buyer received it; it is valid only when unaltered and identical to the issued certificate.",
+      parameters: [pathParam("id", "Certificate ID")],
+      requestBody: { required: true, content: { "application/json": { schema: { type: "object" } } } },
+      responses: { 200: json(ref("CertificateVerification")), 404: error("Unknown certificate") }
+    }
+  },
+  "/api/labels/sheet": {
+    get: {
+      tags: ["Labels"],
+      summary: "Printable sheet of labels",
+      description: "HTML with one SVG page per label sheet, for printing at 100% scale.",
+      parameters: [
+        { name: "ids", in: "query", required: false, description: "Comma-separated device IDs, report IDs or label codes; default: every active device", schema: { type: "string" } },
+        layoutParam,
+        { name: "skip", in: "query", required: false, description: "Label positions already used on the first sheet", schema: { type: "integer", minimum: 0 } },
+        baseUrlParam
+      ],
+      responses: {
+        200: { description: "HTML label sheets", content: { "text/html": { schema: { type: "string" } } } },
+        400: error("Unknown layout, bad skip or baseUrl"),
+        404: error("Unknown label target or no devices")
+      }
+    }
+  },
+  "/api/labels/{id}": {
+    get: {
+      tags: ["Labels"],
+      summary: "Resolve a label",
+      description: "The device or report a label points at and the report it opens. Used by the frontend's /l/{code} route.",
+      parameters: [labelIdParam, baseUrlParam],
+      responses: { 200: json(ref("LabelTarget")), 400: error("Bad baseUrl"), 404: error("Unknown label target") }
+    }
+  },
+  "/api/labels/{id}/svg": {
+    get: {
+      tags: ["Labels"],
+      summary: "One label as SVG",
+      parameters: [labelIdParam, layoutParam, baseUrlParam],
+      responses: {
+        200: { description: "SVG label at the layout's label size", content: { "image/svg+xml": { schema: { type: "string" } } } },
+        400: error("Unknown layout or bad baseUrl"),
+        404: error("Unknown label target")
+      }
+    }
+  },
+  "/api/labels/{id}/png": {
+    get: {
+      tags: ["Labels"],
+      summary: "The label's QR code as PNG",
+      parameters: [
+        labelIdParam,
+        { name: "scale", in: "query", required: false, description: "Pixels per module", schema: { type: "integer", minimum: 1, maximum: 40, default: 8 } },
+        baseUrlParam
+      ],
+      responses: {
+        200: { description: "PNG image", content: { "image/png": { schema: { type: "string", format: "binary" } } } },
+        400: error("Bad scale or baseUrl"),
+        404: error("Unknown label target")
+      }
+    }
+  },
+  "/api/smart": {
+    post: {
+      tags: ["Submissions"],
+      summary: "Parse an uploaded SMART report",
+      description: "Accepts `smartctl --json -a` output or an NVMe health log (`nvme smart-log -o json`), or an array of them, and returns the drives and the standardized fields they map to. The same documents can be sent with a submission as `smart`.",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: { oneOf: [{ type: "object" }, { type: "array", items: { type: "object" } }] }
+          }
+        }
+      },
+      responses: {
+        200: json(ref("SmartUpload")),
+        422: error("Not smartctl or NVMe health log output")
+      }
+    }
+  },
+  "/api/ocr": {
+    post: {
+      tags: ["Assistant"],
+      summary: "Read a device label: local barcode decoding, then Google Vision or Roboflow OCR",
+      description:
+        "imageBase64 uploads (PNG or JPEG) are scanned for QR, Data Matrix, Code 128, Code 39 and EAN/UPC barcodes on the server first; " +
+        "the image only goes to a remote OCR provider when nothing decodes. imageUrl is passed to the provider without local decoding.",
+      parameters: [
+        keyHeader("x-google-vision-api-key", "Google Vision API"),
+        keyHeader("x-roboflow-api-key", "Roboflow API")
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                imageBase64: { type: "string", description: "Base64 image or data URL" },
+                imageUrl: { type: "string" },
+                provider: {
+                  type: "string",
+                  enum: ["auto", "local", "google", "google-vision", "roboflow"],
+                  default: "auto",
+                  description: "local decodes barcodes only and never calls a remote provider"
+                },
+                projectName: { type: "string" },
+                version: { type: ["string", "number"] },
+                workspaceName: { type: "string" }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json(ref("OcrResult")),
+        400: error("Missing image or invalid provider"),
+        422: error("provider local with an image that is not PNG or JPEG, is over 50 megapixels or is not scanned within 15 s"),
+        500: error("No OCR key configured or provider failure")
+      }
+    }
+  },
+  "/api/fix-suggestions": {
+    post: {
+      tags: ["Assistant"],
+      summary: "Installation / fix tips for OCR'd label text (Groq)",
+      parameters: [keyHeader("x-groq-api-key", "Groq API")],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: { type: "object", required: ["text"], properties: { text: { type: "string" } } }
+          }
+        }
+      },
+      responses: {
+        200: json(ref("FixSuggestions")),
+        400: error("text is required"),
+        502: error("Upstream model error"),
+        503: error("GROQ_API_KEY not set")
+      }
+    }
+  },
+  "/api/ai-report-summary": {
+    post: {
+      tags: ["Assistant"],
+      summary: "Plain-language summary of a report (Groq)",
+      parameters: [keyHeader("x-groq-api-key", "Groq API")],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: { type: "object", required: ["report"], properties: { report: ref("Report") } }
+          }
+        }
+      },
+      responses: {
+        200: json(ref("AiReportSummary")),
+        400: error("report object is required"),
+        502: error("Upstream model error"),
+        503: error("GROQ_API_KEY not set")
+      }
+    }
+  },
+  "/api/ai-chat": {
+    post: {
+      tags: ["Assistant"],
+      summary: "Chat about a report (Groq)",
+      parameters: [keyHeader("x-groq-api-key", "Groq API")],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["report", "message"],
+              properties: {
+                report: ref("Report"),
+                message: { type: "string" },
+                history: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      role: { type: "string", enum: ["user", "assistant"] },
+                      content: { type: "string" }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json(ref("AiChatAnswer")),
+        400: error("report or message missing"),
+        502: error("Upstream model error"),
+        503: error("GROQ_API_KEY not set")
+      }
+    }
+  }
+};
+
+function buildOpenApiSpec() {
+  const inputSchemas = Object.fromEntries(
+    Object.entries(INPUT_SCHEMA_NAMES).map(([format, name]) => [name, embedSchema(SCHEMAS[format], name)])
+  );
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Hardware Diagnostics API",
+      version: pkg.version,
+      description: "Device diagnostics submission, evaluation, report storage and fleet inventory."
+    },
+    tags: [
+      { name: "Submissions" },
+      { name: "Reports" },
+      { name: "Devices" },
+      { name: "Certificates" },
+      { name: "Labels" },
+      { name: "Scoring" },
+      { name: "Live" },
+      { name: "Assistant" },
+      { name: "Meta" }
+    ],
+    paths,
+    components: {
+      schemas: {
+        SubmissionMetadata: embedSchema(require("../schemas/common.schema.json"), "SubmissionMetadata"),
+        ...inputSchemas,
+        ...responseSchemas
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiSpec };
@@ -0,0 +1,87 @@
+/**
+ * Minimal single-page PDF writer for printable documents (certificates):
+ * text in the standard Helvetica fonts, lines and filled rectangles on an A4
+ * page. Coordinates are in points from the top-left corner. Text is
+ * WinAnsi-encoded; characters outside Latin-1 print as "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = { regular: "F1", bold: "F2", mono: "F3" };
+
+// "#RRGGBB" as PDF RGB operands
+const rgb = (hex) => [1, 3, 5].map((index) => (parseInt(hex.slice(index, index + 2), 16) / 255).toFixed(3)).join(" ");
+
+const pdfString = (text) =>
+  `(${String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, "?").replace(/[\\()]/g, "\\$&")})`;
+
+function createPdfPage() {
+  const operations = [];
+  const y = (top) => (PAGE_HEIGHT - top).toFixed(2);
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    text(x, top, value, { size = 11, font = "regular", color = "#111827" } = {}) {
+      operations.push(`BT /${FONTS[font]} ${size} Tf ${rgb(color)} rg ${x.toFixed(2)} ${y(top)} Td ${pdfString(value)} Tj ET`);
+      return this;
+    },
+
+    line(x1, top1, x2, top2, { width = 1, color = "#D1D5DB" } = {}) {
+      operations.push(`${width} w ${rgb(color)} RG ${x1.toFixed(2)} ${y(top1)} m ${x2.toFixed(2)} ${y(top2)} l S`);
+      return this;
+    },
+
+    rect(x, top, width, height, { fill = "#F3F4F6" } = {}) {
+      operations.push(`${rgb(fill)} rg ${x.toFixed(2)} ${y(top + height)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+      return this;
+    },
+
+    /**
+     * The page as a PDF file
+     */
+    toBuffer({ title = "" } = {}) {
+      const content = Buffer.from(operations.join("\n"), "latin1");
+      const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R /F3 6 0 R >> >> /Contents 7 0 R >>`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+        Buffer.concat([Buffer.from(`<< /Length ${content.length} >>\nstream\n`), content, Buffer.from("\nendstream")]),
+        `<< /Title ${pdfString(title)} /Producer (Hardware Diagnostics) >>`
+      ];
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let length = chunks[0].length;
+      const offsets = objects.map((object, index) => {
+        const offset = length;
+        const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), Buffer.from(object, "latin1"), Buffer.from("\nendobj\n")]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+      });
+
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>`,
+        "startxref",
+        String(length),
+        "%%EOF\n"
+      ].join("\n");
+      chunks.push(Buffer.from(xref));
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+module.exports = {
+  createPdfPage
+};
@@ -0,0 +1,227 @@
+/**
+ * What-if repair planning: re-score a stored evaluation with hypothetical
+ * measurements (e.g. a new battery) and find the fewest repairs that move the
+ * device into the next classification.
+ */
+
+const {
+  evaluateDevice: scoreLegacy,
+  evaluateDeviceStandardized,
+  DEFAULT_SCORING_PROFILE,
+  OVERALL_THRESHOLDS,
+  LEGACY_COMPONENTS
+} = require("../rules/healthRules");
+const { applicableModels, toLegacyMetrics } = require("./evaluateDevice");
+const { withSmartData } = require("./smartData");
+const { rankDirection, TIER_ORDER, HEALTH_ORDER } = require("./reportDiff");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const LEGACY_ALIASES = Object.fromEntries(
+  Object.values(LEGACY_COMPONENTS).filter(({ aliases }) => aliases.length > 0).map(({ field, aliases }) => [field, aliases[0]])
+);
+const LEGACY_FIELDS = Object.values(LEGACY_COMPONENTS).flatMap(({ field, aliases }) => [field, ...aliases]);
+// Battery measurements both models read
+const SHARED_FIELDS = ["battery_wear_percent", "battery_cycle_count"];
+
+// Measured wear takes precedence over the health fields, so a new battery resets it too
+const resetBatteryWear = (input) => (input.battery_wear_percent !== undefined ? { battery_wear_percent: 0 } : {});
+
+/**
+ * Repairs the planner may suggest, with the measurements each one would produce.
+ * `changes` gets the current input and scoring profile.
+ */
+const STANDARDIZED_REPAIRS = [
+  { id: "battery", label: "Replace battery", changes: (input) => ({ battery_health_percent: 100, ...resetBatteryWear(input) }) },
+  { id: "ssd", label: "Replace SSD", changes: () => ({ ssd_wear_percentage: 0, storage_smart_status: "GOOD" }) },
+  { id: "ram", label: "Replace faulty RAM", changes: () => ({ ram_test_errors: 0 }) },
+  {
+    id: "cooling",
+    label: "Service cooling (clean fans, re-paste)",
+    changes: (input, profile) => ({
+      idle_temperature_celsius: Math.min(input.idle_temperature_celsius ?? 0, profile.thermalLimits.normal.idle),
+      load_temperature_celsius: Math.min(input.load_temperature_celsius ?? 0, profile.thermalLimits.normal.load)
+    })
+  },
+  { id: "ports", label: "Repair ports", changes: () => ({ port_integrity: true }) },
+  { id: "chassis", label: "Repair physical damage", changes: () => ({ physical_damage: false }) },
+  { id: "cpu", label: "Resolve CPU instability", changes: () => ({ cpu_stress_stable: true }) },
+  { id: "gpu", label: "Resolve GPU instability", changes: () => ({ gpu_stress_stable: true }) }
+];
+
+// Optional components are only repaired when measured; adding a reading would reweight the score
+const ifMeasured = (component, changes) => (input) => {
+  const value = toLegacyMetrics(input)[component];
+  return value === undefined ? {} : changes(value, input);
+};
+
+const LEGACY_REPAIRS = [
+  { id: "battery", label: "Replace battery", changes: ifMeasured("battery", (_health, input) => ({ battery_health: 100, ...resetBatteryWear(input) })) },
+  { id: "storage", label: "Replace storage drive", changes: ifMeasured("storage", () => ({ storage_health: 100 })) },
+  { id: "ram", label: "Upgrade RAM to 16 GB", changes: (input) => ({ ram_gb: Math.max(16, toLegacyMetrics(input).ram) }) },
+  { id: "gpu", label: "Replace GPU", changes: ifMeasured("gpu", () => ({ gpu_health: 100 })) },
+  { id: "display", label: "Replace display panel", changes: ifMeasured("display", () => ({ display_health: 100 })) },
+  { id: "motherboard", label: "Repair motherboard / I/O ports", changes: ifMeasured("motherboard", () => ({ motherboard_health: 100 })) },
+  { id: "cooling", label: "Service cooling (clean fans, re-paste)", changes: ifMeasured("thermal", (temperature) => ({ temperature_celsius: Math.min(temperature, 60) })) }
+];
+
+// Value a field currently has, following the legacy aliases
+const currentValue = (input, field) => input[field] ?? input[LEGACY_ALIASES[field]] ?? null;
+
+const MODELS = {
+  standardized: {
+    order: TIER_ORDER,
+    repairs: STANDARDIZED_REPAIRS,
+    score(input, profile) {
+      const result = evaluateDeviceStandardized(input, profile);
+      return {
+        totalScore: result.totalScore,
+        tier: result.classification.tier,
+        classification: result.classification.level,
+        categories: Object.fromEntries(Object.entries(result.categories).map(([key, category]) => [key, category.score]))
+      };
+    },
+    // Cut-off of each tier above NOT_RECOMMENDED
+    minScore: (tier, profile) => profile.classification[tier]
+  },
+  legacy: {
+    order: HEALTH_ORDER,
+    repairs: LEGACY_REPAIRS,
+    score(input) {
+      const result = scoreLegacy(toLegacyMetrics(input));
+      return {
+        totalScore: result.totalScore,
+        tier: result.health,
+        reusable: result.longevity.reusable,
+        components: Object.fromEntries(Object.entries(result.components).map(([key, component]) => [key, component.score]))
+      };
+    },
+    minScore: (tier) => OVERALL_THRESHOLDS[tier.toLowerCase()]
+  }
+};
+
+/**
+ * Every way to pick `size` items from `items`, in order.
+ */
+function combinations(items, size, start = 0) {
+  if (size === 0) return [[]];
+  const result = [];
+  for (let index = start; index <= items.length - size; index += 1) {
+    combinations(items, size - 1, index + 1).forEach((rest) => result.push([items[index], ...rest]));
+  }
+  return result;
+}
+
+/**
+ * Fewest repairs that lift `input` into the next tier; among equally small
+ * sets the one with the highest resulting score wins.
+ */
+function planNextTier(model, input, current, profile) {
+  const { order, repairs } = MODELS[model];
+  const targetRank = order.indexOf(current.tier) + 1;
+  if (targetRank >= order.length) return null;
+
+  const tier = order[targetRank];
+  const withRepairs = (selected) =>
+    selected.reduce((next, repair) => ({ ...next, ...repair.changes(input, profile) }), input);
+
+  // Only repairs that change the score are worth suggesting
+  const useful = repairs.filter(
+    (repair) => MODELS[model].score(withRepairs([repair]), profile).totalScore > current.totalScore
+  );
+
+  for (let size = 1; size <= useful.length; size += 1) {
+    const best = combinations(useful, size)
+      .map((selected) => ({ selected, result: MODELS[model].score(withRepairs(selected), profile) }))
+      .filter(({ result }) => order.indexOf(result.tier) >= targetRank)
+      .sort((a, b) => b.result.totalScore - a.result.totalScore)[0];
+
+    if (best) {
+      return {
+        tier,
+        minScore: MODELS[model].minScore(tier, profile),
+        reachable: true,
+        repairs: best.selected.map((repair) => ({
+          id: repair.id,
+          label: repair.label,
+          changes: Object.entries(repair.changes(input, profile)).map(([field, to]) => ({ field, from: currentValue(input, field), to }))
+        })),
+        resultingScore: best.result.totalScore,
+        resultingTier: best.result.tier
+      };
+    }
+  }
+
+  return { tier, minScore: MODELS[model].minScore(tier, profile), reachable: false, repairs: [], resultingScore: null, resultingTier: null };
+}
+
+function compareModel(model, input, simulatedInput, profile) {
+  const original = MODELS[model].score(input, profile);
+  const simulated = MODELS[model].score(simulatedInput, profile);
+
+  return {
+    original,
+    simulated,
+    scoreDelta: round(simulated.totalScore - original.totalScore),
+    tierChange: {
+      from: original.tier,
+      to: simulated.tier,
+      changed: original.tier !== simulated.tier,
+      direction: rankDirection(MODELS[model].order, original.tier, simulated.tier)
+    },
+    nextTier: planNextTier(model, simulatedInput, simulated, profile)
+  };
+}
+
+/**
+ * Which models a stored input can be re-scored with
+ */
+function simulatedModels(input = {}) {
+  const models = applicableModels(input);
+  return { standardized: models.includes("standardized"), legacy: models.includes("legacy") };
+}
+
+/**
+ * Overrides for fields of a model the stored input was not scored with,
+ * as { field, message, value } errors
+ */
+function checkOverrides(input, overrides) {
+  const models = simulatedModels(input);
+  const fieldModels = (field) =>
+    SHARED_FIELDS.includes(field) ? ["legacy", "standardized"] : [LEGACY_FIELDS.includes(field) ? "legacy" : "standardized"];
+
+  return Object.entries(overrides)
+    .map(([field, value]) => ({ field, value, owners: fieldModels(field) }))
+    .filter(({ owners }) => !owners.some((model) => models[model]))
+    .map(({ field, value, owners }) => ({
+      field: `overrides.${field}`,
+      message: `belongs to the ${owners.join(" / ")} model, which this report has no measurements for`,
+      value
+    }));
+}
+
+/**
+ * Re-score `input` with `overrides` applied, side by side with the original,
+ * for each model the input has measurements for (null otherwise).
+ * SMART documents are mapped first, so overrides replace the measured fields.
+ */
+function simulateRepairs({ input: submitted, overrides = {}, profile = DEFAULT_SCORING_PROFILE }) {
+  const { input } = withSmartData(submitted);
+  const models = simulatedModels(input);
+  const simulatedInput = { ...input, ...overrides };
+
+  return {
+    overrides,
+    scoringProfile: models.standardized ? { name: profile.name, version: profile.version } : null,
+    standardized: models.standardized ? compareModel("standardized", input, simulatedInput, profile) : null,
+    legacy: models.legacy ? compareModel("legacy", input, simulatedInput, profile) : null
+  };
+}
+
+module.exports = {
+  simulateRepairs,
+  checkOverrides,
+  simulatedModels,
+  STANDARDIZED_REPAIRS,
+  LEGACY_REPAIRS
+};
@@ -0,0 +1,171 @@
+/**
+ * Structured diff between two stored evaluations of (usually) the same device,
+ * e.g. before and after swapping RAM or a battery.
+ */
+
+const { modelVerdict, MODEL_NAMES } = require("./evaluateDevice");
+
+const TIER_ORDER = ["NOT_RECOMMENDED", "LIMITED", "REUSABLE", "HIGH_GRADE"];
+const HEALTH_ORDER = ["POOR", "FAIR", "GOOD"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const numericDelta = (from, to) =>
+  typeof from === "number" && typeof to === "number" ? round(to - from) : null;
+
+function rankDirection(order, from, to) {
+  const fromRank = order.indexOf(from);
+  const toRank = order.indexOf(to);
+  if (fromRank === -1 || toRank === -1 || fromRank === toRank) return "UNCHANGED";
+  return toRank > fromRank ? "UP" : "DOWN";
+}
+
+/**
+ * Total scores from the first model (in precedence order) both reports ran.
+ * A HYBRID overall is the score of whichever model drives its verdict, so
+ * two overalls can come from different models.
+ */
+function diffTotals(fromReport, toReport) {
+  const model = Object.keys(MODEL_NAMES).find((name) => modelVerdict(fromReport, name) && modelVerdict(toReport, name));
+  const from = (model ? modelVerdict(fromReport, model) : fromReport.overall)?.total_score ?? null;
+  const to = (model ? modelVerdict(toReport, model) : toReport.overall)?.total_score ?? null;
+  return { from, to, delta: numericDelta(from, to), model: model ? MODEL_NAMES[model] : null };
+}
+
+function diffClassification(fromReport, toReport) {
+  const fromLevel = fromReport.standardized?.classification?.level ?? fromReport.overall?.classification ?? fromReport.overall?.health ?? null;
+  const toLevel = toReport.standardized?.classification?.level ?? toReport.overall?.classification ?? toReport.overall?.health ?? null;
+  const fromTier = fromReport.standardized?.classification?.tier ?? null;
+  const toTier = toReport.standardized?.classification?.tier ?? null;
+
+  return {
+    from: fromLevel,
+    to: toLevel,
+    changed: fromLevel !== toLevel,
+    tier: {
+      from: fromTier,
+      to: toTier,
+      changed: fromTier !== toTier,
+      direction: rankDirection(TIER_ORDER, fromTier, toTier)
+    }
+  };
+}
+
+function diffCategories(fromReport, toReport) {
+  const fromCategories = fromReport.standardized?.categories || {};
+  const toCategories = toReport.standardized?.categories || {};
+  const keys = [...new Set([...Object.keys(fromCategories), ...Object.keys(toCategories)])];
+
+  return keys.map((key) => {
+    const from = fromCategories[key];
+    const to = toCategories[key];
+    const delta = numericDelta(from?.score, to?.score);
+    return {
+      category: key,
+      label: (to || from).label,
+      maxScore: (to || from).maxScore,
+      from: from?.score ?? null,
+      to: to?.score ?? null,
+      delta,
+      changed: delta !== 0
+    };
+  });
+}
+
+function diffComponents(fromReport, toReport) {
+  const fromComponents = fromReport.components || {};
+  const toComponents = toReport.components || {};
+  const keys = [...new Set([...Object.keys(fromComponents), ...Object.keys(toComponents)])];
+
+  return keys.map((key) => {
+    const fromHealth = fromComponents[key]?.health ?? null;
+    const toHealth = toComponents[key]?.health ?? null;
+    return {
+      component: key,
+      fromHealth,
+      toHealth,
+      transition: `${fromHealth || "NONE"} -> ${toHealth || "NONE"}`,
+      direction: rankDirection(HEALTH_ORDER, fromHealth, toHealth),
+      fromScore: fromComponents[key]?.score ?? null,
+      toScore: toComponents[key]?.score ?? null,
+      delta: numericDelta(fromComponents[key]?.score, toComponents[key]?.score),
+      changed: fromHealth !== toHealth
+    };
+  });
+}
+
+/**
+ * Flatten OMLS rule results to "<component_id>/<ruleId>" -> status.
+ */
+function collectOmlsRules(report) {
+  const omls = report.omls;
+  if (!omls) return new Map();
+
+  const componentResults = omls.result ? [omls.result] : Array.isArray(omls.results) ? omls.results : [];
+  const rules = new Map();
+
+  componentResults.forEach((component) => {
+    (component.ruleResults || []).forEach((rule) => {
+      rules.set(`${component.component_id}/${rule.ruleId}`, {
+        componentId: component.component_id,
+        ruleId: rule.ruleId,
+        status: rule.status,
+        message: rule.message
+      });
+    });
+  });
+
+  return rules;
+}
+
+function diffOmlsRules(fromReport, toReport) {
+  const fromRules = collectOmlsRules(fromReport);
+  const toRules = collectOmlsRules(toReport);
+  const keys = [...new Set([...fromRules.keys(), ...toRules.keys()])];
+
+  return keys
+    .map((key) => {
+      const from = fromRules.get(key);
+      const to = toRules.get(key);
+      return {
+        componentId: (to || from).componentId,
+        ruleId: (to || from).ruleId,
+        from: from?.status ?? null,
+        to: to?.status ?? null,
+        message: (to || from).message
+      };
+    })
+    .filter((rule) => rule.from !== rule.to);
+}
+
+/**
+ * Diff two report store records ({ id, deviceId, submittedAt, report }).
+ */
+function diffReports(fromRecord, toRecord) {
+  const fromReport = fromRecord.report || {};
+  const toReport = toRecord.report || {};
+  const categories = diffCategories(fromReport, toReport);
+  const components = diffComponents(fromReport, toReport);
+
+  return {
+    from: { reportId: fromRecord.id, deviceId: fromRecord.deviceId ?? null, submittedAt: fromRecord.submittedAt, evaluationModel: fromReport.evaluationModel },
+    to: { reportId: toRecord.id, deviceId: toRecord.deviceId ?? null, submittedAt: toRecord.submittedAt, evaluationModel: toReport.evaluationModel },
+    sameDevice: Boolean(fromRecord.deviceId) && fromRecord.deviceId === toRecord.deviceId,
+    totalScore: diffTotals(fromReport, toReport),
+    classification: diffClassification(fromReport, toReport),
+    categories,
+    components,
+    omlsRuleChanges: diffOmlsRules(fromReport, toReport),
+    summary: {
+      changedCategories: categories.filter((category) => category.changed).map((category) => category.category),
+      componentTransitions: components.filter((component) => component.changed).map((component) => `${component.component}: ${component.transition}`)
+    }
+  };
+}
+
+module.exports = {
+  diffReports,
+  rankDirection,
+  TIER_ORDER,
+  HEALTH_ORDER
+};
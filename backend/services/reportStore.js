@@ -0,0 +1,79 @@
+const path = require("path");
+const { randomUUID } = require("crypto");
+const JsonlLog = require("./jsonlLog");
+const { signatureKey } = require("./signing");
+
+/**
+ * Durable report store backed by an append-only JSON Lines file.
+ * Each submission becomes its own record:
+ *   { id, jobId, deviceId, hostname, submittedAt, input, report }
+ * plus the submission's Idempotency-Key and the hash of its payload when the
+ * client sent a key.
+ */
+function createReportStore({ dir }) {
+  const log = new JsonlLog(path.join(dir, "reports.jsonl"));
+  const byId = new Map();
+  let indexed = 0;
+
+  const sync = () => {
+    const entries = log.all();
+    for (; indexed < entries.length; indexed += 1) {
+      const record = entries[indexed];
+      if (record?.id) byId.set(record.id, record);
+    }
+    return entries;
+  };
+
+  // `signature` matches a signed submission carrying the same signature bytes,
+  // however its base64 was written
+  const matches = (record, { hostname, deviceId, jobId, idempotencyKey, signature } = {}) =>
+    (!hostname || record.hostname === hostname) &&
+    (!deviceId || record.deviceId === deviceId) &&
+    (!jobId || record.jobId === jobId) &&
+    (!idempotencyKey || record.idempotencyKey === idempotencyKey) &&
+    (!signature || (typeof record.input?.signature?.value === "string" && signatureKey(record.input.signature.value) === signatureKey(signature)));
+
+  return {
+    save({ hostname, deviceId = null, jobId = null, idempotencyKey, payloadHash, input, report }) {
+      const record = {
+        id: randomUUID(),
+        jobId,
+        ...(idempotencyKey && { idempotencyKey, ...(payloadHash && { payloadHash }) }),
+        deviceId,
+        hostname: typeof hostname === "string" && hostname.trim() ? hostname.trim() : "unknown",
+        submittedAt: new Date().toISOString(),
+        input,
+        report
+      };
+      log.append(record);
+      sync();
+      return record;
+    },
+
+    get(id) {
+      sync();
+      return byId.get(id) || null;
+    },
+
+    latest(filter = {}) {
+      const entries = sync();
+      for (let index = entries.length - 1; index >= 0; index -= 1) {
+        if (matches(entries[index], filter)) return entries[index];
+      }
+      return null;
+    },
+
+    list({ limit = 50, ...filter } = {}) {
+      return sync()
+        .filter((record) => matches(record, filter))
+        .slice(-limit)
+        .reverse();
+    },
+
+    count() {
+      return sync().length;
+    }
+  };
+}
+
+module.exports = { createReportStore };
@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const yaml = require("js-yaml");
+const { DEFAULT_SCORING_PROFILE } = require("../rules/healthRules");
+
+/**
+ * Named scoring profiles for the standardized model.
+ * Each file in the profiles directory (*.json, *.yaml, *.yml) overrides parts
+ * of the built-in default profile; omitted sections keep the default values.
+ */
+
+const PROFILE_EXTENSIONS = [".json", ".yaml", ".yml"];
+const validateProfileFile = new Ajv({ allErrors: true }).compile(require("../schemas/scoringProfile.schema.json"));
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Objects merge key by key; arrays (lookup tables) replace the default table
+function mergeProfile(base, overrides) {
+  return Object.fromEntries(
+    [...new Set([...Object.keys(base), ...Object.keys(overrides)])].map((key) => {
+      const value = overrides[key];
+      if (value === undefined) return [key, base[key]];
+      if (isPlainObject(value) && isPlainObject(base[key])) return [key, mergeProfile(base[key], value)];
+      return [key, value];
+    })
+  );
+}
+
+const tableMax = (rules) => Math.max(...rules.map((rule) => rule.score));
+
+/**
+ * Checks that need the merged profile: maxima add up and every table fits its category.
+ */
+function checkConsistency(profile) {
+  const problems = [];
+  const { categories, classification } = profile;
+  const total = Object.values(categories).reduce((sum, value) => sum + value, 0);
+
+  if (total !== 100) {
+    problems.push(`categories must add up to 100 (got ${total})`);
+  }
+  if (tableMax(profile.performanceScoring) > categories.PERFORMANCE_RETENTION) {
+    problems.push("performanceScoring awards more than PERFORMANCE_RETENTION");
+  }
+  if (tableMax(profile.ssdWearScoring) + tableMax(profile.batteryHealthScoring) > categories.REMAINING_LIFE) {
+    problems.push("ssdWearScoring + batteryHealthScoring award more than REMAINING_LIFE");
+  }
+  if (!(classification.HIGH_GRADE > classification.REUSABLE && classification.REUSABLE > classification.LIMITED)) {
+    problems.push("classification cut-offs must satisfy HIGH_GRADE > REUSABLE > LIMITED");
+  }
+  ["idle", "load"].forEach((key) => {
+    if (profile.thermalLimits.critical[key] < profile.thermalLimits.normal[key]) {
+      problems.push(`thermalLimits.critical.${key} is below thermalLimits.normal.${key}`);
+    }
+  });
+
+  return problems;
+}
+
+function parseProfileFile(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  return path.extname(filePath) === ".json" ? JSON.parse(raw) : yaml.load(raw);
+}
+
+/**
+ * Load and validate every profile file in `dir`. Invalid files throw so a bad
+ * profile is caught at startup rather than mid-evaluation.
+ */
+function loadScoringProfiles({ dir }) {
+  const profiles = new Map([[DEFAULT_SCORING_PROFILE.name, DEFAULT_SCORING_PROFILE]]);
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter((file) => PROFILE_EXTENSIONS.includes(path.extname(file))).sort()
+    : [];
+
+  files.forEach((file) => {
+    const overrides = parseProfileFile(path.join(dir, file));
+
+    if (!validateProfileFile(overrides)) {
+      const details = validateProfileFile.errors.map((error) => `${error.instancePath || "(root)"} ${error.message}`);
+      throw new Error(`Invalid scoring profile ${file}: ${details.join("; ")}`);
+    }
+    if (profiles.has(overrides.name)) {
+      throw new Error(`Invalid scoring profile ${file}: duplicate profile name "${overrides.name}"`);
+    }
+
+    const profile = mergeProfile(DEFAULT_SCORING_PROFILE, overrides);
+    const problems = checkConsistency(profile);
+    if (problems.length > 0) {
+      throw new Error(`Invalid scoring profile ${file}: ${problems.join("; ")}`);
+    }
+
+    profiles.set(profile.name, profile);
+  });
+
+  return {
+    defaultName: DEFAULT_SCORING_PROFILE.name,
+
+    get(name) {
+      return profiles.get(name) || null;
+    },
+
+    list() {
+      return [...profiles.values()];
+    }
+  };
+}
+
+module.exports = { loadScoringProfiles };
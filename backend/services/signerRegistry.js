@@ -0,0 +1,235 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { verifyPayload, keyFingerprint } = require("./signing");
+
+/**
+ * Trusted submission signers, kept in a JSON file ({ "signers": [...] }):
+ *   { id, name, type: "technician" | "device", publicKey (PEM),
+ *     deviceId?, addedAt, revokedAt? }
+ * A technician key may sign for any device; a device key with a deviceId
+ * only for that device. Read-only deployments can pass extra signers in the
+ * TRUSTED_SIGNERS environment variable (a JSON array of the same entries).
+ * A signed payload must carry a recent `timestamp`, so a captured payload
+ * cannot be replayed later.
+ */
+
+const SIGNER_TYPES = ["technician", "device"];
+
+// Oldest signed timestamp accepted; the agent's offline spool may hold a
+// payload for a few days. SIGNATURE_MAX_AGE_HOURS overrides it.
+const DEFAULT_MAX_SIGNATURE_AGE_HOURS = 72;
+
+// Tolerated clock difference for timestamps ahead of the backend's clock
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Why a submission is unverified, for the report and the 422 details
+const UNVERIFIED_REASONS = {
+  unsigned: "the payload is not signed",
+  unknown_signer: "the signing key is not registered",
+  revoked_signer: "the signing key was revoked",
+  invalid_signature: "the signature does not match the payload; it was altered after signing or signed with another key",
+  device_mismatch: "the device key signed a payload from another device",
+  stale_signature: "the signed timestamp is missing or outside the accepted window",
+  replayed_signature: "the signature was already used by an earlier submission"
+};
+
+const defaultSignersFile = () =>
+  process.env.SIGNERS_FILE || path.join(process.env.REPORT_STORE_DIR || path.join(__dirname, "..", "data"), "signers.json");
+
+const defaultMaxAgeMs = () => (Number(process.env.SIGNATURE_MAX_AGE_HOURS) || DEFAULT_MAX_SIGNATURE_AGE_HOURS) * 60 * 60 * 1000;
+
+/**
+ * Problems with a signer entry, empty when it is usable
+ */
+function checkSigner(signer) {
+  const problems = [];
+  if (typeof signer?.id !== "string" || !signer.id.trim()) problems.push("id must be a non-empty string");
+  if (!SIGNER_TYPES.includes(signer?.type)) problems.push(`type must be one of ${SIGNER_TYPES.join(", ")}`);
+  try {
+    keyFingerprint(signer?.publicKey);
+  } catch (error) {
+    problems.push(`publicKey: ${error.message}`);
+  }
+  return problems;
+}
+
+function createSignerRegistry({ file = defaultSignersFile(), trusted = [], maxAgeMs = defaultMaxAgeMs(), now = () => new Date() } = {}) {
+  const usable = (signers, source) => signers.filter((signer) => {
+    const problems = checkSigner(signer);
+    if (problems.length > 0) console.error(`Ignoring signer ${signer?.id ?? "?"} from ${source}: ${problems.join("; ")}`);
+    return problems.length === 0;
+  });
+  const trustedSigners = usable(trusted, "TRUSTED_SIGNERS");
+
+  let cache = { mtimeMs: null, entries: [], signers: [] };
+
+  // Entries as stored; re-read when the file changes, so `npm run signers`
+  // takes effect without a restart
+  const readFile = () => {
+    let stats;
+    try {
+      stats = fs.statSync(file);
+    } catch {
+      return cache = { mtimeMs: null, entries: [], signers: [] };
+    }
+    if (stats.mtimeMs !== cache.mtimeMs) {
+      const { signers: entries = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+      cache = { mtimeMs: stats.mtimeMs, entries, signers: usable(entries, file) };
+    }
+    return cache;
+  };
+
+  // A broken file leaves every submission unverified rather than failing it
+  const all = () => {
+    try {
+      return [...trustedSigners, ...readFile().signers];
+    } catch (error) {
+      console.error(`Cannot read signers from ${file}: ${error.message}`);
+      return trustedSigners;
+    }
+  };
+
+  const publicView = ({ id, name, type, deviceId, addedAt, revokedAt, publicKey }) => ({
+    id,
+    name: name ?? id,
+    type,
+    deviceId: deviceId ?? null,
+    fingerprint: keyFingerprint(publicKey),
+    addedAt: addedAt ?? null,
+    revokedAt: revokedAt ?? null
+  });
+
+  const write = (signers) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ signers }, null, 2)}\n`);
+    cache = { mtimeMs: null, entries: [], signers: [] };
+  };
+
+  return {
+    get(id) {
+      return all().find((signer) => signer.id === id) || null;
+    },
+
+    list() {
+      return all().map(publicView);
+    },
+
+    add({ id, name, type = "technician", publicKey, deviceId }) {
+      const signer = { id, name: name || id, type, publicKey, ...(deviceId && { deviceId }), addedAt: now().toISOString() };
+      const problems = checkSigner(signer);
+      if (problems.length > 0) throw new Error(`Invalid signer ${id}: ${problems.join("; ")}`);
+      if (this.get(id)) throw new Error(`Signer already registered: ${id}`);
+      write([...readFile().entries, signer]);
+      return publicView(signer);
+    },
+
+    revoke(id) {
+      const signers = readFile().entries;
+      const signer = signers.find((entry) => entry.id === id);
+      if (!signer) throw new Error(`Unknown signer${this.get(id) ? " in this file (set in TRUSTED_SIGNERS)" : ""}: ${id}`);
+      signer.revokedAt = signer.revokedAt || now().toISOString();
+      write(signers);
+      return publicView(signer);
+    },
+
+    /**
+     * Verification record of a submission from `deviceId`:
+     * { verified, reason, keyId, signer: { id, name, type } | null,
+     *   fingerprint, verifiedAt }, reason null when verified (see UNVERIFIED_REASONS).
+     * `replayed` says the signature was already accepted for another submission.
+     */
+    verify(payload, { deviceId, replayed = false } = {}) {
+      const keyId = typeof payload?.signature?.keyId === "string" ? payload.signature.keyId : null;
+      const signer = keyId ? this.get(keyId) : null;
+      const signedAt = Date.parse(payload?.timestamp);
+      const age = now().getTime() - signedAt;
+
+      let reason = null;
+      if (!payload?.signature) reason = "unsigned";
+      else if (!signer) reason = "unknown_signer";
+      else if (signer.revokedAt) reason = "revoked_signer";
+      else if (!verifyPayload(payload, signer.publicKey)) reason = "invalid_signature";
+      else if (signer.type === "device" && signer.deviceId && signer.deviceId !== deviceId) reason = "device_mismatch";
+      else if (!(age <= maxAgeMs && age >= -MAX_CLOCK_SKEW_MS)) reason = "stale_signature";
+      else if (replayed) reason = "replayed_signature";
+
+      return {
+        verified: reason === null,
+        reason,
+        keyId,
+        signer: signer ? { id: signer.id, name: signer.name ?? signer.id, type: signer.type } : null,
+        fingerprint: signer ? keyFingerprint(signer.publicKey) : null,
+        verifiedAt: now().toISOString()
+      };
+    }
+  };
+}
+
+/**
+ * Signers from the TRUSTED_SIGNERS environment variable. A malformed value is
+ * logged and ignored, so a typo does not keep the backend from starting.
+ */
+function parseTrustedSigners(value) {
+  if (!value) return [];
+  try {
+    const signers = JSON.parse(value);
+    if (!Array.isArray(signers)) throw new Error("expected a JSON array of signers");
+    return signers;
+  } catch (error) {
+    console.error(`Ignoring TRUSTED_SIGNERS: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = {
+  createSignerRegistry,
+  parseTrustedSigners,
+  defaultSignersFile,
+  UNVERIFIED_REASONS,
+  SIGNER_TYPES,
+  DEFAULT_MAX_SIGNATURE_AGE_HOURS
+};
+
+if (require.main === module) {
+  const USAGE = `Usage:
+  npm run signers -- list
+  npm run signers -- add <id> --public-key <file.pem> [--name <name>] [--type technician|device] [--device-id <dev_...>]
+  npm run signers -- revoke <id>
+
+Signers are stored in ${defaultSignersFile()} (set SIGNERS_FILE to change it).`;
+
+  try {
+    const { values, positionals: [command, id] } = parseArgs({
+      allowPositionals: true,
+      options: {
+        "public-key": { type: "string" },
+        name: { type: "string" },
+        type: { type: "string" },
+        "device-id": { type: "string" }
+      }
+    });
+    const registry = createSignerRegistry();
+
+    if (command === "list") {
+      console.log(JSON.stringify(registry.list(), null, 2));
+    } else if (command === "add" && id && values["public-key"]) {
+      const signer = registry.add({
+        id,
+        name: values.name,
+        type: values.type,
+        publicKey: fs.readFileSync(values["public-key"], "utf8"),
+        deviceId: values["device-id"]
+      });
+      console.log(JSON.stringify(signer, null, 2));
+    } else if (command === "revoke" && id) {
+      console.log(JSON.stringify(registry.revoke(id), null, 2));
+    } else {
+      console.error(USAGE);
+      process.exitCode = 2;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,99 @@
+const { createHash, createPublicKey, generateKeyPairSync, sign, verify } = require("crypto");
+
+/**
+ * Ed25519 submission signatures. The signer signs the canonical JSON of the
+ * payload without its `signature` field and attaches
+ *   signature: { algorithm: "ed25519", keyId, value (base64) }
+ * so the backend can verify it against the key registered for `keyId`.
+ */
+
+const SIGNATURE_ALGORITHM = "ed25519";
+
+/**
+ * Canonical JSON: object keys sorted by UTF-16 code units, no whitespace,
+ * ECMAScript number formatting; the RFC 8785 (JCS) form of any payload
+ * JSON.parse can produce. Undefined members are dropped as JSON.stringify does.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? "null" : canonicalJson(item))).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const members = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function signedContent(payload) {
+  const { signature: _signature, ...content } = payload;
+  return Buffer.from(canonicalJson(content));
+}
+
+/**
+ * `payload` with a signature by `privateKey` (PEM or KeyObject) under `keyId`;
+ * an existing signature is replaced
+ */
+function signPayload(payload, { keyId, privateKey }) {
+  const value = sign(null, signedContent(payload), privateKey).toString("base64");
+  return { ...payload, signature: { algorithm: SIGNATURE_ALGORITHM, keyId, value } };
+}
+
+/**
+ * Whether `payload.signature` is a valid signature of the payload by
+ * `publicKey`. Malformed signatures and keys are invalid, not errors.
+ */
+function verifyPayload(payload, publicKey) {
+  const signature = payload?.signature;
+  if (signature?.algorithm !== SIGNATURE_ALGORITHM || typeof signature.value !== "string") return false;
+  try {
+    return verify(null, signedContent(payload), publicKey, Buffer.from(signature.value, "base64"));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Canonical base64 of the signature bytes `value` decodes to. Base64
+ * decoding skips whitespace, missing padding and URL-safe characters, so
+ * differently written values can carry the same signature; compare this
+ * form when looking for a signature seen before.
+ */
+const signatureKey = (value) => Buffer.from(value, "base64").toString("base64");
+
+/**
+ * A new Ed25519 key pair as PEM strings (SPKI public, PKCS#8 private)
+ */
+function generateSigningKey() {
+  const { publicKey, privateKey } = generateKeyPairSync(SIGNATURE_ALGORITHM);
+  return {
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    privateKey: privateKey.export({ type: "pkcs8", format: "pem" })
+  };
+}
+
+/**
+ * "SHA256:<base64>" of the public key's DER encoding, as ssh-keygen prints
+ * fingerprints; throws when the PEM is not an Ed25519 public key
+ */
+function keyFingerprint(publicKeyPem) {
+  const key = createPublicKey(publicKeyPem);
+  if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new Error(`Expected an ${SIGNATURE_ALGORITHM} public key, got ${key.asymmetricKeyType}`);
+  }
+  const digest = createHash("sha256").update(key.export({ type: "spki", format: "der" })).digest("base64");
+  return `SHA256:${digest.replace(/=+$/, "")}`;
+}
+
+module.exports = {
+  canonicalJson,
+  signPayload,
+  verifyPayload,
+  signatureKey,
+  generateSigningKey,
+  keyFingerprint,
+  SIGNATURE_ALGORITHM
+};
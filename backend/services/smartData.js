@@ -0,0 +1,201 @@
+/**
+ * SMART ingestion: `smartctl --json -a` output (ATA and NVMe) and NVMe health
+ * logs (`nvme smart-log -o json`), sent by the agent in a submission's `smart`
+ * field or uploaded to POST /api/smart. Each drive's status, endurance used,
+ * reallocated / pending sectors, media errors and power-on hours are mapped to
+ * the standardized `storage_smart_status` and `ssd_wear_percentage` inputs;
+ * the raw attributes stay in the report.
+ */
+
+const STATUS_RANK = { UNKNOWN: 0, GOOD: 1, WARNING: 2, FAILED: 3 };
+
+// ATA attributes whose normalized value counts down from 100 as an SSD wears
+const ATA_WEAR_ATTRIBUTES = [177, 231, 233];
+
+// NVMe critical_warning bits
+// Legacy storage_health ceiling for a drive with SMART warnings
+const WARNING_STORAGE_HEALTH = 50;
+
+const NVME_WARNINGS = [
+  { bit: 0x01, status: "WARNING", finding: "available spare below threshold" },
+  { bit: 0x02, status: "WARNING", finding: "temperature outside the operating range" },
+  { bit: 0x04, status: "FAILED", finding: "NVM subsystem reliability degraded" },
+  { bit: 0x08, status: "FAILED", finding: "media placed in read-only mode" },
+  { bit: 0x10, status: "FAILED", finding: "volatile memory backup failed" }
+];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// nvme-cli 2.x reports some fields as { value, ... }
+const numberOf = (value) => {
+  const number = isObject(value) ? value.value : value;
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Whether a document is smartctl JSON or an NVMe health log
+ */
+function isSmartDocument(document) {
+  if (!isObject(document)) return false;
+  return ["smartctl", "smart_status", "ata_smart_attributes", "nvme_smart_health_information_log"].some((key) => key in document)
+    || ("critical_warning" in document && ("percent_used" in document || "percentage_used" in document));
+}
+
+/**
+ * The NVMe health log of a document, with nvme-cli's field names mapped to
+ * smartctl's
+ */
+function nvmeHealthLog(document) {
+  if (isObject(document.nvme_smart_health_information_log)) return document.nvme_smart_health_information_log;
+  if (document.smartctl || !("critical_warning" in document)) return null;
+  return {
+    ...document,
+    percentage_used: document.percentage_used ?? document.percent_used,
+    available_spare: document.available_spare ?? document.avail_spare,
+    available_spare_threshold: document.available_spare_threshold ?? document.spare_thresh
+  };
+}
+
+function ataAttribute(table, id) {
+  return table.find((attribute) => attribute.id === id) || null;
+}
+
+/**
+ * Endurance used by an ATA SSD: the device statistics indicator when present,
+ * otherwise the first vendor wear attribute
+ */
+function ataPercentageUsed(document, table) {
+  const statistic = (document.ata_device_statistics?.pages || [])
+    .flatMap((page) => page.table || [])
+    .find((entry) => entry.name === "Percentage Used Endurance Indicator");
+  if (Number.isFinite(statistic?.value)) return statistic.value;
+
+  const attribute = ATA_WEAR_ATTRIBUTES.map((id) => ataAttribute(table, id)).find((entry) => Number.isFinite(entry?.value));
+  return attribute ? Math.max(0, 100 - attribute.value) : null;
+}
+
+/**
+ * One drive from a smartctl or nvme-cli document:
+ * { device, model, serial, protocol, solidState, status, percentageUsed,
+ *   reallocatedSectors, pendingSectors, mediaErrors, powerOnHours, findings, attributes }
+ */
+function parseSmartDocument(document) {
+  const health = nvmeHealthLog(document);
+  const table = document.ata_smart_attributes?.table || [];
+  const rawValue = (id) => numberOf(ataAttribute(table, id)?.raw);
+  const findings = [];
+  let status = "UNKNOWN";
+  const raise = (next, finding) => {
+    if (STATUS_RANK[next] > STATUS_RANK[status]) status = next;
+    if (finding) findings.push(finding);
+  };
+
+  const protocol = document.device?.protocol ?? (health ? "NVMe" : table.length > 0 ? "ATA" : null);
+  const solidState = protocol === "NVMe" ? true : Number.isFinite(document.rotation_rate) ? document.rotation_rate === 0 : null;
+  const drive = {
+    device: document.device?.name ?? null,
+    model: document.model_name ?? null,
+    serial: document.serial_number ?? null,
+    protocol,
+    solidState,
+    percentageUsed: health ? numberOf(health.percentage_used) : solidState ? ataPercentageUsed(document, table) : null,
+    reallocatedSectors: table.length > 0 ? rawValue(5) : null,
+    pendingSectors: table.length > 0 ? rawValue(197) : null,
+    mediaErrors: health ? numberOf(health.media_errors) : null,
+    powerOnHours: numberOf(document.power_on_time?.hours) ?? (health ? numberOf(health.power_on_hours) : null) ?? rawValue(9)
+  };
+
+  // Overall self-assessment; an NVMe health log without one counts as passed
+  const passed = document.smart_status?.passed ?? (health ? true : undefined);
+  if (passed === true) raise("GOOD");
+  if (passed === false) raise("FAILED", "SMART overall-health self-assessment failed");
+
+  if (health) {
+    const warning = numberOf(health.critical_warning) ?? 0;
+    NVME_WARNINGS.filter(({ bit }) => warning & bit).forEach(({ status: next, finding }) => raise(next, finding));
+  }
+  table.filter((attribute) => attribute.when_failed === "now").forEach((attribute) => raise("FAILED", `${attribute.name} below threshold`));
+  table.filter((attribute) => attribute.when_failed === "past").forEach((attribute) => raise("WARNING", `${attribute.name} was below threshold in the past`));
+
+  if (drive.reallocatedSectors > 0) raise("WARNING", `${drive.reallocatedSectors} reallocated sectors`);
+  if (drive.pendingSectors > 0) raise("WARNING", `${drive.pendingSectors} pending sectors`);
+  if (drive.mediaErrors > 0) raise("WARNING", `${drive.mediaErrors} media errors`);
+  if (drive.percentageUsed >= 100) raise("WARNING", `${drive.percentageUsed}% of rated endurance used`);
+
+  // smartctl could not read the drive (permissions, unsupported bridge, ...)
+  if (status === "UNKNOWN") {
+    (document.smartctl?.messages || [])
+      .filter((message) => message.severity === "error")
+      .forEach((message) => findings.push(message.string));
+  }
+
+  return {
+    ...drive,
+    status,
+    findings,
+    attributes: document.nvme_smart_health_information_log || (health ? document : table.length > 0 ? table : null)
+  };
+}
+
+/**
+ * Every drive of one or more documents, the worst status and the highest
+ * SSD endurance used (capped at 100), or null when no document is SMART data
+ */
+function summarizeSmart(documents) {
+  const drives = [].concat(documents).filter(isSmartDocument).map(parseSmartDocument);
+  if (drives.length === 0) return null;
+
+  const status = drives.reduce((worst, drive) => (STATUS_RANK[drive.status] > STATUS_RANK[worst] ? drive.status : worst), "UNKNOWN");
+  const wear = drives.filter((drive) => drive.solidState && drive.percentageUsed !== null).map((drive) => drive.percentageUsed);
+
+  return {
+    status,
+    ssdWearPercent: wear.length > 0 ? Math.min(100, Math.max(...wear)) : null,
+    drives
+  };
+}
+
+/**
+ * Standardized inputs measured by the SMART data; UNKNOWN status and missing
+ * wear are left to the reported fields
+ */
+function smartFields(summary) {
+  return {
+    ...(summary.status !== "UNKNOWN" && { storage_smart_status: summary.status }),
+    ...(summary.ssdWearPercent !== null && { ssd_wear_percentage: summary.ssdWearPercent })
+  };
+}
+
+/**
+ * Legacy storage_health from a SMART summary: the SSD endurance left (100
+ * for a passing drive without a wear reading), at most WARNING_STORAGE_HEALTH
+ * with warnings and 0 for a failed drive. Null when SMART could not assess
+ * any drive.
+ */
+function storageHealthFromSmart(summary) {
+  if (!summary) return null;
+  if (summary.status === "FAILED") return 0;
+  const remaining = summary.ssdWearPercent !== null ? 100 - summary.ssdWearPercent : summary.status === "UNKNOWN" ? null : 100;
+  if (remaining === null) return null;
+  return summary.status === "WARNING" ? Math.min(remaining, WARNING_STORAGE_HEALTH) : remaining;
+}
+
+/**
+ * `input` with its `smart` documents mapped onto the standardized fields
+ * (measured values win over reported ones), and the SMART summary for the
+ * report (null without SMART data)
+ */
+function withSmartData(input = {}) {
+  const summary = input.smart ? summarizeSmart(input.smart) : null;
+  if (!summary) return { input, smart: null };
+  return { input: { ...input, ...smartFields(summary) }, smart: summary };
+}
+
+module.exports = {
+  parseSmartDocument,
+  summarizeSmart,
+  smartFields,
+  storageHealthFromSmart,
+  withSmartData,
+  isSmartDocument
+};
@@ -2,12 +2,18 @@ const { exec } = require("child_process");
 const os = require("os");
 const { promisify } = require("util");
 
+const { createLinuxCollector } = require("./collectors/linux");
+const { batteryHealthFromWear } = require("../rules/healthRules");
+
 const execPromise = promisify(exec);
 
+// Linux reads /proc and /sys directly; one collector keeps the CPU sample between calls
+let linuxCollector = null;
+
 class SystemMonitor {
   static async getCpuUsage() {
     try {
-      if (process.platform === "linux" || process.platform === "darwin") {
+      if (process.platform === "darwin") {
         const { stdout } = await execPromise(
           "top -bn1 | awk '/Cpu/ {print int(100 - $8)}' || echo 50"
         );
@@ -28,16 +34,11 @@ class SystemMonitor {
 
   static async getRamUsage() {
     try {
-      if (process.platform === "linux") {
-        const { stdout } = await execPromise("free -g | awk '/Mem:/ {print $3}'");
-        return parseInt(stdout.trim()) || 4;
-      } else {
-        // For all platforms, calculate from os module
-        const totalMem = os.totalmem() / (1024 * 1024 * 1024);
-        const freeMem = os.freemem() / (1024 * 1024 * 1024);
-        const usedMem = totalMem - freeMem;
-        return Math.round(usedMem);
-      }
+      // For all platforms, calculate from os module
+      const totalMem = os.totalmem() / (1024 * 1024 * 1024);
+      const freeMem = os.freemem() / (1024 * 1024 * 1024);
+      const usedMem = totalMem - freeMem;
+      return Math.round(usedMem);
     } catch (error) {
       console.error("Error getting RAM usage:", error.message);
       return 4;
@@ -46,7 +47,7 @@ class SystemMonitor {
 
   static async getStorageHealth() {
     try {
-      if (process.platform === "linux" || process.platform === "darwin") {
+      if (process.platform === "darwin") {
         const { stdout } = await execPromise(
           "df / | awk 'NR==2 {print $5}' | sed 's/%//' || echo 50"
         );
@@ -62,29 +63,40 @@ class SystemMonitor {
     }
   }
 
+  // pmset only reports the charge level, which is not battery health; the
+  // agent measures wear on macOS and Windows
   static async getBatteryHealth() {
-    try {
-      if (process.platform === "linux") {
-        const { stdout } = await execPromise(
-          "upower -i $(upower -e | grep BAT) | grep 'percentage' | awk '{print $2}' | sed 's/%//' || echo 85"
-        );
-        return parseInt(stdout.trim()) || 85;
-      } else if (process.platform === "darwin") {
-        const { stdout } = await execPromise(
-          "pmset -g batt | awk 'NR==2 {print $3}' | sed 's/%//' || echo 85"
-        );
-        return parseInt(stdout.trim()) || 85;
-      } else {
-        return 85;
-      }
-    } catch (error) {
-      console.error("Error getting battery health:", error.message);
-      return 85;
-    }
+    return null;
+  }
+
+  /**
+   * Linux metrics from /proc and /sys. Unreadable sensors are null; installed
+   * RAM is reported as ram_gb, like the diagnostics scripts do. Battery health
+   * comes from the measured wear only, never the charge level.
+   */
+  static async getLinuxMetrics() {
+    linuxCollector = linuxCollector || createLinuxCollector();
+    const { cpu, memory, storage, battery, temperatures } = await linuxCollector.collect();
+
+    return {
+      timestamp: new Date().toISOString(),
+      cpu_usage: cpu.usage_percent,
+      cpu_per_core: cpu.per_core,
+      ram_gb: memory?.total_gb ?? null,
+      ram_used_percent: memory?.used_percent ?? null,
+      storage_health: storage?.free_percent ?? null,
+      battery_health: batteryHealthFromWear(battery?.wear_percent),
+      ...(battery?.wear_percent != null && { battery_wear_percent: battery.wear_percent }),
+      ...(battery?.cycle_count != null && { battery_cycle_count: battery.cycle_count }),
+      ...(temperatures?.cpu != null && { temperature_celsius: temperatures.cpu }),
+      motherboard: true
+    };
   }
 
   static async getSystemMetrics() {
     try {
+      if (process.platform === "linux") return await this.getLinuxMetrics();
+
       const [cpuUsage, ramUsage, storageHealth, batteryHealth] = await Promise.all([
         this.getCpuUsage(),
         this.getRamUsage(),
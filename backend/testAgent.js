@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+
+/**
+ * Diagnostics agent tests: the macOS and Windows parsers against recorded
+ * ioreg / pmset / PowerShell output, the Linux platform on the laptop
+ * fixture, every payload format through validation and evaluation,
+ * idempotent submission to a running backend, the spool's retry and backoff,
+ * the CLI commands (signing included) with injected dependencies, and the
+ * bundled single-file agent.
+ */
+
+const assert = require("assert");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-test-"));
+process.env.REPORT_STORE_DIR = dir;
+
+const app = require("./server");
+const { createPlatform } = require("./agent/platforms");
+const { createLinuxPlatform } = require("./agent/platforms/linux");
+const { createDarwinPlatform, parseIoreg, batteryFromIoreg } = require("./agent/platforms/darwin");
+const { createWin32Platform, parseInventory } = require("./agent/platforms/win32");
+const { macAddresses, collectSmart } = require("./agent/platforms/common");
+const { buildPayload, FORMATS } = require("./agent/payloads");
+const { submitPayload } = require("./agent/submit");
+const { createSpool, flushSpool } = require("./agent/spool");
+const { main, parseCommandLine } = require("./agent/cli");
+const { verifyPayload } = require("./services/signing");
+const { buildBundle } = require("./agent/build");
+const { createLinuxCollector } = require("./services/collectors/linux");
+const { validateInput } = require("./services/inputValidator");
+const evaluateDevice = require("./services/evaluateDevice");
+
+const fixtures = path.join(__dirname, "fixtures");
+const readFixture = (...parts) => fs.readFileSync(path.join(fixtures, ...parts), "utf8");
+const statfs = async () => JSON.parse(readFixture("linux", "laptop", "statfs.json"));
+const sampleCpu = async () => ({ usage_percent: 12.5, per_core: [10, 15] });
+
+const snapshot = {
+  platform: "linux",
+  hostname: "bench-07",
+  cpu: { model: "Intel(R) Core(TM) i7-8565U CPU @ 1.80GHz", cores: 8, usage_percent: 12.5, per_core: [10, 15] },
+  memory: { total_gb: 15.5, available_gb: 9.2, used_percent: 40.6 },
+  storage: { total_gb: 476.9, free_gb: 201.3, free_percent: 42.2 },
+  battery: { charge_percent: 86, wear_percent: 15.3, cycle_count: 412 },
+  temperatures: { cpu: 48 },
+  hardware_ids: { machine_id: "4f1c2a9e8b7d4c3a9e6f5d4c3b2a1908", product_uuid: null, serial_number: null, board_serial: null, mac_addresses: ["8c:8d:28:4a:7e:11"] },
+  smart: [JSON.parse(readFixture("smart", "nvme-samsung-970.json"))]
+};
+
+const results = {
+  benchmark: { results: {}, performance_percentage: 88 },
+  memory: { testedBytes: 512 * 1024 * 1024, durationMs: 15000, errors: 0, patterns: {}, mismatches: [] },
+  cpu: { stable: true, throttling: false, idleTemperature: 45, peakTemperature: 82 }
+};
+
+const now = new Date("2026-10-19T09:30:00Z");
+
+/**
+ * Writable stand-in that keeps everything written to it
+ */
+function capture() {
+  const chunks = [];
+  return { write: (text) => chunks.push(text), text: () => chunks.join("") };
+}
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("DIAGNOSTICS AGENT TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: macOS IOREG AND PMSET");
+  const battery = parseIoreg(readFixture("agent", "darwin-ioreg-battery.txt"));
+  assert.strictEqual(battery.DesignCapacity, 4382);
+  assert.strictEqual(battery.DeviceName, "bq40z651");
+  assert.strictEqual(battery.ExternalConnected, true);
+  assert.ok(!("BatteryData" in battery), "nested dictionaries are skipped");
+  assert.deepStrictEqual(batteryFromIoreg(battery, readFixture("agent", "darwin-pmset.txt")), { charge_percent: 86, wear_percent: 15.3, cycle_count: 412 });
+  assert.strictEqual(batteryFromIoreg({ DesignCapacity: 5000, MaxCapacity: 4500 }, null).wear_percent, 10, "Intel Macs report MaxCapacity in mAh");
+  assert.strictEqual(batteryFromIoreg({}, null), null, "desktop Macs have no AppleSmartBattery");
+
+  const commands = [];
+  const darwinOutput = {
+    "ioreg -rn AppleSmartBattery": readFixture("agent", "darwin-ioreg-battery.txt"),
+    "pmset -g batt": readFixture("agent", "darwin-pmset.txt"),
+    "ioreg -rd1 -c IOPlatformExpertDevice": readFixture("agent", "darwin-ioreg-platform.txt")
+  };
+  const darwin = await createDarwinPlatform({
+    run: async (command, args) => {
+      commands.push(command);
+      return darwinOutput[[command, ...args].join(" ")] ?? null;
+    },
+    statfs,
+    sampleCpu
+  }).collect();
+  assert.strictEqual(darwin.platform, "darwin");
+  assert.strictEqual(darwin.cpu.usage_percent, 12.5);
+  assert.strictEqual(darwin.battery.wear_percent, 15.3);
+  assert.strictEqual(darwin.temperatures, null);
+  assert.strictEqual(darwin.hardware_ids.product_uuid, "8E3F1C52-6D4B-5A7E-9C10-2B3D4E5F6071");
+  assert.strictEqual(darwin.hardware_ids.serial_number, "C02FK3Q7MD6N");
+  assert.strictEqual(darwin.smart, null, "smartctl is not installed");
+  assert.ok(commands.includes("smartctl"));
+  console.log(`  wear ${darwin.battery.wear_percent}% after ${darwin.battery.cycle_count} cycles`);
+
+  console.log("\nTEST 2: WINDOWS INVENTORY");
+  const inventory = JSON.parse(readFixture("agent", "win32-inventory.json"));
+  const parsed = parseInventory(inventory);
+  assert.deepStrictEqual(parsed.battery, { charge_percent: 64, wear_percent: 20.8, cycle_count: 287 });
+  assert.deepStrictEqual(parsed.temperatures, { cpu: 58.1 }, "hottest zone, from tenths of a kelvin");
+  assert.deepStrictEqual(parsed.hardware_ids.mac_addresses, ["f4:8e:38:a1:b2:c3", "9c:b6:d0:12:34:56"]);
+  assert.strictEqual(parseInventory({ ...inventory, charge_percent: null, design_capacity: null }).battery, null);
+  assert.strictEqual(parseInventory({ thermal_zones: 0 }).temperatures, null, "zones at 0 K are not sensors");
+  assert.strictEqual(parseInventory(null).hardware_ids.machine_id, null, "PowerShell unavailable");
+
+  const win32 = await createWin32Platform({
+    run: async (command) => (command === "powershell.exe" ? JSON.stringify(inventory) : null),
+    statfs,
+    sampleCpu
+  }).collect({ smart: false });
+  assert.strictEqual(win32.platform, "win32");
+  assert.strictEqual(win32.hardware_ids.machine_id, "b7e1f3a2-9c4d-4e8f-a1b2-c3d4e5f60718");
+  assert.strictEqual(win32.storage.free_percent, (await createDarwinPlatform({ run: async () => null, statfs, sampleCpu }).collect({ smart: false })).storage.free_percent);
+
+  console.log("\nTEST 3: LINUX PLATFORM AND SHARED HELPERS");
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "agent-linux-"));
+  fs.cpSync(path.join(fixtures, "linux", "laptop"), root, { recursive: true });
+  try {
+    const linux = await createLinuxPlatform({
+      procRoot: path.join(root, "proc"),
+      sysRoot: path.join(root, "sys"),
+      etcRoot: path.join(root, "etc"),
+      run: async () => null,
+      collector: createLinuxCollector({
+        procRoot: path.join(root, "proc"),
+        sysRoot: path.join(root, "sys"),
+        statfs,
+        wait: async () => fs.copyFileSync(path.join(root, "proc", "stat.next"), path.join(root, "proc", "stat"))
+      })
+    }).collect();
+    assert.strictEqual(linux.platform, "linux");
+    assert.strictEqual(typeof linux.cpu.usage_percent, "number");
+    assert.ok(linux.battery.wear_percent > 0);
+    assert.ok(linux.temperatures.cpu > 0);
+    assert.deepStrictEqual(linux.hardware_ids, {
+      machine_id: "4f1c2a9e8b7d4c3a9e6f5d4c3b2a1908",
+      product_uuid: "6a2b1c4d-8e9f-11eb-8dcd-0242ac130003",
+      serial_number: null,
+      board_serial: "PF3KX9LQ",
+      mac_addresses: ["8c:8d:28:4a:7e:11"]
+    }, "root-only DMI serials are null; loopback and bridges are not physical");
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  assert.deepStrictEqual(macAddresses({
+    lo: [{ internal: true, mac: "00:00:00:00:00:00" }],
+    en0: [{ internal: false, mac: "A4:83:E7:01:02:03" }, { internal: false, mac: "a4:83:e7:01:02:03" }],
+    utun0: [{ internal: false, mac: "00:00:00:00:00:00" }]
+  }), ["a4:83:e7:01:02:03"]);
+
+  const scanned = await collectSmart(async (command, args) => {
+    if (args[0] === "--scan") return JSON.stringify({ devices: [{ name: "/dev/nvme0", type: "nvme" }, { name: "/dev/sda", type: "sat" }] });
+    return args.includes("/dev/nvme0") ? readFixture("smart", "nvme-samsung-970.json") : "smartctl: unrecognized option '--json'";
+  });
+  assert.strictEqual(scanned.length, 1, "output that is not smartctl JSON is left out");
+  assert.strictEqual(await collectSmart(async () => null), null, "smartctl is not installed");
+  assert.throws(() => createPlatform("aix"), /Unsupported platform: aix/);
+
+  console.log("\nTEST 4: PAYLOAD FORMATS");
+  const expectedModels = {
+    legacy: "LEGACY_COMPONENT_HEALTH",
+    standardized: "STANDARDIZED_HARDWARE_REUSABILITY",
+    omls: "OPEN_MODULAR_LAPTOP_STANDARD",
+    hybrid: "HYBRID"
+  };
+  for (const format of FORMATS) {
+    const payload = buildPayload(format, snapshot, results, { now });
+    const validation = validateInput(payload);
+    assert.ok(validation.valid, `${format}: ${JSON.stringify(validation.errors)}`);
+    assert.strictEqual(evaluateDevice(payload).evaluationModel, expectedModels[format], format);
+    assert.strictEqual(payload.timestamp, "2026-10-19T09:30:00.000Z");
+    assert.deepStrictEqual(payload.hardware_ids, snapshot.hardware_ids);
+    console.log(`  ${format.padEnd(12)} -> ${expectedModels[format]}`);
+  }
+
+  const legacy = buildPayload("legacy", { ...snapshot, battery: null, temperatures: null }, {}, { now });
+  assert.ok(!("battery_health" in legacy) && !("temperature_celsius" in legacy), "unreadable sensors are left out");
+  assert.strictEqual(legacy.storage_health, 93, "from the SMART endurance, not the 42.2 % free space");
+  assert.ok(!("storage_health" in buildPayload("legacy", { ...snapshot, smart: null }, {}, { now })), "unknown without SMART data");
+  const standardized = buildPayload("standardized", snapshot, results, { now });
+  assert.strictEqual(standardized.ram_test_errors, 0);
+  assert.strictEqual(standardized.load_temperature_celsius, 82);
+  assert.strictEqual(standardized.performance_percentage, 88);
+  const failedTests = buildPayload("standardized", snapshot, { cpu: { error: "worker crashed" }, memory: { ...results.memory, testedBytes: 0 } }, { now });
+  assert.ok(!("cpu_stress_stable" in failedTests) && !("ram_test_errors" in failedTests), "failed and empty tests are not reported");
+  const omls = buildPayload("omls", snapshot, results, { now });
+  assert.deepStrictEqual(omls.components.map((component) => component.component_type), ["CPU", "RAM", "STORAGE", "BATTERY"]);
+  assert.strictEqual(omls.components[0].manufacturer_id, "Intel");
+  assert.strictEqual(omls.components[2].identification_interface, "NVMe");
+  assert.throws(() => buildPayload("yaml", snapshot), /Unknown payload format/);
+
+  console.log("\nTEST 5: SUBMISSION");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const apiBase = `http://127.0.0.1:${server.address().port}/`;
+
+  try {
+    const submitted = await submitPayload(buildPayload("hybrid", snapshot, results, { now }), { apiBase, pollMs: 20, attempts: 100 });
+    assert.strictEqual(submitted.state, "done");
+    assert.ok(submitted.reportId && submitted.deviceId);
+    const report = await (await fetch(`${apiBase}api/reports/${submitted.reportId}`)).json();
+    assert.strictEqual(report.hostname, "bench-07");
+    assert.strictEqual(submitted.duplicate, false);
+    assert.strictEqual(submitted.verification.reason, "unsigned");
+
+    const idempotencyKey = "4a7d1c9e-0b3f-4e8a-9c61-2f5e8d7b3a10";
+    const first = await submitPayload(buildPayload("legacy", snapshot, {}, { now }), { apiBase, idempotencyKey, pollMs: 20, attempts: 100 });
+    const resent = await submitPayload(buildPayload("legacy", snapshot, {}, { now }), { apiBase, idempotencyKey, pollMs: 20, attempts: 100 });
+    assert.strictEqual(resent.duplicate, true);
+    assert.strictEqual(resent.reportId, first.reportId, "a resent payload is not evaluated twice");
+    const reports = await (await fetch(`${apiBase}api/reports?hostname=bench-07`)).json();
+    assert.strictEqual(reports.filter((entry) => entry.id === first.reportId).length, 1);
+
+    await assert.rejects(
+      submitPayload({ cpu_usage: "high", motherboard: true }, { apiBase }),
+      (error) => error.status === 422 && error.rejected && error.details.some((detail) => detail.field === "cpu_usage")
+    );
+    await assert.rejects(submitPayload({}, { apiBase, idempotencyKey: "not a key" }), (error) => error.status === 400 && error.rejected);
+    await assert.rejects(submitPayload({}, { apiBase: "http://127.0.0.1:9" }), (error) => /not reachable/.test(error.message) && !error.rejected);
+    await assert.rejects(submitPayload({}, {}), /No backend URL/);
+
+    const pending = await submitPayload({}, {
+      apiBase: "http://backend.test",
+      wait: async () => {},
+      attempts: 2,
+      fetch: async (url) => ({
+        ok: true,
+        json: async () => (url.endsWith("/api/submit-diagnostics") ? { status: "queued", jobId: "job-1" } : { state: "running" })
+      })
+    });
+    assert.deepStrictEqual(pending, { jobId: "job-1", state: "running", reportId: null, deviceId: null, warnings: [], verification: null, duplicate: false });
+    const busy = async () => ({ ok: false, status: 503, statusText: "Service Unavailable", json: async () => ({}) });
+    await assert.rejects(submitPayload({}, { apiBase: "http://backend.test", fetch: busy }), (error) => error.status === 503 && !error.rejected);
+    console.log(`  report ${submitted.reportId} for device ${submitted.deviceId}`);
+  } finally {
+    server.close();
+  }
+
+  console.log("\nTEST 6: SPOOL AND RETRY");
+  let clock = Date.parse("2026-10-19T09:00:00Z");
+  const spool = createSpool({ dir: path.join(dir, "spool-test"), now: () => new Date((clock += 1000)) });
+  assert.deepStrictEqual(await spool.list(), [], "no spool directory yet");
+  const older = await spool.add({ cpu_usage: 10, hostname: "bench-08" });
+  const newer = await spool.add({ cpu_usage: 20, hostname: "bench-08" });
+  const invalid = await spool.add({ cpu_usage: "high" });
+  fs.writeFileSync(path.join(spool.dir, "notes.json"), "not json");
+  assert.deepStrictEqual((await spool.list()).map((entry) => entry.id), [older.id, newer.id, invalid.id], "oldest first");
+
+  const delays = [];
+  let online = false;
+  const calls = [];
+  const flakySubmit = async (payload, { idempotencyKey }) => {
+    calls.push(idempotencyKey);
+    if (!online) throw new Error("Backend is not reachable at http://backend.test: ECONNREFUSED");
+    if (payload.cpu_usage === "high") {
+      throw Object.assign(new Error("Backend rejected the diagnostics (HTTP 422): Invalid legacy diagnostics payload"), { rejected: true, details: [{ field: "cpu_usage", message: "must be number" }] });
+    }
+    return { jobId: `job-${payload.cpu_usage}`, state: "done", reportId: `report-${payload.cpu_usage}`, deviceId: "device-8", warnings: [], duplicate: false };
+  };
+  const flushOptions = { submit: flakySubmit, retries: 3, baseDelayMs: 1000, maxDelayMs: 5000, wait: async (ms) => delays.push(ms) };
+
+  const offline = await flushSpool(spool, flushOptions);
+  assert.deepStrictEqual(delays, [1000, 2000, 4000], "exponential backoff");
+  assert.deepStrictEqual(calls, [older.id, older.id, older.id, older.id], "the rest are not tried while the backend is down");
+  assert.deepStrictEqual(offline.delivered, []);
+  assert.deepStrictEqual(offline.pending.map((entry) => [entry.id, entry.attempts]), [[older.id, 4], [newer.id, 0], [invalid.id, 0]]);
+  assert.match(offline.pending[0].error, /ECONNREFUSED/);
+  assert.strictEqual((await spool.list())[0].attempts, 4, "attempts are kept across runs");
+
+  delays.length = 0;
+  calls.length = 0;
+  const retried = await flushSpool(spool, { ...flushOptions, retries: 10, wait: async (ms) => {
+    delays.push(ms);
+    online = delays.length === 5;
+  } });
+  assert.deepStrictEqual(delays, [1000, 2000, 4000, 5000, 5000], "capped at maxDelayMs");
+  assert.deepStrictEqual(calls.slice(-3), [older.id, newer.id, invalid.id], "each payload keeps its idempotency key");
+  assert.deepStrictEqual(retried.delivered.map((entry) => entry.reportId), ["report-10", "report-20"]);
+  assert.deepStrictEqual(retried.pending, []);
+  assert.deepStrictEqual(retried.rejected.map((entry) => [entry.id, entry.details[0].field]), [[invalid.id, "cpu_usage"]]);
+  assert.deepStrictEqual(await spool.list(), []);
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(spool.rejectedDir, `${invalid.id}.json`), "utf8")).payload.cpu_usage, "high", "rejected payloads are kept");
+  assert.ok(fs.existsSync(path.join(spool.dir, "notes.json")), "files that are not entries are left alone");
+  console.log(`  ${retried.delivered.length} delivered after ${delays.length} retries, ${retried.rejected.length} rejected`);
+
+  console.log("\nTEST 7: COMMAND LINE");
+  const platform = { collect: async () => snapshot };
+  const runTests = async ({ only }) => Object.fromEntries(only.map((name) => [name, results[name]]));
+  const keyFile = path.join(dir, "keys", "signing-key.json");
+  const agent = async (argv, deps = {}) => {
+    const stdout = capture();
+    const stderr = capture();
+    const code = await main(argv, { stdout, stderr, platform, runTests, now: () => now, env: { HWDIAG_SPOOL_DIR: path.join(dir, "spool"), HWDIAG_SIGNING_KEY: keyFile }, ...deps });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+  };
+
+  assert.strictEqual(parseCommandLine(["test"]).format, "standardized");
+  assert.deepStrictEqual(parseCommandLine(["test"]).tests, ["benchmark", "memory", "cpu"]);
+  assert.strictEqual(parseCommandLine(["submit"]).format, "legacy");
+  assert.strictEqual(parseCommandLine(["submit", "--tests", "memory"]).format, "hybrid", "test results need the standardized fields");
+  assert.strictEqual(parseCommandLine(["test", "--stress-seconds", "5"]).testOptions.stressMs, 5000);
+
+  const collected = await agent(["collect"]);
+  assert.strictEqual(collected.code, 0);
+  assert.deepStrictEqual(JSON.parse(collected.stdout), buildPayload("legacy", snapshot, {}, { now }));
+
+  const all = JSON.parse((await agent(["test", "--format", "all"])).stdout);
+  assert.deepStrictEqual(Object.keys(all), ["legacy", "standardized", "omls"]);
+  assert.strictEqual(all.standardized.ram_test_errors, 0);
+
+  assert.strictEqual((await agent([])).code, 2);
+  assert.strictEqual((await agent(["reboot"])).code, 2);
+  assert.strictEqual((await agent(["collect", "--format", "xml"])).code, 2);
+  assert.strictEqual((await agent(["submit", "--format", "all"])).code, 2);
+  assert.strictEqual((await agent(["collect", "--format", "all", "--spool"])).code, 2);
+  assert.strictEqual((await agent(["flush", "--retries", "x"])).code, 2);
+  assert.strictEqual((await agent(["test", "--stress-seconds", "-1"])).code, 2);
+  const help = await agent(["--help"]);
+  assert.strictEqual(help.code, 0);
+  assert.match(help.stdout, /Usage: hwdiag-agent/);
+
+  const noReference = await agent(["test", "--tests", "benchmark"], { runTests: async () => ({ benchmark: { results: {}, performance_percentage: null } }) });
+  assert.match(noReference.stderr, /No benchmark reference/);
+  const crashed = await agent(["test", "--tests", "cpu"], { runTests: async () => ({ cpu: { error: "worker crashed" } }) });
+  assert.strictEqual(crashed.code, 0, "a failed test does not stop the others");
+  assert.match(crashed.stderr, /CPU stress test failed: worker crashed/);
+
+  const file = path.join(dir, "payload.json");
+  assert.strictEqual((await agent(["test", "--out", file])).code, 0);
+  const sent = [];
+  const submit = async (payload, options) => {
+    sent.push({ payload, options });
+    return { jobId: "job-9", state: "done", reportId: "report-9", deviceId: "device-9", warnings: [], duplicate: false };
+  };
+  const submitted = await agent(["submit", "--file", file, "--api", "http://backend.test/", "--app", "http://app.test"], { submit });
+  assert.strictEqual(submitted.code, 0);
+  assert.strictEqual(sent[0].options.apiBase, "http://backend.test");
+  assert.match(sent[0].options.idempotencyKey, /^[0-9a-f-]{36}$/);
+  assert.strictEqual(sent[0].payload.cpu_stress_stable, true);
+  assert.match(submitted.stderr, /http:\/\/app\.test\/results\?reportId=report-9/);
+  assert.strictEqual(JSON.parse(submitted.stdout).delivered[0].reportId, "report-9");
+
+  const unreachable = async () => {
+    throw new Error("Backend is not reachable at http://backend.test: getaddrinfo ENOTFOUND backend.test");
+  };
+  const stranded = await agent(["submit", "--retries", "1"], { submit: unreachable, wait: async () => {} });
+  assert.strictEqual(stranded.code, 1);
+  assert.match(stranded.stderr, /1 still pending in .*spool \(run "hwdiag-agent flush" to retry\): Backend is not reachable/);
+  assert.strictEqual(JSON.parse(stranded.stdout).pending.length, 1);
+  assert.ok((await agent(["collect", "--spool"])).stderr.includes("Spooled "), "collect can queue a payload for later");
+
+  sent.length = 0;
+  const flushed = await agent(["flush"], { submit });
+  assert.strictEqual(flushed.code, 0);
+  assert.strictEqual(sent.length, 2, "the payload spooled offline and the collected one");
+  assert.match(flushed.stderr, /Delivered 2 of 2/);
+  assert.match((await agent(["flush"], { submit })).stderr, /Nothing to send/);
+
+  const rejected = await agent(["submit"], {
+    submit: async () => {
+      throw Object.assign(new Error("Backend rejected the diagnostics (HTTP 422): Invalid input"), { rejected: true, details: [{ field: "ram_gb", message: "must be number" }] });
+    }
+  });
+  assert.strictEqual(rejected.code, 1);
+  assert.match(rejected.stderr, /ram_gb: must be number/);
+  assert.match(rejected.stderr, /1 rejected, kept in .*rejected/);
+
+  const waits = [];
+  const watched = await agent(["watch", "--count", "3", "--interval", "5"], { wait: async (ms) => waits.push(ms) });
+  assert.strictEqual(watched.code, 0);
+  assert.strictEqual(watched.stdout.trim().split("\n").length, 3, "one JSON line per collection");
+  assert.deepStrictEqual(waits, [5000, 5000]);
+  const watchedSubmit = await agent(["watch", "--count", "2", "--submit"], { submit, wait: async () => {} });
+  assert.deepStrictEqual(watchedSubmit.stdout.trim().split("\n").map((line) => JSON.parse(line).delivered.length), [1, 1]);
+
+  assert.ok(!("signature" in JSON.parse((await agent(["collect"])).stdout)), "unsigned without a key");
+  const keygen = await agent(["keygen", "--key-id", "bench-tech"]);
+  assert.strictEqual(keygen.code, 0);
+  const key = JSON.parse(keygen.stdout);
+  assert.strictEqual(key.keyFile, keyFile);
+  assert.match(key.fingerprint, /^SHA256:/);
+  assert.match(keygen.stderr, /npm run signers -- add bench-tech --public-key .*signing-key\.pub\.pem/);
+  if (process.platform !== "win32") assert.strictEqual(fs.statSync(keyFile).mode & 0o777, 0o600, "private key readable by its owner only");
+  assert.strictEqual((await agent(["keygen"])).code, 1, "an existing key is not replaced");
+
+  const publicKey = fs.readFileSync(key.publicKeyFile, "utf8");
+  const signed = JSON.parse((await agent(["collect"])).stdout);
+  assert.strictEqual(signed.signature.keyId, "bench-tech");
+  assert.ok(verifyPayload(signed, publicKey));
+  const signedAll = JSON.parse((await agent(["test", "--format", "all"])).stdout);
+  assert.ok(Object.values(signedAll).every((entry) => verifyPayload(entry, publicKey)), "each model's payload is signed");
+  assert.ok(!("signature" in JSON.parse((await agent(["collect", "--unsigned"])).stdout)));
+  assert.strictEqual((await agent(["collect", "--key-file", path.join(dir, "missing.json")])).code, 1, "a named key must exist");
+
+  sent.length = 0;
+  await agent(["submit", "--file", file], { submit });
+  assert.ok(verifyPayload(sent[0].payload, publicKey), "a saved unsigned payload is signed on submit");
+  const verified = await agent(["submit", "--file", file], {
+    submit: async () => ({ jobId: "job-10", state: "done", reportId: "report-10", warnings: [], verification: { verified: true, signer: { id: "bench-tech", name: "Bench tech", type: "technician" } } })
+  });
+  assert.match(verified.stderr, /Signature verified: signed by Bench tech/);
+  console.log("  collect, test, submit, flush, watch and keygen");
+
+  console.log("\nTEST 8: BUNDLED AGENT");
+  const bundle = buildBundle();
+  const bundled = path.join(dir, "hwdiag-agent.cjs");
+  fs.writeFileSync(bundled, bundle);
+  assert.ok(!/require\("(ajv|express|ws|js-yaml)"\)/.test(bundle), "no backend dependencies in the bundle");
+
+  const output = await new Promise((resolve, reject) => {
+    execFile(process.execPath, [bundled, "collect", "--skip-smart"], { cwd: os.tmpdir(), timeout: 30000 }, (error, stdout) => (error ? reject(error) : resolve(stdout)));
+  });
+  const payload = JSON.parse(output);
+  assert.ok(validateInput(payload).valid);
+  assert.strictEqual(payload.hostname, os.hostname());
+  console.log(`  ${Math.round(bundle.length / 1024)} KB, collect on ${process.platform}: ${Object.keys(payload).length} fields`);
+
+  console.log("\nAll diagnostics agent tests passed.");
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
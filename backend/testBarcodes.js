@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+
+/**
+ * Local barcode scanning tests: PNG and JPEG reading, the QR, Data Matrix
+ * and 1D readers against symbols rendered here with rotation, perspective
+ * and sensor noise, and scanning on worker threads.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const {
+  BarcodeFormat,
+  Code128Reader,
+  Code39Reader,
+  DataMatrixWriter,
+  DataMatrixSymbolShapeHint,
+  EAN13Reader,
+  EncodeHintType,
+  PerspectiveTransform
+} = require("@zxing/library");
+const { PNG } = require("pngjs");
+const { labelUrl, encodeQr } = require("./services/labels");
+const { scanBarcodes, scanBarcodesInWorker, decodeImage, MAX_SCAN_DIMENSION } = require("./services/barcodeScanner");
+
+const FIXTURE = path.join(__dirname, "fixtures", "barcodes", "asset-label.jpg");
+
+console.log("=".repeat(70));
+console.log("LOCAL BARCODE SCANNING TESTS");
+console.log("=".repeat(70));
+
+// ---- Test-side symbol encoders ----
+
+// Data Matrix ECC 200 symbol for `text` as { rows, columns, modules[y][x] }, true for dark
+function encodeDataMatrix(text, { rectangular = false } = {}) {
+  const shape = rectangular ? DataMatrixSymbolShapeHint.FORCE_RECTANGLE : DataMatrixSymbolShapeHint.FORCE_SQUARE;
+  const matrix = new DataMatrixWriter().encode(text, BarcodeFormat.DATA_MATRIX, 0, 0, new Map([[EncodeHintType.DATA_MATRIX_SHAPE, shape]]));
+  const [rows, columns] = [matrix.getHeight(), matrix.getWidth()];
+  return { rows, columns, modules: Array.from({ length: rows }, (_, y) => Array.from({ length: columns }, (_, x) => matrix.get(x, y))) };
+}
+
+// Alternating bar/space widths as a row of modules, bar first
+const barRow = (widths) => widths.flatMap((width, index) => new Array(width).fill(index % 2 === 0));
+
+function code128(text, { set = "B" } = {}) {
+  const values = set === "C" ? [105] : [104];
+  if (set === "C") for (let index = 0; index < text.length; index += 2) values.push(Number(text.slice(index, index + 2)));
+  else for (const character of text) values.push(character.charCodeAt(0) - 32);
+  values.push(values.reduce((total, value, index) => total + value * Math.max(index, 1), 0) % 103);
+  // The last pattern is the stop
+  return barRow([...values, 106].flatMap((value) => [...Code128Reader.CODE_PATTERNS[value]]));
+}
+
+function code39(text) {
+  const widths = [];
+  [..."*" + text + "*"].forEach((character, index) => {
+    if (index) widths.push(1);
+    const pattern = character === "*" ? Code39Reader.ASTERISK_ENCODING : Code39Reader.CHARACTER_ENCODINGS[Code39Reader.ALPHABET_STRING.indexOf(character)];
+    for (let bit = 8; bit >= 0; bit -= 1) widths.push((pattern >> bit) & 1 ? 3 : 1);
+  });
+  return barRow(widths);
+}
+
+// EAN-13 (13 digits with the check digit) or EAN-8 (8 digits) as { value, row }
+function ean(digits) {
+  const values = [...digits].map(Number);
+  const weighted = values.slice().reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  values.push((10 - (weighted % 10)) % 10);
+
+  const half = values.length === 13 ? 7 : 4;
+  const first = values.length === 13 ? EAN13Reader.FIRST_DIGIT_ENCODINGS[values[0]] : 0;
+  const left = values.slice(half - (values.length === 13 ? 6 : 4), half).map((digit, index) => {
+    const pattern = [...EAN13Reader.L_PATTERNS[digit]];
+    return (first >> (5 - index)) & 1 ? pattern.reverse() : pattern;
+  });
+  const right = values.slice(half).map((digit) => [...EAN13Reader.L_PATTERNS[digit]]);
+  return { value: values.join(""), row: barRow([1, 1, 1, ...left.flat(), 1, 1, 1, 1, 1, ...right.flat(), 1, 1, 1]) };
+}
+
+const stack = (row, height) => Array.from({ length: height }, () => row);
+
+// ---- Test-side camera ----
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Map of the quadrilateral `from` onto `to`, as (x, y) => { x, y }
+function perspectiveTransform(from, to) {
+  const transform = PerspectiveTransform.quadrilateralToQuadrilateral(
+    ...from.flatMap(({ x, y }) => [x, y]),
+    ...to.flatMap(({ x, y }) => [x, y])
+  );
+  return (x, y) => {
+    const points = [x, y];
+    transform.transformPoints(points);
+    return { x: points[0], y: points[1] };
+  };
+}
+
+/**
+ * Corners (clockwise from top-left) of a width x width*aspect rectangle
+ * centred on (cx, cy), rotated by `angle` and with its right edge scaled
+ * by 1 + skew for a perspective tilt
+ */
+function placement(cx, cy, width, angle, { skew = 0, aspect = 1 } = {}) {
+  const [halfWidth, halfHeight] = [width / 2, (width * aspect) / 2];
+  return [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]].map(([x, y], index) => {
+    const stretch = index === 1 || index === 2 ? 1 + skew : 1;
+    const [sx, sy] = [x * stretch, y * stretch];
+    return { x: cx + sx * Math.cos(angle) - sy * Math.sin(angle), y: cy + sx * Math.sin(angle) + sy * Math.cos(angle) };
+  });
+}
+
+/**
+ * Photograph `modules` plus a `quiet`-module margin onto an existing
+ * greyscale image at `corners`, 2x2 supersampled with seeded noise and a
+ * lighting gradient. Returns the image corners of the symbol itself.
+ */
+function photograph(image, modules, corners, { quiet = 4, noise = 8, seed = 1 } = {}) {
+  const [columns, rows] = [modules[0].length + quiet * 2, modules.length + quiet * 2];
+  const grid = [{ x: 0, y: 0 }, { x: columns, y: 0 }, { x: columns, y: rows }, { x: 0, y: rows }];
+  const toGrid = perspectiveTransform(corners, grid);
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state / 0x7fffffff - 0.5;
+  };
+
+  for (let y = 0; y < image.height; y += 1) {
+    for (let x = 0; x < image.width; x += 1) {
+      let sum = 0;
+      let inside = false;
+      for (const [dx, dy] of [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]]) {
+        const point = toGrid(x + dx, y + dy);
+        inside = inside || (point.x >= 0 && point.y >= 0 && point.x < columns && point.y < rows);
+        const [column, row] = [Math.floor(point.x) - quiet, Math.floor(point.y) - quiet];
+        sum += modules[row]?.[column] ? 35 : 225;
+      }
+      if (!inside) continue;
+      const value = (sum / 4) * (1 - (0.15 * x) / image.width) + random() * 2 * noise;
+      image.data[y * image.width + x] = Math.max(0, Math.min(255, Math.round(value)));
+    }
+  }
+
+  const toImage = perspectiveTransform(grid, corners);
+  return [[quiet, quiet], [columns - quiet, quiet], [columns - quiet, rows - quiet], [quiet, rows - quiet]].map(([x, y]) => toImage(x, y));
+}
+
+const blankImage = (width, height) => ({ width, height, data: new Uint8Array(width * height).fill(215) });
+const drawnImage = (width, height, pixel) => ({
+  width,
+  height,
+  data: Uint8Array.from({ length: width * height }, (_, index) => pixel(index % width, Math.floor(index / width)))
+});
+const png = ({ width, height, data }) =>
+  PNG.sync.write({ width, height, data: Buffer.from(data) }, { colorType: 0, inputColorType: 0, inputHasAlpha: false });
+
+// PNG chunk of `type` around `data`, with its CRC-32 over type and data
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  let crc = ~0;
+  for (const byte of body) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(~crc >>> 0);
+  return Buffer.concat([length, body, checksum]);
+}
+
+// Every reported corner lies within `tolerance` pixels of a true corner
+function assertCorners(result, expected, tolerance) {
+  assert.strictEqual(result.cornerPoints.length, 4);
+  result.cornerPoints.forEach((point) => {
+    const nearest = Math.min(...expected.map((corner) => distance(point, corner)));
+    assert.ok(nearest <= tolerance, `${result.symbology} corner ${JSON.stringify(point)} is ${nearest.toFixed(1)}px from the symbol`);
+  });
+  const xs = result.cornerPoints.map(({ x }) => x);
+  const ys = result.cornerPoints.map(({ y }) => y);
+  assert.deepStrictEqual(result.boundingBox, {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  });
+}
+
+/**
+ * 1D corner points mark where scan lines crossed the symbol's first and
+ * last bar: all of them on the symbol, spanning its full length
+ */
+function assertSpans(result, symbol, margin = 6) {
+  const sides = symbol.map((corner, index) => [corner, symbol[(index + 1) % 4]]);
+  result.cornerPoints.forEach((point) => {
+    const outside = Math.max(
+      ...sides.map(([a, b]) => ((b.x - a.x) * (a.y - point.y) - (b.y - a.y) * (a.x - point.x)) / distance(a, b))
+    );
+    assert.ok(outside <= margin, `${result.symbology} corner ${JSON.stringify(point)} is ${outside.toFixed(1)}px off the symbol`);
+  });
+  const [first, second, third] = result.cornerPoints;
+  const length = Math.max(distance(first, second), distance(second, third));
+  assert.ok(length >= distance(symbol[0], symbol[1]) - margin * 2, `${result.symbology} spans ${length.toFixed(0)}px`);
+}
+
+const scan = (image) => scanBarcodes(png(image));
+
+console.log("\nTEST 1: IMAGE DECODING");
+const gradient = png(drawnImage(37, 11, (x, y) => (x * 7 + y * 3) % 256));
+const decodedPng = decodeImage(gradient);
+assert.strictEqual(decodedPng.width, 37);
+assert.strictEqual(decodedPng.height, 11);
+assert.strictEqual(decodedPng.data[5 * 37 + 20], (20 * 7 + 5 * 3) % 256);
+const decodedJpeg = decodeImage(fs.readFileSync(FIXTURE));
+assert.strictEqual(decodedJpeg.width, 640);
+assert.strictEqual(decodedJpeg.height, 480);
+assert.ok(decodedJpeg.data[5 * 640 + 5] > 180, "the label background is light");
+assert.throws(() => decodeImage(Buffer.from("GIF89a\x01\x00\x01\x00", "latin1")), { code: "UNSUPPORTED_IMAGE" });
+assert.throws(() => scanBarcodes(gradient.subarray(0, 40)), { code: "UNSUPPORTED_IMAGE" });
+assert.throws(() => scanBarcodes(Buffer.from([0xff, 0xd8, 0xff, 0xd9])), { code: "UNSUPPORTED_IMAGE" });
+
+// Oversized images are refused from their headers, before pixels are allocated
+const hugePng = Buffer.from(gradient);
+hugePng.writeUInt32BE(100000, 16);
+hugePng.writeUInt32BE(100000, 20);
+assert.throws(() => decodeImage(hugePng), { code: "UNSUPPORTED_IMAGE", message: /100000 x 100000 pixels; at most 50 megapixels/ });
+const hugeJpeg = Buffer.from(fs.readFileSync(FIXTURE));
+const frame = hugeJpeg.indexOf(Buffer.from([0xff, 0xc0]));
+hugeJpeg.writeUInt16BE(60000, frame + 5);
+hugeJpeg.writeUInt16BE(60000, frame + 7);
+assert.throws(() => decodeImage(hugeJpeg), { code: "UNSUPPORTED_IMAGE", message: /maxResolutionInMP/ });
+
+// An interlaced 16 x 16 PNG whose data inflates to 20 MB stops at the size its header allows
+const bomb = Buffer.concat([
+  gradient.subarray(0, 8),
+  pngChunk("IHDR", Buffer.from([0, 0, 0, 16, 0, 0, 0, 16, 8, 0, 0, 0, 1])),
+  pngChunk("IDAT", zlib.deflateSync(Buffer.alloc(20 * 1024 * 1024))),
+  pngChunk("IEND", Buffer.alloc(0))
+]);
+assert.throws(() => decodeImage(bomb), { code: "UNSUPPORTED_IMAGE", message: /inflates past the 16 x 16 pixels/ });
+
+console.log("\nTEST 2: QR CODES");
+const url = labelUrl("https://diagnostics.example", "d0123456789abcdef");
+[
+  { angle: 0, skew: 0 },
+  { angle: 0.5, skew: 0.05 },
+  { angle: Math.PI + 0.2, skew: -0.08 }
+].forEach(({ angle, skew }, index) => {
+  const image = blankImage(360, 360);
+  const corners = photograph(image, encodeQr(url).modules, placement(180, 180, 240, angle, { skew }), { seed: index + 1 });
+  const results = scan(image);
+  assert.strictEqual(results.length, 1, `QR at ${angle.toFixed(2)} rad`);
+  assert.strictEqual(results[0].symbology, "qr_code");
+  assert.strictEqual(results[0].value, url);
+  assertCorners(results[0], corners, 6);
+});
+
+console.log("\nTEST 3: DATA MATRIX");
+[
+  { text: "SN-7Q4K2M9X", angle: 0.3 },
+  { text: "0123456789012345", angle: -1.2, skew: 0.06 },
+  { text: "DM-42", rectangular: true, angle: 0.1 },
+  { text: `${url} ASSET 2024-0042`, angle: 2.5, skew: -0.05 }
+].forEach(({ text, rectangular, angle, skew }, index) => {
+  const { rows, columns, modules } = encodeDataMatrix(text, { rectangular });
+  const image = blankImage(420, 420);
+  const width = Math.min(300, (columns + 8) * 6);
+  const corners = photograph(image, modules, placement(210, 210, width, angle, { skew, aspect: (rows + 8) / (columns + 8) }), {
+    seed: index + 1
+  });
+  const results = scan(image);
+  assert.strictEqual(results.length, 1, `${rows}x${columns} symbol`);
+  assert.strictEqual(results[0].symbology, "data_matrix");
+  assert.strictEqual(results[0].value, text);
+  assertCorners(results[0], corners, 6);
+});
+
+// Scuffed modules are corrected, and two symbols in one photo are both read
+const scuffed = encodeDataMatrix("BATTERY-88421");
+[[3, 4], [5, 9], [8, 6], [10, 12]].forEach(([x, y]) => (scuffed.modules[y][x] = !scuffed.modules[y][x]));
+const pair = blankImage(560, 300);
+photograph(pair, scuffed.modules, placement(140, 150, 180, 0.2), { seed: 3 });
+photograph(pair, encodeDataMatrix("PSU-1200").modules, placement(420, 150, 160, -0.4), { seed: 4 });
+assert.deepStrictEqual(scan(pair).map(({ value }) => value).sort(), ["BATTERY-88421", "PSU-1200"]);
+
+console.log("\nTEST 4: 1D BARCODES");
+const ean13 = ean("400638133393");
+const ean8 = ean("9638507");
+const upc = ean("003600029145");
+assert.strictEqual(ean13.value, "4006381333931");
+assert.strictEqual(ean8.value, "96385074");
+[
+  { symbology: "code_128", value: "SN-7Q4K2M9X", row: code128("SN-7Q4K2M9X") },
+  { symbology: "code_128", value: "0123456789", row: code128("0123456789", { set: "C" }) },
+  { symbology: "code_39", value: "ASSET-0042", row: code39("ASSET-0042") },
+  { symbology: "ean_13", value: ean13.value, row: ean13.row },
+  { symbology: "ean_8", value: ean8.value, row: ean8.row },
+  { symbology: "upc_a", value: "036000291452", row: upc.row }
+].forEach(({ symbology, value, row }, index) => {
+  // Upright, upside down and on its side
+  [0.06, Math.PI - 0.04, Math.PI / 2 + 0.05].forEach((angle, turn) => {
+    const vertical = turn === 2;
+    const image = vertical ? blankImage(200, 600) : blankImage(600, 200);
+    const width = (row.length + 20) * 3;
+    const [cx, cy] = [image.width / 2, image.height / 2];
+    const corners = photograph(image, stack(row, 40), placement(cx, cy, width, angle, { aspect: 60 / (row.length + 20) }), {
+      quiet: 10,
+      seed: index * 3 + turn + 1
+    });
+    const results = scan(image);
+    assert.deepStrictEqual(results.map((result) => [result.symbology, result.value]), [[symbology, value]], `${value} at ${angle.toFixed(2)} rad`);
+    assertSpans(results[0], corners);
+  });
+});
+
+console.log("\nTEST 5: LABEL PHOTOS");
+// A phone photo of an asset label: tilted QR code over a Code 128 serial
+const label = scanBarcodes(fs.readFileSync(FIXTURE));
+assert.deepStrictEqual(label.map(({ symbology, value }) => [symbology, value]), [
+  ["qr_code", "https://diag.example.com/l/d0123456789abcdef"],
+  ["code_128", "SN-7Q4K2M9X"]
+]);
+assert.ok(label[0].boundingBox.y + label[0].boundingBox.height < label[1].boundingBox.y, "the QR code sits above the serial");
+
+// Larger photos are scanned downscaled, and positions come back full size
+const large = blankImage(1200, 900);
+const qrCorners = photograph(large, encodeQr(url).modules, placement(360, 450, 420, 0.15), { seed: 7 });
+const barCorners = photograph(large, stack(code128("SN-7Q4K2M9X"), 40), placement(880, 450, 176 * 3, -Math.PI / 2, { aspect: 60 / 176 }), {
+  quiet: 10,
+  seed: 8
+});
+const upscaled = png(drawnImage(2400, 1800, (x, y) => large.data[Math.floor(y / 2) * 1200 + Math.floor(x / 2)]));
+const full = scanBarcodes(upscaled);
+assert.ok(2400 > MAX_SCAN_DIMENSION);
+assert.deepStrictEqual(full.map(({ value }) => value), [url, "SN-7Q4K2M9X"]);
+assertCorners(full[0], qrCorners.map(({ x, y }) => ({ x: x * 2, y: y * 2 })), 12);
+assertSpans(full[1], barCorners.map(({ x, y }) => ({ x: x * 2, y: y * 2 })), 12);
+
+// Blank, noisy and striped images decode to nothing
+assert.deepStrictEqual(scan(blankImage(320, 240)), []);
+let noiseState = 9;
+const noise = blankImage(320, 240);
+noise.data.forEach((_, index) => {
+  noiseState = (noiseState * 1103515245 + 12345) & 0x7fffffff;
+  noise.data[index] = noiseState % 256;
+});
+assert.deepStrictEqual(scan(noise), []);
+const stripes = blankImage(320, 240);
+stripes.data.forEach((_, index) => (stripes.data[index] = Math.floor((index % 320) / 4) % 3 === 0 ? 30 : 220));
+assert.deepStrictEqual(scan(stripes), []);
+
+console.log("\nTEST 6: SCANNING ON A WORKER THREAD");
+(async () => {
+  // The event loop keeps running while the worker scans
+  let ticks = 0;
+  const ticker = setInterval(() => (ticks += 1), 5);
+  try {
+    assert.deepStrictEqual(await scanBarcodesInWorker(upscaled), full);
+  } finally {
+    clearInterval(ticker);
+  }
+  assert.ok(ticks > 0, "timers fire during the scan");
+
+  await assert.rejects(scanBarcodesInWorker(hugePng), { code: "UNSUPPORTED_IMAGE", message: /100000 x 100000/ });
+  await assert.rejects(scanBarcodesInWorker(upscaled, { timeoutMs: 1 }), { code: "SCAN_TIMEOUT" });
+  const concurrent = await Promise.all([gradient, fs.readFileSync(FIXTURE), gradient].map((image) => scanBarcodesInWorker(image)));
+  assert.deepStrictEqual(concurrent.map((results) => results.length), [0, 2, 0], "scans beyond the worker limit wait their turn");
+
+  console.log("\nAll local barcode scanning tests passed.");
+})().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Battery wear tests: wear and cycle count are read from recorded
+ * /sys/class/power_supply fixtures, and both scoring models use the measured
+ * wear instead of the charge level.
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+const { readBatteries, collectBatteryWear, wearPercent } = require("./services/collectors/powerSupply");
+const evaluateDevice = require("./services/evaluateDevice");
+const { legacyPayload } = require("./agent/payloads");
+const { validateInput } = require("./services/inputValidator");
+const { simulateRepairs, checkOverrides } = require("./services/repairSimulation");
+
+const fixture = (name) => ({ root: path.join(__dirname, "fixtures", "linux", name, "sys", "class", "power_supply") });
+
+// The scripts send the charge level as battery_health: a new battery at 30 %
+const live = { cpu_usage: 85, ram_gb: 16, storage_health: 90, battery_health: 30 };
+const standardized = {
+  storage_smart_status: "GOOD",
+  ram_test_errors: 0,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 92,
+  ssd_wear_percentage: 10,
+  idle_temperature_celsius: 40,
+  load_temperature_celsius: 75
+};
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("BATTERY WEAR TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: WEAR FROM FULL / DESIGN CAPACITY");
+  assert.strictEqual(wearPercent(40150000, 57000000), 29.6);
+  assert.strictEqual(wearPercent(3100000, 2950000), 0, "above design capacity is no wear");
+  assert.strictEqual(wearPercent(null, 57000000), null);
+  assert.strictEqual(wearPercent(40150000, 0), null);
+
+  console.log("\nTEST 2: SYSFS FIXTURES");
+  const laptop = await readBatteries(fixture("laptop"));
+  assert.deepStrictEqual(laptop, [
+    { name: "BAT0", wear_percent: 29.6, cycle_count: 412, charge_percent: 30, status: "Discharging" }
+  ], "mains adapter and mouse battery are skipped");
+  const charge = await readBatteries(fixture("charge-battery"));
+  assert.strictEqual(charge[0].wear_percent, 0, "charge_full / charge_full_design are used without energy_*");
+  assert.deepStrictEqual(await collectBatteryWear(fixture("laptop")), { battery_wear_percent: 29.6, battery_cycle_count: 412 });
+  assert.strictEqual(await collectBatteryWear(fixture("missing")), null);
+  console.log(`  BAT0: ${laptop[0].wear_percent}% wear, ${laptop[0].cycle_count} cycles at ${laptop[0].charge_percent}% charge`);
+
+  console.log("\nTEST 3: LEGACY MODEL USES WEAR OVER CHARGE LEVEL");
+  const chargeOnly = evaluateDevice(live);
+  const measured = evaluateDevice({ ...live, battery_wear_percent: 5, battery_cycle_count: 120 });
+  assert.strictEqual(chargeOnly.components.battery.health, "POOR");
+  assert.strictEqual(measured.components.battery.health, "GOOD");
+  assert.strictEqual(measured.componentBreakdowns.battery.rawValue, 95);
+  assert.deepStrictEqual(measured.componentBreakdowns.battery.subMetrics[1], { label: "Cycle Count", value: "120", status: "GOOD" });
+  assert.ok(measured.overall.total_score > chargeOnly.overall.total_score);
+
+  const explained = evaluateDevice({ ...live, battery_wear_percent: 5 }, { explain: true }).explanation;
+  assert.deepStrictEqual(explained.children.find((child) => child.id === "battery").input, { battery_health: 95, battery_wear_percent: 5 });
+
+  const tired = evaluateDevice({ ...live, battery_wear_percent: 10, battery_cycle_count: 1400 });
+  assert.ok(tired.componentBreakdowns.battery.recommendations.some((rec) => rec.text.includes("1400 charge cycles")));
+
+  console.log("\nTEST 4: STANDARDIZED MODEL USES WEAR");
+  const worn = evaluateDevice({ ...standardized, battery_health_percent: 95, battery_wear_percent: 35, battery_cycle_count: 1200 });
+  const battery = worn.standardized.categories.remainingLife.details.battery;
+  assert.deepStrictEqual(battery, { score: 4, max: 10, healthPercent: 65, wearPercent: 35, cycleCount: 1200 });
+  assert.ok(worn.standardized.recommendedActions.some((rec) => rec.action === "BATTERY CYCLE LIFE"));
+  assert.strictEqual(evaluateDevice({ ...standardized, battery_health_percent: 95 }).standardized.categories.remainingLife.details.battery.wearPercent, undefined);
+
+  console.log("\nTEST 5: VALIDATION AND SIMULATION");
+  assert.strictEqual(validateInput({ ...live, battery_wear_percent: 130 }).valid, false);
+  assert.strictEqual(validateInput({ ...live, battery_cycle_count: 1.5 }).valid, false);
+  const warnings = validateInput({ cpu_usage: 50, ram_gb: 8, storage_health: 80, battery_wear_percent: 10 }).warnings;
+  assert.ok(!warnings.some((warning) => warning.field === "battery_health"), "battery_health is not defaulted when wear is measured");
+
+  const plan = simulateRepairs({ input: { ...live, battery_wear_percent: 60 } }).legacy.nextTier;
+  const replaced = plan.repairs.find((repair) => repair.id === "battery");
+  assert.deepStrictEqual(replaced.changes, [
+    { field: "battery_health", from: 30, to: 100 },
+    { field: "battery_wear_percent", from: 60, to: 0 }
+  ]);
+  assert.deepStrictEqual(checkOverrides(live, { battery_wear_percent: 0 }), [], "wear overrides apply to legacy reports");
+
+  console.log("\nTEST 6: BATTERY WITHOUT DESIGN CAPACITY");
+  const [undesigned] = await readBatteries(fixture("no-design-battery"));
+  assert.strictEqual(undesigned.wear_percent, null);
+  assert.strictEqual(undesigned.charge_percent, 30);
+  const payload = legacyPayload({ cpu: { usage_percent: 85 }, memory: { total_gb: 16 }, battery: undesigned });
+  assert.ok(!("battery_health" in payload), "the charge level is not sent as battery health");
+  const unknown = evaluateDevice({ ...payload, storage_health: 90 });
+  assert.strictEqual(unknown.components.battery, undefined, "an unknown battery is not scored");
+  assert.deepStrictEqual(Object.keys(unknown.components), ["cpu", "ram", "storage"]);
+  assert.ok(unknown.overall.total_score > evaluateDevice({ ...live, battery_health: 0 }).overall.total_score, "nor scored as 0 %");
+  assert.ok(!validateInput({ ...payload, storage_health: 90 }).warnings.some((warning) => warning.field === "battery_health"));
+  assert.ok(!simulateRepairs({ input: { ...payload, storage_health: 10 } }).legacy.nextTier.repairs.some((repair) => repair.id === "battery"));
+  console.log(`  BAT0: ${undesigned.charge_percent}% charge, wear unknown, total ${unknown.overall.total_score}`);
+
+  console.log("\nAll battery wear tests passed.");
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark runner tests: CPU model keys, retained performance against a
+ * reference row, short real runs of every workload and the resulting
+ * performance_percentage in the standardized Performance Retention category.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  runBenchmarks,
+  collectPerformance,
+  retainedPerformance,
+  normalizeCpuModel,
+  loadReferences,
+  recordReference,
+  WORKLOADS
+} = require("./services/collectors/benchmark");
+const evaluateDevice = require("./services/evaluateDevice");
+
+const reference = { cpuInteger: 200, cpuFloat: 100, memoryBandwidth: 8000, diskSequential: 1000, diskRandom: 2000 };
+
+const standardized = {
+  storage_smart_status: "GOOD",
+  ram_test_errors: 0,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  ssd_wear_percentage: 10,
+  battery_health_percent: 90,
+  idle_temperature_celsius: 40,
+  load_temperature_celsius: 75
+};
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("BENCHMARK RUNNER TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: CPU MODEL KEYS");
+  assert.strictEqual(normalizeCpuModel("Intel(R) Core(TM) i5-8250U CPU @ 1.60GHz"), "intel core i5-8250u");
+  assert.strictEqual(normalizeCpuModel("11th Gen Intel(R) Core(TM) i5-1135G7 @ 2.40GHz"), "intel core i5-1135g7");
+  assert.strictEqual(normalizeCpuModel("AMD Ryzen 7 5800X 8-Core Processor"), "amd ryzen 7 5800x");
+  assert.strictEqual(normalizeCpuModel("AMD Ryzen 5 3500U with Radeon Vega Mobile Gfx"), "amd ryzen 5 3500u");
+  assert.strictEqual(normalizeCpuModel(undefined), "");
+
+  const references = await loadReferences();
+  assert.ok(references["intel core i5-8250u"], "shipped table has the seed rows");
+  Object.values(references).forEach((row) => {
+    Object.keys(WORKLOADS).forEach((workload) => assert.ok(row[workload] > 0, `every row has ${workload}`));
+  });
+
+  console.log("\nTEST 2: RETAINED PERFORMANCE");
+  const half = retainedPerformance({ cpuInteger: 100, cpuFloat: 50, memoryBandwidth: 4000, diskSequential: 500, diskRandom: 1000 }, reference);
+  assert.strictEqual(half.performance_percentage, 50);
+  assert.deepStrictEqual(half.results.cpuInteger, { value: 100, unit: "Mops/s", reference: 200, retainedPercent: 50 });
+
+  const mixed = retainedPerformance({ cpuInteger: 300, cpuFloat: 50, memoryBandwidth: 8000, diskSequential: 1000, diskRandom: 2000 }, reference);
+  assert.strictEqual(mixed.results.cpuInteger.retainedPercent, 100, "faster than the reference is capped");
+  assert.strictEqual(mixed.performance_percentage, 85, "weighted: 30 × 50 % lost on cpuFloat");
+
+  const cpuOnly = retainedPerformance({ cpuInteger: 150, cpuFloat: 50 }, reference);
+  assert.strictEqual(cpuOnly.performance_percentage, 62.5, "skipped workloads are left out and the rest renormalized");
+  assert.deepStrictEqual(Object.keys(cpuOnly.results), ["cpuInteger", "cpuFloat"]);
+
+  const partial = retainedPerformance({ cpuInteger: 100, cpuFloat: 100 }, { cpuInteger: 200 });
+  assert.strictEqual(partial.performance_percentage, 50, "workloads without a reference value are not scored");
+  assert.strictEqual(partial.results.cpuFloat.retainedPercent, null);
+
+  assert.strictEqual(retainedPerformance({ cpuInteger: 100 }, null).performance_percentage, null);
+
+  console.log("\nTEST 3: SHORT RUN OF EVERY WORKLOAD");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "benchmark-test-"));
+  try {
+    const result = await runBenchmarks({
+      cpuModel: "Intel(R) Core(TM) i5-8250U CPU @ 1.60GHz",
+      references: { "intel core i5-8250u": reference },
+      durationMs: 30,
+      memoryMb: 4,
+      disk: { dir, fileMb: 2 }
+    });
+    assert.strictEqual(result.referenceModel, "intel core i5-8250u");
+    assert.deepStrictEqual(Object.keys(result.results), Object.keys(WORKLOADS));
+    Object.values(result.results).forEach((workload) => {
+      assert.ok(workload.value > 0);
+      assert.ok(workload.retainedPercent > 0 && workload.retainedPercent <= 100);
+    });
+    assert.ok(result.performance_percentage > 0 && result.performance_percentage <= 100);
+    assert.deepStrictEqual(fs.readdirSync(dir), [], "temp file is removed");
+    console.log(`  ${Object.entries(result.results).map(([workload, { value, unit }]) => `${workload} ${value} ${unit}`).join(", ")}`);
+
+    const cpuOnlyRun = await runBenchmarks({ cpuModel: "AMD Ryzen 7 5800X 8-Core Processor", references: {}, durationMs: 20, skip: ["memory", "disk"] });
+    assert.strictEqual(cpuOnlyRun.referenceModel, null);
+    assert.deepStrictEqual(Object.keys(cpuOnlyRun.results), ["cpuInteger", "cpuFloat"]);
+    assert.strictEqual(cpuOnlyRun.performance_percentage, null);
+    assert.strictEqual(await collectPerformance({ cpuModel: "Unknown CPU", references: {}, durationMs: 20, skip: ["memory", "disk"] }), null);
+
+    console.log("\nTEST 4: RECORDING A REFERENCE ROW");
+    const file = path.join(dir, "references.json");
+    fs.writeFileSync(file, JSON.stringify({ description: "test", cpus: {} }));
+    assert.strictEqual(await recordReference(result, file), "intel core i5-8250u");
+    const recorded = (await loadReferences(file))["intel core i5-8250u"];
+    assert.strictEqual(recorded.cpuInteger, result.results.cpuInteger.value);
+    assert.strictEqual(retainedPerformance(Object.fromEntries(Object.entries(result.results).map(([workload, { value }]) => [workload, value])), recorded).performance_percentage, 100);
+    await assert.rejects(recordReference({ ...result, cpuModel: null }, file), /without a CPU model/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("\nTEST 5: PERFORMANCE RETENTION CATEGORY");
+  const performance = await collectPerformance({
+    cpuModel: "Intel(R) Core(TM) i5-8250U CPU @ 1.60GHz",
+    references: { "intel core i5-8250u": { cpuInteger: 1e-3 } },
+    durationMs: 20,
+    skip: ["memory", "disk"]
+  });
+  assert.deepStrictEqual(performance, { performance_percentage: 100 });
+
+  const category = (input) => evaluateDevice(input).standardized.categories.performanceRetention;
+  assert.strictEqual(category(standardized).details.benchmarkStatus, "NO_DATA");
+  const measured = category({ ...standardized, ...performance });
+  assert.strictEqual(measured.details.benchmarkStatus, "EVALUATED");
+  assert.ok(measured.score > category(standardized).score);
+
+  console.log("\nAll benchmark runner tests passed.");
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Reusability certificate tests: content taken from a stored standardized
+ * report, hash and signature checks against altered and forged copies,
+ * the issuer key across restarts, the HTML and PDF renderings, unverified
+ * submissions, issuer tokens and serverless deployments.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const evaluateDevice = require("./services/evaluateDevice");
+const { createReportStore } = require("./services/reportStore");
+const { createCertificateStore, certificateHash, parseIssuerTokens, authenticateIssuer, issuingUnavailableReason } = require("./services/certificates");
+const { renderCertificateHtml, renderCertificatePdf } = require("./services/certificateDocument");
+const { signPayload, generateSigningKey, keyFingerprint } = require("./services/signing");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "certificates-test-"));
+
+console.log("=".repeat(70));
+console.log("REUSABILITY CERTIFICATE TESTS");
+console.log("=".repeat(70));
+
+try {
+  const reports = createReportStore({ dir });
+  const input = {
+    storage_smart_status: "GOOD",
+    ram_test_errors: 0,
+    cpu_stress_stable: true,
+    battery_health_percent: 88,
+    ssd_wear_percentage: 6,
+    performance_percentage: 92,
+    hostname: "bench-<07>",
+    timestamp: "2026-03-04T08:15:00Z",
+    hardware_ids: { serial_number: "PF3ABC12", product_uuid: "4C4C4544-0042-3510-8052-B4C04F565432" }
+  };
+  const verification = { verified: true, reason: null, keyId: "tech-anna", signer: { id: "tech-anna", name: "Anna", type: "technician" } };
+  const record = reports.save({ hostname: input.hostname, deviceId: "dev_0123456789abcdef", input, report: { ...evaluateDevice(input), verification } });
+  const clock = new Date("2026-03-05T12:00:00.000Z");
+  const store = createCertificateStore({ dir, issuerName: "Bench Refurb Ltd", now: () => clock });
+
+  console.log("\nTEST 1: CERTIFICATE CONTENT");
+  const certificate = store.issue(record, { device: { id: "dev_0123456789abcdef", name: "Bench laptop 7" }, issuedBy: "Front desk" });
+  assert.strictEqual(certificate.issuedAt, "2026-03-05T12:00:00.000Z");
+  assert.deepStrictEqual(certificate.report, { id: record.id, submittedAt: record.submittedAt, testedAt: "2026-03-04T08:15:00.000Z" });
+  assert.deepStrictEqual(certificate.device, {
+    deviceId: "dev_0123456789abcdef",
+    name: "Bench laptop 7",
+    hostname: "bench-<07>",
+    serialNumber: "PF3ABC12",
+    productUuid: "4C4C4544-0042-3510-8052-B4C04F565432"
+  });
+  assert.strictEqual(certificate.result.totalScore, record.report.standardized.totalScore);
+  assert.strictEqual(certificate.result.tier, record.report.standardized.classification.tier);
+  assert.deepStrictEqual(certificate.result.categories.map((category) => category.key), Object.keys(record.report.standardized.categories));
+  assert.deepStrictEqual(certificate.submission, { verified: true, signer: "Anna" });
+  assert.strictEqual(certificate.issuer.name, "Bench Refurb Ltd");
+  assert.strictEqual(certificate.issuedBy, "Front desk");
+  assert.strictEqual(certificate.hash, certificateHash(certificate));
+  assert.deepStrictEqual(store.list({ reportId: record.id }).map((entry) => entry.id), [certificate.id]);
+  console.log(`  ${certificate.id}: ${certificate.result.totalScore}/100 ${certificate.result.classification}`);
+
+  console.log("\nTEST 2: ALTERED AND FORGED COPIES");
+  const copy = JSON.parse(JSON.stringify(certificate));
+  assert.deepStrictEqual(store.verify(copy), {
+    valid: true,
+    reason: null,
+    message: "The certificate is authentic and unaltered",
+    checks: { integrity: true, signature: true, issued: true }
+  });
+
+  const raised = { ...copy, result: { ...copy.result, totalScore: 99 } };
+  assert.strictEqual(store.verify(raised).reason, "altered", "an edited score no longer matches the hash");
+  const rehashed = { ...raised, hash: certificateHash(raised) };
+  assert.strictEqual(store.verify(rehashed).reason, "invalid_signature", "recomputing the hash does not fix the signature");
+  const forger = { keyId: store.issuerKey().keyId, ...generateSigningKey() };
+  assert.strictEqual(store.verify(signPayload(rehashed, forger)).reason, "invalid_signature", "another key under the issuer's key ID");
+  const invented = { ...copy, id: "00000000-0000-0000-0000-000000000000" };
+  const signedInvented = signPayload({ ...invented, hash: certificateHash(invented) }, store.issuerKey());
+  assert.strictEqual(store.verify(signedInvented).reason, "not_issued", "only issued certificates are valid");
+  assert.strictEqual(store.verify(copy, { expectedHash: "sha256:0000" }).reason, "hash_mismatch");
+  assert.strictEqual(store.verify(copy, { expectedHash: certificate.hash }).checks.printedHash, true);
+  assert.strictEqual(store.verify(null).reason, "altered");
+
+  console.log("\nTEST 3: ISSUER KEY");
+  const keyFile = path.join(dir, "certificate-key.pem");
+  if (process.platform !== "win32") assert.strictEqual(fs.statSync(keyFile).mode & 0o777, 0o600);
+  const restarted = createCertificateStore({ dir });
+  assert.strictEqual(restarted.issuerKey().keyId, store.issuerKey().keyId, "the key survives restarts");
+  assert.ok(restarted.verify(copy).valid, "certificates still verify after a restart");
+
+  const configured = generateSigningKey();
+  const fromEnv = createCertificateStore({ dir: path.join(dir, "env"), privateKey: configured.privateKey });
+  assert.strictEqual(fromEnv.issuerKey().keyId, keyFingerprint(configured.publicKey));
+  assert.ok(!fs.existsSync(path.join(dir, "env", "certificate-key.pem")), "no key file with CERTIFICATE_SIGNING_KEY");
+  assert.strictEqual(fromEnv.verify(copy).reason, "invalid_signature", "another backend's certificate");
+
+  console.log("\nTEST 4: PRINTABLE RENDERINGS");
+  const verifyUrl = `https://diagnostics.example/api/certificates/${certificate.id}/verify`;
+  const html = renderCertificateHtml(certificate, { verifyUrl });
+  assert.ok(html.includes("bench-&lt;07&gt;") && !html.includes("bench-<07>"), "device names are escaped");
+  assert.ok(html.includes(certificate.hash));
+  assert.ok(html.includes(`href="${verifyUrl}?hash=${encodeURIComponent(certificate.hash)}"`));
+  const embedded = html.match(/<script type="application\/json" id="certificate">(.*)<\/script>/)[1];
+  assert.ok(store.verify(JSON.parse(embedded)).valid, "the HTML carries the signed certificate");
+
+  const pdf = renderCertificatePdf(certificate, { verifyUrl });
+  const text = pdf.toString("latin1");
+  assert.ok(text.startsWith("%PDF-1.4"));
+  assert.ok(text.endsWith("%%EOF\n"));
+  const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+  assert.strictEqual(text.slice(startxref, startxref + 4), "xref");
+  [...text.matchAll(/(\d{10}) 00000 n /g)].forEach(([, offset], index) => {
+    assert.ok(text.startsWith(`${index + 1} 0 obj`, Number(offset)), `xref entry ${index + 1} points at its object`);
+  });
+  assert.ok(text.includes(`(${certificate.hash})`), "the PDF prints the verification hash");
+  assert.ok(text.includes("(Bench laptop 7)"));
+  assert.ok(!html.includes("UNVERIFIED") && !text.includes("UNVERIFIED"), "signed submissions carry no warning");
+  console.log(`  HTML ${html.length} bytes, PDF ${pdf.length} bytes`);
+
+  console.log("\nTEST 5: UNSIGNED SUBMISSIONS ARE MARKED UNVERIFIED");
+  const unsignedRecord = reports.save({ hostname: "bench-08", input, report: { ...evaluateDevice(input), verification: { verified: false, reason: "unsigned" } } });
+  const unsigned = store.issue(unsignedRecord, { issuedBy: "Front desk" });
+  assert.deepStrictEqual(unsigned.submission, { verified: false, signer: null });
+  const unsignedHtml = renderCertificateHtml(unsigned, { verifyUrl });
+  assert.ok(unsignedHtml.includes('<div class="unverified">UNVERIFIED SUBMISSION'), "the HTML shows the warning");
+  assert.ok(unsignedHtml.includes("UNVERIFIED (not signed by a registered key)"));
+  const unsignedPdf = renderCertificatePdf(unsigned, { verifyUrl }).toString("latin1");
+  assert.ok(unsignedPdf.includes("(UNVERIFIED SUBMISSION)"), "the PDF shows the warning");
+  assert.ok(unsignedPdf.includes("(UNVERIFIED \\(not signed by a registered key\\))"));
+  assert.ok(store.verify(unsigned).valid, "the warning is part of the signed content, not a validity problem");
+
+  console.log("\nTEST 6: ISSUER TOKENS");
+  const issuers = parseIssuerTokens(JSON.stringify({ "Front desk": "desk-token-1", Workshop: "workshop-token-2" }));
+  assert.strictEqual(authenticateIssuer("Bearer workshop-token-2", issuers), "Workshop");
+  assert.strictEqual(authenticateIssuer("bearer desk-token-1", issuers), "Front desk");
+  assert.strictEqual(authenticateIssuer("Bearer desk-token", issuers), null, "a prefix of a token");
+  assert.strictEqual(authenticateIssuer("desk-token-1", issuers), null, "no Bearer scheme");
+  assert.strictEqual(authenticateIssuer(undefined, issuers), null);
+  assert.strictEqual(authenticateIssuer("Bearer desk-token-1", {}), null, "issuing is off without issuers");
+  const logged = console.error;
+  console.error = () => {};
+  try {
+    assert.deepStrictEqual(parseIssuerTokens("{not json"), {}, "malformed JSON is ignored");
+    assert.deepStrictEqual(parseIssuerTokens(JSON.stringify(["desk-token-1"])), {}, "not an object");
+    assert.deepStrictEqual(parseIssuerTokens(JSON.stringify({ "Front desk": "" })), {}, "an empty token");
+  } finally {
+    console.error = logged;
+  }
+  assert.deepStrictEqual(parseIssuerTokens(undefined), {});
+
+  console.log("\nTEST 7: SERVERLESS DEPLOYMENTS");
+  const serverlessDir = path.join(dir, "serverless");
+  const ephemeral = createCertificateStore({ dir: serverlessDir, generateKey: false });
+  assert.throws(() => ephemeral.issue(record), { code: "NO_ISSUER_KEY" }, "no key is generated");
+  assert.throws(() => ephemeral.issuerKey(), /set CERTIFICATE_SIGNING_KEY/);
+  assert.ok(!fs.existsSync(path.join(serverlessDir, "certificate-key.pem")));
+  const shared = createCertificateStore({ dir: serverlessDir, privateKey: configured.privateKey, generateKey: false });
+  assert.strictEqual(shared.issue(record).issuer.keyId, keyFingerprint(configured.publicKey), "a configured key is used");
+
+  assert.strictEqual(issuingUnavailableReason({ serverless: false }), null, "a server generates and keeps its own key");
+  assert.match(issuingUnavailableReason({ serverless: true, storeDir: "/mnt/reports" }), /CERTIFICATE_SIGNING_KEY/);
+  assert.match(issuingUnavailableReason({ serverless: true, privateKey: configured.privateKey }), /REPORT_STORE_DIR/);
+  assert.strictEqual(issuingUnavailableReason({ serverless: true, privateKey: configured.privateKey, storeDir: "/mnt/reports" }), null);
+
+  console.log("\nAll reusability certificate tests passed.");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Device registry tests: fingerprint stability, matching a machine by any of
+ * its identifiers, grouping, rename/tag and retire.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createDeviceRegistry,
+  computeDeviceFingerprint,
+  getDeviceId
+} = require("./services/deviceRegistry");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "device-registry-test-"));
+
+const thinkpad = {
+  hostname: "bench-01",
+  hardware_ids: {
+    machine_id: "3f9c0b6a1d2e4f5a8b7c6d5e4f3a2b1c",
+    serial_number: "PF2ABCDE",
+    board_serial: "To be filled by O.E.M.",
+    mac_addresses: ["8C:16:45:AA:BB:CC", "3c:52:82:11:22:33"]
+  }
+};
+
+console.log("=".repeat(70));
+console.log("DEVICE REGISTRY TESTS");
+console.log("=".repeat(70));
+
+try {
+  console.log("\nTEST 1: FINGERPRINT STABILITY");
+  const reordered = {
+    ...thinkpad,
+    hardware_ids: { ...thinkpad.hardware_ids, mac_addresses: ["3C:52:82:11:22:33", "8c:16:45:aa:bb:cc"] }
+  };
+  assert.strictEqual(computeDeviceFingerprint(reordered), computeDeviceFingerprint(thinkpad));
+  assert.notStrictEqual(
+    computeDeviceFingerprint({ ...thinkpad, hardware_ids: { ...thinkpad.hardware_ids, serial_number: "PF2ZZZZZ" } }),
+    computeDeviceFingerprint(thinkpad)
+  );
+  console.log("Device ID:", getDeviceId(thinkpad));
+
+  console.log("\nTEST 2: SUBMISSIONS GROUPED PER DEVICE");
+  const registry = createDeviceRegistry({ dir });
+  registry.recordSubmission(thinkpad, { reportId: "report-1" });
+  const device = registry.recordSubmission(reordered, { reportId: "report-2" });
+  registry.recordSubmission({ hostname: "bench-02" }, { reportId: "report-3" });
+
+  assert.strictEqual(device.submissionCount, 2);
+  assert.strictEqual(device.latestReportId, "report-2");
+  assert.strictEqual(device.hardwareIds.board_serial, undefined);
+  assert.strictEqual(registry.list().length, 2);
+  console.log("Devices:", registry.list().map((entry) => `${entry.name} (${entry.submissionCount})`).join(", "));
+
+  console.log("\nTEST 3: RENAME, TAG AND RETIRE");
+  registry.update(device.id, { name: "ThinkPad T480 #12", tags: ["batch-7", "batch-7", " resale "] });
+  registry.retire(device.id);
+
+  const reopened = createDeviceRegistry({ dir });
+  const stored = reopened.get(device.id);
+  assert.strictEqual(stored.name, "ThinkPad T480 #12");
+  assert.deepStrictEqual(stored.tags, ["batch-7", "resale"]);
+  assert.strictEqual(stored.retired, true);
+  assert.strictEqual(reopened.list().length, 1);
+  assert.strictEqual(reopened.list({ includeRetired: true, tag: "resale" }).length, 1);
+
+  console.log("\nTEST 4: RENAME SURVIVES NEW SUBMISSIONS");
+  assert.strictEqual(reopened.recordSubmission(thinkpad, { reportId: "report-4" }).name, "ThinkPad T480 #12");
+
+  console.log("\nTEST 5: SAME MACHINE, DIFFERENT VIEWS");
+  const fleet = createDeviceRegistry({ dir: fs.mkdtempSync(path.join(dir, "fleet-")) });
+  const asUser = {
+    hostname: "bench-05",
+    hardware_ids: { machine_id: "9a8b7c6d5e4f30211203f4e5d6c7b8a9", mac_addresses: ["8c:16:45:00:00:05"] }
+  };
+  // DMI serials and the product UUID are only readable as root
+  const asRoot = {
+    ...asUser,
+    hardware_ids: { ...asUser.hardware_ids, product_uuid: "4C4C4544-0042-3510-8052-B4C04F4A3432", serial_number: "5BJ4JZ2" }
+  };
+  const first = fleet.recordSubmission(asUser, { reportId: "report-5" });
+  assert.strictEqual(fleet.recordSubmission(asRoot, { reportId: "report-6" }).id, first.id);
+  assert.strictEqual(fleet.resolveId(asUser), first.id);
+  // A new USB NIC and a rename: the product UUID still identifies it
+  const docked = {
+    hostname: "resale-05",
+    hardware_ids: { product_uuid: "4c4c4544-0042-3510-8052-b4c04f4a3432", mac_addresses: ["8c:16:45:00:00:05", "00:e0:4c:68:00:01"] }
+  };
+  const renamed = fleet.recordSubmission(docked, { reportId: "report-7" });
+  assert.strictEqual(renamed.id, first.id);
+  assert.strictEqual(renamed.submissionCount, 3);
+  assert.strictEqual(renamed.hardwareIds.serial_number, "5bj4jz2", "identifiers on record are kept");
+  assert.strictEqual(getDeviceId(docked), getDeviceId(asRoot), "a new device is keyed on its strongest identifier");
+
+  // A clone of the same OS image on other hardware shares only machine_id
+  const clone = {
+    hostname: "bench-05",
+    hardware_ids: { ...asUser.hardware_ids, product_uuid: "4c4c4544-0042-3510-8052-b4c04f4a9999" }
+  };
+  assert.notStrictEqual(fleet.recordSubmission(clone, { reportId: "report-8" }).id, first.id);
+  assert.strictEqual(fleet.list().length, 2);
+  // Placeholder UUIDs from cheap boards are ignored
+  assert.strictEqual(
+    getDeviceId({ hostname: "x", hardware_ids: { product_uuid: "03000200-0400-0500-0006-000700080009", machine_id: asUser.hardware_ids.machine_id } }),
+    getDeviceId(asUser)
+  );
+
+  console.log("\nAll device registry tests passed.");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
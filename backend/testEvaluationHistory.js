@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Per-device history tests: a battery degrading across weekly re-tests, and
+ * per-model scores of HYBRID reports.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const evaluateDevice = require("./services/evaluateDevice");
+const { createReportStore } = require("./services/reportStore");
+const { getDeviceRecords, buildHistory, buildTrend, parseDateBound } = require("./services/evaluationHistory");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-test-"));
+
+const baseline = {
+  storage_smart_status: "GOOD",
+  ram_test_errors: 0,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 92,
+  ssd_wear_percentage: 10,
+  physical_damage: false,
+  port_integrity: true,
+  idle_temperature_celsius: 40,
+  load_temperature_celsius: 75
+};
+
+console.log("=".repeat(70));
+console.log("EVALUATION HISTORY TESTS");
+console.log("=".repeat(70));
+
+try {
+  const store = createReportStore({ dir });
+  const batteryByWeek = [91, 84, 72, 58];
+
+  batteryByWeek.forEach((battery) => {
+    const input = { ...baseline, battery_health_percent: battery };
+    store.save({ hostname: "bench-01", deviceId: "dev_a", input, report: evaluateDevice(input) });
+  });
+  store.save({ hostname: "bench-02", deviceId: "dev_b", input: {}, report: evaluateDevice({ cpu: 50 }) });
+
+  console.log("\nTEST 1: HISTORY IS PER DEVICE AND OLDEST FIRST");
+  const history = buildHistory(getDeviceRecords(store, "dev_a"));
+  assert.strictEqual(history.length, 4);
+  assert.ok(history.every((entry) => entry.standardized));
+  history.forEach((entry) => {
+    console.log(`  ${entry.submittedAt}  total=${entry.totalScore}  remainingLife=${entry.standardized.categories.remainingLife}`);
+  });
+
+  console.log("\nTEST 2: TREND FOR RAW INPUT AND CATEGORY SCORE");
+  const batteryTrend = buildTrend(getDeviceRecords(store, "dev_a"), "input.battery_health_percent");
+  assert.deepStrictEqual(batteryTrend.points.map((point) => point.value), batteryByWeek);
+  assert.strictEqual(batteryTrend.stats.delta, -33);
+
+  const lifeTrend = buildTrend(getDeviceRecords(store, "dev_a"), "standardized.remainingLife");
+  assert.ok(lifeTrend.stats.last < lifeTrend.stats.first);
+  console.log("  Remaining life:", lifeTrend.points.map((point) => point.value).join(" -> "));
+
+  console.log("\nTEST 3: UNKNOWN METRIC AND DATE RANGE");
+  assert.strictEqual(buildTrend(getDeviceRecords(store, "dev_a"), "omls.compliance_score").stats.count, 0);
+  assert.strictEqual(getDeviceRecords(store, "dev_a", { from: Date.now() + 60000 }).length, 0);
+  assert.strictEqual(parseDateBound("not-a-date"), undefined);
+  assert.strictEqual(parseDateBound(undefined), null);
+
+  console.log("\nTEST 4: HYBRID REPORTS TREND EACH MODEL ON ITS OWN SCORE");
+  // The agent's default payload carries legacy and standardized fields
+  const hybrid = { ...baseline, performance_percentage: 82, ssd_wear_percentage: 30, battery_health_percent: 85, cpu: 95, ram: 32, storage: 95 };
+  [95, 40].forEach((battery) => {
+    const input = { ...hybrid, battery };
+    store.save({ hostname: "bench-03", deviceId: "dev_c", input, report: evaluateDevice(input) });
+  });
+  const hybridHistory = buildHistory(getDeviceRecords(store, "dev_c"));
+  assert.deepStrictEqual(hybridHistory.map((entry) => entry.evaluationModel), ["HYBRID", "HYBRID"]);
+  assert.deepStrictEqual(hybridHistory.map((entry) => entry.legacy.totalScore), [95, 81]);
+  assert.deepStrictEqual(hybridHistory.map((entry) => entry.standardized.totalScore), [85, 85]);
+  // The reconciled verdict follows the standardized model, then the legacy veto
+  assert.deepStrictEqual(hybridHistory.map((entry) => entry.totalScore), [85, 81]);
+  assert.deepStrictEqual(buildTrend(getDeviceRecords(store, "dev_c"), "legacy.total_score").points.map((point) => point.value), [95, 81]);
+  assert.deepStrictEqual(buildTrend(getDeviceRecords(store, "dev_c"), "standardized.total_score").points.map((point) => point.value), [85, 85]);
+
+  console.log("\nAll evaluation history tests passed.");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
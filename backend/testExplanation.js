@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Explanation trace tests: `explain` mode records every rule and lookup band
+ * consulted, the trace adds up to the reported scores, and stored reports can
+ * be explained after the fact.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "explain-test-"));
+process.env.REPORT_STORE_DIR = dir;
+
+const app = require("./server");
+const evaluateDevice = require("./services/evaluateDevice");
+const { createReportStore } = require("./services/reportStore");
+const { loadScoringProfiles } = require("./services/scoringProfiles");
+
+const profiles = loadScoringProfiles({ dir: path.join(__dirname, "profiles") });
+
+const laptop = {
+  storage_smart_status: "WARNING",
+  ram_test_errors: 0,
+  cpu_stress_stable: false,
+  cpu_throttling: true,
+  gpu_stress_stable: true,
+  performance_percentage: 91,
+  ssd_wear_percentage: 30,
+  battery_health_percent: 72,
+  physical_damage: true,
+  port_integrity: false,
+  idle_temperature_celsius: 65,
+  load_temperature_celsius: 80
+};
+
+const node = (tree, ...ids) => ids.reduce((current, id) => current.children.find((child) => child.id === id), tree);
+const sumPoints = (nodes) => Math.round(nodes.reduce((sum, child) => sum + (child.points ?? 0), 0) * 100) / 100;
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("EXPLANATION TRACE TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: TRACE IS OPT-IN AND DOES NOT CHANGE SCORES");
+  const plain = evaluateDevice(laptop);
+  const { explanation, ...explainedReport } = evaluateDevice(laptop, { explain: true });
+  assert.strictEqual(plain.explanation, undefined);
+  assert.deepStrictEqual(explainedReport, plain);
+  assert.strictEqual(explanation.points, plain.overall.total_score);
+  assert.deepStrictEqual(explanation.profile, { name: "default", version: "1.0.0" });
+
+  console.log("\nTEST 2: STANDARDIZED RULES AND BANDS");
+  const cpu = node(explanation, "functionalIntegrity", "cpu");
+  assert.deepStrictEqual(cpu.input, { cpu_stress_stable: false, cpu_throttling: true });
+  assert.strictEqual(cpu.matched, "stress test unstable but throttling (6/10)");
+  assert.strictEqual(cpu.points, 6);
+
+  const performance = node(explanation, "performanceRetention", "performance");
+  assert.strictEqual(performance.rule, "performanceScoring");
+  assert.strictEqual(performance.threshold, 90);
+  assert.strictEqual(performance.points, 25);
+
+  const thermal = node(explanation, "physicalThermal", "thermal");
+  assert.strictEqual(thermal.rule, "physicalDeductions.thermal_critical");
+  assert.strictEqual(thermal.points, -4);
+
+  const classification = node(explanation, "classification");
+  assert.strictEqual(classification.rule, `classification.${plain.standardized.classification.tier}`);
+  assert.strictEqual(classification.threshold, plain.standardized.classification.minScore);
+  explanation.children.filter((child) => child.children).forEach((category) => {
+    console.log(`  ${category.label}: ${category.points}/${category.max}${category.matched ? ` (${category.matched})` : ""}`);
+    category.children.forEach((step) => console.log(`    ${step.label}: ${step.matched} -> ${step.points}`));
+  });
+
+  console.log("\nTEST 3: TRACE ADDS UP TO THE REPORTED SCORES");
+  const categories = explanation.children.filter((child) => child.children);
+  assert.strictEqual(sumPoints(categories), explanation.points);
+  categories.forEach((category) => {
+    assert.strictEqual(category.points, plain.standardized.categories[category.id].score);
+    if (!category.matched) assert.strictEqual(sumPoints(category.children), category.points);
+  });
+  // 10 - 4 - 2 - 4 = 0: no clamp needed; a harder hit is clamped and says so
+  const wrecked = evaluateDevice({ ...laptop, idle_temperature_celsius: 70 }, { explain: true, profile: profiles.get("thermal-strict") });
+  const physical = node(wrecked.explanation, "physicalThermal");
+  assert.strictEqual(physical.points, 0);
+  assert.match(physical.matched, /clamped to 0-20/);
+
+  console.log("\nTEST 4: TRACE FOLLOWS THE SCORING PROFILE");
+  const battery = node(evaluateDevice(laptop, { explain: true, profile: profiles.get("battery-priority") }).explanation, "remainingLife", "battery");
+  const band = profiles.get("battery-priority").batteryHealthScoring.find((rule) => 72 >= rule.threshold);
+  assert.strictEqual(battery.threshold, band.threshold);
+  assert.strictEqual(battery.points, band.score);
+
+  console.log("\nTEST 5: LEGACY AND OMLS TRACES");
+  const legacy = evaluateDevice({ cpu_usage: 40, ram_gb: 8, storage_health: 70, battery_health: 80 }, { explain: true });
+  const components = legacy.explanation.children.filter((child) => child.children);
+  assert.deepStrictEqual(components.map((child) => child.id), ["cpu", "ram", "storage", "battery"]);
+  assert.strictEqual(Math.round(sumPoints(components)), legacy.overall.total_score);
+  assert.strictEqual(node(legacy.explanation, "cpu", "health").matched, "POOR (below 0.5)");
+  assert.strictEqual(node(legacy.explanation, "overallHealth").matched, `${legacy.overall.health} (below 55)`);
+
+  const omls = evaluateDevice({ omls: true, component: { component_id: "RAM-01", component_type: "RAM" } }, { explain: true });
+  const ram = node(omls.explanation, "RAM-01");
+  assert.strictEqual(ram.points, omls.overall.total_score);
+  assert.strictEqual(ram.children.length, omls.omls.result.totals.evaluated);
+
+  console.log("\nTEST 6: HTTP OPT-IN AND STORED REPORTS");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const submit = async (body) => {
+    const response = await fetch(`${base}/api/submit-diagnostics`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    const { jobId } = await response.json();
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const job = await (await fetch(`${base}/api/jobs/${jobId}`)).json();
+      if (job.state === "done") return job.result.reportId;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  };
+  const diagnostics = (query) => fetch(`${base}/api/diagnostics?${query}`);
+
+  try {
+    const storedId = await submit({ ...laptop, explain: true, hostname: "explain-01" });
+    const stored = await (await diagnostics(`reportId=${storedId}`)).json();
+    assert.deepStrictEqual(stored.explanation, explanation);
+    assert.deepStrictEqual(stored.warnings.filter((warning) => warning.field === "explain"), []);
+
+    const laterId = await submit({ ...laptop, scoring_profile: "thermal-strict", hostname: "explain-01" });
+    const later = await (await diagnostics(`reportId=${laterId}`)).json();
+    assert.strictEqual(later.explanation, undefined);
+    const onDemand = await (await diagnostics(`reportId=${laterId}&explain=true`)).json();
+    assert.deepStrictEqual(onDemand.explanation.profile, { name: "thermal-strict", version: "1.0.0" });
+    assert.strictEqual(onDemand.explanation.points, later.overall.total_score);
+
+    // A report scored with a profile version that is no longer loaded cannot be re-explained
+    const outdated = createReportStore({ dir }).save({
+      hostname: "explain-01",
+      input: laptop,
+      report: { ...later, scoringProfile: { name: "thermal-strict", version: "0.9.0" } }
+    });
+    const conflict = await diagnostics(`reportId=${outdated.id}&explain=true`);
+    assert.strictEqual(conflict.status, 409);
+    assert.match((await conflict.json()).error, /thermal-strict@0\.9\.0/);
+    console.log("  stored, on-demand and outdated-profile explanations checked");
+  } finally {
+    server.close();
+  }
+
+  console.log("\nAll explanation tests passed.");
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
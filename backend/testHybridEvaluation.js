@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Hybrid evaluation tests: payloads with data for several models are scored
+ * by each of them, merged into one report and given a reconciled verdict.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hybrid-test-"));
+process.env.REPORT_STORE_DIR = dir;
+
+const app = require("./server");
+const evaluateDevice = require("./services/evaluateDevice");
+const { applicableModels, detectInputFormat } = evaluateDevice;
+const { validateInput } = require("./services/inputValidator");
+
+const live = { cpu_usage: 85, ram_gb: 16, storage_health: 90, battery_health: 88 };
+const omls = { omls: true, component: { component_id: "RAM-01", component_type: "RAM" } };
+const standardized = {
+  storage_smart_status: "GOOD",
+  ram_test_errors: 0,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 92,
+  ssd_wear_percentage: 10,
+  battery_health_percent: 90,
+  idle_temperature_celsius: 40,
+  load_temperature_celsius: 75
+};
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("HYBRID EVALUATION TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: APPLICABLE MODELS");
+  assert.deepStrictEqual(applicableModels(live), ["legacy"]);
+  assert.deepStrictEqual(applicableModels({}), ["legacy"]);
+  assert.deepStrictEqual(applicableModels(omls), ["omls"]);
+  assert.deepStrictEqual(applicableModels({ ...live, ...omls }), ["legacy", "omls"]);
+  assert.deepStrictEqual(applicableModels({ ...standardized, ...live, ...omls }), ["standardized", "legacy", "omls"]);
+  assert.strictEqual(detectInputFormat({ ...live, ...omls }), "hybrid");
+  assert.strictEqual(detectInputFormat(standardized), "standardized");
+
+  console.log("\nTEST 2: SINGLE-MODEL PAYLOADS ARE UNCHANGED");
+  assert.strictEqual(evaluateDevice(live).evaluationModel, "LEGACY_COMPONENT_HEALTH");
+  assert.strictEqual(evaluateDevice(omls).evaluationModel, "OPEN_MODULAR_LAPTOP_STANDARD");
+  assert.strictEqual(evaluateDevice(standardized).evaluationModel, "STANDARDIZED_HARDWARE_REUSABILITY");
+
+  console.log("\nTEST 3: LIVE METRICS + OMLS KEEP BOTH SECTIONS");
+  const liveOmls = evaluateDevice({ ...live, ...omls });
+  assert.strictEqual(liveOmls.evaluationModel, "HYBRID");
+  assert.deepStrictEqual(liveOmls.models, ["LEGACY_COMPONENT_HEALTH", "OPEN_MODULAR_LAPTOP_STANDARD"]);
+  assert.deepStrictEqual(liveOmls.components, evaluateDevice(live).components);
+  assert.deepStrictEqual(liveOmls.componentBreakdowns, evaluateDevice(live).componentBreakdowns);
+  assert.deepStrictEqual(liveOmls.omls, evaluateDevice(omls).omls);
+  assert.deepStrictEqual(
+    liveOmls.modelVerdicts.legacy,
+    { evaluationModel: "LEGACY_COMPONENT_HEALTH", ...evaluateDevice(live).overall }
+  );
+
+  // The incomplete OMLS component fails compliance, which vetoes reuse
+  assert.strictEqual(liveOmls.modelVerdicts.legacy.reusable, true);
+  assert.strictEqual(liveOmls.overall.reusable, false);
+  assert.strictEqual(liveOmls.overall.drivenBy, "OPEN_MODULAR_LAPTOP_STANDARD");
+  assert.strictEqual(liveOmls.overall.total_score, liveOmls.omls.complianceScore);
+  assert.strictEqual(liveOmls.overall.health, "POOR");
+  assert.match(liveOmls.overall.reason, /not reusable .* overrides the other models/);
+  console.log(`  ${liveOmls.overall.drivenBy}: ${liveOmls.overall.reason}`);
+
+  console.log("\nTEST 4: AGREEING MODELS - THE MOST DETAILED ONE DRIVES");
+  const agreeing = evaluateDevice({ ...standardized, ...live });
+  assert.deepStrictEqual(agreeing.models, ["STANDARDIZED_HARDWARE_REUSABILITY", "LEGACY_COMPONENT_HEALTH"]);
+  assert.strictEqual(agreeing.overall.reusable, true);
+  assert.strictEqual(agreeing.overall.drivenBy, "STANDARDIZED_HARDWARE_REUSABILITY");
+  assert.strictEqual(agreeing.overall.total_score, agreeing.standardized.totalScore);
+  assert.strictEqual(agreeing.overall.classification, agreeing.standardized.classification.level);
+  assert.deepStrictEqual(agreeing.scoringProfile, { name: "default", version: "1.0.0" });
+  // Worst health across models
+  const fairLegacy = evaluateDevice({ ...standardized, ...live, cpu_usage: 40, battery_health: 60 });
+  assert.strictEqual(fairLegacy.modelVerdicts.standardized.health, "GOOD");
+  assert.strictEqual(fairLegacy.overall.health, fairLegacy.modelVerdicts.legacy.health);
+  assert.notStrictEqual(fairLegacy.overall.health, "GOOD");
+
+  console.log("\nTEST 5: HYBRID EXPLANATION");
+  const explained = evaluateDevice({ ...live, ...omls }, { explain: true });
+  assert.strictEqual(explained.explanation.model, "HYBRID");
+  assert.strictEqual(explained.explanation.matched, explained.overall.reason);
+  assert.deepStrictEqual(explained.explanation.children.map((child) => child.model), ["LEGACY_COMPONENT_HEALTH", "OPEN_MODULAR_LAPTOP_STANDARD"]);
+
+  console.log("\nTEST 6: VALIDATION AGAINST EVERY APPLICABLE SCHEMA");
+  const invalid = validateInput({ ...live, cpu_usage: "85", omls: true, component: { component_type: "RAM" }, hostname: 5 });
+  assert.strictEqual(invalid.format, "hybrid");
+  assert.strictEqual(invalid.valid, false);
+  const fields = invalid.errors.map((error) => error.field);
+  assert.ok(fields.includes("cpu_usage"), "legacy schema errors are reported");
+  assert.ok(fields.includes("component.component_id"), "OMLS schema errors are reported");
+  assert.strictEqual(fields.filter((field) => field === "hostname").length, 1, "shared field errors are reported once");
+
+  const valid = validateInput({ ...live, ...omls, mystery: 1 });
+  assert.strictEqual(valid.valid, true);
+  assert.deepStrictEqual(valid.warnings.filter((warning) => warning.message.includes("ignored")).map((warning) => warning.field), ["mystery"]);
+
+  console.log("\nTEST 7: HTTP SUBMISSION");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const submitted = await (await fetch(`${base}/api/submit-diagnostics`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...live, ...omls, hostname: "hybrid-01" })
+    })).json();
+
+    let job;
+    for (let attempt = 0; attempt < 50 && job?.state !== "done"; attempt += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      job = await (await fetch(`${base}${submitted.statusUrl}`)).json();
+    }
+    assert.strictEqual(job.state, "done");
+
+    const reportId = job.result.reportId;
+    const report = await (await fetch(`${base}/api/diagnostics?reportId=${reportId}`)).json();
+    assert.strictEqual(report.evaluationModel, "HYBRID");
+    const component = await fetch(`${base}/api/component/battery?reportId=${reportId}`);
+    assert.strictEqual(component.status, 200, "legacy breakdowns survive in a hybrid report");
+
+    const badProfile = await fetch(`${base}/api/submit-diagnostics`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...standardized, ...live, scoring_profile: "missing" })
+    });
+    assert.strictEqual(badProfile.status, 422);
+    assert.strictEqual((await badProfile.json()).format, "hybrid");
+    console.log("  hybrid report stored and served");
+  } finally {
+    server.close();
+  }
+
+  console.log("\nAll hybrid evaluation tests passed.");
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
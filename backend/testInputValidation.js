@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Submission schema validation tests: rejected fields for each format and
+ * warnings for defaulted / unknown fields on accepted payloads.
+ */
+
+const assert = require("assert");
+const { validateInput } = require("./services/inputValidator");
+
+const fields = (result) => result.errors.map((error) => error.field);
+
+console.log("=".repeat(70));
+console.log("INPUT VALIDATION TESTS");
+console.log("=".repeat(70));
+
+console.log("\nTEST 1: LEGACY - SCRIPT PAYLOAD IS ACCEPTED");
+const script = validateInput({
+  cpu_usage: 37,
+  ram_gb: 16,
+  storage_health: 64,
+  battery_health: 90,
+  motherboard: true,
+  timestamp: "2026-01-01T00:00:00Z",
+  hostname: "bench-01",
+  hardware_ids: { machine_id: "abc", product_uuid: null, mac_addresses: ["aa:bb:cc:dd:ee:ff"] }
+});
+assert.strictEqual(script.format, "legacy");
+assert.strictEqual(script.valid, true);
+assert.deepStrictEqual(script.warnings, []);
+
+console.log("\nTEST 2: LEGACY - STRING AND NEGATIVE VALUES ARE REJECTED");
+const legacy = validateInput({ cpu_usage: "45", ram_gb: -2, storage_health: 140 });
+assert.strictEqual(legacy.valid, false);
+assert.deepStrictEqual(fields(legacy), ["cpu_usage", "ram_gb", "storage_health"]);
+legacy.errors.forEach((error) => console.log(`  ${error.field}: ${error.message}`));
+
+console.log("\nTEST 3: LEGACY - DEFAULTED AND UNKNOWN FIELDS ARE WARNINGS");
+// A missing storage or battery reading is not scored rather than defaulted
+const partial = validateInput({ cpu: 50, storage_health: 80, batery_health: 70 });
+assert.strictEqual(partial.valid, true);
+assert.deepStrictEqual(
+  partial.warnings.map((warning) => warning.field),
+  ["ram_gb", "batery_health"]
+);
+partial.warnings.forEach((warning) => console.log(`  ${warning.field}: ${warning.message}`));
+
+console.log("\nTEST 4: STANDARDIZED - TYPO IN SMART STATUS");
+const standardized = validateInput({
+  storage_smart_status: "GOOOD",
+  ram_test_errors: 0.5,
+  cpu_stress_stable: "yes",
+  battery_health_percent: 80
+});
+assert.strictEqual(standardized.format, "standardized");
+assert.deepStrictEqual(fields(standardized), ["storage_smart_status", "ram_test_errors", "cpu_stress_stable"]);
+standardized.errors.forEach((error) => console.log(`  ${error.field}: ${error.message}`));
+
+const defaulted = validateInput({ storage_smart_status: "GOOD", battery_health_percent: 80 });
+assert.ok(defaulted.warnings.some((warning) => warning.field === "port_integrity" && warning.message.includes("true")));
+
+console.log("\nTEST 5: OMLS - COMPONENT FIELD TYPES");
+const omls = validateInput({
+  omls: true,
+  component: { component_id: "RAM-01", component_type: "MEMORY", power_input: { min: "1", max: 2 }, generation: "12" },
+  system: { motherboard: { supported_generation: 12 } }
+});
+assert.strictEqual(omls.format, "omls");
+assert.deepStrictEqual(fields(omls), ["component.component_type", "component.power_input.min", "component.generation"]);
+omls.errors.forEach((error) => console.log(`  ${error.field}: ${error.message}`));
+
+const powerRange = validateInput({ components: [{ component_id: "GPU-01", power_input: "65W" }] });
+assert.deepStrictEqual(powerRange.errors.map((error) => `${error.field}: ${error.message}`), [
+  "components.0.power_input: must be object or array, got string"
+]);
+
+console.log("\nTEST 6: NON-OBJECT BODY");
+assert.deepStrictEqual(fields(validateInput([1, 2])), ["(root)"]);
+
+console.log("\nAll input validation tests passed.");
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluation job queue tests: ordering, states and failures when several
+ * scripts submit at the same time.
+ */
+
+const assert = require("assert");
+const { createJobQueue } = require("./services/jobQueue");
+
+console.log("=".repeat(70));
+console.log("JOB QUEUE TESTS");
+console.log("=".repeat(70));
+
+async function run() {
+  const order = [];
+  const queue = createJobQueue({
+    worker: async (payload) => {
+      order.push(payload.hostname);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      if (payload.fail) throw new Error("Evaluation exploded");
+      return { hostname: payload.hostname };
+    }
+  });
+
+  console.log("\nTEST 1: CONCURRENT SUBMISSIONS GET THEIR OWN JOBS");
+  const jobA = queue.enqueue({ hostname: "bench-a" });
+  const jobB = queue.enqueue({ hostname: "bench-b" });
+  assert.notStrictEqual(jobA.id, jobB.id);
+  assert.strictEqual(jobA.state, "queued");
+  assert.strictEqual(queue.hasPending(), true);
+
+  const [doneA, doneB] = await Promise.all([queue.waitFor(jobA.id), queue.waitFor(jobB.id)]);
+  assert.strictEqual(doneA.state, "done");
+  assert.deepStrictEqual(doneB.result, { hostname: "bench-b" });
+  assert.deepStrictEqual(order, ["bench-a", "bench-b"]);
+  assert.strictEqual(queue.hasPending(), false);
+  console.log(`  ${doneA.id}: ${doneA.state}`);
+  console.log(`  ${doneB.id}: ${doneB.state}`);
+
+  console.log("\nTEST 2: FAILED JOB DOES NOT BLOCK THE QUEUE");
+  const failing = queue.enqueue({ hostname: "bench-c", fail: true });
+  const next = queue.enqueue({ hostname: "bench-d" });
+  assert.strictEqual((await queue.waitFor(failing.id)).state, "failed");
+  assert.strictEqual(queue.get(failing.id).error, "Evaluation exploded");
+  assert.strictEqual((await queue.waitFor(next.id)).state, "done");
+  console.log("  Failed job error:", queue.get(failing.id).error);
+
+  console.log("\nTEST 3: UNKNOWN JOB");
+  assert.strictEqual(queue.get("missing"), null);
+  assert.strictEqual(await queue.waitFor("missing"), null);
+
+  console.log("\nAll job queue tests passed.");
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * QR asset label tests: the QR symbols and PNGs labels carry, label codes,
+ * the SVG label and sheet layouts and the frontend URLs labels point at.
+ */
+
+const assert = require("assert");
+const { PNG } = require("pngjs");
+const {
+  parseLabelTarget,
+  labelUrl,
+  resolveLabelBase,
+  encodeQr,
+  renderQrPng,
+  renderLabelSvg,
+  renderLabelSheet,
+  LABEL_LAYOUTS
+} = require("./services/labels");
+const { scanBarcodes } = require("./services/barcodeScanner");
+
+console.log("=".repeat(70));
+console.log("QR ASSET LABEL TESTS");
+console.log("=".repeat(70));
+
+console.log("\nTEST 1: QR CODE SYMBOLS");
+const url = "https://diagnostics.example/l/d0123456789abcdef";
+const qr = encodeQr(url);
+assert.strictEqual(qr.version, 4, "47 bytes need version 4 at level M");
+assert.strictEqual(qr.size, 33);
+assert.strictEqual(qr.modules.length, 33);
+const finder = ["1111111", "1000001", "1011101", "1011101", "1011101", "1000001", "1111111"];
+const read = (x, y, width, height) =>
+  Array.from({ length: height }, (_, row) => qr.modules[y + row].slice(x, x + width).map((dark) => (dark ? "1" : "0")).join(""));
+assert.deepStrictEqual(read(0, 0, 7, 7), finder);
+assert.deepStrictEqual(read(26, 0, 7, 7), finder);
+assert.deepStrictEqual(read(0, 26, 7, 7), finder);
+assert.deepStrictEqual(read(24, 24, 5, 5), ["11111", "10001", "10101", "10001", "11111"], "alignment pattern");
+assert.strictEqual(read(8, 6, 17, 1)[0], "10101010101010101", "timing pattern");
+assert.strictEqual(qr.modules[25][8], true, "dark module");
+assert.strictEqual(encodeQr("x".repeat(200)).version, 10);
+assert.deepStrictEqual(encodeQr(url).modules, qr.modules, "encoding is deterministic");
+console.log(`  version ${qr.version}`);
+
+console.log("\nTEST 2: PNG");
+const qrPng = renderQrPng(url, { scale: 2 });
+const decoded = PNG.sync.read(qrPng);
+assert.strictEqual(decoded.width, (33 + 8) * 2, "symbol plus a four-module quiet zone");
+assert.strictEqual(decoded.height, (33 + 8) * 2);
+const pixel = (x, y) => decoded.data[(y * decoded.width + x) * 4];
+assert.strictEqual(pixel(7, 7), 255, "quiet zone");
+assert.strictEqual(pixel(8, 8), 0, "top-left finder");
+assert.deepStrictEqual(scanBarcodes(qrPng).map(({ symbology, value }) => [symbology, value]), [["qr_code", url]], "the label scans back");
+
+console.log("\nTEST 3: LABEL CODES");
+assert.deepStrictEqual(parseLabelTarget("dev_0123456789abcdef"), { type: "device", id: "dev_0123456789abcdef", code: "d0123456789abcdef" });
+assert.deepStrictEqual(parseLabelTarget("d0123456789ABCDEF"), { type: "device", id: "dev_0123456789abcdef", code: "d0123456789abcdef" });
+const reportId = "3f2504e0-4f89-11d3-9a0c-0305e82c3301";
+const reportTarget = { type: "report", id: reportId, code: "r3f2504e04f8911d39a0c0305e82c3301" };
+assert.deepStrictEqual(parseLabelTarget(reportId.toUpperCase()), reportTarget);
+assert.deepStrictEqual(parseLabelTarget(reportTarget.code), reportTarget, "codes round-trip to IDs");
+["", "dev_0123", "d0123456789abcde", "r3f2504e0", "../etc/passwd", null].forEach((value) => {
+  assert.strictEqual(parseLabelTarget(value), null, `${value} is not a label target`);
+});
+assert.strictEqual(labelUrl("https://diagnostics.example/", "d0123456789abcdef"), url);
+
+console.log("\nTEST 4: SVG LABELS AND SHEETS");
+const label = { url, title: "Bench <07> & co", subtitle: "Device - bench-07", id: "dev_0123456789abcdef" };
+const svg = renderLabelSvg(label);
+assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="63.5mm" height="38.1mm" viewBox="0 0 63.5 38.1">'));
+assert.ok(svg.includes("Bench &lt;07&gt; &amp; co") && !svg.includes("<07>"), "text is escaped");
+assert.ok(svg.includes(">dev_0123456789abcdef<"));
+const darkModules = qr.modules.flat().filter(Boolean).length;
+assert.strictEqual(svg.match(/h1v1h-1z/g).length, darkModules, "one square per dark module");
+assert.ok(renderLabelSvg(label, { layout: "avery-5160" }).includes('width="66.675mm" height="25.4mm"'));
+
+const { columns, rows } = LABEL_LAYOUTS["avery-l7160"];
+const sheet = renderLabelSheet(Array(25).fill(label), { skip: 2 });
+const pages = sheet.match(/<svg class="sheet"/g);
+assert.strictEqual(pages.length, 2, "25 labels after 2 used positions fill a second sheet");
+assert.strictEqual(sheet.match(/<g transform=/g).length, 25);
+assert.ok(sheet.includes('<g transform="translate(139.2 15.15)">'), "the first label goes in the third column");
+assert.ok(sheet.includes(`translate(139.2 ${Number((15.15 + (rows - 1) * 38.1).toFixed(3))})`), "the last row of the first sheet is used");
+assert.strictEqual(columns * rows, 21);
+assert.ok(sheet.includes("@page { size: A4; margin: 0; }"));
+assert.ok(renderLabelSheet([label], { layout: "avery-5160" }).includes("@page { size: letter; margin: 0; }"));
+console.log(`  ${sheet.length} bytes for two sheets`);
+
+console.log("\nTEST 5: BASE URLS");
+const frontend = { allowedOrigins: ["https://app.example", "https://shop.example/"] };
+// Without ?baseUrl= labels point at LABEL_BASE_URL, else the frontend the request came from
+assert.strictEqual(resolveLabelBase({ ...frontend, configured: "https://labels.example/", origin: "https://app.example" }), "https://labels.example");
+assert.strictEqual(resolveLabelBase({ ...frontend, origin: "https://shop.example" }), "https://shop.example");
+assert.strictEqual(resolveLabelBase({ ...frontend, origin: "https://shop.example/results?reportId=1" }), "https://shop.example", "a Referer");
+assert.strictEqual(resolveLabelBase({ ...frontend, origin: "https://attacker.example" }), "https://app.example", "an unknown origin");
+assert.strictEqual(resolveLabelBase({ ...frontend }), "https://app.example");
+assert.strictEqual(resolveLabelBase({ origin: "http://localhost:5173", allowLoopback: true }), "http://localhost:5173", "Vite in development");
+assert.throws(() => resolveLabelBase({ origin: "http://localhost:5173" }), { code: "INVALID_BASE_URL", message: /set LABEL_BASE_URL/ });
+assert.throws(() => resolveLabelBase({}), { code: "INVALID_BASE_URL" }, "never the backend's own origin");
+
+// ?baseUrl= must be on an allowed origin
+assert.strictEqual(resolveLabelBase({ ...frontend, requested: "https://shop.example/assets/" }), "https://shop.example/assets");
+assert.strictEqual(resolveLabelBase({ configured: "https://labels.example", requested: "https://labels.example/v2" }), "https://labels.example/v2");
+assert.strictEqual(resolveLabelBase({ requested: "http://127.0.0.1:4173", allowLoopback: true }), "http://127.0.0.1:4173");
+assert.throws(() => resolveLabelBase({ ...frontend, requested: "https://attacker.example" }), { code: "INVALID_BASE_URL", message: /allowed frontend origin/ });
+assert.throws(() => resolveLabelBase({ ...frontend, requested: "https://app.example.attacker.example" }), { code: "INVALID_BASE_URL" });
+assert.throws(() => resolveLabelBase({ ...frontend, requested: "http://app.example" }), { code: "INVALID_BASE_URL" }, "another scheme");
+assert.throws(() => resolveLabelBase({ ...frontend, requested: "https://app.example/?x=1" }), { code: "INVALID_BASE_URL", message: /without query/ });
+assert.throws(() => resolveLabelBase({ ...frontend, requested: "ftp://app.example" }), { code: "INVALID_BASE_URL" });
+
+console.log("\nAll QR asset label tests passed.");
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Extended legacy component tests: GPU, display, motherboard / I/O and thermal
+ * readings are scored with their own breakdowns, weights are renormalized over
+ * the measured components, and the component route discovers the names.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "components-test-"));
+process.env.REPORT_STORE_DIR = dir;
+
+const app = require("./server");
+const evaluateDevice = require("./services/evaluateDevice");
+const { WEIGHTS, LEGACY_COMPONENTS, legacyMaxScores } = require("./rules/healthRules");
+const { simulateRepairs } = require("./services/repairSimulation");
+const { validateInput } = require("./services/inputValidator");
+
+const core = { cpu_usage: 85, ram_gb: 16, storage_health: 90, battery_health: 88 };
+const extended = { ...core, gpu_health: 80, display_health: 95, motherboard_health: 100, temperature_celsius: 58 };
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("EXTENDED LEGACY COMPONENT TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: WEIGHTS");
+  assert.strictEqual(Object.values(WEIGHTS).reduce((sum, weight) => sum + weight, 0), 100);
+  assert.deepStrictEqual(Object.keys(WEIGHTS), Object.keys(LEGACY_COMPONENTS));
+  assert.deepStrictEqual(legacyMaxScores(["cpu", "ram", "storage", "battery"]), { cpu: 30, ram: 25, storage: 25, battery: 20 });
+  const withGpu = legacyMaxScores(["cpu", "ram", "storage", "battery", "gpu"]);
+  assert.ok(Math.abs(Object.values(withGpu).reduce((sum, max) => sum + max, 0) - 100) < 1e-9, "renormalized maxima add up to 100");
+
+  console.log("\nTEST 2: CORE-ONLY PAYLOADS KEEP THE FOUR COMPONENTS");
+  const coreReport = evaluateDevice(core);
+  assert.deepStrictEqual(Object.keys(coreReport.components), ["cpu", "ram", "storage", "battery"]);
+  assert.strictEqual(coreReport.componentBreakdowns.cpu.maxScore, 30);
+  assert.strictEqual(coreReport.componentBreakdowns.cpu.weightPercent, 30);
+  assert.strictEqual(coreReport.reusabilitySummary.totalComponents, 4);
+
+  console.log("\nTEST 3: EXTENDED COMPONENTS ARE SCORED");
+  const report = evaluateDevice(extended);
+  assert.strictEqual(report.evaluationModel, "LEGACY_COMPONENT_HEALTH");
+  assert.deepStrictEqual(Object.keys(report.components), ["cpu", "ram", "storage", "battery", "gpu", "display", "motherboard", "thermal"]);
+  assert.strictEqual(report.reusabilitySummary.totalComponents, 8);
+  Object.entries(WEIGHTS).forEach(([component, weight]) => {
+    assert.strictEqual(report.componentBreakdowns[component].maxScore, weight);
+  });
+  assert.strictEqual(report.components.motherboard.score, 4);
+  assert.strictEqual(report.components.thermal.score, 4, "58 °C is below the 60 °C full-marks limit");
+  assert.strictEqual(report.components.gpu.health, "GOOD");
+
+  const breakdown = report.componentBreakdowns.display;
+  ["subMetrics", "coreChecks", "recommendations", "longevity"].forEach((key) => assert.ok(breakdown[key], `display has ${key}`));
+  assert.strictEqual(breakdown.unit, "%");
+  assert.strictEqual(report.componentBreakdowns.thermal.unit, "°C");
+  console.log(`  8 components, total ${report.overall.total_score}/100`);
+
+  console.log("\nTEST 4: THRESHOLDS AND REUSABILITY");
+  const hot = evaluateDevice({ ...core, temperature_celsius: 95 });
+  assert.strictEqual(hot.components.thermal.health, "POOR");
+  assert.strictEqual(hot.componentBreakdowns.thermal.reusability.verdict, "NOT REUSABLE");
+  assert.strictEqual(hot.overall.reusable, false, "a POOR component blocks reuse");
+  assert.strictEqual(evaluateDevice({ ...core, temperature_celsius: 80 }).componentBreakdowns.thermal.reusability.verdict, "CONDITIONALLY REUSABLE");
+  assert.strictEqual(evaluateDevice({ ...core, gpu: 40 }).componentBreakdowns.gpu.reusability.reusable, false, "gpu alias is read");
+  assert.strictEqual(evaluateDevice({ ...core, display_health: 60 }).componentBreakdowns.display.health, "FAIR");
+  assert.strictEqual(typeof evaluateDevice({ ...core, display_health: 60 }).overall.longevity_years, "number");
+
+  console.log("\nTEST 5: EXPLANATION, VALIDATION AND SIMULATION");
+  const explained = evaluateDevice(extended, { explain: true }).explanation;
+  const thermal = explained.children.find((child) => child.id === "thermal");
+  assert.strictEqual(thermal.rule, "(100 - temperature_celsius) / 40 × 4");
+  assert.deepStrictEqual(thermal.input, { temperature_celsius: 58 });
+
+  assert.strictEqual(validateInput({ ...core, gpu_health: 140 }).valid, false);
+  assert.deepStrictEqual(validateInput(extended).warnings, []);
+
+  const simulated = simulateRepairs({ input: { ...core, display_health: 20 }, overrides: { display_health: 100 } });
+  assert.strictEqual(simulated.legacy.simulated.components.display, Number((600 / 86).toFixed(2)), "full marks out of the renormalized maximum");
+  assert.ok(simulated.legacy.scoreDelta > 0);
+  const plan = simulateRepairs({ input: { ...core, gpu_health: 10 } }).legacy.nextTier;
+  assert.ok(plan.repairs.some((repair) => repair.id === "gpu"));
+  const unmeasured = simulateRepairs({ input: { ...core, battery_health: 30 } }).legacy.nextTier;
+  assert.ok(unmeasured.repairs.every((repair) => !["gpu", "display", "motherboard", "cooling"].includes(repair.id)), "unmeasured components are not repaired");
+
+  console.log("\nTEST 6: COMPONENT ROUTE");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const submitted = await (await fetch(`${base}/api/submit-diagnostics`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...core, gpu_health: 80, temperature_celsius: 70, hostname: "components-01" })
+    })).json();
+
+    let job;
+    for (let attempt = 0; attempt < 50 && job?.state !== "done"; attempt += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      job = await (await fetch(`${base}${submitted.statusUrl}`)).json();
+    }
+    assert.strictEqual(job.state, "done");
+    const query = `?reportId=${job.result.reportId}`;
+
+    const gpu = await fetch(`${base}/api/component/gpu${query}`);
+    assert.strictEqual(gpu.status, 200);
+    const body = await gpu.json();
+    assert.strictEqual(body.component.name, "GPU");
+    assert.deepStrictEqual(body.components, ["cpu", "ram", "storage", "battery", "gpu", "thermal"]);
+
+    assert.strictEqual((await fetch(`${base}/api/component/display${query}`)).status, 404, "unmeasured component has no breakdown");
+    const invalid = await fetch(`${base}/api/component/webcam${query}`);
+    assert.strictEqual(invalid.status, 400);
+    assert.match((await invalid.json()).error, /cpu, ram, storage, battery, gpu, display, motherboard, thermal/);
+    console.log("  200 / 400 / 404 responses checked");
+  } finally {
+    server.close();
+  }
+
+  console.log("\nAll extended legacy component tests passed.");
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
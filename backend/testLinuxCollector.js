@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Linux collector tests against recorded /proc and /sys fixtures: delta-based
+ * CPU utilisation (overall and per core), memory, statfs storage and battery,
+ * with null for every sensor a host does not have.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  createLinuxCollector,
+  parseProcStat,
+  cpuUtilisation,
+  parseMeminfo,
+  storageFromStatfs
+} = require("./services/collectors/linux");
+
+const fixtures = path.join(__dirname, "fixtures", "linux");
+const read = (...parts) => fs.readFileSync(path.join(fixtures, ...parts), "utf8");
+
+/**
+ * Collector over a copy of a fixture tree whose /proc/stat moves on to the
+ * recorded second sample while the collector waits between samples
+ */
+function fixtureCollector(name, options = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), `collector-${name}-`));
+  fs.cpSync(path.join(fixtures, name), root, { recursive: true });
+  const collector = createLinuxCollector({
+    procRoot: path.join(root, "proc"),
+    sysRoot: path.join(root, "sys"),
+    statfs: async () => JSON.parse(fs.readFileSync(path.join(root, "statfs.json"), "utf8")),
+    wait: async () => fs.copyFileSync(path.join(root, "proc", "stat.next"), path.join(root, "proc", "stat")),
+    ...options
+  });
+  return { collector, cleanup: () => fs.rmSync(root, { recursive: true, force: true }) };
+}
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("LINUX COLLECTOR TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: /proc/stat PARSING AND DELTAS");
+  const first = parseProcStat(read("laptop", "proc", "stat"));
+  const second = parseProcStat(read("laptop", "proc", "stat.next"));
+  assert.strictEqual(first.cores.length, 4);
+  assert.deepStrictEqual(first.total, { idle: 80500, total: 93800 });
+  const cpu = cpuUtilisation(first, second);
+  assert.strictEqual(cpu.usage_percent, 45);
+  assert.deepStrictEqual(cpu.per_core, [60, 20, 100, 0]);
+  assert.deepStrictEqual(cpuUtilisation(null, second), { usage_percent: null, per_core: [] });
+  assert.strictEqual(cpuUtilisation(first, first).usage_percent, null, "no ticks elapsed");
+  assert.strictEqual(parseProcStat("intr 1 2 3"), null);
+
+  console.log("\nTEST 2: MEMORY AND STORAGE");
+  assert.deepStrictEqual(parseMeminfo(read("laptop", "proc", "meminfo")), { total_gb: 15.53, available_gb: 9.32, used_percent: 40 });
+  // Without MemAvailable: free + buffers + cache
+  assert.deepStrictEqual(parseMeminfo(read("container", "proc", "meminfo")), { total_gb: 2, available_gb: 1, used_percent: 50 });
+  assert.strictEqual(parseMeminfo("SwapTotal: 0 kB"), null);
+
+  const storage = storageFromStatfs(JSON.parse(read("laptop", "statfs.json")));
+  assert.deepStrictEqual(storage, { total_gb: 465.72, free_gb: 209.58, free_percent: 47.37 });
+  assert.strictEqual(storageFromStatfs({ bsize: 4096, blocks: 0, bfree: 0, bavail: 0 }), null);
+
+  console.log("\nTEST 3: LAPTOP FIXTURE");
+  const laptop = fixtureCollector("laptop");
+  try {
+    const metrics = await laptop.collector.collect();
+    assert.deepStrictEqual(metrics, {
+      cpu: { usage_percent: 45, per_core: [60, 20, 100, 0] },
+      memory: { total_gb: 15.53, available_gb: 9.32, used_percent: 40 },
+      storage: { total_gb: 465.72, free_gb: 209.58, free_percent: 47.37 },
+      battery: { charge_percent: 30, wear_percent: 29.6, cycle_count: 412 },
+      temperatures: { cpu: 52, package: 52, core: 50, nvme: 42.9, battery: 31.2 }
+    });
+
+    // Later calls measure against the previous call, without waiting
+    const again = await laptop.collector.collect();
+    assert.strictEqual(again.cpu.usage_percent, null, "no ticks since the previous call");
+    console.log(`  cpu ${metrics.cpu.usage_percent}% (${metrics.cpu.per_core.join(" / ")}), ram ${metrics.memory.total_gb} GB, disk ${metrics.storage.free_percent}% free`);
+  } finally {
+    laptop.cleanup();
+  }
+
+  console.log("\nTEST 4: MINIMAL CONTAINER - UNAVAILABLE SENSORS ARE NULL");
+  const container = fixtureCollector("container", {
+    statfs: async () => {
+      throw Object.assign(new Error("ENOSYS: function not implemented, statfs"), { code: "ENOSYS" });
+    }
+  });
+  try {
+    const metrics = await container.collector.collect();
+    assert.deepStrictEqual(metrics.cpu, { usage_percent: null, per_core: [null] });
+    assert.strictEqual(metrics.memory.total_gb, 2);
+    assert.strictEqual(metrics.storage, null);
+    assert.strictEqual(metrics.battery, null, "no /sys/class/power_supply");
+    assert.strictEqual(metrics.temperatures, null, "no thermal zones or hwmon");
+  } finally {
+    container.cleanup();
+  }
+
+  const empty = createLinuxCollector({ procRoot: path.join(fixtures, "missing"), sysRoot: path.join(fixtures, "missing"), statfs: async () => null });
+  assert.deepStrictEqual(await empty.collect(), {
+    cpu: { usage_percent: null, per_core: [] },
+    memory: null,
+    storage: null,
+    battery: null,
+    temperatures: null
+  });
+
+  console.log("\nAll Linux collector tests passed.");
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
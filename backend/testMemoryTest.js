@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Memory test: every pattern over small regions, simulated stuck bits and
+ * aliased addresses caught by the patterns, partial allocations, and the
+ * standardized fields in the Functional Integrity category.
+ */
+
+const assert = require("assert");
+
+const { runMemoryTest, collectMemoryTest, PATTERNS } = require("./services/collectors/memoryTest");
+const evaluateDevice = require("./services/evaluateDevice");
+const { validateInput, validateOverrides } = require("./services/inputValidator");
+
+const KB = 1024;
+
+const standardized = {
+  storage_smart_status: "GOOD",
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 92,
+  ssd_wear_percentage: 10,
+  battery_health_percent: 90,
+  idle_temperature_celsius: 40,
+  load_temperature_celsius: 75
+};
+
+/**
+ * Allocator whose first chunk is faulty: `write(words, index, value)` and
+ * `read(words, index)` stand in for the memory cells
+ */
+function faultyMemory({ write, read }) {
+  let allocations = 0;
+  return (size) => {
+    const words = new Uint32Array(size / 4);
+    allocations += 1;
+    if (allocations > 1) return words;
+    return new Proxy(words, {
+      get: (target, key) => (typeof key === "string" && /^\d+$/.test(key) ? read(target, Number(key)) : target[key]),
+      set: (target, key, value) => {
+        write(target, Number(key), value);
+        return true;
+      }
+    });
+  };
+}
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("MEMORY TEST TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: HEALTHY MEMORY");
+  const healthy = await runMemoryTest({ bytes: 256 * KB, chunkBytes: 64 * KB, seed: 42 });
+  assert.strictEqual(healthy.testedBytes, 256 * KB);
+  assert.strictEqual(healthy.errors, 0);
+  assert.deepStrictEqual(Object.keys(healthy.patterns), ["walkingOnes", "checkerboard", "addressInAddress", "random"]);
+  assert.deepStrictEqual(healthy.mismatches, []);
+  assert.ok(healthy.durationMs >= 0);
+
+  const share = await runMemoryTest({ fraction: 0.25, freeBytes: 1024 * KB, patterns: ["random"] });
+  assert.strictEqual(share.testedBytes, 256 * KB, "a quarter of the free memory");
+  assert.deepStrictEqual(Object.keys(share.patterns), ["random"]);
+  assert.strictEqual((await runMemoryTest({ bytes: 1001, patterns: ["checkerboard"] })).testedBytes, 1000, "whole words only");
+  await assert.rejects(runMemoryTest({ bytes: KB, patterns: ["galpat"] }), /Unknown memory test pattern: galpat/);
+
+  // Expected values must compare equal to what a Uint32Array reads back
+  Object.entries(PATTERNS).forEach(([name, phases]) => {
+    phases.forEach((phase) => assert.ok(phase(3, 42) >= 0 && phase(3, 42) <= 0xffffffff, `${name} values are unsigned 32-bit`));
+  });
+
+  console.log("\nTEST 2: STUCK BIT");
+  // Bit 3 of word 5 (byte offset 20) always reads back as 1
+  const stuck = await runMemoryTest({
+    bytes: 128 * KB,
+    chunkBytes: 64 * KB,
+    seed: 42,
+    allocate: faultyMemory({
+      write: (words, index, value) => {
+        words[index] = index === 5 ? value | 0x8 : value;
+      },
+      read: (words, index) => words[index]
+    })
+  });
+  assert.strictEqual(stuck.patterns.walkingOnes.errors, 1, "single set bit 5; the walking zero has bit 3 set");
+  assert.strictEqual(stuck.patterns.checkerboard.errors, 1, "0x55555555 has bit 3 clear");
+  assert.strictEqual(stuck.patterns.addressInAddress.errors, 1, "5 has bit 3 clear, ~5 has it set");
+  assert.ok(stuck.errors >= 3);
+  assert.deepStrictEqual(stuck.mismatches[0], { pattern: "walkingOnes", offset: 20, expected: "0x00000020", actual: "0x00000028" });
+  console.log(`  ${stuck.errors} errors, first at byte ${stuck.mismatches[0].offset}`);
+
+  console.log("\nTEST 3: ALIASED ADDRESS");
+  // Word 7 is decoded to the same cell as word 3
+  const alias = (index) => (index === 7 ? 3 : index);
+  const aliased = await runMemoryTest({
+    bytes: 64 * KB,
+    seed: 42,
+    patterns: ["addressInAddress"],
+    allocate: faultyMemory({
+      write: (words, index, value) => {
+        words[alias(index)] = value;
+      },
+      read: (words, index) => words[alias(index)]
+    })
+  });
+  assert.strictEqual(aliased.errors, 2, "word 3 holds word 7's value in both phases");
+  assert.deepStrictEqual(aliased.mismatches.map(({ offset, expected, actual }) => [offset, expected, actual]), [
+    [12, "0x00000003", "0x00000007"],
+    [12, "0xfffffffc", "0xfffffff8"]
+  ]);
+
+  console.log("\nTEST 4: ALLOCATION FAILURES");
+  let chunks = 0;
+  const partial = await runMemoryTest({
+    bytes: 256 * KB,
+    chunkBytes: 64 * KB,
+    patterns: ["random"],
+    allocate: (size) => {
+      chunks += 1;
+      if (chunks > 2) throw new RangeError("Array buffer allocation failed");
+      return new Uint32Array(size / 4);
+    }
+  });
+  assert.strictEqual(partial.testedBytes, 128 * KB, "tests what could be allocated");
+
+  const none = await collectMemoryTest({
+    bytes: 64 * KB,
+    allocate: () => {
+      throw new RangeError("Array buffer allocation failed");
+    }
+  });
+  assert.strictEqual(none, null);
+
+  console.log("\nTEST 5: STANDARDIZED FIELDS");
+  const fields = await collectMemoryTest({ bytes: 64 * KB, patterns: ["checkerboard"] });
+  assert.deepStrictEqual(Object.keys(fields), ["ram_test_errors", "ram_tested_bytes", "ram_test_duration_ms"]);
+  assert.strictEqual(fields.ram_test_errors, 0);
+  assert.strictEqual(fields.ram_tested_bytes, 64 * KB);
+
+  const validation = validateInput({ ...standardized, ...fields });
+  assert.strictEqual(validation.valid, true);
+  assert.ok(!validation.warnings.some((warning) => warning.field.startsWith("ram_")), "slots into the standardized payload");
+  assert.strictEqual(validateOverrides({ ram_tested_bytes: 0 }).valid, false, "coverage is not a what-if input");
+
+  const ram = (input) => evaluateDevice(input).standardized.categories.functionalIntegrity.details.ram;
+  assert.deepStrictEqual(ram({ ...standardized, ...fields }), {
+    score: 10,
+    max: 10,
+    errors: 0,
+    testedBytes: 64 * KB,
+    durationMs: fields.ram_test_duration_ms
+  });
+  assert.strictEqual(ram({ ...standardized, ram_test_errors: stuck.errors }).score, 0);
+  assert.strictEqual(ram({ ...standardized, ram_test_errors: 0 }).testedBytes, undefined);
+
+  console.log("\nAll memory test tests passed.");
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
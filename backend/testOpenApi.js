@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAPI contract tests: every Express route is documented (and vice versa),
+ * and live responses match the documented response schemas.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const Ajv = require("ajv");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "openapi-test-"));
+process.env.REPORT_STORE_DIR = dir;
+process.env.CERTIFICATE_ISSUER_TOKENS = JSON.stringify({ "Bench Refurb Ltd": "bench-issuer-token" });
+const issuerAuth = { Authorization: "Bearer bench-issuer-token" };
+process.env.PUBLIC_API_URL = "https://diagnostics.example/";
+process.env.FRONTEND_ORIGINS = "https://app.diagnostics.example, https://diagnostics.example";
+
+const app = require("./server");
+const { buildOpenApiSpec } = require("./services/openApiSpec");
+const { generateSigningKey, signPayload } = require("./services/signing");
+const { createSignerRegistry } = require("./services/signerRegistry");
+const { renderQrPng } = require("./services/labels");
+const { PNG } = require("pngjs");
+
+const signingKey = { keyId: "bench-tech", ...generateSigningKey() };
+createSignerRegistry({ file: path.join(dir, "signers.json") }).add({ id: signingKey.keyId, publicKey: signingKey.publicKey });
+
+// Assistant routes must answer from their "no key configured" branches
+["GROQ_API_KEY", "GOOGLE_VISION_API_KEY", "ROBOFLOW_API_KEY"].forEach((name) => delete process.env[name]);
+
+const spec = buildOpenApiSpec();
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, "{$1}");
+
+/**
+ * Registered routes as "METHOD /path", including routers mounted with app.use().
+ * Mount prefixes are not exposed by Express 5, so each router layer is matched
+ * against the documented path prefixes.
+ */
+function collectRoutes() {
+  const prefixes = new Set(
+    Object.keys(spec.paths).flatMap((specPath) =>
+      specPath.split("/").map((_, index, parts) => parts.slice(0, index + 1).join("/")).filter(Boolean)
+    )
+  );
+
+  return app.router.stack.flatMap((layer) => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods).map((method) => `${method.toUpperCase()} ${toOpenApiPath(layer.route.path)}`);
+    }
+    if (layer.name !== "router") return [];
+
+    const mount = [...prefixes].filter((prefix) => layer.matchers[0](prefix)?.path === prefix).sort((a, b) => b.length - a.length)[0];
+    assert.ok(mount, "Router mounted at an undocumented path");
+
+    return layer.handle.stack
+      .filter((inner) => inner.route)
+      .flatMap((inner) =>
+        Object.keys(inner.route.methods).map((method) => {
+          const routePath = inner.route.path === "/" ? mount : `${mount}${inner.route.path}`;
+          return `${method.toUpperCase()} ${toOpenApiPath(routePath)}`;
+        })
+      );
+  });
+}
+
+const documentedRoutes = Object.entries(spec.paths).flatMap(([specPath, item]) =>
+  METHODS.filter((method) => item[method]).map((method) => `${method.toUpperCase()} ${specPath}`)
+);
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+ajv.addSchema(spec, "openapi");
+
+const pointer = (...segments) =>
+  segments.map((segment) => encodeURIComponent(String(segment).replace(/~/g, "~0").replace(/\//g, "~1"))).join("/");
+
+const exercised = new Set();
+let base;
+
+/**
+ * Call a route and check the status and body against the documented response.
+ */
+async function check(method, specPath, url, { status, body, headers } = {}) {
+  const response = await fetch(base + url, {
+    method,
+    headers: body ? { "Content-Type": "application/json", ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const operation = spec.paths[specPath][method.toLowerCase()];
+  const documented = operation.responses[response.status];
+
+  assert.strictEqual(response.status, status, `${method} ${url} returned ${response.status}`);
+  assert.ok(documented, `${method} ${specPath} returned undocumented status ${response.status}`);
+  exercised.add(`${method} ${specPath}`);
+
+  const [contentType] = Object.keys(documented.content);
+  assert.ok(response.headers.get("content-type").startsWith(contentType), `${method} ${url} content-type drifted`);
+  if (contentType !== "application/json") return response.text();
+
+  const data = await response.json();
+  const validate = ajv.getSchema(
+    `openapi#/${pointer("paths", specPath, method.toLowerCase(), "responses", response.status, "content", "application/json", "schema")}`
+  );
+  if (!validate(data)) {
+    throw new Error(`${method} ${url} (${response.status}) drifted from the spec: ${ajv.errorsText(validate.errors)}`);
+  }
+  return data;
+}
+
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const job = await check("GET", "/api/jobs/{id}", `/api/jobs/${jobId}`, { status: 200 });
+    if (job.state === "done" || job.state === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("OPENAPI CONTRACT TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: ROUTES AND SPEC MATCH");
+  const registered = collectRoutes();
+  assert.deepStrictEqual(registered.filter((route) => !documentedRoutes.includes(route)), [], "Routes missing from the spec");
+  assert.deepStrictEqual(documentedRoutes.filter((route) => !registered.includes(route)), [], "Spec paths with no route");
+  console.log(`  ${registered.length} routes documented`);
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log("\nTEST 2: SUBMISSIONS AND JOBS");
+    await check("GET", "/", "/", { status: 200 });
+    await check("GET", "/graph", "/graph", { status: 200 });
+    await check("GET", "/api/openapi.json", "/api/openapi.json", { status: 200 });
+    await check("GET", "/api/docs", "/api/docs", { status: 200 });
+    await check("GET", "/api/status", "/api/status", { status: 200 });
+    await check("GET", "/api/diagnostics", "/api/diagnostics", { status: 404 });
+
+    const submit = (body, status = 202) => check("POST", "/api/submit-diagnostics", "/api/submit-diagnostics", { status, body });
+    const hardware_ids = { machine_id: "openapi-test-machine", mac_addresses: ["aa:bb:cc:dd:ee:01"] };
+    const legacy = await submit(signPayload({ cpu_usage: 40, ram_gb: 8, storage_health: 70, battery_health: 80, hostname: "bench-01", timestamp: new Date().toISOString(), hardware_ids }, signingKey));
+    assert.strictEqual(legacy.verification.verified, true, "signed by a registered signer");
+    const smart = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "smart", "nvme-samsung-970.json"), "utf8"));
+    const standardized = await submit({ storage_smart_status: "GOOD", ram_test_errors: 0, battery_health_percent: 80, smart, scoring_profile: "thermal-strict", explain: true, hostname: "bench-01", hardware_ids });
+    const omls = await submit({ omls: true, component: { component_id: "RAM-01", component_type: "RAM" }, hostname: "bench-02" });
+    const hybrid = await submit({ omls: true, component: { component_id: "RAM-02", component_type: "RAM" }, cpu_usage: 70, ram_gb: 16, hostname: "bench-03" });
+    await submit({ cpu_usage: "40" }, 422);
+
+    const resubmit = (headers, status) => check("POST", "/api/submit-diagnostics", "/api/submit-diagnostics", { status, headers, body: { cpu_usage: 55, ram_gb: 8, hostname: "bench-04" } });
+    const first = await resubmit({ "Idempotency-Key": "openapi-retry-1" }, 202);
+    const retried = await resubmit({ "Idempotency-Key": "openapi-retry-1" }, 200);
+    assert.strictEqual(retried.jobId, first.jobId, "a retried submission gets the original job");
+    assert.strictEqual(retried.duplicate, true);
+    const reordered = await check("POST", "/api/submit-diagnostics", "/api/submit-diagnostics", { status: 200, headers: { "Idempotency-Key": "openapi-retry-1" }, body: { hostname: "bench-04", ram_gb: 8, cpu_usage: 55 } });
+    assert.strictEqual(reordered.jobId, first.jobId, "the key is bound to the payload, not its key order");
+    const reused = await check("POST", "/api/submit-diagnostics", "/api/submit-diagnostics", { status: 422, headers: { "Idempotency-Key": "openapi-retry-1" }, body: { cpu_usage: 95, ram_gb: 8, hostname: "bench-04" } });
+    assert.strictEqual(reused.details[0].field, "Idempotency-Key", "a different payload cannot reuse the key");
+    const invalid = await check("POST", "/api/submit-diagnostics", "/api/submit-diagnostics", { status: 422, headers: { "Idempotency-Key": "openapi-retry-1" }, body: { cpu_usage: "55" } });
+    assert.strictEqual(invalid.details[0].field, "cpu_usage", "validated before the earlier result is returned");
+    await resubmit({ "Idempotency-Key": "has spaces" }, 400);
+    await waitForJob(first.jobId);
+    await check("POST", "/api/smart", "/api/smart", { status: 200, body: smart });
+    await check("POST", "/api/smart", "/api/smart", { status: 422, body: { cpu_usage: 40 } });
+    await check("GET", "/api/signers", "/api/signers", { status: 200 });
+    await check("GET", "/api/signers/{id}", `/api/signers/${signingKey.keyId}`, { status: 200 });
+    await check("GET", "/api/signers/{id}", "/api/signers/missing", { status: 404 });
+
+    const legacyJob = await waitForJob(legacy.jobId);
+    const standardizedJob = await waitForJob(standardized.jobId);
+    await waitForJob(omls.jobId);
+    const hybridJob = await waitForJob(hybrid.jobId);
+    await check("GET", "/api/jobs/{id}", "/api/jobs/missing", { status: 404 });
+    await check("GET", "/api/activity", "/api/activity", { status: 200 });
+
+    console.log("\nTEST 3: REPORTS");
+    const legacyId = legacyJob.result.reportId;
+    const standardizedId = standardizedJob.result.reportId;
+    await check("GET", "/api/reports", "/api/reports?limit=10", { status: 200 });
+    await check("GET", "/api/reports/{id}", `/api/reports/${legacyId}`, { status: 200 });
+    await check("GET", "/api/reports/{id}", "/api/reports/missing", { status: 404 });
+    await check("GET", "/api/reports/{fromId}/diff/{toId}", `/api/reports/${legacyId}/diff/${standardizedId}`, { status: 200 });
+    await check("GET", "/api/reports/{fromId}/diff/{toId}", `/api/reports/missing/diff/${standardizedId}`, { status: 404 });
+    await check("GET", "/api/diagnostics", `/api/diagnostics?reportId=${standardizedId}`, { status: 200 });
+    await check("GET", "/api/diagnostics", `/api/diagnostics?reportId=${hybridJob.result.reportId}&explain=true`, { status: 200 });
+    const simulate = (id, overrides, status) =>
+      check("POST", "/api/reports/{id}/simulate", `/api/reports/${id}/simulate`, { status, body: { overrides } });
+    await simulate(standardizedId, { battery_health_percent: 100 }, 200);
+    await simulate(legacyId, { battery_health: 100 }, 200);
+    await simulate(legacyId, { battery_health_percent: 100 }, 422);
+    await simulate("missing", {}, 404);
+    const explained = await check("GET", "/api/diagnostics", `/api/diagnostics?reportId=${legacyId}&explain=true`, { status: 200 });
+    assert.ok(explained.explanation, "explain=true returns an explanation");
+    await check("GET", "/api/component/{name}", `/api/component/cpu?reportId=${legacyId}`, { status: 200 });
+    await check("GET", "/api/component/{name}", "/api/component/flux", { status: 400 });
+    await check("GET", "/api/component/{name}", `/api/component/cpu?reportId=${standardizedId}`, { status: 404 });
+    await check("GET", "/api/reusability", `/api/reusability?reportId=${legacyId}`, { status: 200 });
+
+    const certificate = await check("POST", "/api/certificates", "/api/certificates", { status: 201, body: { reportId: standardizedId }, headers: issuerAuth });
+    assert.strictEqual(certificate.issuedBy, "Bench Refurb Ltd");
+    await check("POST", "/api/certificates", "/api/certificates", { status: 401, body: { reportId: standardizedId } });
+    await check("POST", "/api/certificates", "/api/certificates", { status: 401, body: { reportId: standardizedId }, headers: { Authorization: "Bearer guessed" } });
+    await check("POST", "/api/certificates", "/api/certificates", { status: 422, body: { reportId: legacyId }, headers: issuerAuth });
+    await check("POST", "/api/certificates", "/api/certificates", { status: 404, body: { reportId: "missing" }, headers: issuerAuth });
+    await check("POST", "/api/certificates", "/api/certificates", { status: 400, body: {}, headers: issuerAuth });
+    await check("GET", "/api/certificates", `/api/certificates?reportId=${standardizedId}`, { status: 200 });
+    await check("GET", "/api/certificates/issuer", "/api/certificates/issuer", { status: 200 });
+    await check("GET", "/api/certificates/{id}", `/api/certificates/${certificate.id}`, { status: 200 });
+    await check("GET", "/api/certificates/{id}", "/api/certificates/missing", { status: 404 });
+    await check("GET", "/api/certificates/{id}/html", `/api/certificates/${certificate.id}/html`, { status: 200 });
+    await check("GET", "/api/certificates/{id}/html", "/api/certificates/missing/html", { status: 404 });
+    // The printed verify link comes from PUBLIC_API_URL, not from the request's Host header
+    const forgedHtml = await new Promise((resolve, reject) => {
+      const headers = { Host: "attacker.example", "X-Forwarded-Proto": "https" };
+      http.get(`${base}/api/certificates/${certificate.id}/html`, { headers }, (response) => {
+        let body = "";
+        response.on("data", (chunk) => (body += chunk));
+        response.on("end", () => resolve(body));
+      }).on("error", reject);
+    });
+    assert.ok(forgedHtml.includes(`>https://diagnostics.example/api/certificates/${certificate.id}/verify<`));
+    assert.ok(!forgedHtml.includes("attacker.example"));
+    await check("GET", "/api/certificates/{id}/pdf", `/api/certificates/${certificate.id}/pdf`, { status: 200 });
+    await check("GET", "/api/certificates/{id}/pdf", "/api/certificates/missing/pdf", { status: 404 });
+    assert.ok((await check("GET", "/api/certificates/{id}/verify", `/api/certificates/${certificate.id}/verify?hash=${certificate.hash}`, { status: 200 })).valid);
+    await check("GET", "/api/certificates/{id}/verify", "/api/certificates/missing/verify", { status: 404 });
+    await check("POST", "/api/certificates/{id}/verify", `/api/certificates/${certificate.id}/verify`, { status: 200, body: certificate });
+    await check("POST", "/api/certificates/{id}/verify", "/api/certificates/missing/verify", { status: 404, body: certificate });
+
+    console.log("\nTEST 4: DEVICES");
+    const deviceId = legacyJob.result.deviceId;
+    await check("GET", "/api/devices", "/api/devices", { status: 200 });
+    await check("GET", "/api/devices/{id}", `/api/devices/${deviceId}`, { status: 200 });
+    await check("GET", "/api/devices/{id}", "/api/devices/missing", { status: 404 });
+    const latest = await check("GET", "/api/devices/{id}/latest", `/api/devices/${deviceId}/latest`, { status: 200 });
+    await check("GET", "/api/devices/{id}/history", `/api/devices/${deviceId}/history`, { status: 200 });
+    await check("GET", "/api/devices/{id}/history", `/api/devices/${deviceId}/history?from=nope`, { status: 400 });
+    await check("GET", "/api/devices/{id}/trend", `/api/devices/${deviceId}/trend?metric=total_score`, { status: 200 });
+    await check("GET", "/api/devices/{id}/trend", `/api/devices/${deviceId}/trend`, { status: 400 });
+    await check("PATCH", "/api/devices/{id}", `/api/devices/${deviceId}`, { status: 200, body: { name: "Bench 01", tags: ["lab"] } });
+    await check("PATCH", "/api/devices/{id}", `/api/devices/${deviceId}`, { status: 400, body: { tags: "lab" } });
+    await check("POST", "/api/devices/{id}/retire", `/api/devices/${deviceId}/retire`, { status: 200 });
+
+    const label = await check("GET", "/api/labels/{id}", `/api/labels/${deviceId}?baseUrl=https://diagnostics.example`, { status: 200 });
+    assert.strictEqual(label.reportId, latest.reportId, "a device label opens its latest report");
+    assert.strictEqual(label.url, `https://diagnostics.example/l/${label.code}`);
+    await check("GET", "/api/labels/{id}", `/api/labels/${label.code}?baseUrl=ftp://example`, { status: 400 });
+    await check("GET", "/api/labels/{id}", `/api/labels/${label.code}?baseUrl=https://attacker.example`, { status: 400 });
+    // Without ?baseUrl= a label points at the frontend, never the API's own /l/ path
+    const byDefault = await check("GET", "/api/labels/{id}", `/api/labels/${label.code}`, { status: 200 });
+    assert.strictEqual(byDefault.url, `https://app.diagnostics.example/l/${label.code}`);
+    const fromVite = await check("GET", "/api/labels/{id}", `/api/labels/${label.code}`, { status: 200, headers: { Origin: "http://localhost:5173" } });
+    assert.strictEqual(fromVite.url, `http://localhost:5173/l/${label.code}`);
+    await check("GET", "/api/labels/{id}", "/api/labels/missing", { status: 404 });
+    await check("GET", "/api/labels/{id}/svg", `/api/labels/${standardizedId}/svg?layout=avery-5160`, { status: 200 });
+    await check("GET", "/api/labels/{id}/svg", `/api/labels/${deviceId}/svg?layout=a3`, { status: 400 });
+    await check("GET", "/api/labels/{id}/svg", "/api/labels/missing/svg", { status: 404 });
+    await check("GET", "/api/labels/{id}/png", `/api/labels/${label.code}/png?scale=4`, { status: 200 });
+    await check("GET", "/api/labels/{id}/png", `/api/labels/${label.code}/png?scale=0`, { status: 400 });
+    await check("GET", "/api/labels/{id}/png", "/api/labels/missing/png", { status: 404 });
+    await check("GET", "/api/labels/sheet", `/api/labels/sheet?ids=${deviceId},${standardizedId}&skip=3`, { status: 200 });
+    await check("GET", "/api/labels/sheet", "/api/labels/sheet?skip=21", { status: 400 });
+    await check("GET", "/api/labels/sheet", "/api/labels/sheet?ids=missing", { status: 404 });
+
+    console.log("\nTEST 5: SCORING PROFILES");
+    await check("GET", "/api/profiles", "/api/profiles", { status: 200 });
+    await check("GET", "/api/profiles/{name}", "/api/profiles/battery-priority", { status: 200 });
+    await check("GET", "/api/profiles/{name}", "/api/profiles/missing", { status: 404 });
+    await submit({ storage_smart_status: "GOOD", scoring_profile: "missing" }, 422);
+
+    console.log("\nTEST 6: ASSISTANT ROUTES WITHOUT KEYS");
+    const report = (await check("GET", "/api/diagnostics", `/api/diagnostics?reportId=${legacyId}`, { status: 200 }));
+    await check("POST", "/api/ocr", "/api/ocr", { status: 400, body: {} });
+    await check("POST", "/api/ocr", "/api/ocr", { status: 500, body: { imageUrl: "https://example.com/label.png" } });
+    const qrImage = `data:image/png;base64,${renderQrPng("https://example.com/l/d0123456789abcdef", { scale: 4 }).toString("base64")}`;
+    const blankImage = PNG.sync.write({ width: 64, height: 64, data: Buffer.alloc(64 * 64, 255) }, { colorType: 0, inputColorType: 0, inputHasAlpha: false }).toString("base64");
+    const decoded = await check("POST", "/api/ocr", "/api/ocr", { status: 200, body: { imageBase64: qrImage } });
+    assert.strictEqual(decoded.provider, "local");
+    assert.strictEqual(decoded.text, "https://example.com/l/d0123456789abcdef");
+    await check("POST", "/api/ocr", "/api/ocr", { status: 500, body: { imageBase64: blankImage } });
+    assert.deepStrictEqual(
+      (await check("POST", "/api/ocr", "/api/ocr", { status: 200, body: { imageBase64: blankImage, provider: "local" } })).barcodes,
+      []
+    );
+    // Nothing decodes locally, so the image goes on to Google Vision without its data URL prefix
+    const visionRequests = [];
+    const serverFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+      if (!String(url).startsWith("https://vision.googleapis.com/")) return serverFetch(url, init);
+      visionRequests.push(JSON.parse(init.body));
+      return new Response(JSON.stringify({ responses: [{ fullTextAnnotation: { text: "S/N PF3ABC12\n" } }] }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    };
+    try {
+      const recognized = await check("POST", "/api/ocr", "/api/ocr", {
+        status: 200,
+        body: { imageBase64: `data:image/png;base64,${blankImage}` },
+        headers: { "x-google-vision-api-key": "vision-key" }
+      });
+      assert.strictEqual(recognized.provider, "google-vision");
+      assert.strictEqual(recognized.text, "S/N PF3ABC12");
+      assert.deepStrictEqual(visionRequests.map((request) => request.requests[0].image), [{ content: blankImage }]);
+    } finally {
+      globalThis.fetch = serverFetch;
+    }
+    await check("POST", "/api/ocr", "/api/ocr", { status: 422, body: { imageBase64: "R0lGODlhAQABAAAAACw=", provider: "local" } });
+    await check("POST", "/api/ocr", "/api/ocr", { status: 400, body: { imageUrl: "https://example.com/label.png", provider: "local" } });
+    await check("POST", "/api/fix-suggestions", "/api/fix-suggestions", { status: 400, body: {} });
+    await check("POST", "/api/fix-suggestions", "/api/fix-suggestions", { status: 503, body: { text: "ST1000LM035" } });
+    await check("POST", "/api/ai-report-summary", "/api/ai-report-summary", { status: 400, body: {} });
+    await check("POST", "/api/ai-report-summary", "/api/ai-report-summary", { status: 503, body: { report } });
+    await check("POST", "/api/ai-chat", "/api/ai-chat", { status: 400, body: { report } });
+    await check("POST", "/api/ai-chat", "/api/ai-chat", { status: 503, body: { report, message: "Is it reusable?" } });
+
+    console.log("\nTEST 7: EVERY DOCUMENTED OPERATION WAS EXERCISED");
+    assert.deepStrictEqual(documentedRoutes.filter((route) => !exercised.has(route)), []);
+    console.log(`  ${exercised.size} operations checked against their response schemas`);
+
+    console.log("\nAll OpenAPI contract tests passed.");
+  } finally {
+    server.close();
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
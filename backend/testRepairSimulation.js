@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * What-if simulation tests: overrides re-score both models side by side with
+ * the original, tier changes are reported, and the repair planner picks the
+ * fewest repairs that reach the next classification.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "simulate-test-"));
+process.env.REPORT_STORE_DIR = dir;
+
+const app = require("./server");
+const evaluateDevice = require("./services/evaluateDevice");
+const { simulateRepairs, checkOverrides } = require("./services/repairSimulation");
+const { createReportStore } = require("./services/reportStore");
+const { loadScoringProfiles } = require("./services/scoringProfiles");
+
+const profiles = loadScoringProfiles({ dir: path.join(__dirname, "profiles") });
+
+// Worn battery and SSD, one RAM error: 71/100, REUSABLE on the default profile
+const laptop = {
+  storage_smart_status: "WARNING",
+  ram_test_errors: 1,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 88,
+  ssd_wear_percentage: 70,
+  battery_health_percent: 55,
+  idle_temperature_celsius: 45,
+  load_temperature_celsius: 80
+};
+
+const legacyLaptop = { cpu_usage: 60, ram_gb: 4, storage_health: 50, battery_health: 40 };
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("WHAT-IF SIMULATION TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: ORIGINAL MATCHES THE STORED EVALUATION");
+  const unchanged = simulateRepairs({ input: laptop });
+  assert.strictEqual(unchanged.standardized.original.totalScore, evaluateDevice(laptop).overall.total_score);
+  assert.deepStrictEqual(unchanged.standardized.simulated, unchanged.standardized.original);
+  assert.strictEqual(unchanged.standardized.scoreDelta, 0);
+  assert.strictEqual(unchanged.legacy, null);
+  assert.strictEqual(unchanged.standardized.original.tier, "REUSABLE");
+
+  console.log("\nTEST 2: OVERRIDES RE-SCORE AND REPORT THE TIER CHANGE");
+  const battery = simulateRepairs({ input: laptop, overrides: { battery_health_percent: 100 } });
+  assert.strictEqual(battery.standardized.scoreDelta, 10);
+  assert.strictEqual(battery.standardized.simulated.categories.remainingLife, 20);
+  assert.deepStrictEqual(battery.standardized.tierChange, { from: "REUSABLE", to: "REUSABLE", changed: false, direction: "UNCHANGED" });
+
+  const both = simulateRepairs({ input: laptop, overrides: { battery_health_percent: 100, ram_test_errors: 0 } });
+  assert.deepStrictEqual(both.standardized.tierChange, { from: "REUSABLE", to: "HIGH_GRADE", changed: true, direction: "UP" });
+  assert.strictEqual(both.standardized.nextTier, null, "no tier above HIGH_GRADE");
+
+  const worse = simulateRepairs({ input: laptop, overrides: { storage_smart_status: "FAILED", physical_damage: true } });
+  assert.strictEqual(worse.standardized.tierChange.direction, "DOWN");
+  console.log(`  battery: ${battery.standardized.original.totalScore} -> ${battery.standardized.simulated.totalScore}`);
+  console.log(`  battery + RAM: ${both.standardized.tierChange.from} -> ${both.standardized.tierChange.to}`);
+
+  console.log("\nTEST 3: FEWEST REPAIRS TO THE NEXT TIER");
+  const plan = battery.standardized.nextTier;
+  assert.strictEqual(plan.tier, "HIGH_GRADE");
+  assert.strictEqual(plan.minScore, 85);
+  assert.strictEqual(plan.reachable, true);
+  assert.deepStrictEqual(plan.repairs.map((repair) => repair.id), ["ram"]);
+  assert.deepStrictEqual(plan.repairs[0].changes, [{ field: "ram_test_errors", from: 1, to: 0 }]);
+  assert.ok(plan.resultingScore >= plan.minScore);
+
+  // Without the battery swap one repair is not enough; the planner needs two
+  const twoRepairs = unchanged.standardized.nextTier;
+  assert.strictEqual(twoRepairs.repairs.length, 2);
+  assert.strictEqual(twoRepairs.resultingTier, "HIGH_GRADE");
+  console.log(`  from ${unchanged.standardized.original.totalScore}: ${twoRepairs.repairs.map((repair) => repair.label).join(" + ")} -> ${twoRepairs.resultingScore}`);
+
+  // Profile cut-offs drive the plan
+  const strict = simulateRepairs({ input: laptop, profile: profiles.get("battery-priority") });
+  assert.strictEqual(strict.standardized.nextTier.minScore, profiles.get("battery-priority").classification[strict.standardized.nextTier.tier]);
+  assert.deepStrictEqual(strict.scoringProfile, { name: "battery-priority", version: "1.0.0" });
+
+  // Performance is not repairable, so a slow device cannot reach HIGH_GRADE
+  const slow = simulateRepairs({ input: { ...laptop, performance_percentage: 10, battery_health_percent: 100, ram_test_errors: 0 } });
+  assert.strictEqual(slow.standardized.nextTier.reachable, false);
+  assert.deepStrictEqual(slow.standardized.nextTier.repairs, []);
+
+  console.log("\nTEST 4: LEGACY MODEL");
+  const legacy = simulateRepairs({ input: legacyLaptop, overrides: { battery_health: 100 } });
+  assert.strictEqual(legacy.standardized, null);
+  assert.strictEqual(legacy.scoringProfile, null);
+  assert.strictEqual(legacy.legacy.original.tier, "POOR");
+  assert.strictEqual(legacy.legacy.simulated.components.battery, 20);
+  assert.strictEqual(legacy.legacy.nextTier.tier, legacy.legacy.simulated.tier === "POOR" ? "FAIR" : "GOOD");
+  assert.ok(legacy.legacy.nextTier.reachable);
+
+  const aliases = simulateRepairs({ input: { cpu: 60, ram: 4, storage: 50, battery: 40 } });
+  assert.deepStrictEqual(aliases.legacy.nextTier.repairs.flatMap((repair) => repair.changes).find((change) => change.field === "battery_health"), { field: "battery_health", from: 40, to: 100 });
+
+  const mixed = simulateRepairs({ input: { ...laptop, ...legacyLaptop } });
+  assert.ok(mixed.standardized && mixed.legacy, "inputs with both field sets are simulated with both models");
+
+  assert.deepStrictEqual(checkOverrides(legacyLaptop, { battery_health_percent: 100 }).map((issue) => issue.field), ["overrides.battery_health_percent"]);
+  assert.deepStrictEqual(checkOverrides(laptop, { ram_test_errors: 0 }), []);
+
+  console.log("\nTEST 5: HTTP ENDPOINT");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const store = createReportStore({ dir });
+  const simulate = async (id, body) => {
+    const response = await fetch(`${base}/api/reports/${id}/simulate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const stored = store.save({ hostname: "sim-01", input: laptop, report: evaluateDevice(laptop) });
+    const ok = await simulate(stored.id, { overrides: { battery_health_percent: 100 } });
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(ok.body.reportId, stored.id);
+    assert.deepStrictEqual(ok.body.standardized, battery.standardized);
+
+    const invalid = await simulate(stored.id, { overrides: { battery_health_percent: "new", hostname: "x" } });
+    assert.strictEqual(invalid.status, 422);
+    assert.deepStrictEqual(invalid.body.details.map((issue) => issue.field).sort(), ["overrides.battery_health_percent", "overrides.hostname"]);
+
+    const omls = { omls: true, component: { component_id: "RAM-01", component_type: "RAM" } };
+    const omlsRecord = store.save({ hostname: "sim-02", input: omls, report: evaluateDevice(omls) });
+    assert.strictEqual((await simulate(omlsRecord.id, {})).status, 422);
+
+    const outdated = store.save({
+      hostname: "sim-01",
+      input: laptop,
+      report: { ...evaluateDevice(laptop), scoringProfile: { name: "default", version: "0.9.0" } }
+    });
+    const conflict = await simulate(outdated.id, {});
+    assert.strictEqual(conflict.status, 409);
+    assert.match(conflict.body.error, /default@0\.9\.0/);
+
+    assert.strictEqual((await simulate("missing", {})).status, 404);
+    console.log("  200 / 404 / 409 / 422 responses checked");
+  } finally {
+    server.close();
+  }
+
+  console.log("\nAll what-if simulation tests passed.");
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
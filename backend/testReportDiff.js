@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Report diff tests: re-test after RAM + battery swap, legacy health
+ * transitions and OMLS rule flips.
+ */
+
+const assert = require("assert");
+const evaluateDevice = require("./services/evaluateDevice");
+const { diffReports } = require("./services/reportDiff");
+
+const record = (id, input, deviceId = "dev_a") => ({
+  id,
+  deviceId,
+  submittedAt: new Date().toISOString(),
+  report: evaluateDevice(input)
+});
+
+console.log("=".repeat(70));
+console.log("REPORT DIFF TESTS");
+console.log("=".repeat(70));
+
+console.log("\nTEST 1: STANDARDIZED - RAM AND BATTERY SWAPPED");
+const beforeSwap = {
+  storage_smart_status: "GOOD",
+  ram_test_errors: 2,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 90,
+  ssd_wear_percentage: 30,
+  battery_health_percent: 55
+};
+const afterSwap = { ...beforeSwap, ram_test_errors: 0, battery_health_percent: 98 };
+const standardized = diffReports(record("before", beforeSwap), record("after", afterSwap));
+
+assert.strictEqual(standardized.sameDevice, true);
+assert.strictEqual(standardized.totalScore.delta, 20);
+assert.strictEqual(standardized.classification.tier.direction, "UP");
+assert.deepStrictEqual(standardized.summary.changedCategories, ["functionalIntegrity", "remainingLife"]);
+console.log("Total:", standardized.totalScore, "Tier:", standardized.classification.tier);
+
+console.log("\nTEST 2: LEGACY - COMPONENT HEALTH TRANSITIONS");
+const legacy = diffReports(
+  record("old", { cpu: 50, ram: 4, storage: 50, battery: 30 }),
+  record("new", { cpu: 50, ram: 16, storage: 50, battery: 90 }, "dev_b")
+);
+assert.strictEqual(legacy.sameDevice, false);
+assert.deepStrictEqual(
+  legacy.components.filter((component) => component.changed).map((component) => component.transition),
+  ["POOR -> FAIR", "POOR -> GOOD"]
+);
+console.log("Transitions:", legacy.summary.componentTransitions.join(", "));
+
+console.log("\nTEST 3: OMLS - RULES THAT FLIPPED");
+const ramModule = {
+  component_id: "RAM-01",
+  component_type: "RAM",
+  form_factor: "FF-RAM-SODIMM-S",
+  connector_type: "SODIMM-262",
+  power_input: { min: 1, max: 2 },
+  thermal_profile: 5,
+  firmware_version: "1.0",
+  compatibility_tags: ["GEN-12"],
+  generation: 12,
+  manufacturer_id: "MFG-1",
+  service_method: "TOOL_LESS",
+  plug_and_play_supported: true,
+  standard_identification_interface: true,
+  health_status: { ecc_errors: 0 },
+  reusable_device_model_count: 4
+};
+const system = { motherboard: { supported_generation: 12 }, compatibility_tags: ["GEN-12"] };
+const omls = diffReports(
+  record("locked", { omls: true, component: { ...ramModule, brand_locking: true }, system }),
+  record("unlocked", { omls: true, component: ramModule, system })
+);
+assert.deepStrictEqual(
+  omls.omlsRuleChanges.map((rule) => `${rule.ruleId}:${rule.from}->${rule.to}`),
+  ["FW3:FAIL->PASS"]
+);
+console.log("Flipped:", omls.omlsRuleChanges);
+
+console.log("\nTEST 4: HYBRID - TOTALS FROM THE SAME MODEL");
+// The legacy model vetoes the first report and drives its overall score
+const hybridInput = { ...beforeSwap, ram_test_errors: 0, battery_health_percent: 85, cpu: 90, ram: 16, storage: 90, battery: 40 };
+const hybridBefore = record("hybrid-before", hybridInput);
+const hybridAfter = record("hybrid-after", { ...hybridInput, battery: 95 });
+assert.notStrictEqual(hybridBefore.report.overall.drivenBy, hybridAfter.report.overall.drivenBy);
+const hybrid = diffReports(hybridBefore, hybridAfter);
+assert.strictEqual(hybrid.totalScore.model, "STANDARDIZED_HARDWARE_REUSABILITY");
+assert.strictEqual(hybrid.totalScore.from, hybridBefore.report.modelVerdicts.standardized.total_score);
+assert.strictEqual(hybrid.totalScore.delta, 0, "the battery swap only moves the legacy score");
+assert.strictEqual(diffReports(hybridBefore, record("legacy-after", { cpu: 90, ram: 16, storage: 90, battery: 95 })).totalScore.model, "LEGACY_COMPONENT_HEALTH");
+console.log("Total:", hybrid.totalScore);
+
+console.log("\nAll report diff tests passed.");
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Report store tests: multi-device submissions, lookup by ID and durability
+ * across store instances (simulates a restart / separate serverless invocation).
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const evaluateDevice = require("./services/evaluateDevice");
+const { createReportStore } = require("./services/reportStore");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "report-store-test-"));
+
+console.log("=".repeat(70));
+console.log("REPORT STORE TESTS");
+console.log("=".repeat(70));
+
+try {
+  const store = createReportStore({ dir });
+
+  console.log("\nTEST 1: TWO DEVICES SUBMIT");
+  const laptopA = { cpu_usage: 70, ram_gb: 16, storage_health: 80, battery_health: 90, hostname: "bench-a" };
+  const laptopB = { cpu_usage: 30, ram_gb: 4, storage_health: 20, battery_health: 40, hostname: "bench-b" };
+
+  const recordA = store.save({ hostname: laptopA.hostname, input: laptopA, report: evaluateDevice(laptopA) });
+  const recordB = store.save({ hostname: laptopB.hostname, input: laptopB, report: evaluateDevice(laptopB) });
+
+  assert.notStrictEqual(recordA.id, recordB.id);
+  assert.strictEqual(store.get(recordA.id).hostname, "bench-a");
+  assert.strictEqual(store.latest().id, recordB.id);
+  assert.strictEqual(store.latest({ hostname: "bench-a" }).id, recordA.id);
+  console.log("Stored:", recordA.id, recordB.id);
+
+  console.log("\nTEST 2: SURVIVES RESTART");
+  const reopened = createReportStore({ dir });
+  assert.strictEqual(reopened.count(), 2);
+  assert.strictEqual(JSON.stringify(reopened.get(recordA.id).report), JSON.stringify(recordA.report));
+  console.log("Reopened store count:", reopened.count());
+
+  console.log("\nTEST 3: PICKS UP WRITES FROM ANOTHER INSTANCE");
+  const recordC = reopened.save({ hostname: "bench-c", input: {}, report: evaluateDevice({}) });
+  assert.strictEqual(store.get(recordC.id).hostname, "bench-c");
+  assert.deepStrictEqual(store.list({ limit: 2 }).map((record) => record.id), [recordC.id, recordB.id]);
+  console.log("Original instance sees:", store.count(), "reports");
+
+  console.log("\nTEST 4: UNKNOWN HOSTNAME AND MISSING ID");
+  assert.strictEqual(recordC.hostname, "bench-c");
+  assert.strictEqual(store.save({ input: {}, report: {} }).hostname, "unknown");
+  assert.strictEqual(store.get("does-not-exist"), null);
+
+  console.log("\nTEST 5: LOOKUP BY IDEMPOTENCY KEY");
+  const retried = reopened.save({ hostname: "bench-d", jobId: "job-d", idempotencyKey: "spool-entry-1", payloadHash: "sha256:00ff", input: {}, report: {} });
+  assert.strictEqual(store.latest({ idempotencyKey: "spool-entry-1" }).id, retried.id, "found from another instance");
+  assert.strictEqual(store.latest({ idempotencyKey: "spool-entry-1" }).payloadHash, "sha256:00ff", "with the hash of its payload");
+  assert.strictEqual(store.latest({ idempotencyKey: "spool-entry-2" }), null);
+  assert.ok(!("idempotencyKey" in recordC), "records without a key do not store one");
+
+  console.log("\nTEST 6: LOOKUP BY SIGNATURE");
+  const value = Buffer.alloc(64, 0xfb).toString("base64");
+  const signed = store.save({ hostname: "bench-e", input: { signature: { algorithm: "ed25519", keyId: "device-e", value } }, report: {} });
+  assert.strictEqual(store.latest({ signature: value }).id, signed.id);
+  assert.strictEqual(store.latest({ signature: ` ${value.replace(/=+$/, "")}` }).id, signed.id, "the same bytes written differently");
+  assert.strictEqual(store.latest({ signature: value.replace(/\//g, "_").replace(/\+/g, "-") }).id, signed.id, "in URL-safe base64");
+  assert.strictEqual(store.latest({ signature: Buffer.alloc(64, 0xfa).toString("base64") }), null);
+
+  console.log("\nAll report store tests passed.");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Scoring profile tests: bundled profiles load, change scores the way their
+ * buyers expect, and broken profile files are rejected at load time.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const evaluateDevice = require("./services/evaluateDevice");
+const { loadScoringProfiles } = require("./services/scoringProfiles");
+
+const profiles = loadScoringProfiles({ dir: path.join(__dirname, "profiles") });
+
+const laptop = {
+  storage_smart_status: "GOOD",
+  ram_test_errors: 0,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 92,
+  ssd_wear_percentage: 10,
+  battery_health_percent: 62,
+  idle_temperature_celsius: 48,
+  load_temperature_celsius: 83
+};
+
+const scoreWith = (input, name) => evaluateDevice(input, { profile: profiles.get(name) });
+
+console.log("=".repeat(70));
+console.log("SCORING PROFILE TESTS");
+console.log("=".repeat(70));
+
+console.log("\nTEST 1: BUNDLED PROFILES");
+assert.deepStrictEqual(profiles.list().map((profile) => profile.name), ["default", "battery-priority", "thermal-strict"]);
+profiles.list().forEach((profile) => {
+  const total = Object.values(profile.categories).reduce((sum, value) => sum + value, 0);
+  assert.strictEqual(total, 100);
+  console.log(`  ${profile.name}@${profile.version}: ${JSON.stringify(profile.categories)}`);
+});
+
+console.log("\nTEST 2: DEFAULT PROFILE MATCHES THE BUILT-IN MODEL");
+assert.deepStrictEqual(scoreWith(laptop, "default"), evaluateDevice(laptop));
+assert.deepStrictEqual(evaluateDevice(laptop).scoringProfile, { name: "default", version: "1.0.0" });
+
+console.log("\nTEST 3: PROFILES RE-RANK THE SAME DEVICE");
+const results = Object.fromEntries(
+  profiles.list().map((profile) => [profile.name, scoreWith(laptop, profile.name)])
+);
+Object.entries(results).forEach(([name, report]) => {
+  console.log(`  ${name}: ${report.overall.total_score} ${report.standardized.classification.tier}`);
+});
+assert.strictEqual(results.default.standardized.classification.tier, "HIGH_GRADE");
+assert.strictEqual(results["battery-priority"].standardized.classification.tier, "REUSABLE");
+assert.deepStrictEqual(results["battery-priority"].scoringProfile, { name: "battery-priority", version: "1.0.0" });
+
+const hot = { ...laptop, battery_health_percent: 95, idle_temperature_celsius: 58 };
+assert.strictEqual(scoreWith(hot, "thermal-strict").standardized.categories.physicalThermal.score, 10);
+assert.strictEqual(scoreWith(hot, "thermal-strict").standardized.categories.physicalThermal.details.thermalStatus, "CRITICAL");
+assert.strictEqual(scoreWith(hot, "default").standardized.categories.physicalThermal.details.thermalStatus, "CONCERNING");
+
+console.log("\nTEST 4: BROKEN PROFILE FILES ARE REJECTED");
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-test-"));
+const loadWith = (file, content) => {
+  fs.readdirSync(dir).forEach((existing) => fs.rmSync(path.join(dir, existing)));
+  fs.writeFileSync(path.join(dir, file), content);
+  return () => loadScoringProfiles({ dir });
+};
+
+try {
+  assert.throws(
+    loadWith("uneven.yaml", "name: uneven\nversion: '1'\ncategories:\n  REMAINING_LIFE: 30\n"),
+    /uneven\.yaml: categories must add up to 100 \(got 110\)/
+  );
+  assert.throws(
+    loadWith("typo.json", JSON.stringify({ name: "typo", version: "1", classifcation: { LIMITED: 40 } })),
+    /typo\.json: .*must NOT have additional properties/
+  );
+  assert.throws(
+    loadWith("cutoffs.json", JSON.stringify({ name: "cutoffs", version: "1", classification: { REUSABLE: 90 } })),
+    /HIGH_GRADE > REUSABLE > LIMITED/
+  );
+  assert.throws(
+    loadWith("default.json", JSON.stringify({ name: "default", version: "2" })),
+    /duplicate profile name "default"/
+  );
+  console.log("  uneven maxima, unknown keys, inverted cut-offs and duplicate names rejected");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log("\nAll scoring profile tests passed.");
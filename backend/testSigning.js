@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Signed submission tests: canonical JSON, Ed25519 signatures and tamper
+ * detection, the signer registry (technician and device keys, revocation,
+ * TRUSTED_SIGNERS, stale timestamps) and verification of submissions by a
+ * running backend, which accepts each signature once.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "signing-test-"));
+process.env.REPORT_STORE_DIR = dir;
+
+const app = require("./server");
+const { canonicalJson, signPayload, verifyPayload, generateSigningKey, keyFingerprint } = require("./services/signing");
+const { createSignerRegistry, parseTrustedSigners } = require("./services/signerRegistry");
+const { getDeviceId } = require("./services/deviceRegistry");
+
+const technician = { keyId: "tech-anna", ...generateSigningKey() };
+const device = { keyId: "device-bench-01", ...generateSigningKey() };
+const stranger = { keyId: "tech-anna", ...generateSigningKey() };
+
+const payload = {
+  cpu_usage: 40,
+  ram_gb: 8,
+  storage_health: 70,
+  battery_health: 80,
+  hostname: "bench-01",
+  timestamp: new Date().toISOString(),
+  hardware_ids: { machine_id: "signing-test-machine", mac_addresses: ["aa:bb:cc:dd:ee:01"] }
+};
+
+// The same readings collected `minutes` later, so they sign differently
+const later = (minutes) => ({ ...payload, timestamp: new Date(Date.now() + minutes * 60000).toISOString() });
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("SIGNED SUBMISSION TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: CANONICAL JSON");
+  assert.strictEqual(canonicalJson({ b: 1, a: [true, null, "x"], c: { z: 1.5, y: -0 } }), '{"a":[true,null,"x"],"b":1,"c":{"y":0,"z":1.5}}');
+  assert.strictEqual(canonicalJson({ é: 1, e: 2, E: 3 }), '{"E":3,"e":2,"é":1}', "keys sorted by code unit");
+  assert.strictEqual(canonicalJson({ a: undefined, b: [undefined] }), '{"b":[null]}');
+  assert.strictEqual(canonicalJson(JSON.parse(JSON.stringify(payload, null, 4))), canonicalJson(payload), "formatting does not matter");
+
+  console.log("\nTEST 2: SIGN AND VERIFY");
+  const signed = signPayload(payload, technician);
+  assert.deepStrictEqual(Object.keys(signed.signature), ["algorithm", "keyId", "value"]);
+  assert.ok(verifyPayload(signed, technician.publicKey));
+  assert.ok(verifyPayload(JSON.parse(JSON.stringify({ ...signed, hostname: signed.hostname })), technician.publicKey), "key order does not matter");
+  assert.ok(!verifyPayload({ ...signed, cpu_usage: 10 }, technician.publicKey), "an edited value breaks the signature");
+  assert.ok(!verifyPayload({ ...signed, gpu_health: 90 }, technician.publicKey), "an added field breaks the signature");
+  assert.ok(!verifyPayload(signed, stranger.publicKey), "another key does not verify");
+  assert.ok(!verifyPayload({ ...signed, signature: { ...signed.signature, value: "not base64!" } }, technician.publicKey));
+  assert.ok(!verifyPayload({ ...signed, signature: { ...signed.signature, algorithm: "rsa" } }, technician.publicKey));
+  assert.ok(!verifyPayload(payload, technician.publicKey), "unsigned");
+  assert.match(keyFingerprint(technician.publicKey), /^SHA256:[A-Za-z0-9+/]{43}$/);
+  assert.throws(() => keyFingerprint("not a key"));
+  console.log(`  ${technician.keyId}: ${keyFingerprint(technician.publicKey)}`);
+
+  console.log("\nTEST 3: SIGNER REGISTRY");
+  const file = path.join(dir, "signers.json");
+  let clock = new Date("2026-03-01T09:00:00.000Z");
+  const registry = createSignerRegistry({ file, now: () => clock });
+  const deviceId = getDeviceId(payload);
+
+  assert.strictEqual(registry.add({ id: technician.keyId, name: "Anna", publicKey: technician.publicKey }).type, "technician");
+  registry.add({ id: device.keyId, type: "device", publicKey: device.publicKey, deviceId });
+  assert.throws(() => registry.add({ id: technician.keyId, publicKey: stranger.publicKey }), /already registered/);
+  assert.throws(() => registry.add({ id: "tech-bob", publicKey: "-----BEGIN PUBLIC KEY-----\nnope\n-----END PUBLIC KEY-----" }), /publicKey/);
+  assert.throws(() => registry.add({ id: "tech-bob", type: "robot", publicKey: technician.publicKey }), /type must be one of/);
+
+  const reopened = createSignerRegistry({ file });
+  assert.deepStrictEqual(reopened.list().map((signer) => [signer.id, signer.name, signer.deviceId]), [["tech-anna", "Anna", null], ["device-bench-01", "device-bench-01", deviceId]]);
+  assert.ok(!("publicKey" in reopened.list()[0]), "only fingerprints are listed");
+
+  const verification = reopened.verify(signed, { deviceId: "dev_0000000000000000" });
+  assert.strictEqual(verification.verified, true, "a technician key signs for any device");
+  assert.deepStrictEqual(verification.signer, { id: "tech-anna", name: "Anna", type: "technician" });
+  assert.strictEqual(reopened.verify(payload).reason, "unsigned");
+  assert.strictEqual(reopened.verify(signPayload(payload, { ...technician, keyId: "tech-bob" })).reason, "unknown_signer");
+  assert.strictEqual(reopened.verify(signPayload(payload, stranger)).reason, "invalid_signature");
+  assert.strictEqual(reopened.verify(signPayload(payload, device), { deviceId }).verified, true);
+  assert.strictEqual(reopened.verify(signPayload(payload, device), { deviceId: "dev_0000000000000000" }).reason, "device_mismatch");
+  assert.strictEqual(reopened.verify(signed, { replayed: true }).reason, "replayed_signature");
+
+  const { timestamp: _timestamp, ...untimed } = payload;
+  const threeDaysAgo = new Date(Date.now() - 73 * 60 * 60 * 1000).toISOString();
+  assert.strictEqual(reopened.verify(signPayload(untimed, technician)).reason, "stale_signature", "a signed payload needs a timestamp");
+  assert.strictEqual(reopened.verify(signPayload({ ...payload, timestamp: threeDaysAgo }, technician)).reason, "stale_signature");
+  assert.strictEqual(reopened.verify(signPayload(later(60), technician)).reason, "stale_signature", "too far ahead of the clock");
+  assert.strictEqual(reopened.verify(signPayload(later(2), technician)).verified, true, "clock skew is tolerated");
+  assert.strictEqual(createSignerRegistry({ file, maxAgeMs: 80 * 60 * 60 * 1000 }).verify(signPayload({ ...payload, timestamp: threeDaysAgo }, technician)).verified, true);
+
+  clock = new Date("2026-03-02T10:00:00.000Z");
+  assert.strictEqual(registry.revoke(technician.keyId).revokedAt, "2026-03-02T10:00:00.000Z");
+  assert.strictEqual(reopened.verify(signed).reason, "revoked_signer", "other instances pick up the change");
+  assert.throws(() => registry.revoke("tech-bob"), /Unknown signer/);
+
+  const trusted = parseTrustedSigners(JSON.stringify([{ id: "tech-cara", type: "technician", publicKey: stranger.publicKey }]));
+  const withTrusted = createSignerRegistry({ file, trusted });
+  assert.strictEqual(withTrusted.verify(signPayload(payload, { ...stranger, keyId: "tech-cara" })).verified, true, "TRUSTED_SIGNERS");
+  assert.deepStrictEqual(parseTrustedSigners(""), []);
+
+  fs.writeFileSync(path.join(dir, "broken.json"), "{ not json");
+  const broken = createSignerRegistry({ file: path.join(dir, "broken.json"), trusted });
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (message) => errors.push(message);
+  try {
+    assert.strictEqual(broken.verify(signed).reason, "unknown_signer", "an unreadable file leaves submissions unverified");
+    assert.throws(() => broken.add({ id: "tech-bob", publicKey: device.publicKey }), "an unreadable file is not overwritten");
+    assert.deepStrictEqual(parseTrustedSigners('{"id":"tech-cara"}'), [], "not an array");
+    assert.deepStrictEqual(parseTrustedSigners("[{ not json"), [], "malformed JSON");
+  } finally {
+    console.error = consoleError;
+  }
+  assert.match(errors[0], /Cannot read signers/);
+  assert.match(errors[errors.length - 2], /Ignoring TRUSTED_SIGNERS: expected a JSON array/);
+  assert.match(errors[errors.length - 1], /Ignoring TRUSTED_SIGNERS/);
+
+  console.log("\nTEST 4: SUBMISSIONS ARE MARKED VERIFIED OR UNVERIFIED");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const submit = async (body, headers = {}) => {
+    const response = await fetch(`${base}/api/submit-diagnostics`, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  };
+  const storedReport = async ({ jobId }) => {
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const job = await (await fetch(`${base}/api/jobs/${jobId}`)).json();
+      if (job.state === "done") return (await fetch(`${base}/api/reports/${job.result.reportId}`)).json();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  };
+
+  try {
+    const byDevice = await submit(signPayload(payload, device));
+    assert.strictEqual(byDevice.status, 202);
+    assert.strictEqual(byDevice.body.verification.verified, true);
+    const record = await storedReport(byDevice.body);
+    assert.strictEqual(record.report.verification.signer.id, device.keyId, "the signer is recorded with the report");
+    assert.strictEqual(record.report.verification.fingerprint, keyFingerprint(device.publicKey));
+
+    const tampered = { ...signPayload(payload, device), battery_health: 99 };
+    const unverified = await submit(tampered);
+    assert.strictEqual(unverified.status, 202, "unverified payloads are still evaluated");
+    assert.strictEqual((await storedReport(unverified.body)).report.verification.reason, "invalid_signature");
+    assert.strictEqual((await submit(signPayload(payload, technician))).body.verification.reason, "revoked_signer");
+    const replayed = await submit(signPayload(payload, device));
+    assert.strictEqual(replayed.body.verification.reason, "replayed_signature", "a captured payload sent again");
+
+    const summaries = await (await fetch(`${base}/api/reports?hostname=bench-01`)).json();
+    assert.deepStrictEqual(summaries.map((summary) => summary.verified).sort(), [false, false, false, true]);
+
+    const malformed = await submit({ ...payload, signature: { algorithm: "ed25519", keyId: "" } });
+    assert.strictEqual(malformed.status, 422);
+    assert.ok(malformed.body.details.some((detail) => detail.field.startsWith("signature")));
+
+    // The same signature bytes written differently are still a replay, under any Idempotency-Key
+    const captured = signPayload(payload, device);
+    const { value } = captured.signature;
+    const reencodings = [`${value} `, ` ${value}`, value.replace(/=+$/, ""), value.replace(/\+/g, "-").replace(/\//g, "_")];
+    for (const [index, reencoded] of reencodings.entries()) {
+      const resent = await submit({ ...captured, signature: { ...captured.signature, value: reencoded } }, index % 2 ? {} : { "Idempotency-Key": `reencoded-${index}` });
+      assert.strictEqual(resent.body.verification.reason, "replayed_signature", `the signature written as ${JSON.stringify(reencoded)}`);
+    }
+
+    process.env.REQUIRE_SIGNED_SUBMISSIONS = "true";
+    const rejected = await submit(payload);
+    assert.strictEqual(rejected.status, 422);
+    assert.deepStrictEqual(rejected.body.details, [{ field: "signature", message: "the payload is not signed", value: null }]);
+    assert.strictEqual((await submit(signPayload(payload, device))).status, 422, "replays are rejected");
+
+    const fresh = signPayload(later(1), device);
+    const accepted = await submit(fresh, { "Idempotency-Key": "signing-retry-1" });
+    assert.strictEqual(accepted.status, 202);
+    const retried = await submit(fresh, { "Idempotency-Key": "signing-retry-1" });
+    assert.strictEqual(retried.status, 200, "a retry of the same submission is not a replay");
+    assert.strictEqual(retried.body.jobId, accepted.body.jobId);
+    assert.strictEqual((await submit(fresh, { "Idempotency-Key": "signing-retry-2" })).status, 422, "under a new key it is");
+
+    const signers = await (await fetch(`${base}/api/signers`)).json();
+    assert.deepStrictEqual(signers.map((signer) => [signer.id, signer.revokedAt !== null]), [["tech-anna", true], ["device-bench-01", false]]);
+    console.log(`  ${summaries.length} reports, ${signers.length} signers`);
+  } finally {
+    delete process.env.REQUIRE_SIGNED_SUBMISSIONS;
+    server.close();
+  }
+
+  console.log("\nAll signed submission tests passed.");
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
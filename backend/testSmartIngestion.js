@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * SMART ingestion tests: smartctl --json and nvme-cli fixtures are parsed into
+ * drive summaries, mapped onto storage_smart_status / ssd_wear_percentage, and
+ * kept in the report; the upload route returns the same mapping.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "smart-test-"));
+process.env.REPORT_STORE_DIR = dir;
+
+const app = require("./server");
+const evaluateDevice = require("./services/evaluateDevice");
+const { parseSmartDocument, summarizeSmart, storageHealthFromSmart, withSmartData } = require("./services/smartData");
+const { validateInput } = require("./services/inputValidator");
+const { simulateRepairs } = require("./services/repairSimulation");
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "smart", `${name}.json`), "utf8"));
+
+const standardized = {
+  ram_test_errors: 0,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 92,
+  battery_health_percent: 90,
+  idle_temperature_celsius: 40,
+  load_temperature_celsius: 75
+};
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("SMART INGESTION TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: SMARTCTL NVMe AND ATA");
+  const nvme = parseSmartDocument(fixture("nvme-samsung-970"));
+  assert.deepStrictEqual({ ...nvme, attributes: undefined }, {
+    device: "/dev/nvme0",
+    model: "Samsung SSD 970 EVO Plus 1TB",
+    serial: "S4EWNX0R123456A",
+    protocol: "NVMe",
+    solidState: true,
+    percentageUsed: 7,
+    reallocatedSectors: null,
+    pendingSectors: null,
+    mediaErrors: 0,
+    powerOnHours: 9321,
+    status: "GOOD",
+    findings: [],
+    attributes: undefined
+  });
+  assert.strictEqual(nvme.attributes.available_spare, 100, "raw health log is kept");
+
+  const ssd = parseSmartDocument(fixture("ata-crucial-mx500"));
+  assert.strictEqual(ssd.percentageUsed, 18, "device statistics endurance indicator");
+  assert.strictEqual(ssd.reallocatedSectors, 3);
+  assert.strictEqual(ssd.status, "WARNING");
+  assert.deepStrictEqual(ssd.findings, ["3 reallocated sectors"]);
+  assert.strictEqual(ssd.attributes.length, 7, "raw attribute table is kept");
+
+  const hdd = parseSmartDocument(fixture("ata-hdd-failing"));
+  assert.strictEqual(hdd.status, "FAILED");
+  assert.strictEqual(hdd.solidState, false);
+  assert.strictEqual(hdd.percentageUsed, null, "no endurance for spinning disks");
+  assert.strictEqual(hdd.pendingSectors, 96);
+  assert.ok(hdd.findings.includes("Reallocated_Sector_Ct below threshold"));
+
+  // Samsung-style wear attribute without device statistics
+  const samsung = parseSmartDocument({
+    device: { name: "/dev/sdc", protocol: "ATA" },
+    rotation_rate: 0,
+    smart_status: { passed: true },
+    ata_smart_attributes: { table: [{ id: 177, name: "Wear_Leveling_Count", value: 91, worst: 91, thresh: 0, when_failed: "", raw: { value: 84 } }] }
+  });
+  assert.strictEqual(samsung.percentageUsed, 9);
+
+  console.log("\nTEST 2: NVME-CLI HEALTH LOG AND UNREADABLE DRIVES");
+  const worn = parseSmartDocument(fixture("nvme-cli-smart-log"));
+  assert.strictEqual(worn.protocol, "NVMe");
+  assert.strictEqual(worn.percentageUsed, 104);
+  assert.strictEqual(worn.mediaErrors, 12);
+  assert.strictEqual(worn.powerOnHours, 41877);
+  assert.strictEqual(worn.status, "WARNING");
+  assert.ok(worn.findings.includes("available spare below threshold"));
+  assert.strictEqual(parseSmartDocument({ critical_warning: { value: 4 }, percent_used: 20 }).status, "FAILED", "reliability degraded");
+
+  const denied = parseSmartDocument(fixture("smartctl-permission-denied"));
+  assert.strictEqual(denied.status, "UNKNOWN");
+  assert.deepStrictEqual(denied.findings, ["Smartctl open device: /dev/sda failed: Permission denied"]);
+
+  console.log("\nTEST 3: SUMMARY AND STANDARDIZED FIELDS");
+  const summary = summarizeSmart([fixture("nvme-samsung-970"), fixture("ata-crucial-mx500")]);
+  assert.strictEqual(summary.status, "WARNING", "worst drive");
+  assert.strictEqual(summary.ssdWearPercent, 18, "most worn SSD");
+  assert.strictEqual(summarizeSmart(fixture("nvme-cli-smart-log")).ssdWearPercent, 100, "capped at 100");
+  assert.strictEqual(summarizeSmart([{ cpu_usage: 40 }]), null);
+
+  assert.strictEqual(storageHealthFromSmart(summarizeSmart(fixture("nvme-samsung-970"))), 93, "endurance left");
+  assert.strictEqual(storageHealthFromSmart(summary), 50, "capped with warnings");
+  assert.strictEqual(storageHealthFromSmart(summarizeSmart(fixture("ata-hdd-failing"))), 0);
+  assert.strictEqual(storageHealthFromSmart(summarizeSmart(fixture("smartctl-permission-denied"))), null, "unreadable drive");
+  assert.strictEqual(storageHealthFromSmart(null), null);
+
+  const mapped = withSmartData({ storage_smart_status: "GOOD", ssd_wear_percentage: 0, smart: fixture("ata-hdd-failing") }).input;
+  assert.strictEqual(mapped.storage_smart_status, "FAILED", "measured status wins");
+  assert.strictEqual(mapped.ssd_wear_percentage, 0, "no SSD: reported wear is kept");
+  assert.strictEqual(withSmartData({ storage_smart_status: "GOOD", smart: fixture("smartctl-permission-denied") }).input.storage_smart_status, "GOOD");
+
+  console.log("\nTEST 4: EVALUATION");
+  const report = evaluateDevice({ ...standardized, smart: [fixture("nvme-samsung-970")] });
+  assert.strictEqual(report.evaluationModel, "STANDARDIZED_HARDWARE_REUSABILITY", "smart alone makes a standardized payload");
+  assert.strictEqual(report.standardized.categories.functionalIntegrity.details.storage.status, "GOOD");
+  assert.strictEqual(report.standardized.categories.remainingLife.details.ssd.wearPercent, 7);
+  assert.strictEqual(report.smart.drives[0].serial, "S4EWNX0R123456A");
+
+  const failing = evaluateDevice({ ...standardized, smart: fixture("ata-hdd-failing") });
+  assert.ok(failing.standardized.recommendedActions.some((rec) => rec.action === "REPLACE STORAGE"));
+  assert.ok(failing.overall.total_score < report.overall.total_score);
+  assert.strictEqual(evaluateDevice(standardized).smart, undefined);
+
+  const hybrid = evaluateDevice({ cpu_usage: 40, ram_gb: 16, storage_health: 80, battery_health: 90, smart: fixture("nvme-samsung-970") });
+  assert.strictEqual(hybrid.evaluationModel, "HYBRID");
+  assert.strictEqual(hybrid.smart.status, "GOOD");
+
+  console.log("\nTEST 5: VALIDATION AND SIMULATION");
+  assert.strictEqual(validateInput({ ...standardized, smart: "PASSED" }).valid, false);
+  assert.strictEqual(validateInput({ ...standardized, smart: [] }).valid, false);
+  const warnings = validateInput({ ...standardized, smart: fixture("nvme-samsung-970") }).warnings;
+  assert.ok(!warnings.some((warning) => ["storage_smart_status", "ssd_wear_percentage"].includes(warning.field)), "SMART data stands in for the storage fields");
+
+  const replaced = simulateRepairs({ input: { ...standardized, smart: fixture("ata-hdd-failing") }, overrides: { storage_smart_status: "GOOD" } });
+  assert.ok(replaced.standardized.scoreDelta > 0, "overrides replace the measured SMART status");
+  const plan = simulateRepairs({ input: { ...standardized, performance_percentage: 80, smart: fixture("ata-hdd-failing") } }).standardized.nextTier;
+  const ssdRepair = plan.repairs.find((repair) => repair.id === "ssd");
+  assert.deepStrictEqual(ssdRepair.changes.find((change) => change.field === "storage_smart_status"), { field: "storage_smart_status", from: "FAILED", to: "GOOD" });
+
+  console.log("\nTEST 6: UPLOAD ROUTE");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const upload = (body) => fetch(`${base}/api/smart`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+  try {
+    const response = await upload([fixture("nvme-samsung-970"), fixture("ata-hdd-failing")]);
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.strictEqual(body.drives.length, 2);
+    assert.deepStrictEqual(body.fields, { storage_smart_status: "FAILED", ssd_wear_percentage: 7 });
+
+    const rejected = await upload({ hello: "world" });
+    assert.strictEqual(rejected.status, 422);
+    console.log(`  ${body.drives.length} drives -> ${JSON.stringify(body.fields)}`);
+  } finally {
+    server.close();
+  }
+
+  console.log("\nAll SMART ingestion tests passed.");
+}
+
+run()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
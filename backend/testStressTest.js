@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * CPU stress test: cpufreq and thermal_throttle readings from the laptop
+ * fixture, frequency-drop detection against the rated frequency, short real
+ * runs with the fixture's frequencies and temperatures changed under load, and
+ * corrupted or crashing computations marking the CPU unstable.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  runStressTest,
+  collectCpuStress,
+  readFrequencies,
+  readRatedFrequencies,
+  readThrottleEvents,
+  detectFrequencyDrop
+} = require("./services/collectors/stress");
+const evaluateDevice = require("./services/evaluateDevice");
+
+const fixture = (name) => path.join(__dirname, "fixtures", "linux", name, "sys");
+
+const standardized = {
+  storage_smart_status: "GOOD",
+  ram_test_errors: 0,
+  gpu_stress_stable: true,
+  performance_percentage: 92,
+  ssd_wear_percentage: 10,
+  battery_health_percent: 90,
+  idle_temperature_celsius: 40,
+  load_temperature_celsius: 75
+};
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 40));
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("CPU STRESS TEST TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: CPUFREQ AND THROTTLE COUNTERS");
+  assert.deepStrictEqual(await readFrequencies({ sysRoot: fixture("laptop") }), { cpu0: 3400, cpu1: 3400, cpu2: 3400, cpu3: 3400 });
+  assert.strictEqual(await readThrottleEvents({ sysRoot: fixture("laptop") }), 60, "core (0 + 2 + 4 + 6) and package (4 × 12) events");
+  assert.deepStrictEqual(await readRatedFrequencies({ sysRoot: fixture("laptop") }), { cpu0: 2600, cpu1: 2600, cpu2: 2600, cpu3: 2600 }, "base_frequency over cpuinfo_max_freq");
+  assert.strictEqual(await readFrequencies({ sysRoot: fixture("container") }), null);
+  assert.strictEqual(await readRatedFrequencies({ sysRoot: fixture("container") }), null);
+  assert.strictEqual(await readThrottleEvents({ sysRoot: fixture("container") }), null);
+
+  console.log("\nTEST 2: FREQUENCY DROP");
+  const steady = detectFrequencyDrop([{ cpu0: 3400, cpu1: 3300 }, { cpu0: 3300, cpu1: 3400 }, { cpu0: 3200, cpu1: 3300 }, { cpu0: 3300, cpu1: 3200 }]);
+  assert.strictEqual(steady.dropped, false, "turbo jitter is not a drop");
+  assert.deepStrictEqual(steady.cores.cpu0, { peakMhz: 3400, sustainedMhz: 3250, ratedMhz: 3400, dropPercent: 4.4 }, "the peak without a rated frequency");
+
+  const dropped = detectFrequencyDrop([{ cpu0: 3400, cpu1: 3400 }, { cpu0: 3400, cpu1: 3400 }, { cpu0: 3400, cpu1: 2000 }, { cpu0: 3400, cpu1: 1800 }]);
+  assert.strictEqual(dropped.dropped, true);
+  assert.strictEqual(dropped.dropPercent, 44.1, "worst core");
+
+  // 4.7 GHz turbo settling at 3.2 GHz once PL2 expires, still above the 2.8 GHz base
+  const turbo = [4700, 4700, 4600, 3800, 3300, 3200, 3200, 3200, 3200, 3200].map((mhz) => ({ cpu0: mhz, cpu1: mhz - 100 }));
+  const decayed = detectFrequencyDrop(turbo, { cpu0: 2800, cpu1: 2800 });
+  assert.strictEqual(decayed.dropped, false, "turbo decay is not a drop");
+  assert.deepStrictEqual(decayed.cores.cpu0, { peakMhz: 4700, sustainedMhz: 3200, ratedMhz: 2800, dropPercent: 0 });
+  assert.strictEqual(detectFrequencyDrop(turbo).dropped, true, "measured against the peak it would be");
+  assert.strictEqual(detectFrequencyDrop([{ cpu0: 3400 }]), null, "one sample is not enough");
+  assert.strictEqual(detectFrequencyDrop([null, null, null]), null, "no cpufreq");
+
+  console.log("\nTEST 3: SHORT RUNS UNDER LOAD");
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "stress-test-"));
+  try {
+    fs.cpSync(fixture("laptop"), root, { recursive: true });
+    const cpuDir = (cpu) => path.join(root, "devices", "system", "cpu", `cpu${cpu}`);
+    const setFrequency = (mhz) => [0, 1, 2, 3].forEach((cpu) => fs.writeFileSync(path.join(cpuDir(cpu), "cpufreq", "scaling_cur_freq"), `${mhz * 1000}\n`));
+    const heat = (celsius) => {
+      fs.writeFileSync(path.join(root, "class", "thermal", "thermal_zone1", "temp"), `${celsius * 1000}\n`);
+      fs.writeFileSync(path.join(root, "class", "hwmon", "hwmon1", "temp1_input"), `${celsius * 1000}\n`);
+    };
+
+    // Full speed for the first samples, then 2.0 GHz at 99 °C
+    let samples = 0;
+    const throttled = await runStressTest({
+      sysRoot: root,
+      durationMs: 600,
+      threads: 2,
+      wait: async () => {
+        samples += 1;
+        if (samples === 3) {
+          setFrequency(2000);
+          heat(99);
+        }
+        await tick();
+      }
+    });
+    assert.strictEqual(throttled.stable, true);
+    assert.strictEqual(throttled.errors, 0);
+    assert.ok(throttled.iterations > 0);
+    assert.strictEqual(throttled.threads, 2);
+    assert.strictEqual(throttled.throttling, true);
+    assert.strictEqual(throttled.frequency.dropped, true);
+    assert.deepStrictEqual(throttled.frequency.cores.cpu0, { peakMhz: 3400, sustainedMhz: 2000, ratedMhz: 2600, dropPercent: 23.1 });
+    assert.strictEqual(throttled.throttleEvents, 0, "counters did not move");
+    assert.strictEqual(throttled.idleTemperature, 52);
+    assert.strictEqual(throttled.peakTemperature, 99);
+    console.log(`  ${throttled.iterations} verified computations, ${throttled.frequency.dropPercent}% frequency drop, peak ${throttled.peakTemperature} °C`);
+
+    // Steady frequency, but the package throttle counter rises
+    setFrequency(3400);
+    heat(70);
+    const counted = await runStressTest({
+      sysRoot: root,
+      durationMs: 300,
+      threads: 1,
+      wait: async () => {
+        fs.writeFileSync(path.join(cpuDir(0), "thermal_throttle", "package_throttle_count"), "15\n");
+        await tick();
+      }
+    });
+    assert.strictEqual(counted.frequency.dropped, false);
+    assert.strictEqual(counted.throttleEvents, 3);
+    assert.strictEqual(counted.throttling, true);
+
+    fs.writeFileSync(path.join(cpuDir(0), "thermal_throttle", "package_throttle_count"), "12\n");
+
+    // Below base at 80 °C without counter events: a power limit, not heat
+    setFrequency(2000);
+    heat(80);
+    const limited = await runStressTest({ sysRoot: root, durationMs: 300, threads: 1, wait: tick });
+    assert.strictEqual(limited.frequency.dropped, true);
+    assert.strictEqual(limited.throttling, false, "no thermal evidence");
+
+    setFrequency(3400);
+    heat(70);
+    const cool = await collectCpuStress({ sysRoot: root, durationMs: 300, threads: 1, wait: tick });
+    assert.deepStrictEqual(cool, { cpu_stress_stable: true, cpu_throttling: false, idle_temperature_celsius: 70, load_temperature_celsius: 70 });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  console.log("\nTEST 4: COMPUTATIONAL ERRORS AND CRASHES");
+  const corrupted = await runStressTest({ sysRoot: fixture("container"), durationMs: 100, threads: 2, kernel: () => "corrupted", wait: tick });
+  assert.strictEqual(corrupted.stable, false);
+  assert.strictEqual(corrupted.errors, corrupted.iterations, "every result disagrees");
+
+  const crashed = await runStressTest({
+    sysRoot: fixture("container"),
+    durationMs: 100,
+    threads: 1,
+    kernel: () => {
+      throw new Error("illegal instruction");
+    },
+    wait: tick
+  });
+  assert.strictEqual(crashed.stable, false);
+  assert.deepStrictEqual(crashed.failures, ["illegal instruction"]);
+
+  const unknown = await collectCpuStress({ sysRoot: fixture("container"), durationMs: 100, threads: 1, wait: tick });
+  assert.deepStrictEqual(unknown, { cpu_stress_stable: true }, "no cpufreq, counters or sensors: throttling is not reported");
+
+  console.log("\nTEST 5: FUNCTIONAL INTEGRITY CATEGORY");
+  const cpu = (fields) => evaluateDevice({ ...standardized, ...fields }).standardized.categories.functionalIntegrity.details.cpu;
+  assert.strictEqual(cpu({ cpu_stress_stable: true, cpu_throttling: false }).score, cpu({ cpu_stress_stable: true, cpu_throttling: false }).max);
+  assert.ok(cpu({ cpu_stress_stable: false, cpu_throttling: true }).score > cpu({ cpu_stress_stable: false, cpu_throttling: false }).score);
+  assert.strictEqual(cpu({ cpu_stress_stable: false, cpu_throttling: false }).score, 0);
+
+  console.log("\nAll CPU stress test tests passed.");
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
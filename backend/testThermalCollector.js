@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Thermal collector tests against recorded /sys/class/thermal and
+ * /sys/class/hwmon fixtures: sensor classification, per-kind summaries and
+ * idle vs under-load readings feeding the Physical & Thermal category.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  readThermalSensors,
+  summarizeTemperatures,
+  classifySensor,
+  collectThermalProfile
+} = require("./services/collectors/thermal");
+const evaluateDevice = require("./services/evaluateDevice");
+
+const fixture = (name) => path.join(__dirname, "fixtures", "linux", name, "sys");
+
+const standardized = {
+  storage_smart_status: "GOOD",
+  ram_test_errors: 0,
+  cpu_stress_stable: true,
+  gpu_stress_stable: true,
+  performance_percentage: 92,
+  ssd_wear_percentage: 10,
+  battery_health_percent: 90
+};
+
+async function run() {
+  console.log("=".repeat(70));
+  console.log("THERMAL COLLECTOR TESTS");
+  console.log("=".repeat(70));
+
+  console.log("\nTEST 1: SENSOR CLASSIFICATION");
+  assert.strictEqual(classifySensor("coretemp", "Package id 0"), "package");
+  assert.strictEqual(classifySensor("coretemp", "Core 3"), "core");
+  assert.strictEqual(classifySensor("k10temp", "Tctl"), "package");
+  assert.strictEqual(classifySensor("k10temp", "Tccd2"), "core");
+  assert.strictEqual(classifySensor("x86_pkg_temp"), "package");
+  assert.strictEqual(classifySensor("cpu1-thermal"), "core");
+  assert.strictEqual(classifySensor("nvme", "Composite"), "nvme");
+  assert.strictEqual(classifySensor("BAT0"), "battery");
+  assert.strictEqual(classifySensor("acpitz"), "other");
+  assert.strictEqual(classifySensor(null, null), "other");
+
+  console.log("\nTEST 2: LAPTOP FIXTURE");
+  const sensors = await readThermalSensors({ sysRoot: fixture("laptop") });
+  assert.deepStrictEqual(sensors.slice(0, 2), [
+    { source: "thermal_zone0", chip: "acpitz", label: null, kind: "other", celsius: 45 },
+    { source: "thermal_zone1", chip: "x86_pkg_temp", label: null, kind: "package", celsius: 52 }
+  ], "zones without a reading or with an impossible one are skipped");
+  assert.ok(sensors.some((sensor) => sensor.source === "hwmon1/temp3" && sensor.label === "Core 1" && sensor.celsius === 49));
+  assert.strictEqual(sensors.length, 10);
+  assert.deepStrictEqual(summarizeTemperatures(sensors), { cpu: 52, package: 52, core: 50, nvme: 42.9, battery: 31.2 });
+
+  console.log("\nTEST 3: AMD DESKTOP AND MISSING SENSORS");
+  const desktop = summarizeTemperatures(await readThermalSensors({ sysRoot: fixture("desktop-amd") }));
+  assert.deepStrictEqual(desktop, { cpu: 61.5, package: 61.5, core: 58.3, nvme: 44.9, battery: null });
+  assert.strictEqual(summarizeTemperatures(await readThermalSensors({ sysRoot: fixture("container") })), null);
+  assert.strictEqual(summarizeTemperatures([{ kind: "core", celsius: 70 }]).cpu, 70, "cores stand in for a missing package sensor");
+  assert.strictEqual(summarizeTemperatures([{ kind: "other", celsius: 40 }]).cpu, null);
+
+  console.log("\nTEST 4: IDLE VS UNDER-LOAD READINGS");
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "thermal-test-"));
+  try {
+    fs.cpSync(fixture("laptop"), root, { recursive: true });
+    const heat = (celsius) => {
+      fs.writeFileSync(path.join(root, "class", "thermal", "thermal_zone1", "temp"), `${celsius * 1000}\n`);
+      fs.writeFileSync(path.join(root, "class", "hwmon", "hwmon1", "temp1_input"), `${celsius * 1000}\n`);
+    };
+
+    // The package climbs to 97 °C and eases off to 86 °C before the load ends
+    const readings = [78, 97, 86];
+    let loadedFor = null;
+    const profile = await collectThermalProfile({
+      sysRoot: root,
+      loadMs: 3000,
+      load: async (durationMs) => {
+        loadedFor = durationMs;
+        heat(readings.shift());
+        while (readings.length > 0) await new Promise((resolve) => setImmediate(resolve));
+      },
+      wait: async () => {
+        if (readings.length > 0 && loadedFor !== null) heat(readings.shift());
+      }
+    });
+    assert.strictEqual(loadedFor, 3000);
+    assert.deepStrictEqual(profile, { idle_temperature_celsius: 52, load_temperature_celsius: 97 });
+    console.log(`  idle ${profile.idle_temperature_celsius} °C, load ${profile.load_temperature_celsius} °C`);
+
+    let loaded = false;
+    const noSensor = await collectThermalProfile({ sysRoot: fixture("container"), load: async () => { loaded = true; } });
+    assert.strictEqual(noSensor, null);
+    assert.strictEqual(loaded, false, "no load without a CPU sensor to watch");
+
+    console.log("\nTEST 5: PHYSICAL & THERMAL CATEGORY");
+    const physical = (fields) => evaluateDevice({ ...standardized, ...fields }).standardized.categories.physicalThermal.details;
+    assert.strictEqual(physical(profile).thermalStatus, "CRITICAL", "97 °C under load is above the critical limit");
+    assert.strictEqual(physical(profile).loadTemp, 97);
+    assert.strictEqual(physical({ ...profile, load_temperature_celsius: 88 }).thermalStatus, "CONCERNING");
+    assert.strictEqual(physical({ idle_temperature_celsius: 45, load_temperature_celsius: 80 }).thermalStatus, "NORMAL");
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  console.log("\nAll thermal collector tests passed.");
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
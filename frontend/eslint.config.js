@@ -26,4 +26,10 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['**/__tests__/**/*.{js,jsx}', 'src/test/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.vitest, ...globals.node },
+    },
+  },
 ])
@@ -0,0 +1,89 @@
+import { useEffect, useState } from "react";
+import { buildApiUrl } from "../utils/apiBase";
+import { getIssuerHeaders } from "../utils/runtimeKeys";
+
+const linkStyle = { color: "#58A6FF", fontSize: 13, fontWeight: 600, textDecoration: "none" };
+
+export default function CertificatePanel({ reportId }) {
+  const [certificate, setCertificate] = useState(null);
+  const [issuing, setIssuing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Show the latest certificate already issued for this report
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(buildApiUrl(`/api/certificates?reportId=${encodeURIComponent(reportId)}`))
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => {
+        if (!cancelled && Array.isArray(data) && data.length > 0) setCertificate(data[0]);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId]);
+
+  const issueCertificate = async () => {
+    setIssuing(true);
+    setError(null);
+    try {
+      const res = await fetch(buildApiUrl("/api/certificates"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...getIssuerHeaders() },
+        body: JSON.stringify({ reportId })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Certificate could not be issued");
+      setCertificate(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIssuing(false);
+    }
+  };
+
+  const base = certificate && buildApiUrl(`/api/certificates/${certificate.id}`);
+
+  return (
+    <div className="card" style={{ padding: 20, marginBottom: 40 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16, flexWrap: "wrap" }}>
+        <div>
+          <p className="label" style={{ margin: 0 }}>REUSABILITY CERTIFICATE</p>
+          <p className="muted" style={{ margin: "6px 0 0", fontSize: 13 }}>
+            {certificate
+              ? `Issued ${new Date(certificate.issuedAt).toLocaleString()}: ${certificate.result.totalScore}/100, ${certificate.result.classification}`
+              : "A signed certificate of this evaluation to hand to a buyer."}
+          </p>
+        </div>
+        <button className="btn btn-primary" onClick={issueCertificate} disabled={issuing}>
+          {issuing ? "Issuing…" : certificate ? "Issue new certificate" : "Issue certificate"}
+        </button>
+      </div>
+
+      {error && (
+        <p style={{ margin: "12px 0 0", fontSize: 13, color: "#F87171" }}>{error}</p>
+      )}
+
+      {certificate?.submission?.verified === false && (
+        <p style={{ margin: "12px 0 0", fontSize: 13, color: "#F87171" }}>
+          Unverified submission: the results were not signed by a registered key, and the certificate says so.
+        </p>
+      )}
+
+      {certificate && (
+        <div style={{ marginTop: 16 }}>
+          <div style={{ display: "flex", gap: 20, flexWrap: "wrap" }}>
+            <a href={`${base}/html`} target="_blank" rel="noreferrer" style={linkStyle}>Printable certificate</a>
+            <a href={`${base}/pdf`} target="_blank" rel="noreferrer" style={linkStyle}>PDF</a>
+            <a href={`${base}/verify?hash=${encodeURIComponent(certificate.hash)}`} target="_blank" rel="noreferrer" style={linkStyle}>Verify</a>
+          </div>
+          <p className="muted" style={{ margin: "10px 0 0", fontSize: 12, wordBreak: "break-all" }}>
+            Verification hash: <code>{certificate.hash}</code>
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+const formatPoints = (node) => {
+  if (node.points === undefined) return null;
+  const sign = node.points > 0 && node.max === undefined ? "+" : "";
+  return node.max === undefined ? `${sign}${node.points}` : `${node.points}/${node.max}`;
+};
+
+const formatInput = (input) =>
+  Object.entries(input)
+    .map(([field, value]) => `${field} = ${JSON.stringify(value)}`)
+    .join(", ");
+
+const getPointsColor = (node) => {
+  if (node.points < 0) return "#EF4444";
+  if (node.max !== undefined && node.points < node.max) return "#F59E0B";
+  return "#10B981";
+};
+
+function ExplanationLine({ node, depth }) {
+  const points = formatPoints(node);
+
+  return (
+    <li style={{ listStyle: "none" }}>
+      <div
+        className="explanation-line"
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          gap: 12,
+          padding: "6px 0",
+          paddingLeft: depth * 20,
+          borderBottom: "1px solid #1F2A44"
+        }}
+      >
+        <div style={{ flex: 1 }}>
+          <span style={{ fontSize: 13, fontWeight: depth === 0 ? 600 : 400, color: "#E8EAED" }}>{node.label}</span>
+          {node.matched && <span style={{ fontSize: 12, color: "#9AA0A6", marginLeft: 8 }}>— {node.matched}</span>}
+          {(node.rule || node.input) && (
+            <div style={{ fontSize: 11, color: "#9AA0A6", marginTop: 2, fontFamily: "monospace" }}>
+              {node.rule}
+              {node.rule && node.input && " · "}
+              {node.input && formatInput(node.input)}
+            </div>
+          )}
+        </div>
+        {points && (
+          <span style={{ fontSize: 13, fontWeight: 600, color: getPointsColor(node), whiteSpace: "nowrap" }}>{points}</span>
+        )}
+      </div>
+      {node.children?.length > 0 && (
+        <ul style={{ margin: 0, padding: 0 }}>
+          {node.children.map((child, i) => (
+            <ExplanationLine key={`${child.id || child.label}-${i}`} node={child} depth={depth + 1} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export default function ExplanationTree({ explanation }) {
+  if (!explanation) {
+    return <p className="muted">No explanation available for this evaluation.</p>;
+  }
+
+  return (
+    <div className="explanation-tree">
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 }}>
+        <strong style={{ fontSize: 15 }}>
+          {explanation.label}: {explanation.points}/{explanation.max}
+        </strong>
+        {explanation.profile && (
+          <span className="muted" style={{ fontSize: 12 }}>
+            Profile {explanation.profile.name}@{explanation.profile.version}
+          </span>
+        )}
+      </div>
+      {explanation.matched && <p className="muted" style={{ margin: "0 0 8px 0", fontSize: 12 }}>{explanation.matched}</p>}
+      <ul style={{ margin: 0, padding: 0 }}>
+        {explanation.children.map((child, i) => (
+          <ExplanationLine key={`${child.id || child.label}-${i}`} node={child} depth={0} />
+        ))}
+      </ul>
+    </div>
+  );
+}
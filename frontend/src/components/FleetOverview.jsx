@@ -0,0 +1,113 @@
+import { useEffect, useState } from "react";
+import { buildApiUrl } from "../utils/apiBase";
+import { labelImageUrl, labelSheetUrl } from "../utils/labels";
+
+const getScoreColor = (score) => {
+  if (score >= 85) return "#10B981";
+  if (score >= 70) return "#3B82F6";
+  if (score >= 50) return "#F59E0B";
+  return "#EF4444";
+};
+
+const headerCellStyle = { padding: "12px 0", textAlign: "left", color: "#9AA0A6", fontWeight: 600 };
+const cellStyle = { padding: "12px 0", color: "#9AA0A6" };
+const linkStyle = { color: "#58A6FF", fontWeight: 600, textDecoration: "none" };
+
+export default function FleetOverview() {
+  const [devices, setDevices] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(buildApiUrl("/api/devices"))
+      .then((res) => {
+        if (!res.ok) throw new Error("Device registry unavailable");
+        return res.json();
+      })
+      .then((data) => {
+        if (cancelled) return;
+        setDevices(Array.isArray(data) ? data : []);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <div style={{ marginBottom: 40 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 24 }}>
+        <h2 style={{ margin: 0 }}>Fleet</h2>
+        {devices.length > 0 && (
+          <a href={labelSheetUrl()} target="_blank" rel="noreferrer" style={{ ...linkStyle, fontSize: 13 }}>
+            Print QR labels
+          </a>
+        )}
+      </div>
+      <div className="card" style={{ padding: 20 }}>
+        {error && (
+          <p className="muted" style={{ margin: 0, fontSize: 13 }}>
+            {error}
+          </p>
+        )}
+
+        {!error && devices.length === 0 && (
+          <p className="muted" style={{ margin: 0, fontSize: 13 }}>
+            No devices registered yet. Devices appear here after their first diagnostics submission.
+          </p>
+        )}
+
+        {devices.length > 0 && (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #1F2A44" }}>
+                  <th style={headerCellStyle}>Device</th>
+                  <th style={headerCellStyle}>Tags</th>
+                  <th style={headerCellStyle}>Last Seen</th>
+                  <th style={headerCellStyle}>Reports</th>
+                  <th style={headerCellStyle}>Latest Score</th>
+                  <th style={headerCellStyle}>Label</th>
+                </tr>
+              </thead>
+              <tbody>
+                {devices.map((device) => {
+                  const score = device.latest?.overall?.total_score;
+                  return (
+                    <tr key={device.id} style={{ borderBottom: "1px solid #1F2A44" }}>
+                      <td style={{ ...cellStyle, color: "#E8EAED" }}>
+                        <strong>{device.name}</strong>
+                        {device.name !== device.hostname && (
+                          <span className="muted" style={{ marginLeft: 8, fontSize: 11 }}>
+                            {device.hostname}
+                          </span>
+                        )}
+                      </td>
+                      <td style={cellStyle}>{device.tags.length > 0 ? device.tags.join(", ") : "—"}</td>
+                      <td style={cellStyle}>{new Date(device.lastSeen).toLocaleString()}</td>
+                      <td style={cellStyle}>{device.submissionCount}</td>
+                      <td style={{ ...cellStyle, color: score != null ? getScoreColor(score) : "#9AA0A6", fontWeight: 600 }}>
+                        {score != null ? `${score}/100` : "—"}
+                      </td>
+                      <td style={cellStyle}>
+                        <a href={labelImageUrl(device.id)} target="_blank" rel="noreferrer" style={linkStyle}>
+                          QR
+                        </a>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
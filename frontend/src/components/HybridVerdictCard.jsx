@@ -0,0 +1,43 @@
+const MODEL_LABELS = {
+  STANDARDIZED_HARDWARE_REUSABILITY: "Standardized",
+  LEGACY_COMPONENT_HEALTH: "Legacy health",
+  OPEN_MODULAR_LAPTOP_STANDARD: "OMLS"
+};
+
+const labelFor = (model) => MODEL_LABELS[model] || model;
+
+export default function HybridVerdictCard({ overall, modelVerdicts }) {
+  if (!overall || !modelVerdicts) return null;
+
+  return (
+    <div className="card" style={{ marginBottom: 40, borderLeft: `4px solid ${overall.reusable ? "#10B981" : "#EF4444"}` }}>
+      <p className="label">🧩 COMBINED EVALUATION</p>
+      <h3 style={{ marginTop: 8, marginBottom: 4 }}>
+        {overall.reusable ? "Reusable" : "Not reusable"} · {overall.health}
+      </h3>
+      <p className="muted" style={{ margin: "0 0 16px 0", fontSize: 13 }}>
+        Verdict driven by <strong>{labelFor(overall.drivenBy)}</strong>: {overall.reason}
+      </p>
+
+      <div className="grid" style={{ gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))" }}>
+        {Object.values(modelVerdicts).map((verdict) => (
+          <div
+            key={verdict.evaluationModel}
+            style={{
+              background: "#0B1220",
+              border: `1px solid ${verdict.evaluationModel === overall.drivenBy ? "#2F81F7" : "#1F2A44"}`,
+              borderRadius: 6,
+              padding: 12
+            }}
+          >
+            <p className="label" style={{ margin: 0 }}>{labelFor(verdict.evaluationModel).toUpperCase()}</p>
+            <p style={{ margin: "8px 0 4px 0", fontSize: 18, fontWeight: 600 }}>{verdict.total_score}/100</p>
+            <p className="muted" style={{ margin: 0, fontSize: 12 }}>
+              {verdict.classification || verdict.health} · {verdict.reusable ? "reusable" : "not reusable"}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
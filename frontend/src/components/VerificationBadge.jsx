@@ -0,0 +1,40 @@
+const REASONS = {
+  unsigned: "Not signed",
+  unknown_signer: "Signed with an unregistered key",
+  revoked_signer: "Signed with a revoked key",
+  invalid_signature: "Signature does not match; data changed after signing",
+  device_mismatch: "Device key used for another device",
+  stale_signature: "Signed too long ago, or without a timestamp",
+  replayed_signature: "Signature reused from an earlier submission"
+};
+
+export default function VerificationBadge({ verification }) {
+  if (!verification) return null;
+
+  const { verified, reason, signer, fingerprint } = verification;
+  const color = verified ? "#34D399" : reason === "unsigned" ? "#9CA3AF" : "#FBBF24";
+
+  return (
+    <div
+      title={fingerprint || undefined}
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: 8,
+        padding: "6px 14px",
+        borderRadius: 16,
+        background: `${color}1F`,
+        border: `1px solid ${color}`,
+        fontSize: 13,
+        fontWeight: 600,
+        color
+      }}
+    >
+      <span>{verified ? "🔒" : "⚠"}</span>
+      <span>{verified ? "Verified submission" : "Unverified submission"}</span>
+      <span style={{ fontSize: 12, opacity: 0.8, fontWeight: 400 }}>
+        {verified ? `signed by ${signer.name} (${signer.type})` : REASONS[reason] || reason}
+      </span>
+    </div>
+  );
+}
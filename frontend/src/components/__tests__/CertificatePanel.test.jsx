@@ -0,0 +1,65 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import CertificatePanel from '../CertificatePanel';
+import { saveRuntimeKeys } from '../../utils/runtimeKeys';
+
+const certificate = {
+  id: 'cert-1',
+  issuedAt: '2026-03-05T12:00:00.000Z',
+  result: { totalScore: 85, classification: 'High-grade reusable' },
+  hash: 'sha256:abc123'
+};
+
+describe('CertificatePanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    window.localStorage.clear();
+  });
+
+  it('issues a certificate with the issuer token and links its renderings', async () => {
+    saveRuntimeKeys({ certificateIssuerToken: 'desk-token' });
+    global.fetch = vi.fn()
+      .mockResolvedValueOnce({ ok: true, json: async () => [] })
+      .mockResolvedValueOnce({ ok: true, json: async () => certificate });
+
+    render(<CertificatePanel reportId="report-1" />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Issue certificate' }));
+
+    expect(await screen.findByText('Printable certificate')).toHaveAttribute('href', expect.stringMatching(/\/api\/certificates\/cert-1\/html$/));
+    expect(screen.getByText('PDF')).toHaveAttribute('href', expect.stringMatching(/\/api\/certificates\/cert-1\/pdf$/));
+    expect(screen.getByText('Verify')).toHaveAttribute('href', expect.stringContaining('/verify?hash=sha256%3Aabc123'));
+    expect(global.fetch).toHaveBeenLastCalledWith(expect.stringMatching(/\/api\/certificates$/), expect.objectContaining({
+      method: 'POST',
+      headers: expect.objectContaining({ Authorization: 'Bearer desk-token' }),
+      body: JSON.stringify({ reportId: 'report-1' })
+    }));
+  });
+
+  it('shows the certificate already issued for the report', async () => {
+    global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => [certificate] });
+
+    render(<CertificatePanel reportId="report-1" />);
+
+    expect(await screen.findByText(/85\/100, High-grade reusable/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Issue new certificate' })).toBeInTheDocument();
+    expect(screen.queryByText(/Unverified submission/)).not.toBeInTheDocument();
+  });
+
+  it('warns when the certified submission was not signed', async () => {
+    global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => [{ ...certificate, submission: { verified: false, signer: null } }] });
+
+    render(<CertificatePanel reportId="report-1" />);
+
+    expect(await screen.findByText(/Unverified submission/)).toBeInTheDocument();
+  });
+
+  it('explains why a report cannot be certified', async () => {
+    global.fetch = vi.fn()
+      .mockResolvedValueOnce({ ok: true, json: async () => [] })
+      .mockResolvedValueOnce({ ok: false, json: async () => ({ error: 'Certificates need a standardized evaluation' }) });
+
+    render(<CertificatePanel reportId="report-1" />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Issue certificate' }));
+
+    expect(await screen.findByText('Certificates need a standardized evaluation')).toBeInTheDocument();
+  });
+});
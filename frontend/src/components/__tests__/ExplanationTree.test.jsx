@@ -0,0 +1,60 @@
+import { render, screen } from '@testing-library/react';
+import ExplanationTree from '../ExplanationTree';
+
+describe('ExplanationTree', () => {
+  it('shows empty state without an explanation', () => {
+    render(<ExplanationTree explanation={null} />);
+
+    expect(screen.getByText('No explanation available for this evaluation.')).toBeInTheDocument();
+  });
+
+  it('renders categories, rules, inputs and points line by line', () => {
+    const explanation = {
+      model: 'STANDARDIZED_REUSABILITY_EVALUATION',
+      profile: { name: 'default', version: '1.0.0' },
+      label: 'Total score',
+      points: 22,
+      max: 100,
+      children: [
+        {
+          id: 'functionalIntegrity',
+          label: 'Functional Integrity',
+          points: 6,
+          max: 40,
+          children: [
+            {
+              id: 'cpu',
+              label: 'CPU stability',
+              rule: 'cpu_stress_stable',
+              input: { cpu_stress_stable: false, cpu_throttling: true },
+              matched: 'stress test unstable but throttling (6/10)',
+              points: 6,
+              max: 10
+            }
+          ]
+        },
+        {
+          id: 'physicalThermal',
+          label: 'Physical & Thermal Condition',
+          points: 16,
+          max: 20,
+          children: [
+            { id: 'physical_damage', label: 'Physical damage', rule: 'physicalDeductions.physical_damage', matched: 'damage reported', points: -4 }
+          ]
+        },
+        { id: 'classification', label: 'Classification', matched: 'Not recommended (>= 0)' }
+      ]
+    };
+
+    render(<ExplanationTree explanation={explanation} />);
+
+    expect(screen.getByText('Total score: 22/100')).toBeInTheDocument();
+    expect(screen.getByText('Profile default@1.0.0')).toBeInTheDocument();
+    expect(screen.getByText('CPU stability')).toBeInTheDocument();
+    expect(screen.getByText('— stress test unstable but throttling (6/10)')).toBeInTheDocument();
+    expect(screen.getByText('cpu_stress_stable · cpu_stress_stable = false, cpu_throttling = true')).toBeInTheDocument();
+    expect(screen.getByText('6/10')).toBeInTheDocument();
+    expect(screen.getByText('-4')).toBeInTheDocument();
+    expect(screen.getByText('— Not recommended (>= 0)')).toBeInTheDocument();
+  });
+});
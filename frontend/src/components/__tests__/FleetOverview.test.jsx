@@ -0,0 +1,43 @@
+import { render, screen } from '@testing-library/react';
+import FleetOverview from '../FleetOverview';
+import { buildApiUrl } from '../../utils/apiBase';
+
+describe('FleetOverview', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('lists registered devices with their latest score', async () => {
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ([
+        {
+          id: 'dev_1',
+          name: 'ThinkPad T480 #12',
+          hostname: 'bench-01',
+          tags: ['batch-7', 'resale'],
+          lastSeen: '2026-03-01T10:00:00.000Z',
+          submissionCount: 3,
+          latest: { reportId: 'r-1', overall: { total_score: 88 } }
+        }
+      ])
+    });
+
+    render(<FleetOverview />);
+
+    expect(await screen.findByText('ThinkPad T480 #12')).toBeInTheDocument();
+    expect(screen.getByText('bench-01')).toBeInTheDocument();
+    expect(screen.getByText('batch-7, resale')).toBeInTheDocument();
+    expect(screen.getByText('88/100')).toBeInTheDocument();
+    expect(screen.getByText('QR')).toHaveAttribute('href', buildApiUrl(`/api/labels/dev_1/svg?baseUrl=${encodeURIComponent(window.location.origin)}`));
+    expect(screen.getByText('Print QR labels')).toHaveAttribute('href', buildApiUrl(`/api/labels/sheet?baseUrl=${encodeURIComponent(window.location.origin)}`));
+  });
+
+  it('shows empty state when no devices are registered', async () => {
+    global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => [] });
+
+    render(<FleetOverview />);
+
+    expect(await screen.findByText(/No devices registered yet/)).toBeInTheDocument();
+  });
+});
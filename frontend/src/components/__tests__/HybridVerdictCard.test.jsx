@@ -0,0 +1,31 @@
+import { render, screen } from '@testing-library/react';
+import HybridVerdictCard from '../HybridVerdictCard';
+
+describe('HybridVerdictCard', () => {
+  it('renders nothing for single-model reports', () => {
+    const { container } = render(<HybridVerdictCard overall={{ health: 'GOOD', reusable: true }} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('shows the reconciled verdict, the driving model and each model verdict', () => {
+    const overall = {
+      health: 'POOR',
+      reusable: false,
+      drivenBy: 'OPEN_MODULAR_LAPTOP_STANDARD',
+      reason: 'OPEN_MODULAR_LAPTOP_STANDARD rates the device not reusable (OMLS_NON_COMPLIANT), which overrides the other models'
+    };
+    const modelVerdicts = {
+      legacy: { evaluationModel: 'LEGACY_COMPONENT_HEALTH', health: 'GOOD', total_score: 84, reusable: true },
+      omls: { evaluationModel: 'OPEN_MODULAR_LAPTOP_STANDARD', health: 'POOR', total_score: 33, reusable: false, classification: 'OMLS_NON_COMPLIANT' }
+    };
+
+    render(<HybridVerdictCard overall={overall} modelVerdicts={modelVerdicts} />);
+
+    expect(screen.getByText('Not reusable · POOR')).toBeInTheDocument();
+    expect(screen.getByText('OMLS', { selector: 'strong' })).toBeInTheDocument();
+    expect(screen.getByText('LEGACY HEALTH')).toBeInTheDocument();
+    expect(screen.getByText('84/100')).toBeInTheDocument();
+    expect(screen.getByText('OMLS_NON_COMPLIANT · not reusable')).toBeInTheDocument();
+  });
+});
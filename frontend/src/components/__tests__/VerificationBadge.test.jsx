@@ -0,0 +1,29 @@
+import { render, screen } from '@testing-library/react';
+import VerificationBadge from '../VerificationBadge';
+
+describe('VerificationBadge', () => {
+  it('shows the signer of a verified submission', () => {
+    render(
+      <VerificationBadge
+        verification={{ verified: true, reason: null, signer: { id: 'tech-anna', name: 'Anna', type: 'technician' }, fingerprint: 'SHA256:abc' }}
+      />
+    );
+
+    expect(screen.getByText('Verified submission')).toBeInTheDocument();
+    expect(screen.getByText('signed by Anna (technician)')).toBeInTheDocument();
+    expect(screen.getByTitle('SHA256:abc')).toBeInTheDocument();
+  });
+
+  it('explains why a submission is unverified', () => {
+    render(<VerificationBadge verification={{ verified: false, reason: 'invalid_signature', signer: null, fingerprint: null }} />);
+
+    expect(screen.getByText('Unverified submission')).toBeInTheDocument();
+    expect(screen.getByText(/data changed after signing/)).toBeInTheDocument();
+  });
+
+  it('renders nothing for reports stored before signing', () => {
+    const { container } = render(<VerificationBadge />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -4,7 +4,11 @@ import { buildApiUrl, getWebSocketUrl } from "../utils/apiBase";
 const WS_URL = getWebSocketUrl();
 const FALLBACK_URL = buildApiUrl("/api/diagnostics");
 
-export default function useLiveEvaluation() {
+/**
+ * Live evaluation over WebSocket with an HTTP fallback.
+ * Passing a `reportId` pins the hook to that stored submission instead.
+ */
+export default function useLiveEvaluation(reportId = null) {
   const [evaluation, setEvaluation] = useState(null);
   const [metrics, setMetrics] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState("connecting");
@@ -17,7 +21,8 @@ export default function useLiveEvaluation() {
     let isMounted = true;
 
     const fetchFallback = () => {
-      fetch(FALLBACK_URL)
+      const url = reportId ? `${FALLBACK_URL}?reportId=${encodeURIComponent(reportId)}` : FALLBACK_URL;
+      fetch(url)
         .then((res) => {
           if (!res.ok) throw new Error("No diagnostic report available");
           return res.json();
@@ -83,7 +88,9 @@ export default function useLiveEvaluation() {
     };
 
     fetchFallback();
-    connectWebSocket();
+    if (!reportId) {
+      connectWebSocket();
+    }
 
     return () => {
       isMounted = false;
@@ -94,14 +101,17 @@ export default function useLiveEvaluation() {
         clearTimeout(reconnectTimeoutRef.current);
       }
     };
-  }, []);
+  }, [reportId]);
+
+  // A pinned report never streams live updates
+  const status = reportId ? "fallback" : connectionStatus;
 
   return {
     evaluation,
     metrics,
-    connectionStatus,
+    connectionStatus: status,
     lastUpdate,
     error,
-    isConnected: connectionStatus === "connected"
+    isConnected: status === "connected"
   };
 }
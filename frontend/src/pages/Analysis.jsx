@@ -1,15 +1,53 @@
 import { useEffect, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { buildApiUrl } from "../utils/apiBase";
 
+const JOB_STATE_LABELS = {
+  queued: "Waiting in the evaluation queue…",
+  running: "Processing diagnostic data…",
+  done: "Generating evaluation report…"
+};
+
 export default function Analysis() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const jobId = searchParams.get("job");
   const [progress, setProgress] = useState(0);
   const [status, setStatus] = useState("processing");
+  const [jobState, setJobState] = useState(null);
+  const [jobError, setJobError] = useState(null);
 
   useEffect(() => {
+    // Poll the submission's own job when the agent handed us one
+    const pollJob = () => {
+      fetch(buildApiUrl(`/api/jobs/${encodeURIComponent(jobId)}`))
+        .then((res) => res.json().then((data) => ({ ok: res.ok, data })))
+        .then(({ ok, data }) => {
+          if (!ok) {
+            clearInterval(interval);
+            setStatus("failed");
+            setJobError(data.error || "Job not found");
+            return;
+          }
+
+          setJobState(data.state);
+          if (data.state === "done") {
+            clearInterval(interval);
+            setStatus("complete");
+            setTimeout(() => navigate(`/results?reportId=${encodeURIComponent(data.result.reportId)}`), 500);
+          } else if (data.state === "failed") {
+            clearInterval(interval);
+            setStatus("failed");
+            setJobError(data.error || "Evaluation failed");
+          }
+        })
+        .catch(() => {
+          // Silent fail — backend may not be ready yet
+        });
+    };
+
     // Poll for completion status
-    const interval = setInterval(() => {
+    const pollStatus = () => {
       fetch(buildApiUrl("/api/status"))
         .then((res) => res.json())
         .then((data) => {
@@ -25,10 +63,12 @@ export default function Analysis() {
         .catch(() => {
           // Silent fail — backend may not be ready yet
         });
-    }, 1000);
+    };
+
+    const interval = setInterval(jobId ? pollJob : pollStatus, 1000);
 
     return () => clearInterval(interval);
-  }, [navigate]);
+  }, [navigate, jobId]);
 
   return (
     <div className="container">
@@ -54,26 +94,33 @@ export default function Analysis() {
 
         {/* Heading */}
         <h1 style={{ marginBottom: 16, fontSize: 32 }}>
-          {status === "processing" ? "Analyzing Your Device" : "Complete!"}
+          {status === "processing" ? "Analyzing Your Device" : status === "failed" ? "Evaluation Failed" : "Complete!"}
         </h1>
 
         {/* Description */}
         <p className="subtitle" style={{ marginBottom: 40 }}>
           {status === "processing"
             ? "We are processing the diagnostic data generated on your device. This operation is read-only and does not impact system performance."
-            : "Your diagnostic evaluation is ready. Redirecting to results..."}
+            : status === "failed"
+              ? "We could not evaluate the diagnostic data from this submission. Run the diagnostics agent again to retry."
+              : "Your diagnostic evaluation is ready. Redirecting to results..."}
         </p>
 
         {/* Status card */}
         <div className="card" style={{ background: "#0B1220", borderColor: "#1F2A44" }}>
           <p className="label">
-            {status === "processing" ? "ANALYZING" : "COMPLETE"}
+            {status === "processing" ? "ANALYZING" : status === "failed" ? "FAILED" : "COMPLETE"}
           </p>
           <p className="muted" style={{ marginTop: 8 }}>
-            {status === "processing"
-              ? "Processing diagnostic data…"
-              : "Generating evaluation report…"}
+            {status === "failed"
+              ? jobError
+              : JOB_STATE_LABELS[jobState] || (status === "processing" ? "Processing diagnostic data…" : "Generating evaluation report…")}
           </p>
+          {jobId && (
+            <p className="muted" style={{ marginTop: 8, fontSize: 12 }}>
+              Job {jobId}
+            </p>
+          )}
           {progress > 0 && (
             <div
               style={{
@@ -114,7 +161,9 @@ export default function Analysis() {
         >
           {status === "processing"
             ? "You can keep this page open. Once processing completes, you will be redirected automatically."
-            : "Redirecting to results page..."}
+            : status === "failed"
+              ? "No report was stored for this submission."
+              : "Redirecting to results page..."}
         </p>
       </div>
 
@@ -1,5 +1,5 @@
 import { useEffect, useState } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
 import SubMetricCard from "../components/SubMetricCard";
 import ReusabilityBadge from "../components/ReusabilityBadge";
 import ScoreRing from "../components/ScoreRing";
@@ -10,6 +10,9 @@ import { buildApiUrl, getWebSocketUrl } from "../utils/apiBase";
 export default function ComponentDetail() {
   const { name } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const reportId = searchParams.get("reportId");
+  const reportQuery = reportId ? `?reportId=${encodeURIComponent(reportId)}` : "";
   const [data, setData] = useState(null);
   const [error, setError] = useState(null);
 
@@ -18,7 +21,7 @@ export default function ComponentDetail() {
     let ws = null;
 
     const fetchComponent = () => {
-      fetch(buildApiUrl(`/api/component/${name}`))
+      fetch(buildApiUrl(`/api/component/${name}${reportQuery}`))
         .then((res) => {
           if (!res.ok) throw new Error("Component data not available");
           return res.json();
@@ -27,7 +30,8 @@ export default function ComponentDetail() {
         .catch((err) => setError(err.message));
     };
 
-    if (!wsUrl) {
+    // A specific stored report never changes, so skip the live stream
+    if (!wsUrl || reportId) {
       fetchComponent();
       return () => {};
     }
@@ -42,6 +46,7 @@ export default function ComponentDetail() {
           if (breakdown) {
             setData({
               component: breakdown,
+              components: Object.keys(message.data.componentBreakdowns),
               overallHealth: message.data.overall?.health,
               overallScore: message.data.overall?.total_score
             });
@@ -60,13 +65,13 @@ export default function ComponentDetail() {
     return () => {
       if (ws && ws.readyState === WebSocket.OPEN) ws.close();
     };
-  }, [name]);
+  }, [name, reportId, reportQuery]);
 
   if (error) {
     return (
       <div className="container">
         <p className="muted">{error}</p>
-        <button className="btn btn-secondary" style={{ marginTop: 16 }} onClick={() => navigate("/results")}>
+        <button className="btn btn-secondary" style={{ marginTop: 16 }} onClick={() => navigate(`/results${reportQuery}`)}>
           ← Back to Results
         </button>
       </div>
@@ -96,7 +101,7 @@ export default function ComponentDetail() {
       <button
         className="btn btn-secondary"
         style={{ marginBottom: 24, fontSize: 13, padding: "8px 16px" }}
-        onClick={() => navigate("/results")}
+        onClick={() => navigate(`/results${reportQuery}`)}
       >
         ← Back to Results
       </button>
@@ -236,11 +241,11 @@ export default function ComponentDetail() {
       <div style={{ borderTop: "1px solid #1F2A44", paddingTop: 32, marginTop: 16 }}>
         <p className="label" style={{ marginBottom: 16 }}>VIEW OTHER COMPONENTS</p>
         <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
-          {["cpu", "ram", "storage", "battery"].filter(c => c !== name).map((comp) => (
+          {(data.components || ["cpu", "ram", "storage", "battery"]).filter(c => c !== name).map((comp) => (
             <button
               key={comp}
               className="btn btn-secondary"
-              onClick={() => navigate(`/component/${comp}`)}
+              onClick={() => navigate(`/component/${comp}${reportQuery}`)}
             >
               {comp.toUpperCase()}
             </button>
@@ -1,5 +1,6 @@
 import { useEffect, useRef, useState } from "react";
 import LiveMonitor from "../components/LiveMonitor";
+import FleetOverview from "../components/FleetOverview";
 import useLiveEvaluation from "../hooks/useLiveEvaluation";
 
 export default function Dashboard() {
@@ -59,6 +60,9 @@ export default function Dashboard() {
         connectionStatus={connectionStatus}
       />
 
+      {/* Registered devices */}
+      <FleetOverview />
+
       {/* Current Evaluation Display */}
       {evaluation && hasStandardized && (
         <div style={{ marginBottom: 40 }}>
@@ -1,6 +1,25 @@
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 
+function CommandBlock({ color, children }) {
+  return (
+    <div
+      style={{
+        background: "#0B1220",
+        border: "1px solid #1F2A44",
+        borderRadius: 6,
+        padding: 12,
+        marginBottom: 12,
+        overflow: "auto"
+      }}
+    >
+      <code style={{ fontSize: 12, color, fontFamily: "'JetBrains Mono', monospace" }}>
+        {children}
+      </code>
+    </div>
+  );
+}
+
 export default function Instructions() {
   const navigate = useNavigate();
   const [detectedOS, setDetectedOS] = useState("Unknown");
@@ -21,7 +40,7 @@ export default function Instructions() {
     }
     if (isMac) {
       setDetectedOS("macOS");
-      setRecommendedTrack("linux");
+      setRecommendedTrack("mac");
       return;
     }
     if (isLinux) {
@@ -34,8 +53,34 @@ export default function Instructions() {
     setRecommendedTrack("linux");
   }, []);
 
-  const recommendLabel = recommendedTrack === "windows" ? "Windows (PowerShell)" : "Linux & macOS (Bash)";
-  const recommendColor = recommendedTrack === "windows" ? "#2F81F7" : "#34A853";
+  const isLocal = /^(localhost|127\.0\.0\.1)$/i.test(window.location.hostname);
+  const apiBase = isLocal ? "http://localhost:3000" : window.location.origin;
+  const trackColor = recommendedTrack === "windows" ? "#2F81F7" : "#34A853";
+  const inlineCode = { background: "#0B1220", padding: "2px 6px", borderRadius: 3 };
+
+  const terminalSteps = {
+    windows: (
+      <>
+        Press <code style={inlineCode}>Win + R</code>, type <code style={inlineCode}>powershell</code>, and press Enter. Then
+        go to your download folder: <code style={inlineCode}>cd $HOME\Downloads</code>
+      </>
+    ),
+    mac: (
+      <>
+        Open Terminal from Applications → Utilities, then go to your download folder: <code style={inlineCode}>cd ~/Downloads</code>
+      </>
+    ),
+    linux: (
+      <>
+        Open your terminal application, then go to your download folder: <code style={inlineCode}>cd ~/Downloads</code>
+      </>
+    )
+  };
+  const nodeInstall = {
+    windows: "winget install OpenJS.NodeJS.LTS",
+    mac: "brew install node",
+    linux: "sudo apt install nodejs   # or your distribution's package manager"
+  };
 
   return (
     <div className="container" style={{ maxWidth: 900, margin: "0 auto" }}>
@@ -59,128 +104,40 @@ export default function Instructions() {
         <p className="muted">Follow these steps to run diagnostics on your device</p>
       </div>
 
-      <div className="card" style={{ marginBottom: 24, borderLeft: `4px solid ${recommendColor}` }}>
+      <div className="card" style={{ marginBottom: 24, borderLeft: `4px solid ${trackColor}` }}>
         <p className="label">Detected OS: {detectedOS}</p>
-        <p className="muted">Recommendation: use the {recommendLabel} steps below.</p>
+        <p className="muted">The same agent runs on Windows, macOS and Linux; the steps below are for your system.</p>
       </div>
 
-      {/* Windows Instructions */}
-      <div className="card" style={{ marginBottom: 24, borderLeft: "4px solid #2F81F7" }}>
-        <p className="label">
-          💻 WINDOWS (PowerShell)
-          {recommendedTrack === "windows" && (
-            <span style={{ marginLeft: 8, color: "#0B1220", background: "#2F81F7", padding: "2px 8px", borderRadius: 999, fontSize: 12 }}>
-              Recommended
-            </span>
-          )}
-        </p>
+      {/* Agent Instructions */}
+      <div className="card" style={{ marginBottom: 24, borderLeft: `4px solid ${trackColor}` }}>
+        <p className="label">💻 DIAGNOSTICS AGENT</p>
         <div style={{ marginTop: 16 }}>
-          <h3 style={{ marginBottom: 12, color: "#E8EAED" }}>Step 1: Download Script</h3>
-          <p className="muted">
-            Download the PowerShell script file <code style={{ background: "#0B1220", padding: "2px 6px", borderRadius: 3 }}>diagnostics.ps1</code> from the home page.
-          </p>
-
-          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 2: Open PowerShell</h3>
-          <p className="muted">
-            Press <code style={{ background: "#0B1220", padding: "2px 6px", borderRadius: 3 }}>Win + R</code>, type <code style={{ background: "#0B1220", padding: "2px 6px", borderRadius: 3 }}>powershell</code>, and press Enter. Or search for "PowerShell" in the Start menu.
-          </p>
-
-          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 3: Allow Script Execution</h3>
+          <h3 style={{ marginBottom: 12, color: "#E8EAED" }}>Step 1: Install Node.js</h3>
           <p className="muted" style={{ marginBottom: 12 }}>
-            Run the following command to allow script execution (one-time setup):
+            The agent needs Node.js 18 or newer. Check with <code style={inlineCode}>node --version</code>, or install it
+            from <a href="https://nodejs.org" target="_blank" rel="noreferrer">nodejs.org</a> or with:
           </p>
-          <div
-            style={{
-              background: "#0B1220",
-              border: "1px solid #1F2A44",
-              borderRadius: 6,
-              padding: 12,
-              marginBottom: 12,
-              overflow: "auto"
-            }}
-          >
-            <code style={{ fontSize: 12, color: "#2F81F7", fontFamily: "'JetBrains Mono', monospace" }}>
-              Set-ExecutionPolicy -ExecutionPolicy RemoteSigned -Scope CurrentUser
-            </code>
-          </div>
+          <CommandBlock color={trackColor}>{nodeInstall[recommendedTrack]}</CommandBlock>
 
-          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 4: Run the Script</h3>
-          <p className="muted" style={{ marginBottom: 12 }}>
-            Navigate to where you saved the script and run it:
-          </p>
-          <div
-            style={{
-              background: "#0B1220",
-              border: "1px solid #1F2A44",
-              borderRadius: 6,
-              padding: 12,
-              overflow: "auto"
-            }}
-          >
-            <code style={{ fontSize: 12, color: "#2F81F7", fontFamily: "'JetBrains Mono', monospace" }}>
-              .\diagnostics.ps1
-            </code>
-          </div>
-        </div>
-      </div>
-
-      {/* Linux/Mac Instructions */}
-      <div className="card" style={{ marginBottom: 24, borderLeft: "4px solid #34A853" }}>
-        <p className="label">
-          🐧 LINUX & macOS (Bash)
-          {recommendedTrack === "linux" && (
-            <span style={{ marginLeft: 8, color: "#0B1220", background: "#34A853", padding: "2px 8px", borderRadius: 999, fontSize: 12 }}>
-              Recommended
-            </span>
-          )}
-        </p>
-        <div style={{ marginTop: 16 }}>
-          <h3 style={{ marginBottom: 12, color: "#E8EAED" }}>Step 1: Download Script</h3>
+          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 2: Download the Agent</h3>
           <p className="muted">
-            Download the Bash script file <code style={{ background: "#0B1220", padding: "2px 6px", borderRadius: 3 }}>diagnostics.sh</code> from the home page.
+            Download <a href="/hwdiag-agent.cjs" download="hwdiag-agent.cjs"><code style={inlineCode}>hwdiag-agent.cjs</code></a> from the home page.
+            It is a single file with no dependencies.
           </p>
 
-          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 2: Open Terminal</h3>
-          <p className="muted">
-            Open your terminal/command line application.
-          </p>
+          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 3: Open a Terminal</h3>
+          <p className="muted">{terminalSteps[recommendedTrack]}</p>
 
-          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 3: Make Script Executable</h3>
+          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 4: Run the Agent</h3>
           <p className="muted" style={{ marginBottom: 12 }}>
-            Navigate to where you saved the script and run:
+            Collect the diagnostics and send them for analysis:
           </p>
-          <div
-            style={{
-              background: "#0B1220",
-              border: "1px solid #1F2A44",
-              borderRadius: 6,
-              padding: 12,
-              marginBottom: 12,
-              overflow: "auto"
-            }}
-          >
-            <code style={{ fontSize: 12, color: "#34A853", fontFamily: "'JetBrains Mono', monospace" }}>
-              chmod +x diagnostics.sh
-            </code>
-          </div>
-
-          <h3 style={{ marginBottom: 12, marginTop: 20, color: "#E8EAED" }}>Step 4: Run the Script</h3>
+          <CommandBlock color={trackColor}>node hwdiag-agent.cjs submit --api {apiBase} --app {window.location.origin}</CommandBlock>
           <p className="muted" style={{ marginBottom: 12 }}>
-            Execute the script with:
+            For a full assessment, run the benchmark, memory test and CPU stress test first (a few minutes):
           </p>
-          <div
-            style={{
-              background: "#0B1220",
-              border: "1px solid #1F2A44",
-              borderRadius: 6,
-              padding: 12,
-              overflow: "auto"
-            }}
-          >
-            <code style={{ fontSize: 12, color: "#34A853", fontFamily: "'JetBrains Mono', monospace" }}>
-              ./diagnostics.sh
-            </code>
-          </div>
+          <CommandBlock color={trackColor}>node hwdiag-agent.cjs submit --tests benchmark,memory,cpu --api {apiBase} --app {window.location.origin}</CommandBlock>
         </div>
       </div>
 
@@ -189,19 +146,22 @@ export default function Instructions() {
         <p className="label">⚠️ IMPORTANT NOTES</p>
         <ul style={{ marginTop: 12, marginLeft: 20, color: "#9AA0A6" }}>
           <li style={{ marginBottom: 12 }}>
-            By default, scripts send diagnostics to <code style={{ background: "#141F38", padding: "2px 6px", borderRadius: 3 }}>https://hardware-diagnostics.vercel.app</code>
+            Without <code style={{ background: "#141F38", padding: "2px 6px", borderRadius: 3 }}>--api</code>, the agent sends diagnostics to <code style={{ background: "#141F38", padding: "2px 6px", borderRadius: 3 }}>https://hardware-diagnostics.vercel.app</code>
+          </li>
+          <li style={{ marginBottom: 12 }}>
+            Only <code style={{ background: "#141F38", padding: "2px 6px", borderRadius: 3 }}>submit</code> sends data; <code style={{ background: "#141F38", padding: "2px 6px", borderRadius: 3 }}>node hwdiag-agent.cjs collect</code> prints the payload without sending it
           </li>
           <li style={{ marginBottom: 12 }}>
-            The script sends your device diagnostics to the configured backend URL for analysis
+            Drive health comes from <code style={{ background: "#141F38", padding: "2px 6px", borderRadius: 3 }}>smartctl</code> (smartmontools) when it is installed; run the agent as administrator or with sudo to read every drive
           </li>
           <li style={{ marginBottom: 12 }}>
-            Running a script does not start a backend process on your machine
+            Running the agent does not start a backend process on your machine
           </li>
           <li style={{ marginBottom: 12 }}>
             This operation is read-only and does not modify your system
           </li>
           <li>
-            After the script runs, the analysis page will automatically show results when processing completes
+            After the agent runs, the analysis page will automatically show results when processing completes
           </li>
         </ul>
       </div>
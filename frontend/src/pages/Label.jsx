@@ -0,0 +1,55 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { buildApiUrl } from "../utils/apiBase";
+
+// Target of a QR asset label (/l/:code): opens the device's latest report
+export default function Label() {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [target, setTarget] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(buildApiUrl(`/api/labels/${encodeURIComponent(code)}`))
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || "Label could not be resolved");
+        return data;
+      })
+      .then((data) => {
+        if (cancelled) return;
+        if (data.reportId) {
+          navigate(`/results?reportId=${encodeURIComponent(data.reportId)}`, { replace: true });
+        } else {
+          setTarget(data);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code, navigate]);
+
+  return (
+    <div className="container" style={{ maxWidth: 640, marginTop: 30 }}>
+      <div className="card">
+        <p className="label">ASSET LABEL</p>
+        {!error && !target && <p className="muted">Opening the latest report…</p>}
+        {error && <p style={{ color: "#F87171", fontWeight: 600 }}>{error}</p>}
+        {target && (
+          <p className="muted">
+            {target.name || target.hostname} has no diagnostics reports yet. Run the agent on it to create one.
+          </p>
+        )}
+        <Link to="/scan" style={{ color: "#58A6FF", fontSize: 13, fontWeight: 600, textDecoration: "none" }}>
+          Scan another label
+        </Link>
+      </div>
+    </div>
+  );
+}
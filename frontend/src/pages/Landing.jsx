@@ -3,57 +3,11 @@ import { useNavigate } from "react-router-dom";
 export default function Landing() {
   const navigate = useNavigate();
 
-  const downloadScript = async (type) => {
-    const scripts = {
-      linux: {
-        name: "diagnostics.sh",
-        url: "/diagnostics.sh",
-        mime: "text/x-shellscript"
-      },
-      ps1: {
-        name: "diagnostics.ps1",
-        url: "/diagnostics.ps1",
-        mime: "text/plain"
-      },
-      windows: {
-        name: "diagnostics.bat",
-        url: "/diagnostics.bat",
-        mime: "text/plain"
-      }
-    };
-
-    const script = scripts[type];
-    if (!script) return;
-
-    try {
-      const origin = window.location.origin;
-      const isLocal = /^(localhost|127\.0\.0\.1)$/i.test(window.location.hostname);
-      const apiBase = isLocal ? "http://localhost:3000" : origin;
-
-      const response = await fetch(script.url, { cache: "no-store" });
-      if (!response.ok) throw new Error("Failed to fetch script template");
-
-      const template = await response.text();
-      const customized = template
-        .replaceAll("__API_BASE__", apiBase)
-        .replaceAll("__APP_URL__", origin);
-
-      const blob = new Blob([customized], { type: script.mime });
-      const downloadUrl = URL.createObjectURL(blob);
-
-      const link = document.createElement("a");
-      link.href = downloadUrl;
-      link.download = script.name;
-      link.click();
-
-      URL.revokeObjectURL(downloadUrl);
-    } catch {
-      const link = document.createElement("a");
-      link.href = script.url;
-      link.download = script.name;
-      link.click();
-    }
-  };
+  // The agent defaults to the hosted backend; point it at this deployment instead
+  const isLocal = /^(localhost|127\.0\.0\.1)$/i.test(window.location.hostname);
+  const apiBase = isLocal ? "http://localhost:3000" : window.location.origin;
+  const submitCommand = `node hwdiag-agent.cjs submit --api ${apiBase} --app ${window.location.origin}`;
+  const codeStyle = { background: "#1F2A44", padding: "2px 6px", borderRadius: 3 };
 
   return (
     <div className="landing-container">
@@ -67,7 +21,7 @@ export default function Landing() {
           </h1>
 
           <p className="subtitle">
-            Run a lightweight local script to analyze your system components
+            Run a lightweight local agent to analyze your system components
             without leaving your browser.
           </p>
         </div>
@@ -78,32 +32,11 @@ export default function Landing() {
             className="card"
             style={{ display: "flex", flexDirection: "column", gap: 12, alignItems: "center" }}
           >
-            <div style={{ display: "flex", gap: 12, width: "100%", justifyContent: "center", flexWrap: "wrap" }}>
-              <button
-                className="btn btn-primary"
-                onClick={() => downloadScript("windows")}
-                style={{ background: "#2F81F7", borderColor: "#2F81F7" }}
-              >
-                <span style={{ marginRight: 8 }}>🚀</span> Auto-Run for Windows
-              </button>
-
-              <button
-                className="btn btn-secondary"
-                onClick={() => downloadScript("linux")}
-                style={{ background: "#34A853", borderColor: "#34A853" }}
-              >
-                <span style={{ marginRight: 8 }}>🚀</span> Auto-Run for Linux/Mac
-              </button>
-
-              <button
-                className="btn btn-outline"
-                onClick={() => downloadScript("ps1")}
-              >
-                Manual PowerShell (.ps1)
-              </button>
-            </div>
+            <a className="btn btn-primary" href="/hwdiag-agent.cjs" download="hwdiag-agent.cjs" style={{ background: "#2F81F7", borderColor: "#2F81F7" }}>
+              <span style={{ marginRight: 8 }}>🚀</span> Download the diagnostics agent
+            </a>
             <p className="small-text" style={{ color: "#2F81F7", fontWeight: "bold" }}>
-              ⚡ One-click download and run - no manual setup required!
+              ⚡ One file for Windows, macOS and Linux - only Node.js 18+ required
             </p>
           </div>
         </div>
@@ -111,44 +44,36 @@ export default function Landing() {
         {/* Instructions */}
         <div style={{ marginTop: 60 }}>
           <div className="card" style={{ borderLeft: "4px solid #2F81F7", background: "#0B1220" }}>
-            <h3 style={{ marginBottom: 16, color: "#2F81F7" }}>🚀 Quick Start (Automated)</h3>
+            <h3 style={{ marginBottom: 16, color: "#2F81F7" }}>🚀 Quick Start</h3>
 
             <div style={{ marginBottom: 20 }}>
               <p style={{ color: "#E8EAED", marginBottom: 12 }}>
-                <strong>Simplest Option:</strong> Download and run <code style={{ background: "#1F2A44", padding: "2px 6px", borderRadius: 3 }}>diagnostics.bat</code> on Windows or <code style={{ background: "#1F2A44", padding: "2px 6px", borderRadius: 3 }}>diagnostics.sh</code> on Linux/Mac.
-                It handles everything automatically!
+                Open a terminal in your download folder and run:
+              </p>
+              <pre style={{ background: "#1F2A44", padding: 12, borderRadius: 6, overflowX: "auto", color: "#E8EAED" }}>
+                {submitCommand}
+              </pre>
+              <p style={{ color: "#9AA0A6", marginTop: 12 }}>
+                The agent prints a link to your report when the evaluation is done.
               </p>
             </div>
 
-            <h3 style={{ marginBottom: 16, color: "#2F81F7", marginTop: 24 }}>📋 Manual Setup (Alternative)</h3>
-
-            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24, marginBottom: 20 }}>
-              <div>
-                <h4 style={{ color: "#E8EAED", marginBottom: 12 }}>Windows (PowerShell)</h4>
-                <ol style={{ paddingLeft: 20, color: "#9AA0A6", lineHeight: 1.6 }}>
-                  <li>Download <code style={{ background: "#1F2A44", padding: "2px 6px", borderRadius: 3 }}>diagnostics.ps1</code></li>
-                  <li>Right-click the downloaded file</li>
-                  <li>Select "Run with PowerShell"</li>
-                  <li>Or open PowerShell and run: <code style={{ background: "#1F2A44", padding: "2px 6px", borderRadius: 3 }}>.\diagnostics.ps1</code></li>
-                </ol>
-              </div>
-
-              <div>
-                <h4 style={{ color: "#E8EAED", marginBottom: 12 }}>Linux/Mac (Bash)</h4>
-                <ol style={{ paddingLeft: 20, color: "#9AA0A6", lineHeight: 1.6 }}>
-                  <li>Download <code style={{ background: "#1F2A44", padding: "2px 6px", borderRadius: 3 }}>diagnostics.sh</code></li>
-                  <li>Open Terminal</li>
-                  <li>Navigate to download folder: <code style={{ background: "#1F2A44", padding: "2px 6px", borderRadius: 3 }}>cd Downloads</code></li>
-                  <li>Make executable: <code style={{ background: "#1F2A44", padding: "2px 6px", borderRadius: 3 }}>chmod +x diagnostics.sh</code></li>
-                  <li>Run the script: <code style={{ background: "#1F2A44", padding: "2px 6px", borderRadius: 3 }}>./diagnostics.sh</code></li>
-                </ol>
-              </div>
-            </div>
+            <h3 style={{ marginBottom: 16, color: "#2F81F7", marginTop: 24 }}>📋 More Options</h3>
+
+            <ul style={{ paddingLeft: 20, color: "#9AA0A6", lineHeight: 1.6, marginBottom: 20 }}>
+              <li>Add <code style={codeStyle}>--tests benchmark,memory,cpu</code> to run the hardware tests before submitting (a few minutes)</li>
+              <li>Inspect the payload without sending anything: <code style={codeStyle}>node hwdiag-agent.cjs collect</code></li>
+              <li>Monitor a machine: <code style={codeStyle}>node hwdiag-agent.cjs watch --interval 30 --submit --api {apiBase}</code></li>
+              <li>No network? Unsent payloads stay spooled; send them later with <code style={codeStyle}>node hwdiag-agent.cjs flush --api {apiBase}</code></li>
+              <li>All commands and formats: <code style={codeStyle}>node hwdiag-agent.cjs --help</code></li>
+            </ul>
 
             <div style={{ background: "#1F2A44", padding: 16, borderRadius: 6, marginTop: 16 }}>
               <p style={{ margin: 0, color: "#9AA0A6", fontSize: 14 }}>
-                <strong>⚠️ Security Note:</strong> These scripts are read-only and collect only basic system metrics.
-                They send data to your configured backend endpoint (default: Vercel deployment). No system changes are made.
+                <strong>⚠️ Security Note:</strong> The agent is read-only and collects only system metrics.
+                It sends data only from <code style={codeStyle}>submit</code>, <code style={codeStyle}>flush</code> (spooled payloads)
+                and <code style={codeStyle}>watch --submit</code>, and only to the backend given by <code style={codeStyle}>--api</code>;
+                {" "}<code style={codeStyle}>collect</code>, <code style={codeStyle}>test</code> and <code style={codeStyle}>keygen</code> send nothing. No system changes are made.
               </p>
             </div>
           </div>
@@ -190,10 +115,10 @@ export default function Landing() {
         {/* Continue */}
         <div style={{ marginTop: 100, textAlign: "center" }}>
           <h2>Ready to proceed?</h2>
-          <p className="subtitle" style={{ marginBottom: 24 }}>Once you have run the diagnostic script, click below to analyze the results</p>
+          <p className="subtitle" style={{ marginBottom: 24 }}>Once you have run the diagnostics agent, click below to analyze the results</p>
 
           <button className="btn btn-primary btn-large" onClick={() => navigate("/analysis")}>
-            I have run the script → Continue
+            I have run the agent → Continue
           </button>
         </div>
 
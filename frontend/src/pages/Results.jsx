@@ -1,8 +1,12 @@
 import { useEffect, useRef, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import StandardizedScoreCard from "../components/StandardizedScoreCard";
 import LiveMonitor from "../components/LiveMonitor";
 import CategoryBadge from "../components/CategoryBadge";
+import ExplanationTree from "../components/ExplanationTree";
+import HybridVerdictCard from "../components/HybridVerdictCard";
+import VerificationBadge from "../components/VerificationBadge";
+import CertificatePanel from "../components/CertificatePanel";
 import useLiveEvaluation from "../hooks/useLiveEvaluation";
 import { buildApiUrl } from "../utils/apiBase";
 import { getApiHeaders } from "../utils/runtimeKeys";
@@ -18,7 +22,9 @@ const hashString = (value = "") => {
 
 export default function Results() {
   const navigate = useNavigate();
-  const { evaluation, connectionStatus, lastUpdate, error, isConnected } = useLiveEvaluation();
+  const [searchParams] = useSearchParams();
+  const reportId = searchParams.get("reportId");
+  const { evaluation, connectionStatus, lastUpdate, error, isConnected } = useLiveEvaluation(reportId);
   const [lockedEvaluation, setLockedEvaluation] = useState(null);
   const data = lockedEvaluation || evaluation;
   const [aiSummary, setAiSummary] = useState(null);
@@ -28,6 +34,9 @@ export default function Results() {
   const [chatInput, setChatInput] = useState("");
   const [chatLoading, setChatLoading] = useState(false);
   const [chatError, setChatError] = useState(null);
+  const [explanation, setExplanation] = useState(null);
+  const [explanationLoading, setExplanationLoading] = useState(false);
+  const [explanationError, setExplanationError] = useState(null);
   const aiSummaryRequestedRef = useRef(false);
   const lastChatRequestRef = useRef({ question: "", at: 0 });
 
@@ -37,9 +46,28 @@ export default function Results() {
     setAiSummaryError(null);
     setChatMessages([]);
     setChatError(null);
+    setExplanation(null);
+    setExplanationError(null);
     aiSummaryRequestedRef.current = false;
   };
 
+  const loadExplanation = async () => {
+    setExplanationLoading(true);
+    setExplanationError(null);
+
+    try {
+      const query = reportId ? `&reportId=${encodeURIComponent(reportId)}` : "";
+      const res = await fetch(buildApiUrl(`/api/diagnostics?explain=true${query}`));
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(payload?.error || "Explanation unavailable");
+      setExplanation(payload.explanation || null);
+    } catch (err) {
+      setExplanationError(err.message || "Explanation unavailable");
+    } finally {
+      setExplanationLoading(false);
+    }
+  };
+
   useEffect(() => {
     if (!lockedEvaluation && evaluation) {
       setLockedEvaluation(evaluation);
@@ -376,6 +404,8 @@ Generated by Device Health Monitor`;
   // Determine which evaluation model to display
   const hasStandardized = data.standardized !== undefined;
   const hasLegacy = data.components !== undefined;
+  const isHybrid = data.evaluationModel === "HYBRID";
+  const legacyOverall = isHybrid ? data.modelVerdicts?.legacy || data.overall : data.overall;
   const fullReportSummary = buildFullReportSummary();
 
   return (
@@ -386,11 +416,16 @@ Generated by Device Health Monitor`;
           <div>
             <p className="label">HARDWARE EVALUATION REPORT</p>
             <h1 style={{ fontSize: 32, margin: "8px 0 0 0" }}>
-              {hasStandardized ? "Standardized Reusability Evaluation" : "Legacy Health Report"}
+              {isHybrid ? "Combined Evaluation" : hasStandardized ? "Standardized Reusability Evaluation" : "Legacy Health Report"}
             </h1>
             <p className="muted" style={{ marginTop: 8 }}>
               Generated {new Date().toLocaleString()}
             </p>
+            {data.verification && (
+              <div style={{ marginTop: 12 }}>
+                <VerificationBadge verification={data.verification} />
+              </div>
+            )}
           </div>
           <button className="btn btn-primary" style={{ whiteSpace: "nowrap" }} onClick={downloadReport}>
             ⬇ Download Report
@@ -408,6 +443,9 @@ Generated by Device Health Monitor`;
         )}
       </div>
 
+      {/* Reconciled verdict when several models ran */}
+      {isHybrid && <HybridVerdictCard overall={data.overall} modelVerdicts={data.modelVerdicts} />}
+
       {/* Standardized Evaluation Display */}
       {hasStandardized && (
         <div style={{ marginBottom: 60 }}>
@@ -415,8 +453,11 @@ Generated by Device Health Monitor`;
         </div>
       )}
 
+      {/* Resale certificate of a stored standardized evaluation */}
+      {hasStandardized && reportId && <CertificatePanel reportId={reportId} />}
+
       {/* Legacy Evaluation Display */}
-      {hasLegacy && !hasStandardized && (
+      {hasLegacy && (!hasStandardized || isHybrid) && (
         <>
           {/* Overall summary */}
           <div
@@ -426,29 +467,29 @@ Generated by Device Health Monitor`;
             <div className="card">
               <p className="label">OVERALL DEVICE HEALTH</p>
               <h2 style={{ marginTop: 12, fontSize: 28 }}>
-                {data.overall.health}
+                {legacyOverall.health}
               </h2>
             </div>
 
             <div className="card">
               <p className="label">HEALTH SCORE</p>
               <div style={{ marginTop: 12, display: "flex", alignItems: "baseline", gap: 8 }}>
-                <h2 style={{ fontSize: 28, margin: 0 }}>{data.overall.total_score}</h2>
+                <h2 style={{ fontSize: 28, margin: 0 }}>{legacyOverall.total_score}</h2>
                 <span className="muted" style={{ fontSize: 18 }}>/100</span>
               </div>
             </div>
 
             <div className="card">
               <p className="label">EST. REMAINING LIFE</p>
-              <h2 style={{ marginTop: 12, fontSize: 28 }}>{data.overall.longevity_years || "N/A"}</h2>
+              <h2 style={{ marginTop: 12, fontSize: 28 }}>{legacyOverall.longevity_years || "N/A"}</h2>
               <p className="muted" style={{ marginTop: 6 }}>Based on current health</p>
             </div>
 
             <div className="card">
               <p className="label">SUSTAINABILITY</p>
-              <h2 style={{ marginTop: 12, fontSize: 28 }}>{data.overall.sustainability}</h2>
+              <h2 style={{ marginTop: 12, fontSize: 28 }}>{legacyOverall.sustainability}</h2>
               <p className="muted" style={{ marginTop: 6 }}>
-                Reusable: {data.overall.reusable ? "YES" : "NO"}
+                Reusable: {legacyOverall.reusable ? "YES" : "NO"}
               </p>
             </div>
           </div>
@@ -489,7 +530,7 @@ Generated by Device Health Monitor`;
                 <div
                   className="card component-card clickable-card"
                   key={key}
-                  onClick={() => navigate(`/component/${key}`)}
+                  onClick={() => navigate(`/component/${key}${reportId ? `?reportId=${encodeURIComponent(reportId)}` : ""}`)}
                   role="button"
                   tabIndex={0}
                 >
@@ -538,6 +579,28 @@ Generated by Device Health Monitor`;
         </>
       )}
 
+      {/* Score explanation trace */}
+      <div className="card" style={{ marginTop: 48 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+          <p className="label" style={{ margin: 0 }}>🧮 HOW THIS SCORE WAS CALCULATED</p>
+          {!(data.explanation || explanation) && (
+            <button className="btn btn-secondary" onClick={loadExplanation} disabled={explanationLoading}>
+              {explanationLoading ? "Loading…" : "Explain score"}
+            </button>
+          )}
+        </div>
+        {explanationError && <p className="muted" style={{ margin: 0, fontSize: 13 }}>Explanation unavailable ({explanationError}).</p>}
+        {(data.explanation || explanation) ? (
+          <ExplanationTree explanation={data.explanation || explanation} />
+        ) : (
+          !explanationError && (
+            <p className="muted" style={{ margin: 0, fontSize: 13 }}>
+              Show every rule and lookup band consulted, the input values and the points awarded or deducted.
+            </p>
+          )
+        )}
+      </div>
+
       {/* Scan + Detect + Full Summary */}
       <div className="card" style={{ marginTop: 48, borderLeft: "4px solid #2F81F7" }}>
         <p className="label">📄 SCAN, DETECT & FULL REPORT SUMMARY</p>
@@ -1,7 +1,19 @@
 import { useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import { buildApiUrl } from "../utils/apiBase";
+import { detectLabelCode, findLabelCode } from "../utils/labels";
 import { getApiHeaders } from "../utils/runtimeKeys";
 
+const SYMBOLOGY_NAMES = {
+  qr_code: "QR code",
+  data_matrix: "Data Matrix",
+  code_128: "Code 128",
+  code_39: "Code 39",
+  ean_13: "EAN-13",
+  ean_8: "EAN-8",
+  upc_a: "UPC-A"
+};
+
 function toBase64DataUrl(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -12,8 +24,10 @@ function toBase64DataUrl(file) {
 }
 
 export default function Scan() {
+  const navigate = useNavigate();
   const [selectedFile, setSelectedFile] = useState(null);
   const [ocrText, setOcrText] = useState("");
+  const [barcodes, setBarcodes] = useState([]);
   const [suggestions, setSuggestions] = useState("");
   const [error, setError] = useState("");
   const [ocrLoading, setOcrLoading] = useState(false);
@@ -29,7 +43,15 @@ export default function Scan() {
     setSelectedFile(file);
     setError("");
     setOcrText("");
+    setBarcodes([]);
     setSuggestions("");
+
+    // Our own asset labels open the device's latest report instead
+    if (file) {
+      detectLabelCode(file).then((code) => {
+        if (code) navigate(`/l/${code}`);
+      });
+    }
   };
 
   const runOcr = async () => {
@@ -40,9 +62,16 @@ export default function Scan() {
 
     setOcrLoading(true);
     setError("");
+    setBarcodes([]);
     setSuggestions("");
 
     try {
+      const labelCode = await detectLabelCode(selectedFile);
+      if (labelCode) {
+        navigate(`/l/${labelCode}`);
+        return;
+      }
+
       const imageBase64 = await toBase64DataUrl(selectedFile);
       const res = await fetch(buildApiUrl("/api/ocr"), {
         method: "POST",
@@ -55,6 +84,16 @@ export default function Scan() {
         throw new Error(payload?.error || "OCR failed");
       }
 
+      // The server decodes barcodes itself, which catches our labels on
+      // browsers without BarcodeDetector
+      const decoded = Array.isArray(payload?.barcodes) ? payload.barcodes : [];
+      const decodedLabelCode = decoded.map((barcode) => findLabelCode(barcode.value)).find(Boolean);
+      if (decodedLabelCode) {
+        navigate(`/l/${decodedLabelCode}`);
+        return;
+      }
+
+      setBarcodes(decoded);
       setOcrText(payload?.text || "");
     } catch (ocrError) {
       setError(ocrError.message || "OCR failed");
@@ -99,6 +138,7 @@ export default function Scan() {
         <h1 style={{ marginTop: 8, marginBottom: 12 }}>Scan Device Label / QR / Model Sticker</h1>
         <p className="muted" style={{ margin: 0 }}>
           Use your camera or gallery image to extract text, then get installation and fix guidance.
+          Scanning one of our QR asset labels opens that device's latest report.
         </p>
       </div>
 
@@ -126,6 +166,15 @@ export default function Scan() {
 
         <div className="card">
           <p className="label" style={{ marginBottom: 12 }}>2) EXTRACTED TEXT</p>
+          {barcodes.length > 0 && (
+            <ul className="muted" style={{ margin: "0 0 12px", paddingLeft: 18 }}>
+              {barcodes.map((barcode) => (
+                <li key={`${barcode.symbology}:${barcode.value}`}>
+                  {SYMBOLOGY_NAMES[barcode.symbology] || barcode.symbology}: <code>{barcode.value}</code>
+                </li>
+              ))}
+            </ul>
+          )}
           <textarea
             value={ocrText}
             onChange={(event) => setOcrText(event.target.value)}
@@ -6,7 +6,8 @@ export default function Settings() {
   const [form, setForm] = useState({
     groqApiKey: current.groqApiKey || "",
     googleVisionApiKey: current.googleVisionApiKey || "",
-    roboflowApiKey: current.roboflowApiKey || ""
+    roboflowApiKey: current.roboflowApiKey || "",
+    certificateIssuerToken: current.certificateIssuerToken || ""
   });
   const [status, setStatus] = useState("");
 
@@ -21,7 +22,7 @@ export default function Settings() {
 
   const onClear = () => {
     clearRuntimeKeys();
-    setForm({ groqApiKey: "", googleVisionApiKey: "", roboflowApiKey: "" });
+    setForm({ groqApiKey: "", googleVisionApiKey: "", roboflowApiKey: "", certificateIssuerToken: "" });
     setStatus("Cleared runtime keys from this browser.");
   };
 
@@ -62,6 +63,11 @@ export default function Settings() {
           <input type="password" value={form.roboflowApiKey} onChange={onChange("roboflowApiKey")} style={inputStyle} />
         </label>
 
+        <label>
+          <p className="label" style={{ marginBottom: 6 }}>CERTIFICATE ISSUER TOKEN (ISSUING CERTIFICATES)</p>
+          <input type="password" value={form.certificateIssuerToken} onChange={onChange("certificateIssuerToken")} style={inputStyle} />
+        </label>
+
         <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginTop: 8 }}>
           <button className="btn btn-primary" onClick={onSave}>Save Keys</button>
           <button className="btn btn-secondary" onClick={onClear}>Clear Keys</button>
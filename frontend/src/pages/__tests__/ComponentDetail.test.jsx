@@ -0,0 +1,65 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import ComponentDetail from '../ComponentDetail';
+import { buildApiUrl } from '../../utils/apiBase';
+
+function Location() {
+  const location = useLocation();
+  return <p>At {location.pathname}{location.search}</p>;
+}
+
+const component = {
+  name: 'CPU',
+  icon: '🧠',
+  summary: 'Processor health',
+  scorePercent: 80,
+  health: 'GOOD',
+  rawValue: 20,
+  unit: '%',
+  score: 24,
+  maxScore: 30,
+  weightPercent: 30,
+  reusability: { reusable: true, verdict: 'Reusable', confidence: 90 },
+  subMetrics: [],
+  longevity: { estimatedYears: 4, riskLevel: 'LOW', degradationRate: 'Slow' },
+  recommendations: []
+};
+
+const renderDetail = (entry) =>
+  render(
+    <MemoryRouter initialEntries={[entry]}>
+      <Routes>
+        <Route path="/component/:name" element={<ComponentDetail />} />
+        <Route path="/results" element={<Location />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('ComponentDetail page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ component, components: ['cpu', 'ram', 'storage'] })
+    });
+  });
+
+  it('stays on a pinned report when switching components', async () => {
+    renderDetail('/component/cpu?reportId=report-7');
+
+    fireEvent.click(await screen.findByText('RAM'));
+
+    await vi.waitFor(() =>
+      expect(global.fetch).toHaveBeenLastCalledWith(buildApiUrl('/api/component/ram?reportId=report-7'))
+    );
+    expect(global.fetch).toHaveBeenCalledWith(buildApiUrl('/api/component/cpu?reportId=report-7'));
+  });
+
+  it('keeps the pinned report on the way back to results', async () => {
+    renderDetail('/component/cpu?reportId=report-7');
+
+    fireEvent.click(await screen.findByText('← Back to Results'));
+
+    expect(screen.getByText('At /results?reportId=report-7')).toBeInTheDocument();
+  });
+});
@@ -5,6 +5,10 @@ vi.mock('../../components/LiveMonitor', () => ({
   default: () => <div>LiveMonitor Mock</div>
 }));
 
+vi.mock('../../components/FleetOverview', () => ({
+  default: () => <div>FleetOverview Mock</div>
+}));
+
 vi.mock('../../hooks/useLiveEvaluation', () => ({
   default: () => ({
     evaluation: {
@@ -42,6 +46,7 @@ describe('Dashboard page', () => {
 
     expect(screen.getByText('Hardware Evaluation Dashboard')).toBeInTheDocument();
     expect(screen.getByText('LiveMonitor Mock')).toBeInTheDocument();
+    expect(screen.getByText('FleetOverview Mock')).toBeInTheDocument();
     expect(screen.getByText('Current Evaluation')).toBeInTheDocument();
     expect(screen.getByText('Category Performance')).toBeInTheDocument();
     expect(screen.getByText('Run module diagnostics')).toBeInTheDocument();
@@ -0,0 +1,59 @@
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import Label from '../Label';
+import { buildApiUrl } from '../../utils/apiBase';
+
+function ResultsLocation() {
+  const location = useLocation();
+  return <p>Results {location.search}</p>;
+}
+
+const renderLabel = (code) =>
+  render(
+    <MemoryRouter initialEntries={[`/l/${code}`]}>
+      <Routes>
+        <Route path="/l/:code" element={<Label />} />
+        <Route path="/results" element={<ResultsLocation />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('Label page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('opens the latest report of the labelled device', async () => {
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ type: 'device', id: 'dev_0123456789abcdef', code: 'd0123456789abcdef', reportId: 'report-9' })
+    });
+
+    renderLabel('d0123456789abcdef');
+
+    expect(await screen.findByText('Results ?reportId=report-9')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(buildApiUrl('/api/labels/d0123456789abcdef'));
+  });
+
+  it('explains when the device has no reports yet', async () => {
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ type: 'device', id: 'dev_0123456789abcdef', hostname: 'bench-07', name: 'Bench 7', reportId: null })
+    });
+
+    renderLabel('d0123456789abcdef');
+
+    expect(await screen.findByText(/Bench 7 has no diagnostics reports yet/)).toBeInTheDocument();
+  });
+
+  it('shows an unknown label', async () => {
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: false,
+      json: async () => ({ error: 'Label target not found: d0000000000000000' })
+    });
+
+    renderLabel('d0000000000000000');
+
+    expect(await screen.findByText('Label target not found: d0000000000000000')).toBeInTheDocument();
+  });
+});
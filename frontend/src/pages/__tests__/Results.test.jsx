@@ -7,7 +7,8 @@ vi.mock('react-router-dom', async () => {
   const actual = await vi.importActual('react-router-dom');
   return {
     ...actual,
-    useNavigate: () => navigateMock
+    useNavigate: () => navigateMock,
+    useSearchParams: () => [new URLSearchParams(), vi.fn()]
   };
 });
 
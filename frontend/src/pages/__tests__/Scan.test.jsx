@@ -1,14 +1,42 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
 import Scan from '../Scan';
+import { buildApiUrl } from '../../utils/apiBase';
+
+const barcode = (symbology, value) => ({
+  symbology,
+  value,
+  boundingBox: { x: 10, y: 10, width: 80, height: 80 },
+  cornerPoints: [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 90, y: 90 }, { x: 10, y: 90 }]
+});
+
+const extractFrom = (container, name) => {
+  fireEvent.change(container.querySelector('input[type="file"]'), {
+    target: { files: [new File(['png'], name, { type: 'image/png' })] }
+  });
+  fireEvent.click(screen.getByText('Extract Text (OCR)'));
+};
+
+const renderScan = () =>
+  render(
+    <MemoryRouter initialEntries={['/scan']}>
+      <Routes>
+        <Route path="/scan" element={<Scan />} />
+        <Route path="/l/:code" element={<p>Label page</p>} />
+      </Routes>
+    </MemoryRouter>
+  );
 
 describe('Scan page', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     global.fetch = vi.fn();
+    global.URL.createObjectURL = vi.fn(() => 'blob:preview');
+    delete window.BarcodeDetector;
   });
 
   it('renders scanning workflow labels', () => {
-    render(<Scan />);
+    renderScan();
 
     expect(screen.getByText('PWA SCANNING')).toBeInTheDocument();
     expect(screen.getByText('1) CAPTURE OR UPLOAD IMAGE')).toBeInTheDocument();
@@ -17,8 +45,77 @@ describe('Scan page', () => {
   });
 
   it('keeps OCR action disabled until a file is selected', () => {
-    render(<Scan />);
+    renderScan();
 
     expect(screen.getByText('Extract Text (OCR)')).toBeDisabled();
   });
+
+  it('opens the label page for a photo of one of our QR labels', async () => {
+    window.BarcodeDetector = class {
+      detect = vi.fn().mockResolvedValue([{ rawValue: 'https://diagnostics.example/l/d0123456789abcdef' }]);
+    };
+    global.createImageBitmap = vi.fn().mockResolvedValue({});
+    const { container } = renderScan();
+
+    fireEvent.change(container.querySelector('input[type="file"]'), {
+      target: { files: [new File(['png'], 'label.png', { type: 'image/png' })] }
+    });
+
+    expect(await screen.findByText('Label page')).toBeInTheDocument();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('stays on the page for other QR codes', async () => {
+    const detect = vi.fn().mockResolvedValue([{ rawValue: 'https://example.com/product/123' }]);
+    window.BarcodeDetector = class {
+      detect = detect;
+    };
+    global.createImageBitmap = vi.fn().mockResolvedValue({});
+    const { container } = renderScan();
+
+    fireEvent.change(container.querySelector('input[type="file"]'), {
+      target: { files: [new File(['png'], 'sticker.png', { type: 'image/png' })] }
+    });
+
+    await vi.waitFor(() => expect(detect).toHaveBeenCalled());
+    expect(screen.getByText('Extract Text (OCR)')).toBeEnabled();
+    expect(screen.queryByText('Label page')).not.toBeInTheDocument();
+  });
+
+  it('opens the label page when the server decodes one of our QR labels', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        text: 'https://diagnostics.example/l/d0123456789abcdef',
+        provider: 'local',
+        barcodes: [barcode('qr_code', 'https://diagnostics.example/l/d0123456789abcdef')]
+      })
+    });
+    const { container } = renderScan();
+
+    extractFrom(container, 'label.png');
+
+    expect(await screen.findByText('Label page')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(buildApiUrl('/api/ocr'), expect.objectContaining({ method: 'POST' }));
+  });
+
+  it('lists barcodes decoded on the server with the extracted text', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        text: 'SN-7Q4K2M9X\n4006381333931',
+        provider: 'local',
+        barcodes: [barcode('code_128', 'SN-7Q4K2M9X'), barcode('ean_13', '4006381333931')]
+      })
+    });
+    const { container } = renderScan();
+
+    extractFrom(container, 'sticker.png');
+
+    expect(await screen.findByText('SN-7Q4K2M9X')).toBeInTheDocument();
+    expect(screen.getByText(/Code 128/)).toBeInTheDocument();
+    expect(screen.getByText(/EAN-13/)).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('OCR text will appear here')).toHaveValue('SN-7Q4K2M9X\n4006381333931');
+    expect(screen.queryByText('Label page')).not.toBeInTheDocument();
+  });
 });
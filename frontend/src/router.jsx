@@ -7,6 +7,7 @@ import Instructions from "./pages/Instructions";
 import ComponentDetail from "./pages/ComponentDetail";
 import Scan from "./pages/Scan";
 import Settings from "./pages/Settings";
+import Label from "./pages/Label";
 
 export default function Router() {
   return (
@@ -19,6 +20,7 @@ export default function Router() {
       <Route path="/settings" element={<Settings />} />
       <Route path="/instructions" element={<Instructions />} />
       <Route path="/component/:name" element={<ComponentDetail />} />
+      <Route path="/l/:code" element={<Label />} />
     </Routes>
   );
 }
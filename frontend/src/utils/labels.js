@@ -0,0 +1,38 @@
+import { buildApiUrl } from "./apiBase";
+
+// Our QR asset labels encode <frontend>/l/<code>: "d" + 16 hex digits for a
+// device, "r" + 32 for a report (see backend/services/labels.js)
+const LABEL_URL_PATTERN = /^https?:\/\/[^/\s]+(?:\/[^\s?#]*)?\/l\/(d[0-9a-f]{16}|r[0-9a-f]{32})\/?$/i;
+
+export const findLabelCode = (text) => {
+  const match = String(text ?? "").trim().match(LABEL_URL_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Label sheet / single label URLs whose QR codes point back at this frontend
+export const labelImageUrl = (id) =>
+  buildApiUrl(`/api/labels/${encodeURIComponent(id)}/svg?baseUrl=${encodeURIComponent(window.location.origin)}`);
+
+export const labelSheetUrl = () =>
+  buildApiUrl(`/api/labels/sheet?baseUrl=${encodeURIComponent(window.location.origin)}`);
+
+/**
+ * The label code in a photo, read with the browser's BarcodeDetector where
+ * it exists (Chrome on Android, macOS); null when there is none or no detector
+ */
+export async function detectLabelCode(file) {
+  if (typeof window === "undefined" || !("BarcodeDetector" in window) || typeof createImageBitmap !== "function") {
+    return null;
+  }
+  try {
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+    const barcodes = await detector.detect(await createImageBitmap(file));
+    for (const barcode of barcodes) {
+      const code = findLabelCode(barcode.rawValue);
+      if (code) return code;
+    }
+  } catch {
+    // Unsupported format or undecodable image: fall back to OCR
+  }
+  return null;
+}
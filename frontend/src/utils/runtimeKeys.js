@@ -3,7 +3,8 @@ const STORAGE_KEY = "runtime-api-keys";
 const KEY_FIELDS = [
   "groqApiKey",
   "googleVisionApiKey",
-  "roboflowApiKey"
+  "roboflowApiKey",
+  "certificateIssuerToken"
 ];
 
 const isBrowser = typeof window !== "undefined";
@@ -55,3 +56,9 @@ export function getApiHeaders() {
 
   return headers;
 }
+
+// Issuer token for POST /api/certificates (CERTIFICATE_ISSUER_TOKENS on the backend)
+export function getIssuerHeaders() {
+  const { certificateIssuerToken } = getRuntimeKeys();
+  return certificateIssuerToken ? { Authorization: `Bearer ${certificateIssuerToken}` } : {};
+}